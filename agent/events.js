@@ -110,6 +110,9 @@ const events = {
   exec: {
     output: "exec:output",
   },
+  interaction: {
+    track: "interaction:track",
+  },
   runner: {
     log: "runner:log",
   },
@@ -73,6 +73,7 @@ class TestDriverAgent extends EventEmitter2 {
     this.e2bTemplateId = flags["e2b-template-id"] || null;
     this.sandboxOs = flags.os || "linux";
     this.ip = flags.ip || null;
+    this.transport = flags.transport || "cloud";
     this.workingDir = flags.workingDir || process.cwd();
 
     // Resolve thisFile to absolute path with proper extension
@@ -100,7 +101,19 @@ class TestDriverAgent extends EventEmitter2 {
     this.outputs = createOutputs();
 
     // Create SDK instance with this agent's emitter, config, session, and abort signal
-    this.sdk = createSDK(this.emitter, this.config, this.session);
+    // Vision provider set by the SDK's `visionProvider` option; when present,
+    // find/assert/parse are answered locally instead of by the API
+    this.visionProvider = null;
+    this.sdk = createSDK(
+      this.emitter,
+      this.config,
+      this.session,
+      () => this.visionProvider,
+    );
+
+    // Text index options set by the SDK's `textIndex` option; when present,
+    // wait-for-text, scroll-until-text and hover-text answer from one parse()
+    this.textIndex = null;
 
     // Create analytics instance with this agent's emitter, config, and session
     this.analytics = createAnalytics(this.emitter, this.config, this.session);
@@ -129,6 +142,8 @@ class TestDriverAgent extends EventEmitter2 {
       this.cliArgs.options.redrawThreshold,
       null, // getDashcamElapsedTime - will be set by SDK when dashcam is available
       () => this.softAssertMode, // getter for soft assert mode (used by act())
+      () => this.visionProvider,
+      () => this.textIndex,
     );
     this.commands = commandsResult.commands;
     this.redraw = commandsResult.redraw;
@@ -1721,6 +1736,31 @@ ${regression}
       );
     }
 
+    // Local transport: drive this machine's X display (or a transport object
+    // such as FakeSandbox) instead of a cloud sandbox. The sandbox service is
+    // never contacted; a session is only started when an API key is
+    // configured (AI commands still need one).
+    const customTransport = typeof this.transport?.send === "function";
+    if (this.transport === "local" || customTransport) {
+      if (this.config.TD_API_KEY) {
+        await this.newSession();
+      } else {
+        this.session.set(`local-${Date.now().toString(36)}`);
+      }
+
+      this.emitter.emit(
+        events.log.narration,
+        theme.dim("using local transport, skipping sandbox service..."),
+      );
+      this.instance = await this.sandbox.connectLocal({
+        resolution: this.config.TD_RESOLUTION,
+        ...(customTransport && { transport: this.transport }),
+      });
+      this.sandboxOs = this.sandbox.os;
+      await this.runLifecycle("provision");
+      return;
+    }
+
     // Create session first so session ID is available for Sentry tracing in WebSocket connection
     await this.newSession();
 
@@ -1,4 +1,5 @@
 const { Args, Flags } = require("@oclif/core");
+const path = require("path");
 
 /**
  * Creates command definitions using oclif format as the single source of truth
@@ -41,6 +42,185 @@ function createCommandDefinitions(agent) {
         );
       },
     },
+
+    "local-cache": {
+      description:
+        "Inspect or purge the local find() cache (`cache: { local: true }`) in .testdriver/cache",
+      args: {
+        action: Args.string({
+          description: "What to do with the cache",
+          required: true,
+          options: ["list", "show", "prune", "clear"],
+        }),
+        description: Args.string({
+          description: "Element description to show (for `show`)",
+          required: false,
+        }),
+      },
+      flags: {
+        "older-than": Flags.string({
+          description:
+            "For `prune`: remove entries not used within this duration (e.g. 12h, 7d, 2w)",
+        }),
+        file: Flags.string({
+          description:
+            "Only entries recorded by this test file (for `list` and `clear`)",
+        }),
+        all: Flags.boolean({
+          description: "For `clear`: remove every entry",
+          default: false,
+        }),
+        dir: Flags.string({
+          description: "Cache directory",
+          default: ".testdriver/cache",
+        }),
+        json: Flags.boolean({
+          description: "Print entries as JSON",
+          default: false,
+        }),
+      },
+      handler: async () => {
+        throw new Error("local-cache should be handled by CLI interface");
+      },
+    },
+
+    run: {
+      description:
+        "Run YAML or SDK test files headlessly, in parallel, with JUnit and Markdown reports",
+      args: {
+        file: Args.string({
+          description:
+            "Test files, directories or globs to run, e.g. 'testdriver/**/*.yaml'",
+          default: "testdriver",
+          required: false,
+        }),
+      },
+      flags: {
+        junit: Flags.string({
+          description: "Write a JUnit XML report to this path",
+        }),
+        summary: Flags.string({
+          description: "Write a Markdown summary of the run to this path",
+        }),
+        retries: Flags.integer({
+          description: "Retry a failing file up to this many times",
+          default: 0,
+          min: 0,
+        }),
+        shard: Flags.string({
+          description:
+            "Run only shard i of n (e.g. 1/3), for splitting a run across CI machines",
+        }),
+        concurrency: Flags.integer({
+          description: "How many files to run at once",
+          default: 4,
+          min: 1,
+        }),
+        headless: Flags.boolean({
+          description: "Run the sandbox without opening the live view",
+          default: true,
+          allowNo: true,
+        }),
+      },
+      handler: async (args) => {
+        // Runs a single YAML file in this process; the CLI starts one
+        // process per file when given several
+        const file = args.file
+          ? path.resolve(agent.workingDir, args.file)
+          : agent.thisFile;
+        await agent.runLifecycle("prerun");
+        await agent.run(file, false, true);
+      },
+    },
+
+    repl: {
+      description:
+        "Drive a sandbox interactively with SDK-style commands and save the session as a Vitest test",
+      args: {},
+      flags: {
+        os: Flags.string({
+          description: "Sandbox operating system",
+          options: ["linux", "windows", "mac"],
+          default: "linux",
+        }),
+        headless: Flags.boolean({
+          description: "Don't open the live view of the sandbox",
+          default: false,
+        }),
+        screenshots: Flags.boolean({
+          description: "Show the screen in the terminal after each step",
+          default: true,
+          allowNo: true,
+        }),
+        "sandbox-id": Flags.string({
+          description: "Reconnect to an existing sandbox",
+        }),
+        ip: Flags.string({
+          description: "Connect to a self-hosted sandbox at this IP",
+        }),
+      },
+      handler: async () => {
+        throw new Error("repl should be handled by CLI interface");
+      },
+    },
+
+    migrate: {
+      description:
+        "Convert YAML tests (with their embeds and lifecycle files) to Vitest tests using the SDK",
+      args: {
+        path: Args.string({
+          description: "YAML file or directory to convert",
+          default: "testdriver",
+          required: false,
+        }),
+      },
+      flags: {
+        out: Flags.string({
+          description:
+            "Directory to write the converted files to (default: next to each YAML file)",
+        }),
+        force: Flags.boolean({
+          description: "Overwrite files that already exist",
+          default: false,
+        }),
+        "dry-run": Flags.boolean({
+          description: "Report what would be written without writing anything",
+          default: false,
+        }),
+        json: Flags.boolean({
+          description: "Print files and untranslated commands as JSON",
+          default: false,
+        }),
+      },
+      handler: async () => {
+        throw new Error("migrate should be handled by CLI interface");
+      },
+    },
+
+    "show-trace": {
+      description:
+        "Open a .tdtrace file as a timeline of actions, screenshots, API calls and exec output",
+      args: {
+        file: Args.string({
+          description: "Path to the .tdtrace file (default: the newest in .testdriver/traces)",
+          required: false,
+        }),
+      },
+      flags: {
+        port: Flags.integer({
+          description: "Port to serve the viewer on (default: a free port)",
+          default: 0,
+        }),
+        open: Flags.boolean({
+          description: "Open the viewer in the browser",
+          default: true,
+          allowNo: true,
+        }),
+      },
+      handler: async () => {
+        throw new Error("show-trace should be handled by CLI interface");
+      },
+    },
   };
 }
 
@@ -10,6 +10,14 @@ const Jimp = require("jimp");
 const os = require("os");
 const cliProgress = require("cli-progress");
 const { createRedraw } = require("./redraw.js");
+const { createTextIndex } = require("./text-index.js");
+const { createWaitUntil } = require("./wait-until.js");
+const { sendDrag } = require("../../lib/drag");
+const {
+  createValidator,
+  buildPrompt,
+  ExtractValidationError,
+} = require("../../lib/extract");
 
 const { events } = require("../events.js");
 
@@ -103,15 +111,44 @@ const createCommands = (
   redrawThreshold = 0.01,
   getDashcamElapsedTime = null,
   getSoftAssertMode = () => false, // getter for soft assert mode (used by act())
+  getVisionProvider = () => null, // getter for the SDK's visionProvider option
+  getTextIndexOptions = () => null, // getter for the SDK's textIndex option
 ) => {
   // Create SDK instance with emitter, config, and session
-  const sdk = createSDK(emitter, config, sessionInstance);
+  const sdk = createSDK(emitter, config, sessionInstance, getVisionProvider);
   // Create redraw instance with the system - support both number and object for backward compatibility
   const defaultRedrawOptions = typeof redrawThreshold === 'number' 
     ? { diffThreshold: redrawThreshold }
     : redrawThreshold;
   const redraw = createRedraw(emitter, system, sandbox, defaultRedrawOptions);
 
+  // Local text index for the text commands, created on first use when the
+  // textIndex option is set
+  let textIndex = null;
+  const getTextIndex = () => {
+    const options = getTextIndexOptions();
+    if (!options) return null;
+    if (!textIndex) {
+      textIndex = createTextIndex(
+        { emitter, system, sdk, redraw },
+        typeof options === "object" ? options : {},
+      );
+    }
+    return textIndex;
+  };
+
+  // Locate text through the text index when enabled, else (or when the
+  // index has no match) through the locator
+  const findText = async (text) => {
+    const locate = async () =>
+      sdk.req("find", {
+        element: text,
+        ...(await system.captureScreenImage()),
+      });
+    const index = getTextIndex();
+    return index ? index.find(text, locate) : locate();
+  };
+
   // Helper method to resolve file paths relative to the current file
   const resolveRelativePath = (relativePath) => {
     // If it's already an absolute path, return as-is
@@ -160,6 +197,8 @@ const createCommands = (
    * @param {boolean} [data.verify] - Whether AI verification was enabled for the find
    */
   const trackInteraction = (data) => {
+    emitter.emit(events.interaction.track, data);
+
     const sessionId = sessionInstance?.get();
     if (!sessionId) return;
 
@@ -286,7 +325,12 @@ const createCommands = (
     return result;
   };
 
-  const assert = async (assertion, shouldThrow = false, options = {}) => {
+  /**
+   * Ask the AI whether an assertion holds for the current screen, logging
+   * and tracking the result
+   * @returns {Promise<{ passed: boolean, message: string, reasoning: string|null, confidence: number|null, cacheHit: boolean, similarity: number|null, duration: number }>}
+   */
+  const checkAssertion = async (assertion, options = {}) => {
     // Log asserting action
     const { formatter } = require("../../sdk-log-formatter.js");
     const assertingMessage = formatter.formatAsserting(assertion);
@@ -363,7 +407,29 @@ const createCommands = (
       similarity: similarity,
       screenshotUrl: response?.screenshotKey ?? null,
     });
-    
+
+    return {
+      passed,
+      message: responseText,
+      reasoning,
+      confidence,
+      cacheHit,
+      similarity,
+      duration: assertDuration,
+    };
+  };
+
+  // Polls a natural-language condition for wait-until
+  const waitUntil = createWaitUntil({
+    emitter,
+    system,
+    redraw,
+    checkAssertion,
+  });
+
+  const assert = async (assertion, shouldThrow = false, options = {}) => {
+    const { passed, message: responseText } = await checkAssertion(assertion, options);
+
     if (passed) {
       return true;
     } else {
@@ -785,10 +851,135 @@ const createCommands = (
     }
   };
 
+  /**
+   * Drag from one point to another with the left mouse button held down.
+   * The pointer moves in steps so drag-and-drop libraries that listen for
+   * intermediate mousemove events see a real drag.
+   * @param {Object|number} options - Options object or target x coordinate (for backward compatibility)
+   * @param {number} [options.fromX] - X coordinate to press at (default: current pointer position)
+   * @param {number} [options.fromY] - Y coordinate to press at (default: current pointer position)
+   * @param {number} options.x - X coordinate to release at
+   * @param {number} options.y - Y coordinate to release at
+   * @param {number} [options.steps=10] - Number of intermediate pointer moves
+   * @param {number} [options.holdMs=200] - Time to hold after pressing and before releasing, in ms
+   * @param {string} [options.prompt] - Prompt for tracking
+   */
+  const drag = async (...args) => {
+    const dragTimestamp = Date.now();
+    const dragStartTime = dragTimestamp;
+    let fromX, fromY, x, y, steps, holdMs, elementData, redrawOptions;
+
+    // Handle both object and positional argument styles
+    if (isObjectArgs(args, ['x', 'y', 'fromX', 'fromY', 'steps', 'holdMs', 'prompt'])) {
+      const {
+        fromX: fromXPos,
+        fromY: fromYPos,
+        x: xPos,
+        y: yPos,
+        steps: stepsArg = 10,
+        holdMs: holdArg = 200,
+        redraw: redrawOpts,
+        ...rest
+      } = args[0];
+      fromX = fromXPos;
+      fromY = fromYPos;
+      x = xPos;
+      y = yPos;
+      steps = stepsArg;
+      holdMs = holdArg;
+      elementData = rest;
+      redrawOptions = extractRedrawOptions({ redraw: redrawOpts, ...rest });
+    } else {
+      // Legacy positional: drag(x, y, elementData) from the current pointer position
+      [x, y, elementData = {}] = args;
+      steps = 10;
+      holdMs = 200;
+      redrawOptions = extractRedrawOptions(elementData);
+    }
+
+    const hasStart = fromX !== undefined && fromY !== undefined;
+    x = parseInt(x);
+    y = parseInt(y);
+    if (hasStart) {
+      fromX = parseInt(fromX);
+      fromY = parseInt(fromY);
+    }
+    steps = Math.max(1, parseInt(steps) || 1);
+
+    try {
+      emitter.emit(
+        events.log.narration,
+        theme.dim(
+          hasStart
+            ? `dragging from ${fromX}, ${fromY} to ${x}, ${y}...`
+            : `dragging to ${x}, ${y}...`,
+        ),
+      );
+
+      await redraw.start(redrawOptions);
+
+      elementData.timestamp = Date.now();
+      await sendDrag(sandbox, { fromX, fromY, x, y, steps, holdMs, elementData }, delay);
+
+      const actionDuration = Date.now() - dragStartTime;
+
+      if (elementData.prompt) {
+        trackInteraction({
+          interactionType: "drag",
+          prompt: elementData.prompt,
+          input: { fromX, fromY, x, y, steps },
+          timestamp: dragTimestamp,
+          duration: actionDuration,
+          success: true,
+          cacheHit: elementData.cacheHit,
+          selector: elementData.selector,
+          selectorUsed: elementData.selectorUsed,
+          confidence: elementData.confidence ?? null,
+          reasoning: elementData.reasoning ?? null,
+          similarity: elementData.similarity ?? null,
+          screenshotUrl: elementData.screenshotUrl ?? null,
+        });
+      }
+
+      const redrawStartTime = Date.now();
+      await redraw.wait(5000, redrawOptions);
+      const redrawDuration = Date.now() - redrawStartTime;
+
+      const { formatter } = require("../../sdk-log-formatter.js");
+      emitter.emit(
+        events.log.log,
+        formatter.formatActionComplete("drag", elementData.prompt, {
+          actionDuration,
+          redrawDuration,
+          cacheHit: elementData.cacheHit,
+        }),
+      );
+
+      return;
+    } catch (error) {
+      if (elementData.prompt) {
+        trackInteraction({
+          interactionType: "drag",
+          prompt: elementData.prompt,
+          input: { fromX, fromY, x, y, steps },
+          timestamp: dragTimestamp,
+          duration: Date.now() - dragStartTime,
+          success: false,
+          error: error.message,
+          cacheHit: elementData.cacheHit,
+          selector: elementData.selector,
+          selectorUsed: elementData.selectorUsed,
+        });
+      }
+      throw error;
+    }
+  };
+
   let commands = {
     scroll: scroll,
     click: click,
     hover: hover,
+    drag: drag,
     /**
      * Hover over text on screen
      * @param {Object|string} options - Options object or description (for backward compatibility)
@@ -827,10 +1018,7 @@ const createCommands = (
 
       emitter.emit(events.log.narration, theme.dim("thinking..."), true);
 
-      let response = await sdk.req("find", {
-        element: description,
-        ...(await system.captureScreenImage()),
-      });
+      let response = await findText(description);
 
       if (!response || !response.coordinates) {
         throw new MatchError("No text on screen matches description");
@@ -1223,10 +1411,7 @@ const createCommands = (
       let passed = false;
 
       while (durationPassed < timeout && !passed) {
-        const response = await sdk.req("find", {
-          element: text,
-          ...(await system.captureScreenImage()),
-        });
+        const response = await findText(text);
 
         passed = !!(response && response.coordinates);
 
@@ -1276,6 +1461,49 @@ const createCommands = (
         throw new MatchError(errorMsg);
       }
     },
+    /**
+     * Wait until a natural-language condition holds. The AI is asked again
+     * only after the screen has changed since it last answered, so polling an
+     * unchanged screen costs a local screenshot diff instead of an API call.
+     * @param {string} condition - Assertion to wait for
+     * @param {Object} [options]
+     * @param {number} [options.timeout=30000] - Timeout in milliseconds
+     * @param {number} [options.interval=1000] - Time between screen checks in milliseconds
+     * @param {number} [options.threshold=-1] - Assertion cache threshold; the cache is off by default since a nearly identical screen is what is being waited on
+     * @param {number} [options.screenThreshold=0.1] - Screen diff (percent of pixels) above which the AI is asked again
+     * @param {string} [options.cacheKey] - Cache key for grouping cached assertions
+     * @param {string} [options.os] - Operating system identifier for cache partitioning
+     * @param {string} [options.resolution] - Screen resolution for cache partitioning
+     * @param {Object} [options.ai] - AI sampling configuration
+     * @returns {Promise<Object>} The passing assertion response, with `condition`, `attempts` and total `duration`
+     */
+    "wait-until": async (condition, options = {}) => {
+      const waitUntilTimestamp = Date.now();
+      const { timeout = 30000, interval = 1000, threshold = -1 } = options;
+
+      if (!condition || typeof condition !== "string") {
+        throw new CommandError("wait-until requires a condition to wait for");
+      }
+
+      const { passed, result, attempts, duration, message } = await waitUntil(condition, {
+        ...options,
+        timeout,
+        interval,
+        threshold,
+      });
+
+      trackInteraction({
+        interactionType: "waitUntil",
+        prompt: condition,
+        input: { timeout, interval, attempts },
+        timestamp: waitUntilTimestamp,
+        duration,
+        success: passed,
+        ...(!passed && { error: message }),
+      });
+      if (!passed) throw new MatchError(message);
+      return { ...result, condition, attempts, duration };
+    },
     /**
      * Scroll until text is found
      * @param {Object|string} options - Options object or text (for backward compatibility)
@@ -1316,10 +1544,7 @@ const createCommands = (
       let passed = false;
 
       while (scrollDistance <= maxDistance && !passed) {
-        const response = await sdk.req("find", {
-          element: text,
-          ...(await system.captureScreenImage()),
-        });
+        const response = await findText(text);
 
         passed = !!(response && response.coordinates);
 
@@ -1458,6 +1683,9 @@ const createCommands = (
      * Extract information from the screen using AI
      * @param {Object|string} options - Options object or description (for backward compatibility)
      * @param {string} options.description - What to extract
+     * @param {Object} [options.schema] - JSON Schema or Zod schema the answer must match;
+     *   the answer is parsed as JSON and validated
+     * @param {number} [options.retries=2] - Extra attempts when the answer doesn't match the schema
      */
     "extract": async (...args) => {
       // Capture absolute timestamp at the very start of the command
@@ -1465,20 +1693,58 @@ const createCommands = (
       const rememberTimestamp = Date.now();
       const rememberStartTime = rememberTimestamp;
       let description;
+      let options;
       
       // Handle both object and positional argument styles
       if (isObjectArgs(args, ['description'])) {
-        ({ description } = args[0]);
+        ({ description, ...options } = args[0]);
       } else {
-        // Legacy positional: remember(description)
-        [description] = args;
+        // Legacy positional: remember(description), plus extract(description, { schema })
+        [description, options = {}] = args;
       }
+      const { schema, retries = 2 } = options || {};
+      let attempts = 0;
       
       try {
-        let result = await sdk.req("remember", {
-          image: await system.captureScreenBase64(),
-          description,
-        });
+        let data;
+        if (!schema) {
+          let result = await sdk.req("remember", {
+            image: await system.captureScreenBase64(),
+            description,
+          });
+          attempts = 1;
+          data = result.data;
+        } else {
+          // One screenshot for every attempt, so retries fix the answer rather than chase a changing screen
+          const validator = createValidator(schema);
+          const image = await system.captureScreenBase64();
+          let previous;
+          for (;;) {
+            attempts++;
+            const result = await sdk.req("remember", {
+              image,
+              description: buildPrompt(description, validator.jsonSchema, previous),
+            });
+            const check = validator.validate(result.data);
+            if (check.valid) {
+              data = check.data;
+              break;
+            }
+            previous = { answer: result.data, errors: check.errors };
+            if (attempts > retries) {
+              throw new ExtractValidationError(
+                `extract("${description}") did not match the schema after ${attempts} attempt(s):\n` +
+                  check.errors.map((e) => `  - ${e}`).join("\n"),
+                { errors: check.errors, answer: result.data, attempts },
+              );
+            }
+            emitter.emit(
+              events.log.narration,
+              theme.dim(`answer did not match the schema, retrying (${check.errors[0]})...`),
+              true,
+            );
+          }
+        }
         
         // Track interaction success
         const rememberDuration = Date.now() - rememberStartTime;
@@ -1488,9 +1754,10 @@ const createCommands = (
           timestamp: rememberTimestamp,
           duration: rememberDuration,
           success: true,
+          ...(schema && { input: { schema: true, attempts } }),
         });
         
-        return result.data;
+        return data;
       } catch (error) {
         // Track interaction failure
         const rememberDuration = Date.now() - rememberStartTime;
@@ -1501,6 +1768,7 @@ const createCommands = (
           duration: rememberDuration,
           success: false,
           error: error.message,
+          ...(schema && { input: { schema: true, attempts } }),
         });
         throw error;
       }
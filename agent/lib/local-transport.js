@@ -0,0 +1,447 @@
+// Local offline transport: answers runner messages on this machine.
+//
+// Instead of publishing to a cloud runner over Ably, every message is handled
+// in-process against an X display (an existing $DISPLAY, or an Xvfb we spawn).
+// Input goes through xdotool, screenshots through ImageMagick's `import`, and
+// `commands.run` through a local bash. Intended for air-gapped CI where the
+// sandbox service is unreachable. Linux only.
+const fs = require("fs");
+const { spawn, execFile } = require("child_process");
+const { events } = require("../events");
+const logger = require("./logger");
+
+// Pixels scrolled per wheel click. Matches what the runner uses to convert
+// the SDK's pixel `amount` into pyautogui clicks.
+const PIXELS_PER_SCROLL_CLICK = 100;
+
+// pyautogui key names (see KeyboardKey in sdk.d.ts) → X keysyms understood by
+// `xdotool key`. Single printable characters and names that xdotool already
+// accepts (f1-f24, a-z, 0-9) are passed through by toXdotoolKey().
+const KEYSYMS = {
+  "\t": "Tab",
+  "\n": "Return",
+  "\r": "Return",
+  " ": "space",
+  "!": "exclam",
+  '"': "quotedbl",
+  "#": "numbersign",
+  $: "dollar",
+  "%": "percent",
+  "&": "ampersand",
+  "'": "apostrophe",
+  "(": "parenleft",
+  ")": "parenright",
+  "*": "asterisk",
+  "+": "plus",
+  ",": "comma",
+  "-": "minus",
+  ".": "period",
+  "/": "slash",
+  ":": "colon",
+  ";": "semicolon",
+  "<": "less",
+  "=": "equal",
+  ">": "greater",
+  "?": "question",
+  "@": "at",
+  "[": "bracketleft",
+  "\\": "backslash",
+  "]": "bracketright",
+  "^": "asciicircum",
+  _: "underscore",
+  "`": "grave",
+  "{": "braceleft",
+  "|": "bar",
+  "}": "braceright",
+  "~": "asciitilde",
+  add: "KP_Add",
+  alt: "alt",
+  altleft: "Alt_L",
+  altright: "Alt_R",
+  apps: "Menu",
+  backspace: "BackSpace",
+  browserback: "XF86Back",
+  browserfavorites: "XF86Favorites",
+  browserforward: "XF86Forward",
+  browserhome: "XF86HomePage",
+  browserrefresh: "XF86Refresh",
+  browsersearch: "XF86Search",
+  browserstop: "XF86Stop",
+  capslock: "Caps_Lock",
+  clear: "Clear",
+  command: "super",
+  ctrl: "ctrl",
+  ctrlleft: "Control_L",
+  ctrlright: "Control_R",
+  decimal: "KP_Decimal",
+  del: "Delete",
+  delete: "Delete",
+  divide: "KP_Divide",
+  down: "Down",
+  end: "End",
+  enter: "Return",
+  esc: "Escape",
+  escape: "Escape",
+  execute: "Execute",
+  help: "Help",
+  home: "Home",
+  insert: "Insert",
+  launchmail: "XF86Mail",
+  left: "Left",
+  multiply: "KP_Multiply",
+  nexttrack: "XF86AudioNext",
+  numlock: "Num_Lock",
+  option: "alt",
+  optionleft: "Alt_L",
+  optionright: "Alt_R",
+  pagedown: "Next",
+  pageup: "Prior",
+  pause: "Pause",
+  pgdn: "Next",
+  pgup: "Prior",
+  playpause: "XF86AudioPlay",
+  prevtrack: "XF86AudioPrev",
+  print: "Print",
+  printscreen: "Print",
+  prntscrn: "Print",
+  prtsc: "Print",
+  prtscr: "Print",
+  return: "Return",
+  right: "Right",
+  scrolllock: "Scroll_Lock",
+  select: "Select",
+  separator: "KP_Separator",
+  shift: "shift",
+  shiftleft: "Shift_L",
+  shiftright: "Shift_R",
+  sleep: "XF86Sleep",
+  space: "space",
+  stop: "XF86AudioStop",
+  subtract: "KP_Subtract",
+  tab: "Tab",
+  up: "Up",
+  volumedown: "XF86AudioLowerVolume",
+  volumemute: "XF86AudioMute",
+  volumeup: "XF86AudioRaiseVolume",
+  win: "super",
+  winleft: "Super_L",
+  winright: "Super_R",
+};
+
+/**
+ * Translate a pyautogui-style key name into an xdotool keysym
+ * @param {string} key - Key name as passed to pressKeys()
+ * @returns {string}
+ */
+function toXdotoolKey(key) {
+  if (Object.prototype.hasOwnProperty.call(KEYSYMS, key)) {
+    return KEYSYMS[key];
+  }
+  const lower = String(key).toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(KEYSYMS, lower)) {
+    return KEYSYMS[lower];
+  }
+  const numpad = /^num([0-9])$/.exec(lower);
+  if (numpad) {
+    return "KP_" + numpad[1];
+  }
+  if (/^f([1-9]|1[0-9]|2[0-4])$/.test(lower)) {
+    return lower.toUpperCase();
+  }
+  return key;
+}
+
+/**
+ * Build the xdotool arguments for a scroll message
+ * @param {string} direction - 'up' | 'down' | 'left' | 'right'
+ * @param {number} amount - Distance in pixels
+ * @returns {string[]}
+ */
+function scrollArgs(direction, amount) {
+  const buttons = { up: "4", down: "5", left: "6", right: "7" };
+  const button = buttons[direction] || buttons.down;
+  const clicks = Math.max(
+    1,
+    Math.round((parseInt(amount, 10) || PIXELS_PER_SCROLL_CLICK) / PIXELS_PER_SCROLL_CLICK),
+  );
+  return ["click", "--repeat", String(clicks), button];
+}
+
+/**
+ * Sum the rx/tx byte counters from /proc/net/dev, skipping loopback
+ * @param {string} contents - Contents of /proc/net/dev
+ * @returns {{ totalBytesReceived: number, totalBytesSent: number }}
+ */
+function parseNetDev(contents) {
+  let totalBytesReceived = 0;
+  let totalBytesSent = 0;
+  for (const line of contents.split("\n").slice(2)) {
+    const [iface, rest] = line.split(":");
+    if (!rest || iface.trim() === "lo") continue;
+    const fields = rest.trim().split(/\s+/).map(Number);
+    totalBytesReceived += fields[0] || 0;
+    totalBytesSent += fields[8] || 0;
+  }
+  return { totalBytesReceived, totalBytesSent };
+}
+
+const createLocalTransport = function (emitter) {
+  let display = process.env.DISPLAY || null;
+  let xvfb = null;
+  let requestId = 0;
+
+  const env = () => ({ ...process.env, DISPLAY: display });
+
+  const run = (file, args, timeout = 30000) =>
+    new Promise((resolve, reject) => {
+      execFile(
+        file,
+        args,
+        { env: env(), timeout, maxBuffer: 64 * 1024 * 1024, encoding: "buffer" },
+        (error, stdout, stderr) => {
+          if (error) {
+            if (error.code === "ENOENT") {
+              error.message = `${file} is not installed. The local transport requires xdotool and ImageMagick (import) on the PATH.`;
+            } else if (stderr && stderr.length) {
+              error.message += `: ${stderr.toString().trim()}`;
+            }
+            return reject(error);
+          }
+          resolve(stdout);
+        },
+      );
+    });
+
+  const xdotool = async (args) => (await run("xdotool", args)).toString();
+
+  const moveTo = async (message) => {
+    if (message.x === undefined || message.y === undefined) return;
+    await xdotool([
+      "mousemove",
+      "--sync",
+      String(Math.round(message.x)),
+      String(Math.round(message.y)),
+    ]);
+  };
+
+  const runCommand = (message, timeout) =>
+    new Promise((resolve) => {
+      const id = "local-" + ++requestId;
+      const child = spawn("bash", ["-c", message.command], { env: env() });
+      let stdout = "";
+      let stderr = "";
+      let timedOut = false;
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill("SIGKILL");
+      }, message.timeout || timeout);
+
+      child.stdout.on("data", (data) => {
+        const chunk = data.toString();
+        stdout += chunk;
+        emitter.emit(events.exec.output, { chunk, requestId: id });
+      });
+      child.stderr.on("data", (data) => {
+        stderr += data.toString();
+      });
+      child.on("error", (error) => {
+        clearTimeout(timer);
+        resolve({ out: { returncode: 127, stdout, stderr: error.message } });
+      });
+      child.on("close", (code) => {
+        clearTimeout(timer);
+        if (timedOut) {
+          stderr += `\nCommand timed out after ${message.timeout || timeout}ms`;
+        }
+        resolve({
+          out: { returncode: timedOut ? 124 : code, stdout, stderr },
+        });
+      });
+    });
+
+  const handlers = {
+    "system.screenshot": async () => {
+      const png = await run("import", ["-silent", "-window", "root", "png:-"]);
+      return { base64: png.toString("base64") };
+    },
+    moveMouse: async (message) => {
+      await moveTo(message);
+      return {};
+    },
+    leftClick: async (message) => {
+      await moveTo(message);
+      await xdotool(["click", "1"]);
+      return {};
+    },
+    rightClick: async (message) => {
+      await moveTo(message);
+      await xdotool(["click", "3"]);
+      return {};
+    },
+    middleClick: async (message) => {
+      await moveTo(message);
+      await xdotool(["click", "2"]);
+      return {};
+    },
+    doubleClick: async (message) => {
+      await moveTo(message);
+      await xdotool(["click", "--repeat", "2", "1"]);
+      return {};
+    },
+    mousePress: async (message) => {
+      await moveTo(message);
+      await xdotool(["mousedown", message.button === "right" ? "3" : "1"]);
+      return {};
+    },
+    mouseRelease: async (message) => {
+      await moveTo(message);
+      await xdotool(["mouseup", message.button === "right" ? "3" : "1"]);
+      return {};
+    },
+    write: async (message) => {
+      const delay = message.delay !== undefined ? message.delay : 250;
+      await xdotool(["type", "--delay", String(delay), "--", String(message.text)]);
+      return {};
+    },
+    press: async (message) => {
+      const keys = Array.isArray(message.keys) ? message.keys : [message.keys];
+      await xdotool(["key", "--", keys.map(toXdotoolKey).join("+")]);
+      return {};
+    },
+    scroll: async (message) => {
+      await xdotool(scrollArgs(message.direction, message.amount));
+      return {};
+    },
+    "commands.run": runCommand,
+    "commands.focus-application": async (message) => {
+      await xdotool([
+        "search",
+        "--onlyvisible",
+        "--name",
+        message.name,
+        "windowactivate",
+        "--sync",
+        "%1",
+      ]);
+      return {};
+    },
+    "system.get-mouse-position": async () => {
+      const out = await xdotool(["getmouselocation", "--shell"]);
+      const x = /X=(\d+)/.exec(out);
+      const y = /Y=(\d+)/.exec(out);
+      return { out: { x: x ? Number(x[1]) : 0, y: y ? Number(y[1]) : 0 } };
+    },
+    "system.get-active-window": async () => {
+      try {
+        const title = await xdotool(["getactivewindow", "getwindowname"]);
+        return { out: { title: title.trim() } };
+      } catch {
+        // An empty Xvfb has no active window; that's not an error
+        return { out: {} };
+      }
+    },
+    "system.network": async () => {
+      return { out: parseNetDev(fs.readFileSync("/proc/net/dev", "utf8")) };
+    },
+  };
+
+  /**
+   * Make sure there is an X display to drive. Reuses $DISPLAY when set,
+   * otherwise spawns Xvfb on TD_LOCAL_DISPLAY (default :99).
+   * @param {Object} options
+   * @param {string} [options.resolution] - e.g. '1366x768'
+   * @returns {Promise<{ display: string, spawned: boolean }>}
+   */
+  const start = async ({ resolution = "1366x768" } = {}) => {
+    if (process.platform !== "linux") {
+      throw new Error(
+        `The local transport only supports Linux (current platform: ${process.platform})`,
+      );
+    }
+
+    if (display) {
+      logger.debug(`[local] Using existing display ${display}`);
+      return { display, spawned: false };
+    }
+
+    display = process.env.TD_LOCAL_DISPLAY || ":99";
+    emitter.emit(
+      events.log.debug,
+      `[local] Starting Xvfb on ${display} at ${resolution}`,
+    );
+    xvfb = spawn("Xvfb", [display, "-screen", "0", `${resolution}x24`, "-nolisten", "tcp"], {
+      stdio: "ignore",
+    });
+
+    await new Promise((resolve, reject) => {
+      xvfb.once("error", (error) => {
+        xvfb = null;
+        display = null;
+        reject(
+          error.code === "ENOENT"
+            ? new Error("Xvfb is not installed and no DISPLAY is set. Install Xvfb or export DISPLAY to use the local transport.")
+            : error,
+        );
+      });
+      // Xvfb has no readiness signal; poll until xdotool can talk to it
+      const deadline = Date.now() + 10000;
+      const poll = () => {
+        if (!xvfb) return;
+        xdotool(["getdisplaygeometry"])
+          .then(() => resolve())
+          .catch((error) => {
+            if (Date.now() > deadline) {
+              // Don't leave an X server holding the display behind a failed connect()
+              xvfb.kill();
+              xvfb = null;
+              reject(new Error(`Xvfb did not become ready on ${display}: ${error.message}`));
+              // The next start() must not reuse a display nothing is serving
+              display = null;
+            } else {
+              setTimeout(poll, 200);
+            }
+          });
+      };
+      setTimeout(poll, 200);
+    });
+
+    return { display, spawned: true };
+  };
+
+  const send = async (message, timeout = 300000) => {
+    const handler = handlers[message.type];
+    if (!handler) {
+      throw new Error(
+        `Message type "${message.type}" is not supported by the local transport`,
+      );
+    }
+    emitter.emit(events.sandbox.sent, message);
+    const result = await handler(message, timeout);
+    emitter.emit(events.sandbox.received);
+    return result;
+  };
+
+  const close = async () => {
+    if (xvfb) {
+      xvfb.kill();
+      xvfb = null;
+      // Our Xvfb is gone; a later start() spawns a new one
+      display = process.env.DISPLAY || null;
+    }
+  };
+
+  return {
+    start,
+    send,
+    close,
+    getDisplay: () => display,
+  };
+};
+
+module.exports = {
+  createLocalTransport,
+  toXdotoolKey,
+  scrollArgs,
+  parseNetDev,
+};
@@ -0,0 +1,94 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const {
+  createLocalTransport,
+  toXdotoolKey,
+  scrollArgs,
+  parseNetDev,
+} = require("./local-transport.js");
+const { createEmitter } = require("../events.js");
+
+/**
+ * The local transport answers the same messages as the cloud runner, but the
+ * runner speaks pyautogui key names and pixel scroll amounts while xdotool
+ * wants X keysyms and wheel clicks. These translations are the only part that
+ * can drift silently — a wrong keysym just types the wrong thing.
+ */
+
+describe("toXdotoolKey", () => {
+  it("maps pyautogui names to X keysyms", () => {
+    expect(toXdotoolKey("enter")).toBe("Return");
+    expect(toXdotoolKey("esc")).toBe("Escape");
+    expect(toXdotoolKey("pgdn")).toBe("Next");
+    expect(toXdotoolKey("win")).toBe("super");
+    expect(toXdotoolKey("num7")).toBe("KP_7");
+    expect(toXdotoolKey("f12")).toBe("F12");
+  });
+
+  it("maps punctuation to its keysym name", () => {
+    expect(toXdotoolKey("+")).toBe("plus");
+    expect(toXdotoolKey(" ")).toBe("space");
+    expect(toXdotoolKey("\n")).toBe("Return");
+  });
+
+  it("passes letters and digits through unchanged", () => {
+    expect(toXdotoolKey("a")).toBe("a");
+    expect(toXdotoolKey("7")).toBe("7");
+  });
+});
+
+describe("scrollArgs", () => {
+  it("converts pixels into wheel clicks on the right button", () => {
+    expect(scrollArgs("down", 300)).toEqual(["click", "--repeat", "3", "5"]);
+    expect(scrollArgs("up", 100)).toEqual(["click", "--repeat", "1", "4"]);
+  });
+
+  it("always scrolls at least one click", () => {
+    expect(scrollArgs("down", 10)).toEqual(["click", "--repeat", "1", "5"]);
+  });
+});
+
+describe("parseNetDev", () => {
+  it("sums rx/tx bytes across interfaces, ignoring loopback", () => {
+    const contents = [
+      "Inter-|   Receive                                                |  Transmit",
+      " face |bytes    packets errs drop fifo frame compressed multicast|bytes    packets errs drop fifo colls carrier compressed",
+      "    lo: 1000      10    0    0    0     0          0         0     1000      10    0    0    0     0       0          0",
+      "  eth0: 2048      20    0    0    0     0          0         0      512       5    0    0    0     0       0          0",
+      "  eth1:   52       1    0    0    0     0          0         0        8       1    0    0    0     0       0          0",
+    ].join("\n");
+    expect(parseNetDev(contents)).toEqual({
+      totalBytesReceived: 2100,
+      totalBytesSent: 520,
+    });
+  });
+});
+
+describe("local commands.run", () => {
+  it("returns the runner's { out } shape and streams stdout", async () => {
+    const emitter = createEmitter();
+    const chunks = [];
+    emitter.on("exec:output", ({ chunk }) => chunks.push(chunk));
+
+    const transport = createLocalTransport(emitter);
+    const result = await transport.send({
+      type: "commands.run",
+      command: "echo hello; echo oops >&2; exit 3",
+      timeout: 5000,
+    });
+
+    expect(result.out.returncode).toBe(3);
+    expect(result.out.stdout).toBe("hello\n");
+    expect(result.out.stderr).toBe("oops\n");
+    expect(chunks.join("")).toBe("hello\n");
+  });
+
+  it("rejects message types the transport cannot answer", async () => {
+    const transport = createLocalTransport(createEmitter());
+    await expect(transport.send({ type: "create" })).rejects.toThrow(
+      /not supported by the local transport/,
+    );
+  });
+});
@@ -8,6 +8,7 @@ const DEFAULT_REDRAW_OPTIONS = {
   enabled: true,           // Master switch to enable/disable redraw detection
   screenRedraw: true,      // Enable screen redraw detection
   networkMonitor: false,    // Enable network activity monitoring
+  screenThreshold: 0.1,    // Screen diff (percent) above which the screen counts as changed; below is compression noise
 };
 
 // Factory function that creates redraw functionality with the provided system instance
@@ -154,44 +155,50 @@ const createRedraw = (
     }
   }
 
-  async function imageDiffPercent(image1Url, image2Url) {
-    try {
-      // Dynamic import for ES module pixelmatch
-      const { default: pixelmatch } = await import("pixelmatch");
+  // Percentage of pixels that differ between two PNG files; throws when the
+  // images can't be compared
+  async function compareImages(image1Url, image2Url) {
+    // Dynamic import for ES module pixelmatch
+    const { default: pixelmatch } = await import("pixelmatch");
 
-      // Read PNG files
-      const img1Buffer = fs.readFileSync(image1Url);
-      const img2Buffer = fs.readFileSync(image2Url);
+    // Read PNG files
+    const img1Buffer = fs.readFileSync(image1Url);
+    const img2Buffer = fs.readFileSync(image2Url);
 
-      // Parse PNG data
-      const img1 = PNG.sync.read(img1Buffer);
-      const img2 = PNG.sync.read(img2Buffer);
+    // Parse PNG data
+    const img1 = PNG.sync.read(img1Buffer);
+    const img2 = PNG.sync.read(img2Buffer);
 
-      // Ensure images have the same dimensions
-      if (img1.width !== img2.width || img1.height !== img2.height) {
-        throw new Error("Images must have the same dimensions");
-      }
+    // Ensure images have the same dimensions
+    if (img1.width !== img2.width || img1.height !== img2.height) {
+      throw new Error("Images must have the same dimensions");
+    }
+
+    const { width, height } = img1;
+    const totalPixels = width * height;
+
+    // Create diff image buffer
+    const diff = new PNG({ width, height });
 
-      const { width, height } = img1;
-      const totalPixels = width * height;
-
-      // Create diff image buffer
-      const diff = new PNG({ width, height });
-
-      // Compare images using pixelmatch
-      const differentPixels = pixelmatch(
-        img1.data,
-        img2.data,
-        diff.data,
-        width,
-        height,
-        { threshold: 0.1 },
-      );
-
-      // Calculate percentage difference based on pixel differences
-      // Always return a number (0 if no difference)
-      const diffPercentage = (differentPixels / totalPixels) * 100;
-      return parseFloat(diffPercentage.toFixed(2));
+    // Compare images using pixelmatch
+    const differentPixels = pixelmatch(
+      img1.data,
+      img2.data,
+      diff.data,
+      width,
+      height,
+      { threshold: 0.1 },
+    );
+
+    // Calculate percentage difference based on pixel differences
+    // Always return a number (0 if no difference)
+    const diffPercentage = (differentPixels / totalPixels) * 100;
+    return parseFloat(diffPercentage.toFixed(2));
+  }
+
+  async function imageDiffPercent(image1Url, image2Url) {
+    try {
+      return await compareImages(image1Url, image2Url);
     } catch (error) {
       console.error("Error comparing images:", error);
       return 0; // Return 0 on error instead of false
@@ -269,7 +276,7 @@ const createRedraw = (
         diffFromInitial = await imageDiffPercent(initialScreenImage, nowImage);
         emitter.emit(events.log.debug, `[redraw] checkCondition() - diffFromInitial: ${diffFromInitial}`);
         // Consider changed if diff > 0.1% (accounts for compression artifacts)
-        if (diffFromInitial > 0.1) {
+        if (diffFromInitial > DEFAULT_REDRAW_OPTIONS.screenThreshold) {
           hasChangedFromInitial = true;
           emitter.emit(events.log.debug, `[redraw] checkCondition() - screen has changed from initial!`);
         }
@@ -380,7 +387,7 @@ const createRedraw = (
     stopNetworkMonitoring(networkInterval);
   }
 
-  return { start, wait, cleanup, DEFAULT_OPTIONS: DEFAULT_REDRAW_OPTIONS };
+  return { start, wait, cleanup, diff: compareImages, DEFAULT_OPTIONS: DEFAULT_REDRAW_OPTIONS };
 };
 
 module.exports = { createRedraw, DEFAULT_REDRAW_OPTIONS };
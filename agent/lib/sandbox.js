@@ -5,6 +5,7 @@ const logger = require("./logger");
 const { version } = require("../../package.json");
 const { withRetry, getSentryTraceHeaders } = require("./sdk");
 const sentry = require("../../lib/sentry");
+const { createLocalTransport } = require("./local-transport");
 
 // How long (ms) to keep polling for a free concurrency slot before giving up.
 // Configurable via TD_CONCURRENCY_MAX_WAIT (in seconds). Defaults to 60s.
@@ -42,6 +43,8 @@ const createSandbox = function (emitter, analytics, sessionInstance) {
       this._teamId = null;
       this._sandboxId = null;
       this._disconnectedAt = null; // tracks when Realtime connection dropped (for timeout extension on reconnect)
+      this.transport = "cloud"; // "cloud" (Ably runner) or "local" (this machine's X display)
+      this._local = null;
 
       // Rate limiting state for Ably publishes (Ably limits to 50 msg/sec per connection)
       this._publishLastTime = 0;
@@ -557,6 +560,14 @@ const createSandbox = function (emitter, analytics, sessionInstance) {
 
     send(message, timeout) {
       if (timeout === undefined) timeout = 300000;
+      if (this.transport === "local") {
+        if (!this._local) {
+          return Promise.reject(
+            new Error("Local sandbox not started. Call connectLocal() first."),
+          );
+        }
+        return this._local.send(message, timeout);
+      }
       if (message.type === "create" || message.type === "direct") {
         return this._sendHttp(message, timeout);
       }
@@ -1601,12 +1612,49 @@ const createSandbox = function (emitter, analytics, sessionInstance) {
       };
     }
 
+    /**
+     * Start the local transport instead of allocating a cloud sandbox.
+     * Messages are answered on this machine (see local-transport.js), or by
+     * a transport object such as testdriverai/testing's FakeSandbox.
+     * @param {Object} [options]
+     * @param {string} [options.resolution] - Xvfb resolution when no DISPLAY is set
+     * @param {Object} [options.transport] - Object with start/send/close to use instead
+     */
+    async connectLocal(options) {
+      options = options || {};
+      this.transport = "local";
+      this._local = options.transport || createLocalTransport(emitter);
+      this.os = this._local.os || "linux";
+      var started = await this._local.start({
+        resolution: options.resolution,
+        emitter: emitter,
+      });
+
+      this.instanceSocketConnected = true;
+      emitter.emit(events.sandbox.connected);
+
+      var sandboxId = "local-" + this.uniqueId;
+      this._sandboxId = sandboxId;
+      this.instance = {
+        sandboxId: sandboxId,
+        instanceId: sandboxId,
+        os: this.os,
+        transport: "local",
+        display: started.display,
+      };
+      return this.instance;
+    }
+
     async boot(apiRoot) {
       if (apiRoot) this.apiRoot = apiRoot;
       return this;
     }
 
     async close() {
+      if (this._local) {
+        await this._local.close();
+        this._local = null;
+      }
       if (this.heartbeat) {
         clearInterval(this.heartbeat);
         this.heartbeat = null;
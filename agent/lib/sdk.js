@@ -1,6 +1,8 @@
 const { events } = require("../events");
 const { getSentryTraceHeaders } = require("./http");
 const sentry = require("../../lib/sentry");
+const { isVisionRequest, handleVisionRequest } = require("../../lib/vision");
+const { createApiRecorder } = require("../../lib/replay");
 
 // get the version from package.json
 const { version } = require("../../package.json");
@@ -161,7 +163,12 @@ async function withRetry(fn, options = {}) {
 
 // Factory function that creates SDK with the provided emitter, config, and session
 let token = null;
-const createSDK = (emitter, config, sessionInstance) => {
+const createSDK = (
+  emitter,
+  config,
+  sessionInstance,
+  getVisionProvider = () => null, // getter for the SDK's visionProvider option
+) => {
   // Config is required - no fallback to avoid process.env usage
   if (!config) {
     throw new Error("Config must be provided to createSDK");
@@ -172,6 +179,12 @@ const createSDK = (emitter, config, sessionInstance) => {
     throw new Error("Session instance must be provided to createSDK");
   }
 
+  // TD_API_RECORD=<dir> writes find/assert/parse/check/session/start
+  // request/response pairs as fixtures for the replay server
+  const recorder = config["TD_API_RECORD"]
+    ? createApiRecorder(config["TD_API_RECORD"])
+    : null;
+
   const outputError = (error) => {
     emitter.emit(events.error.sdk, {
       message: error.status || error.reason || error.message,
@@ -387,6 +400,19 @@ const createSDK = (emitter, config, sessionInstance) => {
       }
     }
 
+    // find/assert/parse are answered by the user's vision provider, if any,
+    // and never reach the API
+    const visionProvider = getVisionProvider();
+    if (isVisionRequest(visionProvider, path)) {
+      emitter.emit(events.sdk.request, { path, provider: visionProvider.name });
+      const result = await handleVisionRequest(visionProvider, path, data);
+      emitter.emit(events.sdk.response, { path, provider: visionProvider.name });
+      return result;
+    }
+
+    // Hash the screenshots before the S3 upload below swaps them for a key
+    const recording = recorder && recorder.begin(path, data);
+
     // ── S3 upload: replace large inline base64 images with S3 keys ──────
     // If data.image is a large base64 string (>50KB), upload the raw PNG
     // to S3 via a presigned URL and send only the imageKey instead.
@@ -507,6 +533,7 @@ const createSDK = (emitter, config, sessionInstance) => {
 
       emitter.emit(events.sdk.response, {
         path,
+        status: response.status,
       });
 
       const contentType = response.headers["content-type"]?.toLowerCase();
@@ -561,6 +588,10 @@ const createSDK = (emitter, config, sessionInstance) => {
 
       const value = await parseBody(response, result);
 
+      if (recording) {
+        recording.finish(value);
+      }
+
       return value;
     } catch (error) {
       // Check for network-level errors (no response received)
@@ -209,8 +209,10 @@ const createSystem = (emitter, sandbox, config) => {
   // re-upload on the API side.
   //
   // Slow path (fallback): when bytes are inline (local/direct connection), when
-  // a mouse cursor must be composited, when scale != 1, or when the captured
-  // size differs from TD_RESOLUTION (so a resize is actually required), fall
+  // a mouse cursor must be composited, when scale != 1, when the captured
+  // size differs from TD_RESOLUTION (so a resize is actually required), or when
+  // TD_INLINE_SCREENSHOTS is set (a local vision provider needs the bytes),
+  // or when TD_API_RECORD is set (fixtures are keyed by screenshot hash), fall
   // back to capturing + resizing locally and return { image } (base64).
   const captureScreenImage = async (scale = 1, silent = false, mouse = false) => {
     const raw = await captureRaw();
@@ -219,6 +221,8 @@ const createSystem = (emitter, sandbox, config) => {
     const canUseKey =
       raw &&
       raw.s3Key &&
+      !config.TD_INLINE_SCREENSHOTS &&
+      !config.TD_API_RECORD &&
       !mouse &&
       scale === 1 &&
       typeof raw.width === "number" &&
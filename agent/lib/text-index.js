@@ -0,0 +1,155 @@
+/**
+ * Local text index for wait-for-text, scroll-until-text and hover-text
+ *
+ * Instead of sending a screenshot to the locator for every text lookup, the
+ * index parses the screen once and answers lookups from the text boxes it
+ * found. Before each lookup a small screenshot is compared with the one taken
+ * when the index was built (the redraw detector's screen diff); any change
+ * rebuilds the index. A lookup the index can't answer falls back to the
+ * locator, so descriptions that aren't literal on-screen text keep working;
+ * the locator's answer is kept until the screen changes, so polling an
+ * unchanged screen costs one locator call per text. If parsing fails (parse() needs an enterprise
+ * or self-hosted plan) the index turns itself off for the session.
+ *
+ * Parsing goes through the same "parse" request as testdriver.parse(), so a
+ * visionProvider that implements parse() keeps the whole index local.
+ */
+const { events } = require("../events.js");
+
+// Case, whitespace and curly quotes don't matter when comparing text
+const normalizeText = (text) =>
+  String(text)
+    .toLowerCase()
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Find text among parse() elements. Exact matches win over elements that
+ * contain the text; among those the shortest content wins.
+ * @param {Object[]} elements - parse() elements
+ * @param {string} text
+ * @returns {Object|null} `{ content, coordinates: { x, y }, boundingBox }`
+ */
+function matchText(elements, text) {
+  const needle = normalizeText(text);
+  if (!needle) return null;
+
+  let best = null;
+  for (const element of elements) {
+    const box = element.boundingBox;
+    if (typeof element.content !== "string" || !box) continue;
+    const content = normalizeText(element.content);
+    if (!content.includes(needle)) continue;
+
+    const rank = content === needle ? 0 : content.length;
+    if (!best || rank < best.rank) best = { rank, element };
+  }
+  if (!best) return null;
+
+  const { content, boundingBox } = best.element;
+  return {
+    content,
+    coordinates: {
+      x: Math.round(boundingBox.left + boundingBox.width / 2),
+      y: Math.round(boundingBox.top + boundingBox.height / 2),
+    },
+    boundingBox,
+  };
+}
+
+/**
+ * Create a text index
+ * @param {Object} deps
+ * @param {Object} deps.emitter
+ * @param {Object} deps.system - Uses captureScreenPNG() and captureScreenImage()
+ * @param {Object} deps.sdk - Uses req("parse")
+ * @param {Object} deps.redraw - Uses diff() to compare screenshots
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0] - Screen diff (percent of pixels) above which the index is rebuilt
+ * @returns {{ lookup: (text: string) => Promise<Object|null>, find: Function, invalidate: () => void, stats: Object }}
+ */
+const createTextIndex = ({ emitter, system, sdk, redraw }, { threshold = 0 } = {}) => {
+  let indexedScreen = null;
+  let elements = [];
+  let disabled = false;
+  // Locator answers for text the index missed, keyed by normalized text;
+  // only valid for the indexed screen
+  let fallbacks = new Map();
+  const stats = { lookups: 0, parses: 0, hits: 0 };
+
+  const refresh = async () => {
+    const screen = await system.captureScreenPNG(0.25, true);
+    if (indexedScreen) {
+      // Screenshots that can't be compared (e.g. after a resolution change) count as changed
+      const diff = await redraw.diff(indexedScreen, screen).catch(() => Infinity);
+      if (diff <= threshold) return;
+      emitter.emit(events.log.debug, `[text-index] screen changed (${diff}%), re-parsing`);
+    }
+
+    const response = await sdk.req("parse", await system.captureScreenImage(1, true));
+    if (response?.error) throw new Error(response.error);
+    elements = response?.elements || [];
+    fallbacks = new Map();
+    indexedScreen = screen;
+    stats.parses++;
+  };
+
+  /**
+   * Look text up on the current screen
+   * @param {string} text
+   * @returns {Promise<Object|null>} `{ content, coordinates, boundingBox }`, or null when the index can't answer
+   */
+  const lookup = async (text) => {
+    if (disabled) return null;
+    stats.lookups++;
+    try {
+      await refresh();
+    } catch (error) {
+      // A failed parse shouldn't fail the command; the locator still can answer
+      disabled = true;
+      indexedScreen = null;
+      emitter.emit(
+        events.log.warn,
+        `Text index disabled, falling back to the locator: ${error.message}`,
+      );
+      return null;
+    }
+    const match = matchText(elements, text);
+    if (match) stats.hits++;
+    return match;
+  };
+
+  return {
+    stats,
+    lookup,
+
+    /**
+     * Look text up on the current screen, asking `locate` when the index has
+     * no match. Until the screen changes, the same text gets the same locator
+     * answer without calling it again.
+     * @param {string} text
+     * @param {(text: string) => Promise<Object>} locate - The locator fallback
+     * @returns {Promise<Object|null>}
+     */
+    async find(text, locate) {
+      const match = await lookup(text);
+      if (match) return match;
+      if (disabled) return locate(text);
+
+      const key = normalizeText(text);
+      if (!fallbacks.has(key)) fallbacks.set(key, await locate(text));
+      return fallbacks.get(key);
+    },
+
+    /** Drop the index; the next lookup parses the screen again */
+    invalidate() {
+      indexedScreen = null;
+      elements = [];
+      fallbacks = new Map();
+    },
+  };
+};
+
+module.exports = { createTextIndex, matchText, normalizeText };
@@ -0,0 +1,88 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { createTextIndex, matchText } = require("./text-index.js");
+
+/**
+ * The index is only worth having if it reuses one parse across lookups on
+ * an unchanged screen and never answers from a stale one. Screenshots and
+ * the diff are faked: each capture returns the current "screen" name and
+ * the diff reports whether two names differ.
+ */
+
+const box = (left, top, width = 80, height = 16) => ({ left, top, width, height });
+
+const fakeIndex = (screens) => {
+  let screen = "home";
+  const requests = [];
+  const index = createTextIndex({
+    emitter: { emit() {} },
+    system: {
+      captureScreenPNG: () => Promise.resolve(screen),
+      captureScreenImage: () => Promise.resolve({ image: screen }),
+    },
+    sdk: {
+      req: (path, { image }) => {
+        requests.push(path);
+        return Promise.resolve({ elements: screens[image] });
+      },
+    },
+    redraw: { diff: (a, b) => Promise.resolve(a === b ? 0 : 12.5) },
+  });
+  return { index, requests, show: (name) => (screen = name) };
+};
+
+describe("text index", () => {
+  it("prefers exact matches and ignores case and spacing", () => {
+    const elements = [
+      { content: "Sign in to continue", boundingBox: box(100, 40, 200) },
+      { content: "Sign  In", boundingBox: box(100, 300) },
+      { content: "icon", boundingBox: null },
+    ];
+    expect(matchText(elements, "sign in")).toMatchObject({
+      content: "Sign  In",
+      coordinates: { x: 140, y: 308 },
+    });
+    expect(matchText(elements, "continue").coordinates).toEqual({ x: 200, y: 48 });
+    expect(matchText(elements, "Checkout")).toBeNull();
+  });
+
+  it("parses once per screen and again after it changes", async () => {
+    const { index, requests, show } = fakeIndex({
+      home: [{ content: "Welcome", boundingBox: box(0, 0) }],
+      cart: [{ content: "Your cart", boundingBox: box(0, 100) }],
+    });
+
+    expect(await index.lookup("Welcome")).not.toBeNull();
+    expect(await index.lookup("Your cart")).toBeNull();
+    expect(requests).toEqual(["parse"]);
+
+    show("cart");
+    expect(await index.lookup("Welcome")).toBeNull();
+    expect(await index.lookup("Your cart")).not.toBeNull();
+    expect(index.stats).toEqual({ lookups: 4, parses: 2, hits: 2 });
+  });
+
+  it("asks the locator about a miss once per screen", async () => {
+    const { index, requests, show } = fakeIndex({
+      home: [{ content: "Welcome", boundingBox: box(0, 0) }],
+      cart: [{ content: "Your cart", boundingBox: box(0, 100) }],
+    });
+    const located = [];
+    const locate = (text) => {
+      located.push(text);
+      return Promise.resolve({ coordinates: null });
+    };
+
+    expect(await index.find("Welcome", locate)).toMatchObject({ content: "Welcome" });
+    expect(await index.find("the checkout button", locate)).toEqual({ coordinates: null });
+    expect(await index.find("The  checkout button", locate)).toEqual({ coordinates: null });
+    expect(located).toEqual(["the checkout button"]);
+
+    show("cart");
+    await index.find("the checkout button", locate);
+    expect(located).toEqual(["the checkout button", "the checkout button"]);
+    expect(requests).toEqual(["parse", "parse"]);
+  });
+});
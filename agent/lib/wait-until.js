@@ -0,0 +1,87 @@
+/**
+ * The polling loop behind wait-until
+ *
+ * Each interval a small screenshot is compared with the one the AI last
+ * judged (the redraw detector's screen diff). The AI is only asked again
+ * once the screen has changed by more than the screen threshold, so waiting
+ * on a screen that isn't moving costs one assertion, not one per interval.
+ */
+const { events } = require("../events.js");
+const theme = require("./theme.js");
+const { DEFAULT_REDRAW_OPTIONS } = require("./redraw.js");
+
+const niceSeconds = (ms) => Math.round(ms / 1000);
+
+const delay = (t) => new Promise((resolve) => setTimeout(resolve, t));
+
+/**
+ * Create the wait-until loop
+ * @param {Object} deps
+ * @param {Object} deps.emitter
+ * @param {Object} deps.system - Uses captureScreenPNG()
+ * @param {Object} deps.redraw - Uses diff() to compare screenshots
+ * @param {Function} deps.checkAssertion - `(assertion, options) => Promise<{ passed, message, ... }>`
+ * @returns {(condition: string, options?: Object) => Promise<Object>} Resolves with
+ *   `{ passed, result, attempts, duration }`, plus the timeout `message` when it didn't pass
+ */
+const createWaitUntil = ({ emitter, system, redraw, checkAssertion }) =>
+  async (condition, options = {}) => {
+    const startedAt = Date.now();
+    const {
+      timeout = 30000,
+      interval = 1000,
+      screenThreshold = DEFAULT_REDRAW_OPTIONS.screenThreshold,
+      ...assertOptions
+    } = options;
+
+    emitter.emit(
+      events.log.narration,
+      theme.dim(`waiting until: "${condition}"...`),
+      true,
+    );
+
+    let lastScreen = null;
+    let result = null;
+    let attempts = 0;
+
+    for (;;) {
+      const screen = await system.captureScreenPNG(0.25, true);
+      // Screenshots that can't be compared count as changed
+      const changed =
+        !lastScreen ||
+        (await redraw.diff(lastScreen, screen).catch(() => Infinity)) > screenThreshold;
+
+      if (changed) {
+        lastScreen = screen;
+        attempts++;
+        result = await checkAssertion(condition, assertOptions);
+        if (result.passed) {
+          return { passed: true, result, attempts, duration: Date.now() - startedAt };
+        }
+      }
+
+      const elapsed = Date.now() - startedAt;
+      if (elapsed >= timeout) break;
+
+      if (changed) {
+        emitter.emit(
+          events.log.narration,
+          theme.dim(`${niceSeconds(elapsed)} seconds have passed, "${condition}" is not true yet`),
+          true,
+        );
+      }
+      await delay(Math.min(interval, timeout - elapsed));
+    }
+
+    return {
+      passed: false,
+      result,
+      attempts,
+      duration: Date.now() - startedAt,
+      message:
+        `Timed out (${niceSeconds(timeout)} seconds) waiting until "${condition}"` +
+        (result?.message ? `\n${result.message}` : ""),
+    };
+  };
+
+module.exports = { createWaitUntil };
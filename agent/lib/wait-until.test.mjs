@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { createWaitUntil } = require("./wait-until.js");
+
+/**
+ * waitUntil() is only cheaper than a loop around assert() if a screen that
+ * isn't moving never reaches the AI. Screenshots and the diff are faked:
+ * each capture returns the next "screen" name, and the diff between two
+ * names comes from a table (identical names are 0).
+ */
+
+const fakeWaitUntil = ({ screens, diffs = {}, passOn = [] }) => {
+  let captures = 0;
+  const asked = [];
+  const narration = [];
+  let current = null;
+  const waitUntil = createWaitUntil({
+    emitter: { emit: (event, message) => narration.push(String(message)) },
+    system: {
+      captureScreenPNG: () => {
+        current = screens[Math.min(captures++, screens.length - 1)];
+        return Promise.resolve(current);
+      },
+    },
+    redraw: {
+      diff: (a, b) => Promise.resolve(a === b ? 0 : (diffs[`${a}>${b}`] ?? 12.5)),
+    },
+    checkAssertion: (condition, options) => {
+      asked.push({ screen: current, options });
+      const passed = passOn.includes(current);
+      return Promise.resolve({ passed, message: passed ? "yes" : `not on ${current}` });
+    },
+  });
+  return { waitUntil, asked, narration };
+};
+
+describe("wait-until", () => {
+  it("doesn't ask the AI again while the screen is unchanged", async () => {
+    const { waitUntil, asked, narration } = fakeWaitUntil({ screens: ["loading"] });
+
+    const outcome = await waitUntil("the upload finished", { timeout: 60, interval: 5 });
+
+    expect(outcome.passed).toBe(false);
+    expect(outcome.attempts).toBe(1);
+    expect(asked).toHaveLength(1);
+    expect(narration.filter((line) => line.includes("is not true yet"))).toHaveLength(1);
+  });
+
+  it("asks again once the screen changes past the threshold", async () => {
+    const { waitUntil, asked } = fakeWaitUntil({
+      screens: ["50%", "50%", "50%+cursor", "100%"],
+      diffs: { "50%>50%+cursor": 0.05 },
+      passOn: ["100%"],
+    });
+
+    const outcome = await waitUntil("the progress bar shows 100%", {
+      timeout: 1000,
+      interval: 5,
+      threshold: -1,
+    });
+
+    expect(outcome).toMatchObject({ passed: true, attempts: 2, result: { message: "yes" } });
+    expect(asked.map((call) => call.screen)).toEqual(["50%", "100%"]);
+    expect(asked[0].options).toEqual({ threshold: -1 });
+  });
+
+  it("reports the timeout with the AI's last answer", async () => {
+    const { waitUntil } = fakeWaitUntil({ screens: ["a", "b", "c", "d"] });
+
+    const outcome = await waitUntil("the build is green", { timeout: 30, interval: 5 });
+
+    expect(outcome.passed).toBe(false);
+    expect(outcome.message).toMatch(/^Timed out \(0 seconds\) waiting until "the build is green"\nnot on [a-d]$/);
+  });
+});
@@ -0,0 +1,157 @@
+const { Command } = require("@oclif/core");
+const { createCommandDefinitions } = require("../../../agent/interface.js");
+const {
+  listEntries,
+  removeEntries,
+  parseDuration,
+} = require("../../../lib/cache");
+const path = require("path");
+const chalk = require("chalk");
+
+/**
+ * Local cache command - inspect and purge the on-disk find() cache that
+ * `cache: { local: true }` writes. The API's server-side find and assert
+ * cache isn't reachable from here; its entries expire on their own.
+ *
+ *   testdriverai local-cache list [--file tests/login.test.mjs]
+ *   testdriverai local-cache show "the Sign in button"
+ *   testdriverai local-cache prune --older-than 7d
+ *   testdriverai local-cache clear --file tests/login.test.mjs
+ */
+class LocalCacheCommand extends Command {
+  async run() {
+    const { args, flags } = await this.parse(LocalCacheCommand);
+    const entries = listEntries({ dir: flags.dir });
+
+    switch (args.action) {
+      case "list":
+        return this.print(this.filterByFile(entries, flags.file), flags);
+
+      case "show": {
+        if (!args.description) {
+          this.error('Usage: testdriverai local-cache show "<description>"');
+        }
+        const wanted = args.description.toLowerCase().trim();
+        const exact = entries.filter(
+          (e) => e.description.toLowerCase().trim() === wanted,
+        );
+        const matches = exact.length
+          ? exact
+          : entries.filter((e) => e.description.toLowerCase().includes(wanted));
+        if (!matches.length && !flags.json) {
+          this.log(chalk.yellow(`No local cache entries for "${args.description}"`));
+          return;
+        }
+        return this.print(matches, { ...flags, details: true });
+      }
+
+      case "prune": {
+        if (!flags["older-than"]) {
+          this.error("prune needs --older-than, e.g. --older-than 7d");
+        }
+        let maxAge;
+        try {
+          maxAge = parseDuration(flags["older-than"]);
+        } catch (error) {
+          this.error(error.message);
+        }
+        const cutoff = Date.now() - maxAge;
+        const stale = this.filterByFile(entries, flags.file).filter(
+          (e) => new Date(e.lastUsedAt).getTime() < cutoff,
+        );
+        const removed = removeEntries(stale);
+        this.log(
+          chalk.green(
+            `Pruned ${removed} entr${removed === 1 ? "y" : "ies"} not used in ${flags["older-than"]}`,
+          ),
+        );
+        return;
+      }
+
+      case "clear": {
+        if (!flags.file && !flags.all) {
+          this.error(
+            "clear needs --file <test file> or --all to remove every entry",
+          );
+        }
+        const removed = removeEntries(
+          flags.all ? entries : this.filterByFile(entries, flags.file),
+        );
+        this.log(
+          chalk.green(
+            `Cleared ${removed} entr${removed === 1 ? "y" : "ies"}` +
+              (flags.all ? "" : ` for ${flags.file}`),
+          ),
+        );
+        return;
+      }
+    }
+  }
+
+  /**
+   * Keep entries recorded by `file` (matched by resolved path or path suffix)
+   */
+  filterByFile(entries, file) {
+    if (!file) return entries;
+    const resolved = path.resolve(file);
+    const suffix = path.normalize(file).replace(/^(\.[\\/])+/, "");
+
+    return entries.filter((e) => {
+      if (!e.file) return false;
+      const recorded = path.normalize(e.file.replace(/^file:\/\//, ""));
+      return recorded === resolved || recorded.endsWith(path.sep + suffix);
+    });
+  }
+
+  print(entries, flags) {
+    if (flags.json) {
+      this.log(JSON.stringify(entries, null, 2));
+      return;
+    }
+
+    if (!entries.length) {
+      // Most runs never write here: the local cache is opt-in
+      this.log(
+        chalk.gray(
+          "Local cache is empty (find() only writes to it with `cache: { local: true }`)",
+        ),
+      );
+      return;
+    }
+
+    for (const e of entries) {
+      const file = e.file
+        ? path.relative(process.cwd(), e.file.replace(/^file:\/\//, ""))
+        : "unknown file";
+      this.log(
+        `${chalk.cyan(e.cacheKey)}  ${chalk.bold(e.description)}  ${chalk.gray(
+          `${file} · ${e.hits || 0} hit(s) · last used ${e.lastUsedAt}`,
+        )}`,
+      );
+
+      if (flags.details) {
+        const { x, y } = e.response?.coordinates || {};
+        this.log(`  os/resolution: ${e.os || "-"} ${e.resolution || ""}`);
+        this.log(`  coordinates:   ${x}, ${y}`);
+        this.log(
+          `  crop:          ${e.rect.width}x${e.rect.height} at ${e.rect.left},${e.rect.top} → ${e.pngPath}`,
+        );
+        this.log(`  created:       ${e.createdAt}`);
+      }
+    }
+
+    this.log(chalk.gray(`\n${entries.length} entr${entries.length === 1 ? "y" : "ies"}`));
+  }
+}
+
+// Get command definition from interface.js
+const tempAgent = { workingDir: process.cwd() };
+const definitions = createCommandDefinitions(tempAgent);
+const commandDef = definitions["local-cache"];
+
+LocalCacheCommand.description =
+  commandDef?.description || "Inspect or purge the local find() cache";
+LocalCacheCommand.args = commandDef?.args || {};
+LocalCacheCommand.flags = commandDef?.flags || {};
+
+module.exports = LocalCacheCommand;
@@ -0,0 +1,107 @@
+const { Command } = require("@oclif/core");
+const { createCommandDefinitions } = require("../../../agent/interface.js");
+const { migrate } = require("../../../lib/migrate");
+const fs = require("fs");
+const path = require("path");
+const chalk = require("chalk");
+
+/**
+ * Migrate command - convert YAML tests to Vitest tests using the SDK
+ *
+ *   testdriverai migrate
+ *   testdriverai migrate testdriver/login.yaml
+ *   testdriverai migrate testdriver --out tests --dry-run
+ */
+class MigrateCommand extends Command {
+  async run() {
+    const { args, flags } = await this.parse(MigrateCommand);
+
+    if (!fs.existsSync(args.path)) {
+      this.error(`No such file or directory: ${args.path}`);
+    }
+
+    let result;
+    try {
+      result = migrate({ input: args.path, out: flags.out });
+    } catch (error) {
+      this.error(error.message);
+    }
+    const { files, issues } = result;
+
+    const written = [];
+    const skipped = [];
+    for (const file of files) {
+      if (fs.existsSync(file.target) && !flags.force) {
+        skipped.push(file);
+        continue;
+      }
+      if (!flags["dry-run"]) {
+        fs.mkdirSync(path.dirname(file.target), { recursive: true });
+        fs.writeFileSync(file.target, file.code);
+      }
+      written.push(file);
+    }
+
+    if (flags.json) {
+      const rel = (file) => path.relative(process.cwd(), file);
+      this.log(
+        JSON.stringify(
+          {
+            written: written.map((f) => ({ source: rel(f.source), target: rel(f.target), kind: f.kind })),
+            skipped: skipped.map((f) => ({ source: rel(f.source), target: rel(f.target), kind: f.kind })),
+            issues: issues.map((i) => ({ ...i, file: rel(i.file) })),
+          },
+          null,
+          2,
+        ),
+      );
+      return;
+    }
+
+    if (!files.length) {
+      this.log(chalk.yellow(`No YAML tests found in ${args.path}`));
+      return;
+    }
+
+    this.print(written, skipped, issues, flags);
+  }
+
+  print(written, skipped, issues, flags) {
+    const rel = (file) => path.relative(process.cwd(), file);
+
+    for (const file of written) {
+      this.log(
+        `${chalk.green(flags["dry-run"] ? "would write" : "wrote")}  ${rel(file.target)}  ${chalk.gray(`← ${rel(file.source)}`)}`,
+      );
+    }
+    for (const file of skipped) {
+      this.log(`${chalk.yellow("exists")}  ${rel(file.target)}  ${chalk.gray("(use --force to overwrite)")}`);
+    }
+
+    if (issues.length) {
+      this.log(chalk.yellow(`\n${issues.length} command(s) could not be translated and were left as TODO comments:`));
+      for (const issue of issues) {
+        const where = issue.line ? `${rel(issue.file)}:${issue.line}` : rel(issue.file);
+        this.log(`  ${chalk.cyan(where)}  ${chalk.bold(issue.command || "step")}  ${chalk.gray(`— ${issue.message}`)}`);
+      }
+    }
+
+    this.log(
+      chalk.gray(
+        `\n${written.length} file(s) ${flags["dry-run"] ? "to write" : "written"}, ${skipped.length} skipped, ${issues.length} untranslated command(s)`,
+      ),
+    );
+  }
+}
+
+// Get command definition from interface.js
+const tempAgent = { workingDir: process.cwd() };
+const definitions = createCommandDefinitions(tempAgent);
+const commandDef = definitions["migrate"];
+
+MigrateCommand.description =
+  commandDef?.description || "Convert YAML tests to Vitest tests";
+MigrateCommand.args = commandDef?.args || {};
+MigrateCommand.flags = commandDef?.flags || {};
+
+module.exports = MigrateCommand;
@@ -0,0 +1,56 @@
+const { Command } = require("@oclif/core");
+const { createCommandDefinitions } = require("../../../agent/interface.js");
+const chalk = require("chalk");
+
+/**
+ * REPL command - author a test interactively against a live sandbox
+ *
+ *   testdriverai repl
+ *   testdriverai repl --os windows --no-screenshots
+ *
+ *   testdriver> chrome https://example.com
+ *   testdriver> find "More information link" click
+ *   testdriver> /save tests/example.test.mjs
+ */
+class ReplCommand extends Command {
+  async run() {
+    const { flags } = await this.parse(ReplCommand);
+
+    // Load .env file into process.env for CLI usage
+    require("dotenv").config();
+
+    const TestDriver = require("../../../sdk.js");
+    const ReplInterface = require("../../repl.js");
+
+    const testdriver = new TestDriver({ os: flags.os, headless: flags.headless });
+
+    this.log(chalk.gray("Connecting to a sandbox..."));
+    try {
+      await testdriver.connect({
+        ...(flags["sandbox-id"] && { sandboxId: flags["sandbox-id"] }),
+        ...(flags.ip && { ip: flags.ip }),
+      });
+    } catch (error) {
+      this.error(`Could not connect to a sandbox: ${error.message}`);
+    }
+
+    const repl = new ReplInterface(testdriver, {
+      screenshots: flags.screenshots,
+      os: flags.os,
+    });
+    testdriver.agent.readlineInterface = repl;
+    await repl.start();
+  }
+}
+
+// Get command definition from interface.js
+const tempAgent = { workingDir: process.cwd() };
+const definitions = createCommandDefinitions(tempAgent);
+const commandDef = definitions["repl"];
+
+ReplCommand.description =
+  commandDef?.description || "Drive a sandbox interactively";
+ReplCommand.args = commandDef?.args || {};
+ReplCommand.flags = commandDef?.flags || {};
+
+module.exports = ReplCommand;
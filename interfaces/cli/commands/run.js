@@ -0,0 +1,184 @@
+const BaseCommand = require("../lib/base.js");
+const { createCommandDefinitions } = require("../../../agent/interface.js");
+const {
+  expandPatterns,
+  parseShard,
+  shardFiles,
+  runFiles,
+  writeJUnitReport,
+  formatSummary,
+  formatDuration,
+  tail,
+  YAML_FILE,
+  SDK_TEST_FILE,
+} = require("../../../lib/runner");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const chalk = require("chalk");
+
+const BIN = path.join(__dirname, "..", "..", "..", "bin", "testdriverai.js");
+
+/**
+ * Command line for one attempt at one file. YAML runs in its own agent
+ * process, SDK tests run under vitest, and any other script runs with node.
+ */
+function workerCommand(file, flags, report) {
+  const cwd = process.cwd();
+  // The agent resolves its file against the working directory
+  const rel = path.relative(cwd, file);
+
+  if (YAML_FILE.test(file)) {
+    const args = [BIN, "run", rel, flags.headless ? "--headless" : "--no-headless"];
+    // The worker's JUnitReporter records the file's steps and commands
+    if (report) args.push("--junit", report);
+    return { args, env: { TD_RUN_WORKER: "1" } };
+  }
+  if (SDK_TEST_FILE.test(file)) {
+    const vitest = path.join(
+      path.dirname(require.resolve("vitest/package.json", { paths: [cwd] })),
+      "vitest.mjs",
+    );
+    return { args: [vitest, "run", rel], env: {} };
+  }
+  return { args: [rel], env: {} };
+}
+
+/**
+ * Run command - run test files headlessly with retries, sharding and reports
+ *
+ *   testdriverai run testdriver/login.yaml
+ *   testdriverai run "testdriver/**\/*.yaml" --junit out.xml --summary summary.md
+ *   testdriverai run tests --retries 2 --shard 1/3
+ */
+class RunCommand extends BaseCommand {
+  async run() {
+    const { argv, flags } = await this.parse(RunCommand);
+
+    // One file inside a worker process: hand it to the agent, which exits
+    // the process with the test's result
+    if (process.env.TD_RUN_WORKER) {
+      await this.setupAgent(argv[0], flags);
+      return;
+    }
+
+    const patterns = argv.length ? argv : ["testdriver"];
+    let files = expandPatterns(patterns);
+    if (!files.length) {
+      this.error(`No test files matched ${patterns.join(", ")}`);
+    }
+
+    let shard;
+    if (flags.shard) {
+      try {
+        shard = parseShard(flags.shard);
+      } catch (error) {
+        this.error(error.message);
+      }
+      files = shardFiles(files, shard);
+    }
+
+    const rel = (file) => path.relative(process.cwd(), file);
+    this.log(
+      chalk.gray(
+        `Running ${files.length} file(s)` +
+          (shard ? ` (shard ${shard.index}/${shard.total})` : "") +
+          `, ${flags.concurrency} at a time` +
+          (flags.retries ? `, ${flags.retries} retr${flags.retries === 1 ? "y" : "ies"}` : ""),
+      ),
+    );
+
+    // One JUnit report per file, written by its worker or, failing that,
+    // from its output once the run is over
+    const reports = flags.junit
+      ? fs.mkdtempSync(path.join(os.tmpdir(), "testdriverai-junit-"))
+      : null;
+    const reportPath = (file) => path.join(reports, `${files.indexOf(file)}.xml`);
+
+    const results = await runFiles({
+      files,
+      concurrency: flags.concurrency,
+      retries: flags.retries,
+      runFile: (file, attempt) => {
+        if (attempt > 0) {
+          this.log(chalk.yellow(`↻ retrying ${rel(file)} (attempt ${attempt + 1})`));
+        }
+        if (!reports) return this.spawnWorker(file, flags);
+        // A retry's report replaces the failed attempt's
+        fs.rmSync(reportPath(file), { force: true });
+        return this.spawnWorker(file, flags, reportPath(file));
+      },
+      onResult: (result) => {
+        const took = chalk.gray(`(${formatDuration(result.duration)})`);
+        if (result.passed) {
+          const flaky = result.flaky
+            ? chalk.yellow(` flaky, passed on attempt ${result.attempts.length}`)
+            : "";
+          this.log(`${chalk.green("✓")} ${rel(result.file)} ${took}${flaky}`);
+        } else {
+          this.log(`${chalk.red("✗")} ${rel(result.file)} ${took}`);
+          const output = tail(result.attempts[result.attempts.length - 1].output);
+          this.log(chalk.gray(output.replace(/^/gm, "    ")));
+        }
+      },
+    });
+
+    if (flags.junit) {
+      writeJUnitReport(results, flags.junit, { reportPath });
+      fs.rmSync(reports, { recursive: true, force: true });
+      this.log(chalk.gray(`JUnit report written to ${flags.junit}`));
+    }
+    if (flags.summary) {
+      fs.mkdirSync(path.dirname(path.resolve(flags.summary)), { recursive: true });
+      fs.writeFileSync(flags.summary, formatSummary(results, { shard }));
+      this.log(chalk.gray(`Summary written to ${flags.summary}`));
+    }
+
+    const failed = results.filter((r) => !r.passed).length;
+    const flaky = results.filter((r) => r.flaky).length;
+    this.log(
+      `\n${chalk.green(`${results.length - failed} passed`)}, ` +
+        `${failed ? chalk.red(`${failed} failed`) : "0 failed"}` +
+        (flaky ? `, ${chalk.yellow(`${flaky} flaky`)}` : ""),
+    );
+
+    process.exitCode = failed ? 1 : 0;
+  }
+
+  /**
+   * Run one attempt in a child process, buffering its output so parallel
+   * files don't interleave
+   */
+  spawnWorker(file, flags, report) {
+    const { args, env } = workerCommand(file, flags, report);
+
+    return new Promise((resolve) => {
+      let output = "";
+      const child = spawn(process.execPath, args, {
+        cwd: process.cwd(),
+        env: { ...process.env, ...env },
+        stdio: ["ignore", "pipe", "pipe"],
+      });
+      child.stdout.on("data", (chunk) => (output += chunk));
+      child.stderr.on("data", (chunk) => (output += chunk));
+      child.on("error", (error) =>
+        resolve({ exitCode: 1, output: `${output}\n${error.message}` }),
+      );
+      child.on("close", (code) => resolve({ exitCode: code ?? 1, output }));
+    });
+  }
+}
+
+// Get command definition from interface.js
+const tempAgent = { workingDir: process.cwd() };
+const definitions = createCommandDefinitions(tempAgent);
+const commandDef = definitions["run"];
+
+RunCommand.description = commandDef?.description || "Run test files";
+RunCommand.args = commandDef?.args || {};
+RunCommand.flags = commandDef?.flags || {};
+// Accept several files or globs
+RunCommand.strict = false;
+
+module.exports = RunCommand;
@@ -0,0 +1,81 @@
+const { Command } = require("@oclif/core");
+const { createCommandDefinitions } = require("../../../agent/interface.js");
+const { serveTrace } = require("../../../lib/trace");
+const fs = require("fs");
+const path = require("path");
+const chalk = require("chalk");
+
+// Newest trace written by saveTrace() under .testdriver/traces
+function newestTrace(dir) {
+  if (!fs.existsSync(dir)) return null;
+  const traces = fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".tdtrace"))
+    .map((file) => path.join(dir, file))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return traces[0] || null;
+}
+
+/**
+ * Show-trace command - view a .tdtrace file as an HTML timeline
+ *
+ *   testdriverai show-trace
+ *   testdriverai show-trace .testdriver/traces/login-2026-01-01T10-00-00-000Z.tdtrace
+ *   testdriverai show-trace trace.tdtrace --port 9400 --no-open
+ */
+class ShowTraceCommand extends Command {
+  async run() {
+    const { args, flags } = await this.parse(ShowTraceCommand);
+
+    const file = args.file || newestTrace(path.join(process.cwd(), ".testdriver", "traces"));
+    if (!file) {
+      this.error(
+        "No trace given and none found in .testdriver/traces. Run tests with TD_TRACE=true to record one.",
+      );
+    }
+    if (!fs.existsSync(file)) {
+      this.error(`No such file: ${file}`);
+    }
+
+    let served;
+    try {
+      served = await serveTrace(file, { port: flags.port });
+    } catch (error) {
+      this.error(`Could not open ${file}: ${error.message}`);
+    }
+    const { url, server, trace } = served;
+
+    this.log(`${chalk.bold(trace.name)} — ${trace.entries.length} entries`);
+    this.log(`Trace viewer running at ${chalk.cyan(url)}`);
+    this.log(chalk.gray("Press Ctrl+C to stop."));
+
+    if (flags.open) {
+      try {
+        const { default: open } = await import("open");
+        await open(url, { wait: false });
+      } catch {
+        // The URL is printed above
+      }
+    }
+
+    await new Promise((resolve) => {
+      process.once("SIGINT", () => {
+        server.close(resolve);
+        // Browsers keep connections alive, which would hold close() open
+        server.closeAllConnections();
+      });
+    });
+  }
+}
+
+// Get command definition from interface.js
+const tempAgent = { workingDir: process.cwd() };
+const definitions = createCommandDefinitions(tempAgent);
+const commandDef = definitions["show-trace"];
+
+ShowTraceCommand.description =
+  commandDef?.description || "Open a .tdtrace file in the trace viewer";
+ShowTraceCommand.args = commandDef?.args || {};
+ShowTraceCommand.flags = commandDef?.flags || {};
+
+module.exports = ShowTraceCommand;
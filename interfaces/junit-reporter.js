@@ -16,11 +16,15 @@ const stripAnsi = require("strip-ansi");
  *   - Properties for each step (prompt) and their status
  */
 class JUnitReporter {
-  constructor(emitter, outputFilePath, mainTestFile) {
+  constructor(emitter, outputFilePath, mainTestFile, reportBuilder = builder) {
     this.emitter = emitter;
     this.outputFilePath = outputFilePath;
     this.mainTestFile = mainTestFile;
 
+    // junit-report-builder's shared builder, unless the caller keeps
+    // several reports apart in one process
+    this.builder = reportBuilder;
+
     // Current test state
     this.currentTest = null;
     this.currentTestCase = null;
@@ -53,7 +57,7 @@ class JUnitReporter {
   createTestSuite() {
     // Create test suite based on the main test file's folder
     const suiteName = this.getTestSuiteName(this.mainTestFile);
-    this.testSuite = builder.testSuite().name(suiteName);
+    this.testSuite = this.builder.testSuite().name(suiteName);
   }
 
   setupEventListeners() {
@@ -264,7 +268,7 @@ class JUnitReporter {
 
     try {
       // Generate the XML report
-      const xmlContent = builder.build();
+      const xmlContent = this.builder.build();
 
       // Ensure output directory exists
       const outputDir = path.dirname(this.outputFilePath);
@@ -283,8 +287,13 @@ class JUnitReporter {
 /**
  * Factory function to create and initialize JUnit reporter
  */
-function createJUnitReporter(emitter, outputFilePath, mainTestFile) {
-  return new JUnitReporter(emitter, outputFilePath, mainTestFile);
+function createJUnitReporter(
+  emitter,
+  outputFilePath,
+  mainTestFile,
+  reportBuilder,
+) {
+  return new JUnitReporter(emitter, outputFilePath, mainTestFile, reportBuilder);
 }
 
 module.exports = { JUnitReporter, createJUnitReporter };
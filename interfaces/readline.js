@@ -44,8 +44,8 @@ class ReadlineInterface {
   }
 
   // this function is used to complete file paths in the /run command in interactive mode
-  fileCompleter(line) {
-    line = line.slice(5); // remove /run
+  fileCompleter(line, command = "/run ") {
+    line = line.slice(command.length); // remove /run
     const lastSepIndex = line.lastIndexOf(path.sep);
     let dir;
     let partial;
@@ -0,0 +1,215 @@
+const readline = require("readline");
+const fs = require("fs");
+const path = require("path");
+const chalk = require("chalk");
+
+// local modules
+const ReadlineInterface = require("./readline.js");
+const {
+  parseLine,
+  toCode,
+  runStep,
+  toTestFile,
+  COMMANDS,
+} = require("../lib/repl");
+
+const SLASH_COMMANDS = ["/help", "/save ", "/code", "/undo", "/screenshot", "/exit"];
+
+const HELP = `
+Commands (quote descriptions with spaces):
+  find "<description>" [click|double-click|right-click|hover]
+  click "<description>"          same as find "<description>" click
+  type <text> [--secret]
+  press <key>[+<key>...]         e.g. press ctrl+a, press enter
+  scroll [up|down] [amount]
+  assert <assertion>
+  wait <ms>
+  exec <sh|pwsh|js> <code>
+  focus <application>
+  extract <description>
+  act <task>                     let the AI work out the steps
+  chrome <url>                   launch Chrome at a url
+
+  /save [file] [--force]         write the session as a Vitest test
+  /code                          print the recorded test code
+  /undo                          forget the last recorded step
+  /screenshot                    show the current screen
+  /exit
+`;
+
+/**
+ * Interactive REPL over a connected SDK instance. Reuses the history and
+ * completion of the agent's readline interface, but runs SDK-style lines
+ * (`find "Login" click`) and records the ones that succeed so the session
+ * can be saved as a test.
+ */
+class ReplInterface extends ReadlineInterface {
+  /**
+   * @param {Object} testdriver - Connected TestDriver SDK instance
+   * @param {Object} [options]
+   * @param {boolean} [options.screenshots=true] - Show the screen after each step
+   * @param {string} [options.os='linux'] - Sandbox OS, written into saved tests
+   */
+  constructor(testdriver, options = {}) {
+    super(testdriver.agent);
+    this.testdriver = testdriver;
+    this.options = { screenshots: true, os: "linux", ...options };
+    this.steps = [];
+  }
+
+  completer(line) {
+    if (line.startsWith("/save ")) {
+      return this.fileCompleter(line, "/save ");
+    }
+    const completions = [...SLASH_COMMANDS, ...Object.keys(COMMANDS)];
+    const hits = completions.filter((c) => c.startsWith(line));
+    return [hits.length ? hits : completions, line];
+  }
+
+  async handleInput(input) {
+    input = input.trim();
+    if (!input) return this.promptUser();
+
+    fs.appendFileSync(this.commandHistoryFile, input + "\n");
+
+    // Don't take the next line while the sandbox is still working on this one
+    this.rl.pause();
+    try {
+      if (input.startsWith("/")) {
+        await this.handleSlashCommand(input);
+      } else {
+        await this.runLine(input);
+      }
+    } catch (error) {
+      console.error(chalk.red(error.message));
+    }
+
+    this.promptUser();
+  }
+
+  async runLine(line) {
+    const step = parseLine(line);
+    console.log(chalk.gray(toCode(step)));
+
+    const result = await runStep(this.testdriver, step);
+    this.steps.push(step);
+
+    if (["extract", "exec"].includes(step.method) && result !== undefined) {
+      console.log(result);
+    }
+    if (this.options.screenshots) {
+      await this.showScreenshot();
+    }
+  }
+
+  async handleSlashCommand(input) {
+    const [command, ...args] = input.slice(1).split(/\s+/);
+
+    switch (command) {
+      case "help":
+        console.log(HELP);
+        return;
+
+      case "save":
+        return this.save(args);
+
+      case "code":
+        if (!this.steps.length) {
+          console.log(chalk.gray("Nothing recorded yet"));
+          return;
+        }
+        console.log(this.steps.map(toCode).join("\n"));
+        return;
+
+      case "undo": {
+        const step = this.steps.pop();
+        console.log(
+          step
+            ? chalk.gray(`Removed: ${toCode(step)} (the screen is not changed)`)
+            : chalk.gray("Nothing recorded yet"),
+        );
+        return;
+      }
+
+      case "screenshot":
+        return this.showScreenshot();
+
+      case "exit":
+      case "quit":
+        return this.exit();
+
+      default:
+        throw new Error(`Unknown command /${command}. Type /help for the list of commands.`);
+    }
+  }
+
+  save(args) {
+    const force = args.includes("--force");
+    const file = path.resolve(
+      args.filter((a) => a !== "--force").join(" ") || path.join("tests", "repl.test.mjs"),
+    );
+
+    if (!this.steps.length) {
+      throw new Error("Nothing recorded yet, so there is nothing to save");
+    }
+    if (fs.existsSync(file) && !force) {
+      throw new Error(`${path.relative(process.cwd(), file)} already exists, use /save <file> --force to overwrite it`);
+    }
+
+    const name = path.basename(file).replace(/\.(test|spec)?\.?[cm]?[jt]s$/, "");
+    const testdriverOptions = this.options.os !== "linux" ? { os: this.options.os } : {};
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, toTestFile(this.steps, { name, testdriverOptions }));
+
+    console.log(
+      chalk.green(`Saved ${this.steps.length} step(s) to ${path.relative(process.cwd(), file)}`),
+    );
+  }
+
+  async showScreenshot() {
+    const base64 = await this.testdriver.system.captureScreenBase64(1, false, false);
+    const buffer = Buffer.from(base64.replace(/^data:image\/\w+;base64,/, ""), "base64");
+
+    try {
+      // Dynamic import for ES module terminal-image
+      const { default: terminalImage } = await import("terminal-image");
+      console.log(await terminalImage.buffer(buffer, { width: "50%" }));
+    } catch {
+      // Terminals that can't draw images still get the file
+      const file = path.join(process.cwd(), ".testdriver", "screenshots", "repl", `${Date.now()}.png`);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, buffer);
+      console.log(chalk.gray(`Screenshot: ${file}`));
+    }
+  }
+
+  async exit() {
+    this.close();
+    try {
+      await this.testdriver.disconnect();
+    } catch {
+      // The sandbox may already be gone
+    }
+    process.exit(0);
+  }
+
+  async start() {
+    this.rl = readline.createInterface({
+      terminal: true,
+      history: this.commandHistory,
+      removeHistoryDuplicates: true,
+      input: process.stdin,
+      output: process.stdout,
+      completer: this.completer.bind(this),
+      prompt: chalk.cyan("testdriver> "),
+    });
+
+    this.rl.on("SIGINT", () => this.exit());
+    this.rl.on("line", this.handleInput.bind(this));
+
+    console.log(chalk.gray('Connected. Type /help for commands, e.g. find "Sign in" click'));
+    this.promptUser();
+  }
+}
+
+module.exports = ReplInterface;
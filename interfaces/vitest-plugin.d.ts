@@ -106,6 +106,10 @@ export interface TestDriverPluginOptions extends TestDriverOptions {
    * API key (defaults to TD_API_KEY env var)
    */
   apiKey?: string;
+  /**
+   * Re-record every expectScreenshot() baseline (also enabled by `vitest --update`)
+   */
+  updateSnapshots?: boolean;
 }
 
 /**
@@ -776,9 +776,13 @@ export default function testDriverPlugin(options = {}) {
   pluginState.gitInfo = getGitInfo();
 
   // Store TestDriver-specific options (excluding plugin-specific ones)
-  const { apiKey, apiRoot, ...testDriverOptions } = options;
+  const { apiKey, apiRoot, updateSnapshots, ...testDriverOptions } = options;
   pluginState.testDriverOptions = testDriverOptions;
 
+  if (updateSnapshots) {
+    process.env.TD_UPDATE_SNAPSHOTS = "true";
+  }
+
   // Register process exit handlers to handle cancellation
   registerExitHandlers();
 
@@ -834,6 +838,14 @@ class TestDriverReporter {
     logger.debug("Final API key set:", !!pluginState.apiKey);
     logger.debug("Final API root set:", pluginState.apiRoot);
 
+    // `vitest --update` re-records expectScreenshot() baselines as well as
+    // Vitest's own snapshots. Workers are started after onInit, so they
+    // inherit the flag through the environment.
+    if (ctx.config?.snapshotOptions?.updateSnapshot === "all") {
+      process.env.TD_UPDATE_SNAPSHOTS = "true";
+      logger.debug("Updating screenshot baselines");
+    }
+
     // Initialize test run
     await this.initializeTestRun();
   }
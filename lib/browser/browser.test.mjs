@@ -0,0 +1,151 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { createBrowserAPI, toScreenBox, toExpression } = require("./index.js");
+
+const { FakeSandbox } = require("../testing/index.js");
+
+/**
+ * page.js only runs inside a sandbox, so these tests answer its commands
+ * from a FakeSandbox and check what the host side does with them.
+ */
+
+const MARKER = "__TD_BROWSER_RESULT__";
+
+class FakeElement {
+  constructor(description) {
+    this.description = description;
+    this.coordinates = null;
+    this._found = false;
+  }
+  found() {
+    return this._found;
+  }
+}
+
+function fakeSdk(respond) {
+  const requests = [];
+  const sandbox = new FakeSandbox({
+    exec: (command) => {
+      const arg = command.match(/td-browser-page\.js' '([^']+)'/);
+      if (!arg) return "";
+      const request = JSON.parse(Buffer.from(arg[1], "base64").toString());
+      requests.push(request);
+      return MARKER + JSON.stringify(respond(request));
+    },
+  });
+  const sdk = { os: "linux", connected: true, sandbox };
+  return { sdk, requests };
+}
+
+// Maximized 1366x768 window with an 86px toolbar
+const METRICS = {
+  screenX: 0,
+  screenY: 0,
+  outerWidth: 1366,
+  outerHeight: 768,
+  innerWidth: 1366,
+  innerHeight: 682,
+  devicePixelRatio: 1,
+};
+
+describe("browser", () => {
+  it("maps DOM box models to screen boxes", () => {
+    const quad = [10, 20, 110, 20, 110, 60, 10, 60];
+    expect(toScreenBox(quad, METRICS)).toEqual({ left: 10, top: 106, width: 100, height: 40 });
+    expect(
+      toScreenBox(quad, { ...METRICS, screenX: 8, outerWidth: 1382, outerHeight: 776, devicePixelRatio: 2 }),
+    ).toEqual({ left: 52, top: 212, width: 200, height: 80 });
+    expect(toExpression((a, b) => a + b, [1, "x"])).toBe('((a, b) => a + b)(...[1,"x"])');
+  });
+
+  it("runs page commands and turns selectors into Elements", async () => {
+    const { sdk, requests } = fakeSdk((request) => {
+      if (request.command === "evaluate") return { value: "https://example.com/" };
+      if (request.command === "setCookies") return { error: "Invalid cookie fields" };
+      return {
+        value: {
+          metrics: METRICS,
+          nodes: [{ border: [10, 20, 110, 20, 110, 60, 10, 60], tag: "button", text: "Checkout", label: null }],
+        },
+      };
+    });
+    const browser = createBrowserAPI(sdk, FakeElement);
+
+    expect(await browser.getUrl()).toBe("https://example.com/");
+    await browser.localStorage.set("token", 42);
+    expect(requests[1].expression).toBe('localStorage.setItem("token", "42")');
+    await expect(browser.setCookies({ name: "a", value: "b" })).rejects.toThrow(
+      "[browser] setCookies: Invalid cookie fields",
+    );
+
+    const element = await browser.find("#checkout");
+    expect(requests.at(-1)).toEqual({ command: "querySelector", selector: "#checkout", all: false });
+    expect(element.found()).toBe(true);
+    expect(element.coordinates).toEqual({ x: 60, y: 126, centerX: 60, centerY: 126 });
+    expect(element._response).toMatchObject({
+      boundingBox: { left: 10, top: 106, width: 100, height: 40 },
+      text: "Checkout",
+      selector: "#checkout",
+    });
+    expect(await browser.findAll("button")).toHaveLength(1);
+  });
+
+  it("waits for a new document, not just any loaded page", async () => {
+    // The page is between documents when waitForNavigation() starts, the
+    // list page answers next and is the baseline, then the click loads the item
+    const documents = [
+      null,
+      ["https://a.test/list", "complete", 1000.5],
+      ["https://a.test/list", "complete", 1000.5],
+      ["https://a.test/item/7", "complete", 2000.25],
+    ];
+    let polls = 0;
+    const { sdk } = fakeSdk(() => {
+      const document = documents[Math.min(polls++, documents.length - 1)];
+      return document ? { value: document } : { error: "Execution context was destroyed." };
+    });
+    const browser = createBrowserAPI(sdk, FakeElement);
+
+    expect(await browser.waitForNavigation({ timeout: 5000 })).toBe("https://a.test/item/7");
+    expect(polls).toBe(4);
+
+    polls = 1;
+    documents.splice(3);
+    await expect(browser.waitForNavigation({ timeout: 0 })).rejects.toThrow(
+      "[browser] Page did not navigate within 0ms (at https://a.test/list)",
+    );
+  });
+
+  it("saves and restores storage state", async () => {
+    const { sdk, requests } = fakeSdk((request) => {
+      if (request.command === "getCookies") {
+        return { value: [{ name: "sid", value: "1", domain: ".a.test", path: "/", expires: -1, size: 4, session: true, httpOnly: true }] };
+      }
+      if (request.expression?.startsWith("({ origin")) {
+        return { value: { origin: "https://a.test", entries: [["token", "abc"]] } };
+      }
+      if (request.expression === "location.origin") return { value: "https://a.test" };
+      return { value: null };
+    });
+    const browser = createBrowserAPI(sdk, FakeElement);
+
+    const state = await browser.storageState();
+    expect(state).toEqual({
+      cookies: [{ name: "sid", value: "1", domain: ".a.test", path: "/", httpOnly: true }],
+      origins: [{ origin: "https://a.test", localStorage: [{ name: "token", value: "abc" }] }],
+    });
+
+    requests.length = 0;
+    const restored = await browser.setStorageState({
+      ...state,
+      origins: [...state.origins, { origin: "https://b.test", localStorage: [{ name: "x", value: "y" }] }],
+    });
+    expect(restored).toBe(true);
+    expect(requests.map((r) => r.command)).toEqual(["setCookies", "evaluate", "evaluate"]);
+    expect(requests[2].expression).toBe(
+      '[{"name":"token","value":"abc"}].forEach(({ name, value }) => localStorage.setItem(name, value))',
+    );
+  });
+});
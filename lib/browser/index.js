@@ -0,0 +1,379 @@
+/**
+ * Browser API for the TestDriver SDK (`testdriver.browser`)
+ *
+ * A bridge to the Chrome DevTools Protocol on the page the sandbox is
+ * showing, for the things that are faster or sturdier to do through the
+ * DOM than by looking at the screen: reading state, setting auth cookies
+ * and locating elements by CSS selector. Each call runs ./page.js in the
+ * sandbox (see lib/cdp), so Chrome has to be launched by provision.chrome().
+ *
+ *   await testdriver.browser.setCookies([{ name: "session", value: token, domain: ".example.com" }]);
+ *   await testdriver.browser.evaluate(() => location.reload());
+ *   await testdriver.browser.waitForNavigation({ url: "/dashboard" });
+ *   await (await testdriver.browser.find("#checkout")).click();
+ *
+ * Elements from find()/findAll() are regular Elements with screen
+ * coordinates, so they mix freely with vision-based find() results.
+ */
+const fs = require("fs");
+const path = require("path");
+const { createSandboxNode } = require("../cdp");
+const { matchUrl } = require("../network");
+const { ElementCollection } = require("../element-collection");
+
+const PAGE_SCRIPT = fs.readFileSync(path.join(__dirname, "page.js"), "utf8");
+const RESULT_MARKER = "__TD_BROWSER_RESULT__";
+
+// Requests above this size go through a file instead of the command line
+const MAX_ARG_LENGTH = 64 * 1024;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Fields Network.setCookies accepts back from Network.getAllCookies
+const COOKIE_FIELDS = ["name", "value", "domain", "path", "expires", "httpOnly", "secure", "sameSite"];
+
+/**
+ * Reduce a CDP cookie to what setCookies() takes. Session cookies drop
+ * `expires` so they stay session cookies.
+ * @param {Object} cookie
+ * @returns {Object}
+ */
+function toCookieParam(cookie) {
+  const param = {};
+  for (const field of COOKIE_FIELDS) {
+    if (cookie[field] !== undefined) param[field] = cookie[field];
+  }
+  if (cookie.session || param.expires === -1) delete param.expires;
+  return param;
+}
+
+/**
+ * Turn a function and its arguments into an expression for Runtime.evaluate
+ * @param {string|Function} fn - Expression, or a function to call in the page
+ * @param {Array} args - JSON-serializable arguments for the function
+ * @returns {string}
+ */
+function toExpression(fn, args = []) {
+  if (typeof fn === "function") {
+    return `(${fn.toString()})(...${JSON.stringify(args)})`;
+  }
+  return String(fn);
+}
+
+/**
+ * Map a DOM border quad to a box in screen pixels. The quad is in CSS pixels
+ * relative to the viewport; the viewport sits below the browser toolbars,
+ * which is whatever the outer window size has over the inner one (side
+ * borders are assumed to match the bottom one).
+ * @param {number[]} quad - [x1, y1, x2, y2, x3, y3, x4, y4] from DOM.getBoxModel
+ * @param {Object} metrics - window.screenX/Y, outer/innerWidth/Height and devicePixelRatio
+ * @returns {{ left: number, top: number, width: number, height: number }}
+ */
+function toScreenBox(quad, metrics) {
+  const xs = [quad[0], quad[2], quad[4], quad[6]];
+  const ys = [quad[1], quad[3], quad[5], quad[7]];
+  const border = Math.max(0, (metrics.outerWidth - metrics.innerWidth) / 2);
+  const offsetX = metrics.screenX + border;
+  const offsetY = metrics.screenY + Math.max(0, metrics.outerHeight - metrics.innerHeight - border);
+  const scale = metrics.devicePixelRatio || 1;
+
+  const left = Math.round((offsetX + Math.min(...xs)) * scale);
+  const top = Math.round((offsetY + Math.min(...ys)) * scale);
+  return {
+    left,
+    top,
+    width: Math.round((offsetX + Math.max(...xs)) * scale) - left,
+    height: Math.round((offsetY + Math.max(...ys)) * scale) - top,
+  };
+}
+
+/**
+ * Create the browser API bound to a TestDriver SDK instance.
+ *
+ * @param {object} self - The TestDriver instance (uses `self.os` and
+ *   `self.sandbox` through lib/cdp, `self.commands` and `self.system` through Element)
+ * @param {Function} Element - The SDK's Element class
+ * @returns {Object} `{ evaluate, getUrl, waitForNavigation, reload, getCookies, setCookies, localStorage, storageState, setStorageState, find, findAll }`
+ */
+function createBrowserAPI(self, Element) {
+  const node = createSandboxNode(self);
+  const script = () => node.tmp("td-browser-page.js");
+  let ready = null;
+
+  const prepare = () => {
+    ready =
+      ready ||
+      (async () => {
+        await node.install();
+        await node.writeFile(script(), PAGE_SCRIPT);
+      })().catch((error) => {
+        ready = null;
+        throw error;
+      });
+    return ready;
+  };
+
+  // Run one page.js command and return its value
+  const call = async (command, params = {}, timeout = 30000) => {
+    await prepare();
+    const json = JSON.stringify({ command, ...params });
+    let arg = Buffer.from(json).toString("base64");
+    let requestFile = null;
+    if (arg.length > MAX_ARG_LENGTH) {
+      requestFile = node.tmp(`td-browser-request-${Date.now()}.json`);
+      await node.writeFile(requestFile, json);
+      arg = `@${requestFile}`;
+    }
+
+    let output;
+    try {
+      output = await node.run(script(), [arg], timeout);
+    } finally {
+      if (requestFile) await node.removeFiles(requestFile);
+    }
+
+    const line = (output || "").split("\n").find((l) => l.startsWith(RESULT_MARKER));
+    if (!line) {
+      throw new Error(`[browser] ${command} returned no result. Output: ${output}`);
+    }
+    const result = JSON.parse(line.slice(RESULT_MARKER.length));
+    if (result.error) throw new Error(`[browser] ${command}: ${result.error}`);
+    return result.value;
+  };
+
+  const evaluate = (fn, ...args) => call("evaluate", { expression: toExpression(fn, args) });
+
+  const toElement = (selector, metrics, found) => {
+    const element = new Element(selector, self, self.system, self.commands);
+    if (!found) return element;
+
+    const box = toScreenBox(found.border, metrics);
+    const centerX = Math.round(box.left + box.width / 2);
+    const centerY = Math.round(box.top + box.height / 2);
+    element.coordinates = { x: centerX, y: centerY, centerX, centerY };
+    element._found = true;
+    element._response = {
+      coordinates: element.coordinates,
+      boundingBox: box,
+      width: box.width,
+      height: box.height,
+      text: found.text,
+      label: found.label,
+      elementType: found.tag,
+      selector,
+      source: "dom",
+    };
+    return element;
+  };
+
+  const query = (selector, all) => call("querySelector", { selector, all });
+
+  return {
+    /**
+     * Run JavaScript in the page and return its (JSON-serializable) result.
+     * Promises are awaited.
+     * @param {string|Function} fn - Expression, or a function to call in the page
+     * @param {...*} args - Arguments for the function
+     * @returns {Promise<*>}
+     * @example
+     * const title = await testdriver.browser.evaluate("document.title");
+     * const count = await testdriver.browser.evaluate((sel) => document.querySelectorAll(sel).length, "li");
+     */
+    evaluate,
+
+    /**
+     * URL of the current page
+     * @returns {Promise<string>}
+     */
+    getUrl() {
+      return evaluate("location.href");
+    },
+
+    /**
+     * Wait for a page load. With `url`, waits until the page's URL matches
+     * and it has finished loading, so it can be called after the action that
+     * navigates. Without it, notes the current document and waits until a
+     * new one has loaded: start it before that action and await it after.
+     * @param {Object} [options]
+     * @param {string|RegExp} [options.url] - RegExp, glob with `*`, or substring
+     * @param {number} [options.timeout=30000]
+     * @returns {Promise<string>} The URL after navigating
+     */
+    async waitForNavigation({ url, timeout = 30000 } = {}) {
+      const deadline = Date.now() + timeout;
+      // Every document load gets a new timeOrigin; same-document changes
+      // (history.pushState) keep it, and need `url`. Without `url`, the first
+      // document that answers is the baseline to move away from.
+      let baseline = null;
+
+      let current;
+      for (;;) {
+        try {
+          const [href, readyState, timeOrigin] = await evaluate(
+            "[location.href, document.readyState, performance.timeOrigin]",
+          );
+          current = href;
+          if (url === undefined && baseline === null) {
+            baseline = timeOrigin;
+          } else {
+            const arrived = url === undefined ? timeOrigin !== baseline : matchUrl(url, href);
+            if (readyState === "complete" && arrived) return href;
+          }
+        } catch {
+          // The page may be between documents; try again
+        }
+        if (Date.now() >= deadline) break;
+        await sleep(500);
+      }
+      throw new Error(
+        url === undefined
+          ? `[browser] Page did not navigate within ${timeout}ms (at ${current})`
+          : `[browser] Page did not navigate to ${url} within ${timeout}ms (at ${current})`,
+      );
+    },
+
+    /**
+     * Reload the current page and wait for it to load
+     * @param {Object} [options]
+     * @param {number} [options.timeout=30000]
+     * @returns {Promise<void>}
+     */
+    async reload({ timeout = 30000 } = {}) {
+      await call("reload", { timeout }, timeout + 10000);
+    },
+
+    /**
+     * Cookies for the given URLs, or all browser cookies
+     * @param {string[]} [urls]
+     * @returns {Promise<Object[]>} CDP Network.Cookie objects
+     */
+    getCookies(urls) {
+      return call("getCookies", { urls });
+    },
+
+    /**
+     * Set cookies, e.g. to start a test already logged in. Cookies without
+     * `url` or `domain` are set for the current page.
+     * @param {Object[]} cookies - `{ name, value, domain?, url?, path?, expires?, httpOnly?, secure?, sameSite? }`
+     * @returns {Promise<void>}
+     */
+    async setCookies(cookies) {
+      await call("setCookies", { cookies: [].concat(cookies) });
+    },
+
+    /** The current page's localStorage */
+    localStorage: {
+      /**
+       * @param {string} key
+       * @returns {Promise<string|null>}
+       */
+      get(key) {
+        return evaluate(`localStorage.getItem(${JSON.stringify(key)})`);
+      },
+
+      /**
+       * @param {string} key
+       * @param {string} value
+       * @returns {Promise<void>}
+       */
+      async set(key, value) {
+        await evaluate(
+          `localStorage.setItem(${JSON.stringify(key)}, ${JSON.stringify(String(value))})`,
+        );
+      },
+
+      /**
+       * @param {string} key
+       * @returns {Promise<void>}
+       */
+      async remove(key) {
+        await evaluate(`localStorage.removeItem(${JSON.stringify(key)})`);
+      },
+
+      /** @returns {Promise<void>} */
+      async clear() {
+        await evaluate("localStorage.clear()");
+      },
+
+      /**
+       * All entries as an object
+       * @returns {Promise<Object<string, string>>}
+       */
+      getAll() {
+        return evaluate("Object.fromEntries(Object.entries(localStorage))");
+      },
+    },
+
+    /**
+     * Capture auth state: all cookies, plus localStorage of the current
+     * page's origin. The shape matches Playwright's storage state files.
+     * @returns {Promise<{ cookies: Object[], origins: Array<{ origin: string, localStorage: Array<{ name: string, value: string }> }> }>}
+     */
+    async storageState() {
+      const cookies = (await call("getCookies")).map(toCookieParam);
+      const { origin, entries } = await evaluate(
+        "({ origin: location.origin, entries: Object.entries(localStorage) })",
+      );
+      const origins =
+        origin && origin !== "null" && entries.length
+          ? [{ origin, localStorage: entries.map(([name, value]) => ({ name, value })) }]
+          : [];
+      return { cookies, origins };
+    },
+
+    /**
+     * Restore state captured by storageState(). Cookies are set for every
+     * domain; localStorage only for the current page's origin, since a page
+     * has to be open on an origin to write its storage. Reload afterwards so
+     * the app picks the state up.
+     * @param {Object} state - `{ cookies, origins }`
+     * @returns {Promise<boolean>} Whether anything was restored
+     */
+    async setStorageState({ cookies = [], origins = [] } = {}) {
+      if (cookies.length) {
+        await call("setCookies", { cookies: cookies.map(toCookieParam) });
+      }
+      const origin = await evaluate("location.origin");
+      const storage = origins.find((o) => o.origin === origin)?.localStorage || [];
+      if (storage.length) {
+        await evaluate(
+          `${JSON.stringify(storage)}.forEach(({ name, value }) => localStorage.setItem(name, value))`,
+        );
+      }
+      return cookies.length > 0 || storage.length > 0;
+    },
+
+    /**
+     * Locate an element by CSS selector and return it as an Element with
+     * screen coordinates, scrolled into view. Polls until it is rendered or
+     * the timeout passes; check `element.found()` like with find().
+     * @param {string} selector
+     * @param {Object} [options]
+     * @param {number} [options.timeout=5000]
+     * @returns {Promise<Element>}
+     */
+    async find(selector, { timeout = 5000 } = {}) {
+      const deadline = Date.now() + timeout;
+      for (;;) {
+        const { metrics, nodes } = await query(selector, false);
+        if (nodes.length || Date.now() >= deadline) {
+          return toElement(selector, metrics, nodes[0]);
+        }
+        await sleep(500);
+      }
+    },
+
+    /**
+     * All rendered elements matching a CSS selector. Elements outside the
+     * viewport keep their off-screen coordinates; nothing is scrolled.
+     * @param {string} selector
+     * @returns {Promise<ElementCollection>}
+     */
+    async findAll(selector) {
+      const { metrics, nodes } = await query(selector, true);
+      return ElementCollection.from(nodes, (found) => toElement(selector, metrics, found));
+    },
+  };
+}
+
+module.exports = { createBrowserAPI, toScreenBox, toExpression, toCookieParam };
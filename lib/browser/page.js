@@ -0,0 +1,134 @@
+/**
+ * Browser Page Script
+ * This script runs in the sandbox next to Chrome. It connects to the page
+ * the user is looking at over CDP (remote debugging port 9222), runs one
+ * command and prints the result as a single JSON line after RESULT_MARKER.
+ *
+ *   node page.js <base64 JSON request | @file with JSON request>
+ *
+ * Requests are `{ command, ...params }`; see the handlers below.
+ */
+const CDP = require("chrome-remote-interface");
+const fs = require("fs");
+
+const RESULT_MARKER = "__TD_BROWSER_RESULT__";
+
+function readRequest(arg) {
+  const json = arg.startsWith("@")
+    ? fs.readFileSync(arg.slice(1), "utf8")
+    : Buffer.from(arg, "base64").toString("utf8");
+  return JSON.parse(json);
+}
+
+// The most recently focused tab comes first; skip DevTools and extension pages
+async function activePage() {
+  const targets = await CDP.List({ port: 9222 });
+  const page = targets.find(
+    (t) => t.type === "page" && !/^(devtools|chrome-extension):/.test(t.url),
+  );
+  if (!page) throw new Error("No open page found in Chrome");
+  return page;
+}
+
+async function evaluate(Runtime, expression) {
+  const { result, exceptionDetails } = await Runtime.evaluate({
+    expression,
+    awaitPromise: true,
+    returnByValue: true,
+    userGesture: true,
+  });
+  if (exceptionDetails) {
+    throw new Error(
+      exceptionDetails.exception?.description || exceptionDetails.text || "Evaluation failed",
+    );
+  }
+  return result.value;
+}
+
+const handlers = {
+  evaluate: ({ Runtime }, { expression }) => evaluate(Runtime, expression),
+
+  async getCookies({ Network }, { urls }) {
+    const { cookies } = urls ? await Network.getCookies({ urls }) : await Network.getAllCookies();
+    return cookies;
+  },
+
+  async setCookies({ Network }, { cookies }, page) {
+    // Cookies need a url or a domain; default to the current page
+    await Network.setCookies({
+      cookies: cookies.map((c) => (c.url || c.domain ? c : { ...c, url: page.url })),
+    });
+    return cookies.length;
+  },
+
+  reload({ Page }, { timeout }) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () => reject(new Error(`Page did not reload within ${timeout}ms`)),
+        timeout,
+      );
+      Page.enable()
+        .then(() => Promise.all([Page.loadEventFired(), Page.reload({})]))
+        .then(() => {
+          clearTimeout(timer);
+          resolve(true);
+        }, reject);
+    });
+  },
+
+  async querySelector({ DOM, Runtime }, { selector, all }) {
+    const { root } = await DOM.getDocument({ depth: 0 });
+    let { nodeIds } = await DOM.querySelectorAll({ nodeId: root.nodeId, selector });
+    if (!all) nodeIds = nodeIds.slice(0, 1);
+
+    // A single element is scrolled into view so it can be clicked
+    if (nodeIds.length === 1 && !all) {
+      await DOM.scrollIntoViewIfNeeded({ nodeId: nodeIds[0] }).catch(() => {});
+    }
+
+    const metrics = await evaluate(
+      Runtime,
+      "({ screenX, screenY, outerWidth, outerHeight, innerWidth, innerHeight, devicePixelRatio })",
+    );
+
+    const nodes = [];
+    for (const nodeId of nodeIds) {
+      let model;
+      try {
+        ({ model } = await DOM.getBoxModel({ nodeId }));
+      } catch {
+        continue; // not rendered (display: none, detached, ...)
+      }
+      const { object } = await DOM.resolveNode({ nodeId });
+      const { result } = await Runtime.callFunctionOn({
+        objectId: object.objectId,
+        functionDeclaration:
+          "function () { return { tag: this.tagName.toLowerCase(), text: (this.innerText || this.value || '').trim().slice(0, 500), label: this.getAttribute('aria-label') || this.getAttribute('title') || this.getAttribute('placeholder') || null }; }",
+        returnByValue: true,
+      });
+      nodes.push({ border: model.border, ...result.value });
+    }
+    return { metrics, nodes };
+  },
+};
+
+async function main() {
+  const request = readRequest(process.argv[2]);
+  const handler = handlers[request.command];
+  if (!handler) throw new Error(`Unknown command: ${request.command}`);
+
+  const page = await activePage();
+  const client = await CDP({ port: 9222, target: page });
+  try {
+    const value = await handler(client, request, page);
+    console.log(RESULT_MARKER + JSON.stringify({ value: value === undefined ? null : value }));
+  } finally {
+    await client.close();
+  }
+}
+
+main()
+  .catch((error) => {
+    console.log(RESULT_MARKER + JSON.stringify({ error: error.message }));
+  })
+  .finally(() => process.exit(0));
@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { createRequire } from "node:module";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const require = createRequire(import.meta.url);
+const { PNG } = require("pngjs");
+const {
+  createFindCache,
+  cropRect,
+  listEntries,
+  removeEntries,
+  parseDuration,
+} = require("./index.js");
+
+/**
+ * The local cache decides hit vs. miss by diffing only the element's region,
+ * so changes elsewhere on screen must not invalidate it while a change to the
+ * element itself must.
+ */
+
+// 100x60 grey screen with a dark 20x10 "button" at (40,25)
+function screen({ buttonColor = 30, noiseAt = null } = {}) {
+  const png = new PNG({ width: 100, height: 60 });
+  for (let y = 0; y < 60; y++) {
+    for (let x = 0; x < 100; x++) {
+      const i = (y * 100 + x) * 4;
+      const inButton = x >= 40 && x < 60 && y >= 25 && y < 35;
+      const noisy = noiseAt && x === noiseAt.x && y === noiseAt.y;
+      const v = noisy ? 255 : inButton ? buttonColor : 200;
+      png.data[i] = png.data[i + 1] = png.data[i + 2] = v;
+      png.data[i + 3] = 255;
+    }
+  }
+  return PNG.sync.write(png).toString("base64");
+}
+
+const RESPONSE = {
+  coordinates: { x: 50, y: 30, centerX: 50, centerY: 30 },
+  boundingBox: { left: 40, top: 25, right: 60, bottom: 35 },
+  confidence: 0.97,
+  screenshot: "large-base64-not-worth-keeping",
+};
+
+const query = { cacheKey: "abc123", description: "Submit button", os: "linux", resolution: "100x60" };
+
+let dir;
+let cache;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "td-cache-"));
+  cache = createFindCache({ dir });
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("createFindCache", () => {
+  it("misses until something is stored", async () => {
+    expect(await cache.lookup({ ...query, image: screen(), threshold: 0.05 })).toBeNull();
+  });
+
+  it("hits when the element region is unchanged, even if the rest of the screen moved", async () => {
+    expect(cache.store({ ...query, image: screen(), response: RESPONSE })).toBe(true);
+
+    const hit = await cache.lookup({
+      ...query,
+      image: screen({ noiseAt: { x: 5, y: 5 } }),
+      threshold: 0.05,
+    });
+    expect(hit).toMatchObject({
+      coordinates: RESPONSE.coordinates,
+      cacheHit: true,
+      cacheStrategy: "local",
+    });
+    expect(hit.screenshot).toBeUndefined();
+  });
+
+  it("misses when the element itself changed", async () => {
+    cache.store({ ...query, image: screen(), response: RESPONSE });
+    const miss = await cache.lookup({
+      ...query,
+      image: screen({ buttonColor: 120 }),
+      threshold: 0.05,
+    });
+    expect(miss).toBeNull();
+  });
+
+  it("keeps entries apart by description, os and resolution", async () => {
+    cache.store({ ...query, image: screen(), response: RESPONSE });
+    const image = screen();
+    expect(await cache.lookup({ ...query, description: "Cancel", image, threshold: 0.05 })).toBeNull();
+    expect(await cache.lookup({ ...query, os: "windows", image, threshold: 0.05 })).toBeNull();
+  });
+
+  it("does nothing when caching is disabled for the call", async () => {
+    cache.store({ ...query, image: screen(), response: RESPONSE });
+    expect(await cache.lookup({ ...query, image: screen(), threshold: -1 })).toBeNull();
+  });
+});
+
+describe("cropRect", () => {
+  it("falls back to a box around the coordinates and clamps to the screen", () => {
+    expect(cropRect({ coordinates: { x: 5, y: 5 } }, 100, 60)).toEqual({
+      left: 0,
+      top: 0,
+      width: 29,
+      height: 29,
+    });
+  });
+});
+
+describe("cache management", () => {
+  it("lists entries with their test file and removes them", () => {
+    cache.store({ ...query, file: "/repo/tests/login.test.mjs", image: screen(), response: RESPONSE });
+    cache.store({ ...query, description: "Cancel", image: screen(), response: RESPONSE });
+
+    const entries = listEntries({ dir });
+    expect(entries.map((e) => e.description).sort()).toEqual(["Cancel", "Submit button"]);
+    expect(entries.find((e) => e.description === "Submit button").file).toBe(
+      "/repo/tests/login.test.mjs",
+    );
+
+    expect(removeEntries(entries)).toBe(2);
+    expect(listEntries({ dir })).toEqual([]);
+  });
+
+  it("parses prune durations", () => {
+    expect(parseDuration("90m")).toBe(90 * 60000);
+    expect(parseDuration("7d")).toBe(7 * 86400000);
+    expect(parseDuration("2")).toBe(2 * 86400000);
+    expect(() => parseDuration("soon")).toThrow(/Invalid duration/);
+  });
+});
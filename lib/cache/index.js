@@ -0,0 +1,327 @@
+/**
+ * Local find() cache
+ *
+ * The API's find cache is server-side, so every rerun still pays a round-trip.
+ * This store keeps the element's screenshot crop and coordinates on disk under
+ * .testdriver/cache/find/<cacheKey>/ and answers find() when the same region of
+ * the current screen still matches the crop. Only misses reach the API.
+ *
+ * Layout:
+ *   .testdriver/cache/find/<cacheKey>/<entryId>.json  - description, response, crop rect
+ *   .testdriver/cache/find/<cacheKey>/<entryId>.png   - screenshot crop of the element
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { PNG } = require("pngjs");
+
+const DEFAULT_CACHE_DIR = path.join(".testdriver", "cache");
+
+// Crop size used when the API did not report the element's bounding box
+const FALLBACK_CROP_SIZE = 48;
+
+// Response fields worth keeping; everything else is per-call metadata
+const STORED_RESPONSE_FIELDS = [
+  "coordinates",
+  "width",
+  "height",
+  "boundingBox",
+  "confidence",
+  "reasoning",
+  "text",
+  "label",
+  "selector",
+];
+
+/**
+ * Id of a cache entry within a cacheKey directory
+ * @param {{ description: string, os?: string, resolution?: string }} query
+ * @returns {string}
+ */
+function entryId({ description, os, resolution }) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([description, os || null, resolution || null]))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Rectangle to crop for an element, clamped to the screenshot
+ * @param {Object} response - find API response
+ * @param {number} width - Screenshot width
+ * @param {number} height - Screenshot height
+ * @returns {{ left: number, top: number, width: number, height: number } | null}
+ */
+function cropRect(response, width, height) {
+  const box = response.boundingBox;
+  let left, top, right, bottom;
+
+  if (box && typeof box.left === "number" && typeof box.top === "number") {
+    left = box.left;
+    top = box.top;
+    right = typeof box.right === "number" ? box.right : box.left + (box.width || 0);
+    bottom = typeof box.bottom === "number" ? box.bottom : box.top + (box.height || 0);
+  } else if (response.coordinates) {
+    const w = response.width || FALLBACK_CROP_SIZE;
+    const h = response.height || FALLBACK_CROP_SIZE;
+    const cx = response.coordinates.centerX ?? response.coordinates.x;
+    const cy = response.coordinates.centerY ?? response.coordinates.y;
+    left = cx - w / 2;
+    top = cy - h / 2;
+    right = cx + w / 2;
+    bottom = cy + h / 2;
+  } else {
+    return null;
+  }
+
+  left = Math.max(0, Math.floor(left));
+  top = Math.max(0, Math.floor(top));
+  right = Math.min(width, Math.ceil(right));
+  bottom = Math.min(height, Math.ceil(bottom));
+
+  if (right - left < 2 || bottom - top < 2) return null;
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Copy a rectangle out of a decoded PNG
+ * @param {PNG} png
+ * @param {{ left: number, top: number, width: number, height: number }} rect
+ * @returns {PNG}
+ */
+function crop(png, rect) {
+  const out = new PNG({ width: rect.width, height: rect.height });
+  PNG.bitblt(png, out, rect.left, rect.top, rect.width, rect.height, 0, 0);
+  return out;
+}
+
+const decode = (base64) =>
+  PNG.sync.read(Buffer.from(base64.replace(/^data:image\/\w+;base64,/, ""), "base64"));
+
+/**
+ * Create a local find() cache rooted at `dir`
+ * @param {Object} [options]
+ * @param {string} [options.dir='.testdriver/cache'] - Cache root, relative to cwd
+ * @param {Object} [options.emitter] - Emitter for debug logs
+ */
+function createFindCache(options = {}) {
+  const root = path.resolve(options.dir || DEFAULT_CACHE_DIR, "find");
+
+  const debug = (message) => {
+    if (options.emitter) {
+      const { events } = require("../../agent/events.js");
+      options.emitter.emit(events.log.debug, `[cache] ${message}`);
+    }
+  };
+
+  const files = (cacheKey, query) => {
+    const base = path.join(root, cacheKey.replace(/[^\w-]+/g, "_"), entryId(query));
+    return { json: base + ".json", png: base + ".png" };
+  };
+
+  return {
+    root,
+
+    /**
+     * Answer a find() from disk when the cached crop still matches the screen
+     * @param {Object} query
+     * @param {string} query.cacheKey
+     * @param {string} query.description
+     * @param {string} [query.os]
+     * @param {string} [query.resolution]
+     * @param {string} query.image - Current screenshot, base64 PNG
+     * @param {number} query.threshold - Max fraction of crop pixels allowed to differ (0-1)
+     * @returns {Promise<Object | null>} A find response with cacheHit: true, or null on a miss
+     */
+    async lookup({ cacheKey, description, os, resolution, image, threshold }) {
+      if (!cacheKey || !image || !(threshold >= 0)) return null;
+
+      const { json, png } = files(cacheKey, { description, os, resolution });
+      if (!fs.existsSync(json) || !fs.existsSync(png)) return null;
+
+      try {
+        const entry = JSON.parse(fs.readFileSync(json, "utf8"));
+        const screen = decode(image);
+        const { rect } = entry;
+
+        if (
+          rect.left + rect.width > screen.width ||
+          rect.top + rect.height > screen.height
+        ) {
+          debug(`miss "${description}": screenshot is smaller than the cached crop`);
+          return null;
+        }
+
+        const cached = PNG.sync.read(fs.readFileSync(png));
+        const current = crop(screen, rect);
+
+        const { default: pixelmatch } = await import("pixelmatch");
+        const differentPixels = pixelmatch(
+          cached.data,
+          current.data,
+          null,
+          rect.width,
+          rect.height,
+          { threshold: 0.1 },
+        );
+        const diff = differentPixels / (rect.width * rect.height);
+
+        if (diff > threshold) {
+          debug(`miss "${description}": ${(diff * 100).toFixed(2)}% of the crop changed`);
+          return null;
+        }
+
+        entry.hits = (entry.hits || 0) + 1;
+        entry.lastHitAt = new Date().toISOString();
+        fs.writeFileSync(json, JSON.stringify(entry, null, 2));
+
+        debug(`hit "${description}" (${(diff * 100).toFixed(2)}% diff)`);
+        return {
+          ...entry.response,
+          cacheHit: true,
+          cacheStrategy: "local",
+          cacheCreatedAt: entry.createdAt,
+          cacheDiffPercent: parseFloat((diff * 100).toFixed(2)),
+          similarity: 1 - diff,
+        };
+      } catch (error) {
+        // A corrupt entry or unreadable screenshot is just a miss
+        debug(`lookup failed for "${description}": ${error.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * Save a found element's crop and response
+     * @param {Object} entry
+     * @param {string} entry.cacheKey
+     * @param {string} entry.description
+     * @param {string} [entry.os]
+     * @param {string} [entry.resolution]
+     * @param {string} [entry.file] - Test file that called find()
+     * @param {string} entry.image - Screenshot the element was found on, base64 PNG
+     * @param {Object} entry.response - find API response
+     * @returns {boolean} Whether an entry was written
+     */
+    store({ cacheKey, description, os, resolution, file, image, response }) {
+      if (!cacheKey || !image || !response?.coordinates) return false;
+
+      try {
+        const screen = decode(image);
+        const rect = cropRect(response, screen.width, screen.height);
+        if (!rect) return false;
+
+        const { json, png } = files(cacheKey, { description, os, resolution });
+        const stored = {};
+        for (const field of STORED_RESPONSE_FIELDS) {
+          if (response[field] !== undefined) stored[field] = response[field];
+        }
+
+        fs.mkdirSync(path.dirname(json), { recursive: true });
+        fs.writeFileSync(png, PNG.sync.write(crop(screen, rect)));
+        fs.writeFileSync(
+          json,
+          JSON.stringify(
+            {
+              cacheKey,
+              description,
+              os: os || null,
+              resolution: resolution || null,
+              file: file || null,
+              createdAt: new Date().toISOString(),
+              hits: 0,
+              rect,
+              response: stored,
+            },
+            null,
+            2,
+          ),
+        );
+        return true;
+      } catch (error) {
+        debug(`could not store "${description}": ${error.message}`);
+        return false;
+      }
+    },
+  };
+}
+
+/**
+ * Read every entry in a local cache directory
+ * @param {Object} [options]
+ * @param {string} [options.dir='.testdriver/cache'] - Cache root
+ * @returns {Array<Object>} Entries with `jsonPath`, `pngPath` and `lastUsedAt` added, oldest first
+ */
+function listEntries({ dir } = {}) {
+  const root = path.resolve(dir || DEFAULT_CACHE_DIR, "find");
+  if (!fs.existsSync(root)) return [];
+
+  const entries = [];
+  for (const keyDir of fs.readdirSync(root, { withFileTypes: true })) {
+    if (!keyDir.isDirectory()) continue;
+    const keyPath = path.join(root, keyDir.name);
+
+    for (const name of fs.readdirSync(keyPath)) {
+      if (!name.endsWith(".json")) continue;
+      const jsonPath = path.join(keyPath, name);
+      try {
+        const entry = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+        entries.push({
+          ...entry,
+          jsonPath,
+          pngPath: jsonPath.replace(/\.json$/, ".png"),
+          lastUsedAt: entry.lastHitAt || entry.createdAt,
+        });
+      } catch {
+        // Skip files that aren't cache entries
+      }
+    }
+  }
+
+  return entries.sort((a, b) => String(a.lastUsedAt).localeCompare(String(b.lastUsedAt)));
+}
+
+/**
+ * Delete entries returned by listEntries(), and any cacheKey directory left empty
+ * @param {Array<Object>} entries
+ * @returns {number} Number of entries removed
+ */
+function removeEntries(entries) {
+  let removed = 0;
+  for (const entry of entries) {
+    fs.rmSync(entry.jsonPath, { force: true });
+    fs.rmSync(entry.pngPath, { force: true });
+    removed++;
+
+    const keyPath = path.dirname(entry.jsonPath);
+    if (fs.existsSync(keyPath) && fs.readdirSync(keyPath).length === 0) {
+      fs.rmdirSync(keyPath);
+    }
+  }
+  return removed;
+}
+
+/**
+ * Parse a duration such as '30m', '12h', '7d' or '2w' into milliseconds
+ * @param {string} value
+ * @returns {number}
+ */
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration "${value}". Use a number followed by ms, s, m, h, d or w (e.g. 7d)`);
+  }
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+  return parseFloat(match[1]) * units[(match[2] || "d").toLowerCase()];
+}
+
+module.exports = {
+  createFindCache,
+  listEntries,
+  removeEntries,
+  parseDuration,
+  cropRect,
+  entryId,
+  DEFAULT_CACHE_DIR,
+};
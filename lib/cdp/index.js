@@ -0,0 +1,157 @@
+/**
+ * Run Node scripts inside the sandbox, next to Chrome
+ *
+ * Chrome's remote debugging port (9222, opened by provision.chrome()) is only
+ * reachable from inside the sandbox, so anything that speaks CDP ships a
+ * small script there and runs it with `chrome-remote-interface` - the same
+ * approach as captcha(). This module holds the plumbing: install the
+ * library once, copy scripts over, run them in the foreground or background,
+ * and read files back.
+ *
+ * Commands are sent straight to the sandbox as `commands.run` messages
+ * rather than through `exec()`, so they don't show up as user steps in the
+ * output, auto-screenshots, traces or recordings.
+ */
+
+// Where the Linux sandbox keeps global npm packages
+const LINUX_NODE_PATH = "/usr/lib/node_modules";
+
+/**
+ * @param {Object} sdk - TestDriver SDK instance (connected)
+ * @returns {Object} Sandbox helpers: tmp(), install(), writeFile(), readFile(), readFileFrom(), removeFiles(), run(), spawn()
+ */
+function createSandboxNode(sdk) {
+  const windows = () => sdk.os === "windows";
+  let installed = false;
+
+  // The runner runs commands in the sandbox's shell: pwsh on Windows, sh elsewhere
+  const exec = async (code, timeout = 30000) => {
+    if (!sdk.connected || !sdk.sandbox) {
+      throw new Error("SDK is not connected. Call connect() first.");
+    }
+    const { out } = await sdk.sandbox.send({ type: "commands.run", command: code, timeout }, timeout);
+    if (out && out.returncode !== 0) {
+      throw new Error(`Command failed with exit code ${out.returncode}: ${out.stderr}`);
+    }
+    return out?.stdout?.trim();
+  };
+
+  // Single quotes are the only thing that needs escaping in either shell
+  const quote = (value) =>
+    windows() ? `'${String(value).replace(/'/g, "''")}'` : `'${String(value).replace(/'/g, "'\\''")}'`;
+
+  const nodeCommand = (script, args) => {
+    const argv = [script, ...args].map(quote).join(" ");
+    return windows()
+      ? `$env:NODE_PATH = (npm root -g).Trim(); node ${argv}`
+      : `NODE_PATH=${LINUX_NODE_PATH} node ${argv}`;
+  };
+
+  return {
+    /**
+     * Path of a file in the sandbox's temp directory
+     * @param {string} name
+     */
+    tmp(name) {
+      return windows()
+        ? `C:\\Users\\testdriver\\AppData\\Local\\Temp\\${name}`
+        : `/tmp/${name}`;
+    },
+
+    /** Install chrome-remote-interface in the sandbox (once per instance) */
+    async install() {
+      if (installed) return;
+      await exec(
+        windows()
+          ? "npm install -g chrome-remote-interface 2>$null; $true"
+          : "sudo npm install -g chrome-remote-interface 2>/dev/null || npm install -g chrome-remote-interface",
+        60000,
+      );
+      installed = true;
+    },
+
+    /**
+     * Write a file in the sandbox. Content is sent base64-encoded so no
+     * shell quoting or heredoc terminator can break it.
+     * @param {string} filePath
+     * @param {string} content
+     */
+    async writeFile(filePath, content) {
+      const base64 = Buffer.from(content).toString("base64");
+      await exec(
+        windows()
+          ? `[System.IO.File]::WriteAllBytes(${quote(filePath)}, [System.Convert]::FromBase64String('${base64}'))`
+          : `printf '%s' '${base64}' | base64 -d > ${quote(filePath)}`,
+      );
+    },
+
+    /**
+     * Read a file from the sandbox; missing files read as ''
+     * @param {string} filePath
+     * @returns {Promise<string>}
+     */
+    async readFile(filePath) {
+      return (
+        (await exec(
+          windows()
+            ? `if (Test-Path ${quote(filePath)}) { Get-Content -Raw ${quote(filePath)} }`
+            : `cat ${quote(filePath)} 2>/dev/null || true`,
+        )) || ""
+      );
+    },
+
+    /**
+     * Read a file from the sandbox starting at a byte offset, to follow a
+     * log without copying it all each time. Bytes are sent base64-encoded
+     * so they come back exactly as written.
+     * @param {string} filePath
+     * @param {number} [offset=0]
+     * @returns {Promise<Buffer>} Bytes from `offset` to the end; empty if the file is missing
+     */
+    async readFileFrom(filePath, offset = 0) {
+      const base64 = await exec(
+        windows()
+          ? `if (Test-Path ${quote(filePath)}) { $s = [System.IO.File]::Open(${quote(filePath)}, 'Open', 'Read', 'ReadWrite'); try { [void]$s.Seek(${offset}, 'Begin'); $b = New-Object byte[] ($s.Length - $s.Position); [void]$s.Read($b, 0, $b.Length); [System.Convert]::ToBase64String($b) } finally { $s.Close() } }`
+          : `tail -c +${offset + 1} ${quote(filePath)} 2>/dev/null | base64 | tr -d '\n'`,
+      );
+      return Buffer.from(base64 || "", "base64");
+    },
+
+    /** Delete files in the sandbox, ignoring ones that don't exist */
+    async removeFiles(...filePaths) {
+      await exec(
+        windows()
+          ? `Remove-Item -Force -ErrorAction SilentlyContinue ${filePaths.map(quote).join(", ")}; $true`
+          : `rm -f ${filePaths.map(quote).join(" ")}`,
+      );
+    },
+
+    /**
+     * Run a Node script in the sandbox and return its stdout
+     * @param {string} script - Path in the sandbox
+     * @param {string[]} [args]
+     * @param {number} [timeout=30000]
+     */
+    run(script, args = [], timeout = 30000) {
+      return exec(nodeCommand(script, args), timeout);
+    },
+
+    /**
+     * Start a Node script in the background and return immediately
+     * @param {string} script - Path in the sandbox
+     * @param {string[]} [args]
+     */
+    async spawn(script, args = []) {
+      if (windows()) {
+        const argv = [script, ...args].map(quote).join(", ");
+        await exec(
+          `$env:NODE_PATH = (npm root -g).Trim(); Start-Process node -WindowStyle Hidden -ArgumentList ${argv}`,
+        );
+      } else {
+        await exec(`${nodeCommand(script, args)} >/dev/null 2>&1 &`);
+      }
+    },
+  };
+}
+
+module.exports = { createSandboxNode };
@@ -0,0 +1,241 @@
+/**
+ * Page objects for TestDriver tests
+ *
+ * definePage() turns a map of element descriptions and a map of actions into
+ * a reusable page definition. Calling the definition with a TestDriver
+ * instance gives a page whose elements are found lazily on access:
+ *
+ *   const LoginPage = definePage({
+ *     name: "login",
+ *     elements: {
+ *       email: "the email input",
+ *       submit: "the blue Submit button",
+ *       tab: "the {label} tab",                    // parameterised
+ *       row: (name) => `the table row for ${name}`, // parameterised
+ *       header: HeaderComponent,                   // nested component
+ *     },
+ *     actions: {
+ *       async login(email, password) {
+ *         await this.email.click();
+ *         await this.testdriver.type(email);
+ *         ...
+ *       },
+ *     },
+ *   });
+ *
+ *   const page = LoginPage(testdriver);
+ *   await page.submit.click();
+ *   await page.tab({ label: "Settings" }).click();
+ *   await page.login("user@example.com", "secret");
+ */
+const crypto = require("crypto");
+
+// Element methods forwarded by a page element after it is found
+const ELEMENT_METHODS = [
+  "click",
+  "hover",
+  "doubleClick",
+  "rightClick",
+  "mouseDown",
+  "mouseUp",
+  "dragTo",
+];
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+/**
+ * Fill `{name}` placeholders in a description
+ * @param {string} template - e.g. 'the {label} tab'
+ * @param {Object|string|number} params - Values by name, or a single value for a single placeholder
+ * @returns {string}
+ */
+function fillDescription(template, params) {
+  const names = [...template.matchAll(PLACEHOLDER)].map((m) => m[1]);
+  const values =
+    params !== null && typeof params === "object"
+      ? params
+      : names.length === 1
+        ? { [names[0]]: params }
+        : {};
+
+  return template.replace(PLACEHOLDER, (match, name) => {
+    if (values[name] === undefined) {
+      throw new Error(`Missing value for "{${name}}" in element description "${template}"`);
+    }
+    return String(values[name]);
+  });
+}
+
+/**
+ * An element of a page, found with testdriver.find() each time it is used
+ */
+class PageElement {
+  /**
+   * @param {Object} page - Page instance the element belongs to
+   * @param {string} description - Resolved element description
+   * @param {Object} [findOptions] - Options passed to every find()
+   */
+  constructor(page, description, findOptions = {}) {
+    this.page = page;
+    this.description = description;
+    this.findOptions = findOptions;
+  }
+
+  /**
+   * Locate the element now
+   * @param {Object} [options] - find() options, merged over the element's defaults
+   * @returns {Promise<import('../sdk').Element>}
+   */
+  find(options = {}) {
+    return this.page.testdriver.find(this.description, {
+      cacheKey: this.page.cacheKey,
+      ...this.findOptions,
+      ...options,
+    });
+  }
+
+  /**
+   * Locate every match of the element's description
+   * @param {Object} [options] - findAll() options
+   * @returns {Promise<import('./element-collection').ElementCollection>}
+   */
+  findAll(options = {}) {
+    return this.page.testdriver.findAll(this.description, {
+      cacheKey: this.page.cacheKey,
+      ...this.findOptions,
+      ...options,
+    });
+  }
+
+  // `await page.submit` resolves to the found Element
+  then(resolve, reject) {
+    return this.find().then(resolve, reject);
+  }
+
+  toString() {
+    return this.description;
+  }
+}
+
+for (const method of ELEMENT_METHODS) {
+  PageElement.prototype[method] = async function (...args) {
+    const element = await this.find();
+    return element[method](...args);
+  };
+}
+
+/**
+ * Normalize an `elements` entry into { description, findOptions }
+ * @param {string} key
+ * @param {string | Function | Object} spec
+ */
+function elementSpec(key, spec) {
+  if (typeof spec === "string" || typeof spec === "function") {
+    return { description: spec, findOptions: {} };
+  }
+  if (spec && typeof spec.description !== "undefined") {
+    const { description, ...findOptions } = spec;
+    return { description, findOptions };
+  }
+  throw new Error(
+    `definePage: element "${key}" must be a description string, a function returning one, { description, ...findOptions }, or a component from definePage()`,
+  );
+}
+
+/**
+ * Define a page object
+ * @param {Object} definition
+ * @param {string} [definition.name] - Page name, used for the shared cache key and in errors
+ * @param {string} [definition.cacheKey] - Cache key for every find() on this page (default: derived from `name`, or from the element descriptions)
+ * @param {Object<string, string | Function | Object>} [definition.elements] - Element name → description, parameterised description (`'the {label} tab'` or a function), `{ description, ...findOptions }`, or a nested component
+ * @param {Object<string, Function>} [definition.actions] - Action name → function, called with `this` bound to the page
+ * @returns {Function} `(testdriver) => page`
+ */
+function definePage(definition = {}) {
+  const { name, elements = {}, actions = {} } = definition;
+
+  // Pages share one cache key so every test that uses the page reuses the
+  // same cached element positions, regardless of which test file it's in
+  const cacheKey =
+    definition.cacheKey ||
+    "page-" +
+      (name
+        ? name.toLowerCase().replace(/[^\w-]+/g, "-")
+        : crypto
+            .createHash("sha256")
+            .update(JSON.stringify(Object.keys(elements).sort()))
+            .digest("hex")
+            .slice(0, 12));
+
+  for (const key of Object.keys(actions)) {
+    if (key in elements) {
+      throw new Error(`definePage${name ? ` "${name}"` : ""}: "${key}" is both an element and an action`);
+    }
+    if (typeof actions[key] !== "function") {
+      throw new Error(`definePage${name ? ` "${name}"` : ""}: action "${key}" must be a function`);
+    }
+  }
+
+  // Inline components can be written as plain { elements, actions } and
+  // share the parent page's cache key
+  const specs = Object.entries(elements).map(([key, entry]) => [
+    key,
+    entry && typeof entry === "object" && entry.elements
+      ? definePage({ cacheKey, ...entry })
+      : entry,
+  ]);
+
+  const createPage = (testdriver) => {
+    if (!testdriver || typeof testdriver.find !== "function") {
+      throw new Error(
+        `${name ? `Page "${name}"` : "Page"} needs a TestDriver instance, e.g. LoginPage(testdriver)`,
+      );
+    }
+
+    const page = { testdriver, name, cacheKey };
+
+    for (const [key, spec] of specs) {
+      // Nested component: instantiate with the same TestDriver, once, on first access
+      if (typeof spec === "function" && spec.isPageDefinition) {
+        let component;
+        Object.defineProperty(page, key, {
+          enumerable: true,
+          get: () => (component = component || spec(testdriver)),
+        });
+        continue;
+      }
+
+      const { description, findOptions } = elementSpec(key, spec);
+      const parameterised =
+        typeof description === "function" || description.search(PLACEHOLDER) !== -1;
+
+      Object.defineProperty(page, key, {
+        enumerable: true,
+        get: () =>
+          parameterised
+            ? (...args) =>
+                new PageElement(
+                  page,
+                  typeof description === "function"
+                    ? description(...args)
+                    : fillDescription(description, args[0]),
+                  findOptions,
+                )
+            : new PageElement(page, description, findOptions),
+      });
+    }
+
+    for (const [key, action] of Object.entries(actions)) {
+      page[key] = action.bind(page);
+    }
+
+    return page;
+  };
+
+  createPage.isPageDefinition = true;
+  createPage.pageName = name;
+  createPage.cacheKey = cacheKey;
+  return createPage;
+}
+
+module.exports = { definePage, PageElement, fillDescription };
@@ -0,0 +1,105 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { definePage, fillDescription } = require("./define-page.js");
+
+/**
+ * Page elements are descriptions until they're used, so the assertions here
+ * are about what reaches testdriver.find(): the resolved description and the
+ * page's shared cache key.
+ */
+
+function fakeTestDriver() {
+  const calls = [];
+  const find = (description, options) => {
+    calls.push({ description, options });
+    return Promise.resolve({
+      description,
+      click: () => calls.push({ clicked: description }),
+    });
+  };
+  return { calls, find, findAll: find, type: () => {} };
+}
+
+const Header = definePage({
+  name: "header",
+  elements: { logo: "the company logo" },
+});
+
+const LoginPage = definePage({
+  name: "Login Page",
+  elements: {
+    email: "the email input",
+    submit: { description: "the blue Submit button", zoom: true },
+    tab: "the {label} tab",
+    row: (name, column) => `the ${column} cell in the row for ${name}`,
+    header: Header,
+    footer: { elements: { help: "the Help link" } },
+  },
+  actions: {
+    async submitForm() {
+      await this.submit.click();
+      return this.name;
+    },
+  },
+});
+
+describe("definePage", () => {
+  it("finds elements lazily with the page's cache key", async () => {
+    const td = fakeTestDriver();
+    const page = LoginPage(td);
+    expect(td.calls).toHaveLength(0);
+
+    const email = await page.email;
+    expect(email.description).toBe("the email input");
+    expect(td.calls[0].options).toEqual({ cacheKey: "page-login-page" });
+  });
+
+  it("forwards element actions and per-element find options", async () => {
+    const td = fakeTestDriver();
+    await LoginPage(td).submit.click();
+    expect(td.calls[0].options).toEqual({ cacheKey: "page-login-page", zoom: true });
+    expect(td.calls[1]).toEqual({ clicked: "the blue Submit button" });
+  });
+
+  it("fills parameterised descriptions", async () => {
+    const td = fakeTestDriver();
+    const page = LoginPage(td);
+    await page.tab("Settings");
+    await page.tab({ label: "Billing" });
+    await page.row("Alice", "email");
+    expect(td.calls.map((c) => c.description)).toEqual([
+      "the Settings tab",
+      "the Billing tab",
+      "the email cell in the row for Alice",
+    ]);
+  });
+
+  it("nests components with their own or the parent's cache key", async () => {
+    const td = fakeTestDriver();
+    const page = LoginPage(td);
+    await page.header.logo;
+    await page.footer.help;
+    expect(td.calls[0].options.cacheKey).toBe("page-header");
+    expect(td.calls[1].options.cacheKey).toBe("page-login-page");
+  });
+
+  it("binds actions to the page", async () => {
+    const td = fakeTestDriver();
+    expect(await LoginPage(td).submitForm()).toBe("Login Page");
+    expect(td.calls.at(-1)).toEqual({ clicked: "the blue Submit button" });
+  });
+
+  it("rejects names used for both an element and an action", () => {
+    expect(() =>
+      definePage({ elements: { save: "Save" }, actions: { save() {} } }),
+    ).toThrow(/both an element and an action/);
+  });
+});
+
+describe("fillDescription", () => {
+  it("reports missing values", () => {
+    expect(() => fillDescription("the {a} and {b}", { a: 1 })).toThrow(/Missing value for "\{b\}"/);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { dragSteps, sendDrag, toDragPoint } = require("./index.js");
+const { FakeSandbox } = require("../testing/index.js");
+
+/**
+ * Drag-and-drop libraries only start a drag after a held press and a run of
+ * intermediate mousemoves, so what matters is the exact message sequence the
+ * sandbox receives. A FakeSandbox records it; the pauses go through a fake
+ * delay so the tests don't wait.
+ */
+
+class FakeElement {
+  constructor(description, coordinates) {
+    this.description = description;
+    this.coordinates = coordinates;
+  }
+  found() {
+    return !!this.coordinates;
+  }
+}
+
+describe("drag", () => {
+  it("moves in even steps that end on the target", () => {
+    expect(dragSteps({ fromX: 0, fromY: 100, x: 100, y: 50, steps: 4 })).toEqual([
+      { x: 25, y: 88 },
+      { x: 50, y: 75 },
+      { x: 75, y: 63 },
+      { x: 100, y: 50 },
+    ]);
+    expect(dragSteps({ fromX: 10, fromY: 10, x: 20, y: 20, steps: 0 })).toEqual([{ x: 20, y: 20 }]);
+    expect(dragSteps({ x: 300, y: 400, steps: 10 })).toEqual([{ x: 300, y: 400 }]);
+  });
+
+  it("presses, holds, moves, holds and releases in place", async () => {
+    const fake = new FakeSandbox();
+    const log = [];
+    fake.on("mousePress", () => log.push("press"));
+    fake.on("moveMouse", ({ x, y }) => log.push(`move ${x},${y}`));
+    fake.on("mouseRelease", () => log.push("release"));
+    const delay = (ms) => {
+      log.push(`wait ${ms}`);
+      return Promise.resolve();
+    };
+
+    await sendDrag(
+      fake,
+      { fromX: 100, fromY: 100, x: 200, y: 100, steps: 2, holdMs: 350, elementData: { prompt: "card" } },
+      delay,
+    );
+
+    expect(log).toEqual(["press", "wait 350", "move 150,100", "move 200,100", "wait 350", "release"]);
+    expect(fake.messages[0]).toMatchObject({ type: "mousePress", button: "left", x: 100, y: 100, prompt: "card" });
+    const release = fake.messages.at(-1);
+    expect(release).toMatchObject({ type: "mouseRelease", button: "left", prompt: "card" });
+    expect(release.x).toBeUndefined();
+  });
+
+  it("resolves elements, find() results, descriptions and points", async () => {
+    const card = new FakeElement("the card", { x: 40, y: 60 });
+    const found = [];
+    const sdk = {
+      find: (description) => {
+        found.push(description);
+        return Promise.resolve(new FakeElement(description, description === "the Done column" ? { x: 500, y: 80 } : null));
+      },
+    };
+
+    expect(await toDragPoint(sdk, card)).toEqual({ x: 40, y: 60, element: card, description: "the card" });
+    expect(await toDragPoint(sdk, Promise.resolve(card))).toMatchObject({ x: 40, y: 60, element: card });
+    expect(await toDragPoint(sdk, "the Done column")).toMatchObject({ x: 500, y: 80, description: "the Done column" });
+    expect(await toDragPoint(sdk, { x: 7, y: 9 })).toEqual({ x: 7, y: 9 });
+    expect(found).toEqual(["the Done column"]);
+
+    await expect(
+      toDragPoint(sdk, "the Archive column", (element) => new RangeError(`missing ${element.description}`)),
+    ).rejects.toThrow(new RangeError("missing the Archive column"));
+    await expect(toDragPoint(sdk, { x: "7" })).rejects.toThrow(/must be an Element, a description, or a point/);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Drag and drop
+ *
+ * A drag is a left-button press, a pause so long-press and drag-start
+ * handlers can arm, pointer moves in steps (libraries that listen for
+ * mousemove need to see intermediate positions), another pause so the drop
+ * target registers the hover, and a release in place. The SDK resolves the
+ * ends (`toDragPoint`) and the drag command sends the sequence
+ * (`sendDrag`) to the sandbox.
+ */
+
+/**
+ * Points the pointer moves through, ending at the target. Without a start
+ * point there's nothing to interpolate from, so it's a single move.
+ * @param {Object} options
+ * @param {number} [options.fromX]
+ * @param {number} [options.fromY]
+ * @param {number} options.x
+ * @param {number} options.y
+ * @param {number} [options.steps=10]
+ * @returns {Array<{x: number, y: number}>}
+ */
+function dragSteps({ fromX, fromY, x, y, steps = 10 }) {
+  if (fromX === undefined || fromY === undefined) return [{ x, y }];
+  const count = Math.max(1, parseInt(steps) || 1);
+  const points = [];
+  for (let i = 1; i <= count; i++) {
+    const t = i / count;
+    points.push({
+      x: Math.round(fromX + (x - fromX) * t),
+      y: Math.round(fromY + (y - fromY) * t),
+    });
+  }
+  return points;
+}
+
+/**
+ * Send a drag to the sandbox: press, hold, move in steps, hold, release
+ * @param {Object} sandbox - Uses send()
+ * @param {Object} options
+ * @param {number} [options.fromX] - Press here (default: current pointer position)
+ * @param {number} [options.fromY]
+ * @param {number} options.x - Release here
+ * @param {number} options.y
+ * @param {number} [options.steps=10]
+ * @param {number} [options.holdMs=200]
+ * @param {Object} [options.elementData] - Sent with the press and release, as for clicks
+ * @param {(ms: number) => Promise<void>} [delay]
+ * @returns {Promise<void>}
+ */
+async function sendDrag(
+  sandbox,
+  { fromX, fromY, x, y, steps = 10, holdMs = 200, elementData = {} },
+  delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+) {
+  const start = fromX !== undefined && fromY !== undefined ? { x: fromX, y: fromY } : {};
+  await sandbox.send({ type: "mousePress", button: "left", ...start, ...elementData });
+
+  await delay(holdMs);
+  for (const point of dragSteps({ fromX, fromY, x, y, steps })) {
+    await sandbox.send({ type: "moveMouse", ...point, timestamp: Date.now() });
+  }
+
+  // Release in place: pyautogui.mouseUp with x/y teleports instead of dragging
+  await delay(holdMs);
+  await sandbox.send({ type: "mouseRelease", button: "left", ...elementData, timestamp: Date.now() });
+}
+
+/**
+ * Resolve a drag source or target to a screen point
+ * @param {Object} sdk - Uses find() for descriptions
+ * @param {Object|Promise<Object>|string|{x: number, y: number}} target - Element, find() result, description, or point
+ * @param {(element: Object) => Error} [notFound] - Error for an Element the locator didn't find
+ * @returns {Promise<{x: number, y: number, element?: Object, description?: string}>}
+ */
+async function toDragPoint(
+  sdk,
+  target,
+  notFound = (element) => new Error(`Element "${element.description}" not found.`),
+) {
+  if (typeof target === "string") {
+    target = await sdk.find(target);
+  } else if (target && typeof target.then === "function") {
+    target = await target;
+  }
+
+  if (target && typeof target.found === "function") {
+    if (!target.found() || !target.coordinates) throw notFound(target);
+    return {
+      x: target.coordinates.x,
+      y: target.coordinates.y,
+      element: target,
+      description: target.description,
+    };
+  }
+
+  if (target && typeof target.x === "number" && typeof target.y === "number") {
+    return { x: target.x, y: target.y };
+  }
+
+  throw new Error(
+    "Drag target must be an Element, a description, or a point { x, y }",
+  );
+}
+
+module.exports = { dragSteps, sendDrag, toDragPoint };
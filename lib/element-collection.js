@@ -0,0 +1,212 @@
+/**
+ * Layout queries for findAll() results
+ *
+ * findAll() resolves to an ElementCollection, an Array of Elements with
+ * helpers that answer "where is it" questions from each element's bounding
+ * box instead of hand-written geometry in every test:
+ *
+ *   const invoice = await testdriver.find('the text "Invoice 42"');
+ *   const checkboxes = await testdriver.findAll("row checkbox");
+ *   await checkboxes.inRow(invoice)[0].click();
+ *
+ * Anchors can be a found Element, a box { left, top, width, height } or a
+ * point { x, y }. Relations compare element centers against the anchor's
+ * edges and return a new collection, closest first.
+ */
+const { normalizeBox } = require("./region");
+
+/**
+ * Box of an element or anchor as { left, top, width, height }. Elements
+ * without a bounding box fall back to their center and size (a point when the
+ * locator reported no size).
+ * @param {Object} item - Element, box or point
+ * @returns {{ left: number, top: number, width: number, height: number } | null}
+ */
+function boxOf(item) {
+  if (!item) return null;
+
+  if (typeof item.found === "function") {
+    if (!item.found()) return null;
+    const box = normalizeBox(item.boundingBox);
+    if (box) return box;
+    if (item.centerX === null || item.centerY === null) return null;
+    const width = item.width || 0;
+    const height = item.height || 0;
+    return {
+      left: item.centerX - width / 2,
+      top: item.centerY - height / 2,
+      width,
+      height,
+    };
+  }
+
+  if (typeof item.x === "number" && typeof item.y === "number") {
+    return { left: item.x, top: item.y, width: 0, height: 0 };
+  }
+  return normalizeBox(item);
+}
+
+function anchorBox(anchor) {
+  const box = boxOf(anchor);
+  if (!box) {
+    const name = anchor?.description ? `"${anchor.description}"` : "anchor";
+    throw new Error(
+      `Cannot use ${name} as an anchor: pass a found Element, a box { left, top, width, height } or a point { x, y }`,
+    );
+  }
+  return box;
+}
+
+const centerX = (box) => box.left + box.width / 2;
+const centerY = (box) => box.top + box.height / 2;
+
+// Gap between two boxes (0 when they overlap), ties broken by center distance
+function distance(a, b) {
+  const dx = Math.max(0, a.left - (b.left + b.width), b.left - (a.left + a.width));
+  const dy = Math.max(0, a.top - (b.top + b.height), b.top - (a.top + a.height));
+  return Math.hypot(dx, dy) + Math.hypot(centerX(a) - centerX(b), centerY(a) - centerY(b)) / 1e6;
+}
+
+// Whether the vertical center of one box falls within the other's height
+function sameRow(a, b) {
+  return (
+    (centerY(a) >= b.top && centerY(a) <= b.top + b.height) ||
+    (centerY(b) >= a.top && centerY(b) <= a.top + a.height)
+  );
+}
+
+class ElementCollection extends Array {
+  /**
+   * Elements paired with their boxes; elements without a position are skipped
+   * @private
+   */
+  _boxes(exclude) {
+    const out = [];
+    for (const element of this) {
+      if (element === exclude) continue;
+      const box = boxOf(element);
+      if (box) out.push({ element, box });
+    }
+    return out;
+  }
+
+  /**
+   * Keep the elements matching `test`, closest to the anchor first
+   * @private
+   */
+  _relative(anchor, test) {
+    const target = anchorBox(anchor);
+    return ElementCollection.from(
+      this._boxes(anchor)
+        .filter(({ box }) => test(box, target))
+        .sort((a, b) => distance(a.box, target) - distance(b.box, target))
+        .map(({ element }) => element),
+    );
+  }
+
+  /**
+   * The element closest to the anchor
+   * @param {Object} anchor - Element, box or point
+   * @returns {Object|null} Element, or null if the collection is empty
+   */
+  nearest(anchor) {
+    return this._relative(anchor, () => true)[0] ?? null;
+  }
+
+  /**
+   * Elements whose center is left of the anchor's left edge, closest first
+   * @param {Object} anchor - Element, box or point
+   * @returns {ElementCollection}
+   */
+  leftOf(anchor) {
+    return this._relative(anchor, (box, target) => centerX(box) < target.left);
+  }
+
+  /**
+   * Elements whose center is right of the anchor's right edge, closest first
+   * @param {Object} anchor - Element, box or point
+   * @returns {ElementCollection}
+   */
+  rightOf(anchor) {
+    return this._relative(
+      anchor,
+      (box, target) => centerX(box) > target.left + target.width,
+    );
+  }
+
+  /**
+   * Elements whose center is above the anchor's top edge, closest first
+   * @param {Object} anchor - Element, box or point
+   * @returns {ElementCollection}
+   */
+  above(anchor) {
+    return this._relative(anchor, (box, target) => centerY(box) < target.top);
+  }
+
+  /**
+   * Elements whose center is below the anchor's bottom edge, closest first
+   * @param {Object} anchor - Element, box or point
+   * @returns {ElementCollection}
+   */
+  below(anchor) {
+    return this._relative(
+      anchor,
+      (box, target) => centerY(box) > target.top + target.height,
+    );
+  }
+
+  /**
+   * Group the elements into visual rows, top to bottom, each left to right.
+   * An element joins a row when its vertical center falls within the row.
+   * @returns {ElementCollection[]}
+   */
+  rows() {
+    const rows = [];
+    const byTop = this._boxes().sort((a, b) => centerY(a.box) - centerY(b.box));
+
+    for (const item of byTop) {
+      const row = rows[rows.length - 1];
+      if (row && row.some((other) => sameRow(item.box, other.box))) {
+        row.push(item);
+      } else {
+        rows.push([item]);
+      }
+    }
+
+    return rows.map((row) =>
+      ElementCollection.from(
+        row
+          .sort((a, b) => a.box.left - b.box.left)
+          .map(({ element }) => element),
+      ),
+    );
+  }
+
+  /**
+   * Elements in a row, left to right
+   * @param {number|Object} row - Row index from the top (0-based), or an anchor whose row to return
+   * @returns {ElementCollection}
+   */
+  inRow(row) {
+    if (typeof row === "number") {
+      return this.rows()[row] ?? new ElementCollection();
+    }
+    const target = anchorBox(row);
+    return ElementCollection.from(
+      this._boxes(row)
+        .filter(({ box }) => sameRow(box, target))
+        .sort((a, b) => a.box.left - b.box.left)
+        .map(({ element }) => element),
+    );
+  }
+
+  /**
+   * A copy sorted top to bottom, then left to right within each row
+   * @returns {ElementCollection}
+   */
+  sortByReadingOrder() {
+    return ElementCollection.from(this.rows().flat());
+  }
+}
+
+module.exports = { ElementCollection, boxOf };
@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { ElementCollection } = require("./element-collection.js");
+
+/**
+ * The layout of a small invoice table, three rows of [checkbox, label,
+ * button], with boxes in the shapes the locator returns. The queries only
+ * read positions, so the elements are plain objects with Element's getters.
+ */
+
+const element = (name, left, top, width = 20, height = 20) => ({
+  description: name,
+  found: () => true,
+  boundingBox: { left, top, right: left + width, bottom: top + height },
+  centerX: left + width / 2,
+  centerY: top + height / 2,
+  width,
+  height,
+});
+
+const rows = [100, 140, 180].map((top, i) => [
+  element(`checkbox ${i}`, 28, top),
+  element(`Invoice ${40 + i}`, 50, top - 2, 120, 24),
+  element(`Delete ${i}`, 300, top),
+]);
+
+// Shuffled, as findAll results come back in no particular order
+const all = () => ElementCollection.from([...rows[2], ...rows[0], ...rows[1]].reverse());
+const names = (collection) => collection.map((e) => e.description);
+
+describe("ElementCollection", () => {
+  it("finds elements in the same row as an anchor", () => {
+    const invoice42 = rows[2][1];
+    expect(names(all().inRow(invoice42))).toEqual(["checkbox 2", "Delete 2"]);
+    expect(names(all().inRow(0))).toEqual(["checkbox 0", "Invoice 40", "Delete 0"]);
+    expect(all().inRow(5)).toHaveLength(0);
+  });
+
+  it("returns relations closest first", () => {
+    const invoice41 = rows[1][1];
+    expect(all().nearest(invoice41).description).toBe("checkbox 1");
+    expect(names(all().leftOf(invoice41))).toEqual(["checkbox 1", "checkbox 0", "checkbox 2"]);
+    expect(names(all().below(invoice41).inRow(0))).toEqual(["checkbox 2", "Invoice 42", "Delete 2"]);
+    expect(names(all().rightOf({ x: 200, y: 100 }))).toEqual(["Delete 0", "Delete 1", "Delete 2"]);
+  });
+
+  it("sorts into reading order and keeps the collection type", () => {
+    const sorted = all().sortByReadingOrder();
+    expect(sorted).toBeInstanceOf(ElementCollection);
+    expect(names(sorted)).toEqual(rows.flat().map((e) => e.description));
+    expect(sorted.filter((e) => e.description.startsWith("Delete")).inRow(1)[0].description).toBe(
+      "Delete 1",
+    );
+  });
+
+  it("rejects anchors that have no position", () => {
+    const missing = { description: "ghost", found: () => false };
+    expect(() => all().below(missing)).toThrow(/Cannot use "ghost" as an anchor/);
+    expect(new ElementCollection().nearest({ x: 0, y: 0 })).toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { z } = require("zod");
+const { createValidator, buildPrompt, zodToJsonSchema } = require("./index.js");
+
+/**
+ * The retry loop lives in commands.extract, which needs a sandbox; these
+ * tests cover what it relies on: reading JSON out of model answers and
+ * turning schema mismatches into errors the model can act on.
+ */
+
+const invoices = {
+  type: "array",
+  items: {
+    type: "object",
+    properties: { invoice: { type: "string" }, total: { type: "number" } },
+    required: ["invoice", "total"],
+  },
+};
+
+describe("extract schemas", () => {
+  it("validates answers against a JSON Schema", () => {
+    const { validate } = createValidator(invoices);
+
+    expect(validate('```json\n[{"invoice": "42", "total": 99.5}]\n```')).toEqual({
+      valid: true,
+      data: [{ invoice: "42", total: 99.5 }],
+    });
+    expect(validate('Here you go: [{"invoice": "42", "total": 1}] hope that helps').valid).toBe(true);
+    expect(validate([{ invoice: "42", total: "$99.50" }])).toEqual({
+      valid: false,
+      errors: ["/0/total: must be number"],
+    });
+    expect(validate("The total is 99.50")).toEqual({
+      valid: false,
+      errors: ["the answer is not valid JSON"],
+    });
+
+    const prompt = buildPrompt("the invoice table", invoices, {
+      answer: '[{"invoice":"42","total":"$99.50"}]',
+      errors: ["/0/total: must be number"],
+    });
+    expect(prompt).toContain(`matching this JSON Schema:\n${JSON.stringify(invoices)}`);
+    expect(prompt).toContain('Your previous answer was:\n[{"invoice":"42","total":"$99.50"}]');
+    expect(prompt).toContain("- /0/total: must be number");
+  });
+
+  it("validates with Zod and returns its parsed output", () => {
+    const schema = z.object({
+      status: z.enum(["Paid", "Overdue"]),
+      total: z.string().transform((s) => Number(s.replace(/[$,]/g, ""))),
+      note: z.string().optional(),
+    });
+    const { validate, jsonSchema } = createValidator(schema);
+
+    expect(jsonSchema).toEqual({
+      type: "object",
+      properties: {
+        status: { type: "string", enum: ["Paid", "Overdue"] },
+        total: { type: "string" },
+        note: { type: "string" },
+      },
+      required: ["status", "total"],
+    });
+    expect(validate('{"status": "Paid", "total": "$1,204.50"}')).toEqual({
+      valid: true,
+      data: { status: "Paid", total: 1204.5 },
+    });
+    expect(validate('{"status": "paid"}').errors).toEqual([
+      "status: Invalid enum value. Expected 'Paid' | 'Overdue', received 'paid'",
+      "total: Required",
+    ]);
+    expect(zodToJsonSchema(z.array(z.number().int().nullable()))).toEqual({
+      type: "array",
+      items: { anyOf: [{ type: "integer" }, { type: "null" }] },
+    });
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Schema support for extract()
+ *
+ * `extract(description, { schema })` asks the model for JSON, checks the
+ * answer against the schema and, when it doesn't match, asks again with the
+ * validation errors. A schema is either a JSON Schema object (validated with
+ * Ajv) or a Zod-like object with `safeParse()`, whose parsed output - with
+ * its transforms and coercions - is what extract() returns.
+ *
+ *   const rows = await testdriver.extract("the invoice table", {
+ *     schema: {
+ *       type: "array",
+ *       items: {
+ *         type: "object",
+ *         properties: { invoice: { type: "string" }, total: { type: "number" } },
+ *         required: ["invoice", "total"],
+ *       },
+ *     },
+ *   });
+ */
+const Ajv = require("ajv");
+
+/**
+ * Error thrown when extract() answers never matched the schema
+ */
+class ExtractValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string[]} details.errors - Validation errors for the last answer
+   * @param {*} details.answer - The last answer
+   * @param {number} details.attempts
+   */
+  constructor(message, { errors, answer, attempts }) {
+    super(message);
+    this.name = "ExtractValidationError";
+    this.errors = errors;
+    this.answer = answer;
+    this.attempts = attempts;
+  }
+}
+
+const isZodLike = (schema) => typeof schema?.safeParse === "function";
+
+/**
+ * Best-effort JSON Schema for a Zod (v3) schema, used only to tell the model
+ * what shape to answer in; validation always goes through safeParse().
+ * Zod 4 schemas describe themselves with toJSONSchema().
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function zodToJsonSchema(schema) {
+  if (typeof schema?.toJSONSchema === "function") return schema.toJSONSchema();
+
+  const def = schema?._def || {};
+  const withDescription = (json) =>
+    def.description ? { ...json, description: def.description } : json;
+
+  switch (def.typeName) {
+    case "ZodString":
+      return withDescription({ type: "string" });
+    case "ZodNumber":
+      return withDescription({
+        type: def.checks?.some((c) => c.kind === "int") ? "integer" : "number",
+      });
+    case "ZodBoolean":
+      return withDescription({ type: "boolean" });
+    case "ZodNull":
+      return { type: "null" };
+    case "ZodLiteral":
+      return withDescription({ const: def.value });
+    case "ZodEnum":
+      return withDescription({ type: "string", enum: def.values });
+    case "ZodNativeEnum":
+      return withDescription({ enum: Object.values(def.values) });
+    case "ZodArray":
+      return withDescription({ type: "array", items: zodToJsonSchema(def.type) });
+    case "ZodObject": {
+      const shape = typeof def.shape === "function" ? def.shape() : def.shape || {};
+      const properties = {};
+      const required = [];
+      for (const [key, value] of Object.entries(shape)) {
+        properties[key] = zodToJsonSchema(value);
+        if (!value.isOptional?.()) required.push(key);
+      }
+      return withDescription({ type: "object", properties, required });
+    }
+    case "ZodOptional":
+    case "ZodDefault":
+    case "ZodEffects":
+      return withDescription(zodToJsonSchema(def.innerType || def.schema));
+    case "ZodNullable":
+      return withDescription({ anyOf: [zodToJsonSchema(def.innerType), { type: "null" }] });
+    case "ZodUnion":
+      return withDescription({ anyOf: def.options.map(zodToJsonSchema) });
+    default:
+      return withDescription({});
+  }
+}
+
+/**
+ * Read JSON out of a model answer. Code fences and text around the JSON
+ * are ignored; answers that are already objects pass through.
+ * @param {*} answer
+ * @returns {{ ok: boolean, value?: *, error?: string }}
+ */
+function parseAnswer(answer) {
+  if (typeof answer !== "string") return { ok: true, value: answer };
+
+  const text = answer
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch {
+    // Fall back to the outermost object or array in the answer
+    const start = text.search(/[[{]/);
+    const end = Math.max(text.lastIndexOf("}"), text.lastIndexOf("]"));
+    if (start !== -1 && end > start) {
+      try {
+        return { ok: true, value: JSON.parse(text.slice(start, end + 1)) };
+      } catch {
+        // not JSON either
+      }
+    }
+    return { ok: false, error: "the answer is not valid JSON" };
+  }
+}
+
+/**
+ * Build a validator for a JSON Schema or Zod-like schema
+ * @param {Object} schema
+ * @returns {{ jsonSchema: Object, validate: (answer: *) => { valid: boolean, data?: *, errors?: string[] } }}
+ */
+function createValidator(schema) {
+  if (!schema || typeof schema !== "object") {
+    throw new Error("extract() schema must be a JSON Schema object or a Zod schema");
+  }
+
+  let check;
+  let jsonSchema;
+  if (isZodLike(schema)) {
+    jsonSchema = zodToJsonSchema(schema);
+    check = (value) => {
+      const result = schema.safeParse(value);
+      if (result.success) return { valid: true, data: result.data };
+      return {
+        valid: false,
+        errors: result.error.issues.map(
+          (issue) => `${issue.path.length ? issue.path.join(".") : "(root)"}: ${issue.message}`,
+        ),
+      };
+    };
+  } else {
+    jsonSchema = schema;
+    const validateSchema = new Ajv({ allErrors: true, strict: false }).compile(schema);
+    check = (value) => {
+      if (validateSchema(value)) return { valid: true, data: value };
+      return {
+        valid: false,
+        errors: validateSchema.errors.map(
+          (error) => `${error.instancePath || "(root)"}: ${error.message}`,
+        ),
+      };
+    };
+  }
+
+  return {
+    jsonSchema,
+    validate(answer) {
+      const parsed = parseAnswer(answer);
+      if (!parsed.ok) return { valid: false, errors: [parsed.error] };
+      return check(parsed.value);
+    },
+  };
+}
+
+/**
+ * Description sent to the model for a schema extraction
+ * @param {string} description - What the user asked for
+ * @param {Object} jsonSchema
+ * @param {{ answer: *, errors: string[] }} [previous] - Last rejected answer
+ * @returns {string}
+ */
+function buildPrompt(description, jsonSchema, previous) {
+  let prompt =
+    `${description}\n\n` +
+    "Respond with only JSON, no other text or code fences, matching this JSON Schema:\n" +
+    JSON.stringify(jsonSchema);
+
+  if (previous) {
+    const answer =
+      typeof previous.answer === "string" ? previous.answer : JSON.stringify(previous.answer);
+    prompt +=
+      `\n\nYour previous answer was:\n${answer}\n` +
+      `It did not match the schema:\n${previous.errors.map((e) => `- ${e}`).join("\n")}\n` +
+      "Read the screen again and answer with corrected JSON.";
+  }
+  return prompt;
+}
+
+module.exports = {
+  ExtractValidationError,
+  createValidator,
+  buildPrompt,
+  parseAnswer,
+  zodToJsonSchema,
+};
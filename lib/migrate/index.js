@@ -0,0 +1,527 @@
+/**
+ * Convert v6 YAML tests into Vitest test files that use the SDK
+ *
+ * Each YAML test becomes a `<name>.test.mjs`. Files it embeds with
+ * `command: run` and the `lifecycle/prerun.yaml` / `postrun.yaml` it would
+ * have run become modules exporting one async function, shared by every test
+ * that uses them:
+ *
+ *   testdriver/login.yaml             -> testdriver/login.test.mjs
+ *   testdriver/snippets/sign-in.yaml  -> testdriver/snippets/sign-in.mjs
+ *   testdriver/lifecycle/prerun.yaml  -> testdriver/lifecycle/prerun.mjs
+ *
+ * `${OUTPUT.name}` values written by `extract` and `exec` become properties of
+ * an `outputs` object passed through those functions; other `${VAR}`s are
+ * read from process.env as the agent did. Commands with no SDK equivalent
+ * are kept as TODO comments and reported.
+ */
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const SourceMapper = require("../../agent/lib/source-mapper.js");
+
+const YAML_FILE = /\.ya?ml$/i;
+
+// Element method for each YAML click `action`
+const ELEMENT_ACTIONS = {
+  click: "click()",
+  "left-click": "click()",
+  "double-click": "doubleClick()",
+  "right-click": "rightClick()",
+  "middle-click": 'click("middle-click")',
+  hover: "hover()",
+  mouseDown: "mouseDown()",
+  mouseUp: "mouseUp()",
+};
+
+/**
+ * Nearest `testdriver/` directory above a file, as the agent resolves it
+ * @param {string} file
+ * @returns {string|null}
+ */
+function findTestDriverDirectory(file) {
+  let dir = path.dirname(path.resolve(file));
+  while (dir !== path.dirname(dir)) {
+    const candidate = path.join(dir, "testdriver");
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isDirectory()) {
+      return candidate;
+    }
+    if (path.basename(dir) === "testdriver") return dir;
+    dir = path.dirname(dir);
+  }
+  return null;
+}
+
+/**
+ * Resolve a `command: run` file the way the agent's embed() does
+ * @param {string} fromFile - YAML file containing the command
+ * @param {string} file - Value of `file:`
+ * @returns {string}
+ */
+function resolveEmbed(fromFile, file) {
+  if (path.isAbsolute(file)) return file;
+  if (file.startsWith("snippets/") || file.startsWith("lifecycle/")) {
+    const local = path.join(path.dirname(path.resolve(fromFile)), file);
+    if (fs.existsSync(local)) return local;
+    const testdriverDir = findTestDriverDirectory(fromFile);
+    if (testdriverDir) return path.join(testdriverDir, file);
+  }
+  return path.resolve(path.dirname(fromFile), file);
+}
+
+/**
+ * Lifecycle file the agent would run around a test, if any. A local
+ * `lifecycle/` directory next to the test wins over the project-wide one.
+ * @param {string} testFile
+ * @param {'prerun'|'postrun'} name
+ * @returns {string|null}
+ */
+function resolveLifecycle(testFile, name) {
+  const localDir = path.join(path.dirname(path.resolve(testFile)), "lifecycle");
+  const dir = fs.existsSync(localDir)
+    ? localDir
+    : path.join(findTestDriverDirectory(testFile) || "", "lifecycle");
+  for (const ext of [".yaml", ".yml"]) {
+    const file = path.join(dir, name + ext);
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+const camelCase = (value) =>
+  value
+    .replace(/\.[^.]+$/, "")
+    .replace(/[^a-zA-Z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ""))
+    .replace(/^[^a-zA-Z_$]+/, "")
+    .replace(/^./, (c) => c.toLowerCase()) || "run";
+
+/**
+ * JavaScript expression for a YAML string, turning `${...}` references into
+ * template literal expressions
+ * @param {*} value
+ * @param {Object} ctx - Generation context (file, usesOutputs)
+ * @returns {string}
+ */
+function toExpression(value, ctx) {
+  if (typeof value !== "string") return JSON.stringify(value ?? "");
+
+  const parts = [];
+  let last = 0;
+  let dynamic = false;
+  const pattern = /(\\?)\$\{([^}]+)\}/g;
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    parts.push({ text: value.slice(last, match.index) });
+    last = pattern.lastIndex;
+    const [whole, escaped, name] = match;
+    if (escaped) {
+      // \${VAR} is a literal ${VAR} in the agent
+      parts.push({ text: whole.slice(1) });
+    } else if (name.startsWith("OUTPUT.")) {
+      ctx.usesOutputs = true;
+      dynamic = true;
+      parts.push({ expr: `outputs[${JSON.stringify(name.slice(7))}]` });
+    } else if (name === "TD_THIS_FILE") {
+      parts.push({ text: path.relative(process.cwd(), ctx.file) });
+    } else {
+      dynamic = true;
+      parts.push({ expr: `process.env.${/^\w+$/.test(name) ? name : `[${JSON.stringify(name)}]`}` });
+    }
+  }
+  parts.push({ text: value.slice(last) });
+
+  const multiline = value.includes("\n");
+  if (!dynamic && !multiline) {
+    return JSON.stringify(parts.map((p) => p.text).join(""));
+  }
+  return (
+    "`" +
+    parts
+      .map((p) =>
+        p.expr !== undefined
+          ? "${" + p.expr + "}"
+          : p.text.replace(/\\/g, "\\\\").replace(/`/g, "\\`").replace(/\$\{/g, "\\${"),
+      )
+      .join("") +
+    "`"
+  );
+}
+
+/**
+ * Object literal for the options that are set, e.g. `{ timeout: 5000 }`
+ */
+function toOptions(entries, ctx) {
+  const set = entries.filter(([, value]) => value !== undefined && value !== null);
+  if (!set.length) return "";
+  return `{ ${set
+    .map(([key, value]) => `${key}: ${typeof value === "string" ? toExpression(value, ctx) : JSON.stringify(value)}`)
+    .join(", ")} }`;
+}
+
+const call = (method, args) => `await testdriver.${method}(${args.filter(Boolean).join(", ")});`;
+
+/**
+ * Translate one YAML command into lines of code
+ * @param {Object} command
+ * @param {Object} ctx - { file, line, issues, embeds, usesOutputs }
+ * @returns {string[]}
+ */
+function translateCommand(command, ctx) {
+  const report = (message) => {
+    ctx.issues.push({ file: ctx.file, line: ctx.line, command: command?.command, message });
+  };
+  const todo = (message) => {
+    report(message);
+    return [
+      `// TODO(migrate): ${message}`,
+      ...yaml
+        .dump(command, { lineWidth: -1 })
+        .trimEnd()
+        .split("\n")
+        .map((l) => `// ${l}`),
+    ];
+  };
+  const output = (name, expression) =>
+    name
+      ? ((ctx.usesOutputs = true), [`outputs[${JSON.stringify(String(name))}] = await ${expression};`])
+      : [`await ${expression};`];
+  const str = (value) => toExpression(value, ctx);
+
+  switch (command?.command) {
+    case "type":
+      return [call("type", [str(command.text), toOptions([["delay", command.delay], ["secret", command.secret]], ctx)])];
+
+    case "press-keys": {
+      const keys = Array.isArray(command.keys) ? command.keys : [command.keys];
+      return [call("pressKeys", [`[${keys.map((k) => str(String(k))).join(", ")}]`])];
+    }
+
+    case "scroll":
+      return [call("scroll", [str(command.direction || "down"), toOptions([["amount", command.amount]], ctx)])];
+
+    case "wait":
+      return [call("wait", [command.timeout !== undefined ? JSON.stringify(command.timeout) : ""])];
+
+    case "click":
+      return [call("click", [toOptions([["x", command.x], ["y", command.y], ["action", command.action]], ctx)])];
+
+    case "hover":
+      return [call("hover", [toOptions([["x", command.x], ["y", command.y]], ctx)])];
+
+    case "hover-text":
+    case "hover-image": {
+      const description =
+        command.command === "hover-text" && command.text && command.description
+          ? `${command.text}, ${command.description}`
+          : command.text || command.description;
+      const action = ELEMENT_ACTIONS[command.action || "click"];
+      if (!action) return todo(`unknown action "${command.action}"`);
+      return [
+        `await testdriver.find(${[str(description), toOptions([["timeout", command.timeout]], ctx)]
+          .filter(Boolean)
+          .join(", ")}).${action};`,
+      ];
+    }
+
+    case "match-image":
+      return [
+        call("matchImage", [
+          toOptions([["path", command.path], ["action", command.action], ["invert", command.invert]], ctx),
+        ]),
+      ];
+
+    case "wait-for-text":
+    case "wait-for-image": {
+      const method = command.command === "wait-for-text" ? "waitForText" : "waitForImage";
+      const key = command.command === "wait-for-text" ? "text" : "description";
+      if (command.invert) {
+        return todo(`${command.command} with invert: true has no SDK equivalent`);
+      }
+      return [call(method, [toOptions([[key, command[key]], ["timeout", command.timeout]], ctx)])];
+    }
+
+    case "scroll-until-text":
+      return [
+        call("scrollUntilText", [
+          toOptions(
+            [["text", command.text], ["direction", command.direction], ["maxDistance", command.distance], ["invert", command.invert]],
+            ctx,
+          ),
+        ]),
+      ];
+
+    case "scroll-until-image":
+      return [
+        call("scrollUntilImage", [
+          toOptions(
+            [
+              ["description", command.description],
+              ["direction", command.direction],
+              ["maxDistance", command.distance],
+              ["method", command.method],
+              ["path", command.path],
+              ["invert", command.invert],
+            ],
+            ctx,
+          ),
+        ]),
+      ];
+
+    case "focus-application":
+      return [call("focusApplication", [str(command.name)])];
+
+    case "extract":
+      return output(command.output, `testdriver.extract(${str(command.description)})`);
+
+    case "assert":
+      // assert() throws when the assertion fails, so an inverted assertion
+      // passes when it rejects
+      return command.invert
+        ? [`await expect(testdriver.assert(${str(command.expect)})).rejects.toThrow();`]
+        : [`expect(await testdriver.assert(${str(command.expect)})).toBeTruthy();`];
+
+    case "exec": {
+      const args = [str(command.lang || "pwsh"), str(command.code)];
+      if (command.timeout) args.push(JSON.stringify(command.timeout));
+      return output(command.output, `testdriver.exec(${args.join(", ")})`);
+    }
+
+    case "run": {
+      if (!command.file) return todo("run without a file");
+      const target = resolveEmbed(ctx.file, command.file);
+      if (!fs.existsSync(target)) return todo(`embedded file not found: ${command.file}`);
+      const name = ctx.embed(target);
+      ctx.usesOutputs = true;
+      return [`await ${name}(testdriver, outputs);`];
+    }
+
+    case "if": {
+      const lines = [
+        `if (await testdriver.assert(${str(command.condition)}).catch(() => false)) {`,
+        ...translateCommands(command.then || [], ctx).map((l) => "  " + l),
+      ];
+      if (command.else?.length) {
+        lines.push("} else {", ...translateCommands(command.else, ctx).map((l) => "  " + l));
+      }
+      lines.push("}");
+      return lines;
+    }
+
+    case "drag":
+      return todo("drag starts from the current pointer position; rewrite with element.dragTo() or testdriver.drag(from, to)");
+
+    default:
+      return todo(command?.command ? `unsupported command "${command.command}"` : "step entry without a command");
+  }
+}
+
+function translateCommands(commands, ctx) {
+  return commands.flatMap((command) => translateCommand(command, ctx));
+}
+
+/**
+ * Translate every step of a YAML file into lines of code
+ * @param {string} file
+ * @param {Object} ctx
+ * @returns {string[]}
+ */
+function translateSteps(file, ctx) {
+  const content = fs.readFileSync(file, "utf-8");
+  const { yamlObj, sourceMap } = new SourceMapper().parseYamlWithSourceMap(content, file);
+  const steps = yamlObj?.steps || [];
+  const lines = [];
+
+  steps.forEach((step, stepIndex) => {
+    if (lines.length) lines.push("");
+    const stepMap = sourceMap.steps[stepIndex];
+    ctx.line = stepMap ? stepMap.startLine + 1 : null;
+
+    if (step.prompt) {
+      lines.push(...String(step.prompt).trim().split("\n").map((l) => `// ${l}`));
+    }
+
+    if (!step.commands) {
+      // Steps without commands were explored by the agent at run time
+      if (step.prompt) lines.push(call("act", [toExpression(String(step.prompt), ctx)]));
+      return;
+    }
+
+    step.commands.forEach((command, commandIndex) => {
+      const commandMap = stepMap?.commands[commandIndex];
+      ctx.line = commandMap ? commandMap.startLine + 1 : ctx.line;
+      lines.push(...translateCommand(command, ctx));
+    });
+  });
+
+  return lines;
+}
+
+const isTestYaml = (file) => {
+  try {
+    const doc = yaml.load(fs.readFileSync(file, "utf-8"));
+    return Array.isArray(doc?.steps);
+  } catch {
+    return false;
+  }
+};
+
+function listYamlFiles(input) {
+  if (fs.statSync(input).isFile()) return [path.resolve(input)];
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.name === "node_modules" || entry.name.startsWith(".")) continue;
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else if (YAML_FILE.test(entry.name)) files.push(full);
+    }
+  };
+  walk(path.resolve(input));
+  return files.sort();
+}
+
+const relativeImport = (from, to) => {
+  const rel = path.relative(path.dirname(from), to).split(path.sep).join("/");
+  return rel.startsWith(".") ? rel : `./${rel}`;
+};
+
+/**
+ * Convert YAML tests to Vitest files. Nothing is written; the caller decides
+ * what to do with the result.
+ * @param {Object} options
+ * @param {string} options.input - YAML file, or a directory to convert recursively
+ * @param {string} [options.out] - Output directory (default: next to each YAML file)
+ * @returns {{ files: Array<{ source: string, target: string, kind: 'test'|'module', code: string }>, issues: Array<{ file: string, line: number|null, command: string|undefined, message: string }> }}
+ */
+function migrate({ input, out }) {
+  const root = fs.statSync(input).isFile() ? path.dirname(path.resolve(input)) : path.resolve(input);
+  const targetFor = (source, ext) => {
+    const base = source.replace(YAML_FILE, ext);
+    if (!out) return base;
+    const rel = path.relative(root, base);
+    return rel.startsWith("..") ? base : path.join(path.resolve(out), rel);
+  };
+
+  const issues = [];
+  const modules = new Map(); // source -> { target, name, code }
+  const files = [];
+
+  // Shared modules are generated once, however many tests use them
+  const moduleFor = (source) => {
+    if (modules.has(source)) return modules.get(source);
+    const mod = { source, target: targetFor(source, ".mjs"), name: camelCase(path.basename(source)) };
+    modules.set(source, mod);
+
+    const ctx = createContext(source);
+    const body = translateSteps(source, ctx);
+    mod.code = [
+      "/**",
+      ` * Migrated from: ${path.relative(process.cwd(), source)}`,
+      " */",
+      ...importsFor(ctx, mod.target, { expect: body.some((l) => l.includes("expect(")) }),
+      "",
+      `export default async function ${mod.name}(testdriver, outputs = {}) {`,
+      ...body.map((l) => (l ? `  ${l}` : "")),
+      "}",
+      "",
+    ].join("\n");
+    return mod;
+  };
+
+  const createContext = (file) => {
+    const ctx = { file, line: null, issues, usesOutputs: false, imports: new Map() };
+    ctx.embed = (target) => {
+      const mod = moduleFor(target);
+      if (!ctx.imports.has(mod.target)) {
+        // Two snippets with the same file name need different local names
+        const taken = new Set(ctx.imports.values());
+        let alias = mod.name;
+        for (let n = 2; taken.has(alias); n++) alias = `${mod.name}${n}`;
+        ctx.imports.set(mod.target, alias);
+      }
+      return ctx.imports.get(mod.target);
+    };
+    return ctx;
+  };
+
+  const importsFor = (ctx, target, { expect, testdriver = false }) => {
+    const lines = [];
+    if (expect || testdriver) {
+      lines.push(`import { ${["describe", "expect", "it"].filter((n) => testdriver || n === "expect").join(", ")} } from "vitest";`);
+    }
+    if (testdriver) lines.push('import { TestDriver } from "testdriverai/vitest/hooks";');
+    for (const [modTarget, name] of ctx.imports) {
+      lines.push(`import ${name} from "${relativeImport(target, modTarget)}";`);
+    }
+    return lines.length ? ["", ...lines] : lines;
+  };
+
+  const yamlFiles = listYamlFiles(input);
+
+  // Snippets and lifecycle files are only converted as modules of the tests using them
+  const embedded = new Set();
+  for (const file of yamlFiles) {
+    const content = fs.readFileSync(file, "utf-8");
+    for (const match of content.matchAll(/^\s*-?\s*file:\s*["']?([^"'\n]+?)["']?\s*$/gm)) {
+      embedded.add(resolveEmbed(file, match[1]));
+    }
+  }
+  const tests = yamlFiles.filter(
+    (file) =>
+      !embedded.has(file) &&
+      !file.split(path.sep).includes("lifecycle") &&
+      (yamlFiles.length === 1 || !file.split(path.sep).includes("snippets")) &&
+      isTestYaml(file),
+  );
+
+  for (const source of tests) {
+    const target = targetFor(source, ".test.mjs");
+    const ctx = createContext(source);
+    const name = path.basename(source).replace(YAML_FILE, "");
+
+    const prerun = resolveLifecycle(source, "prerun");
+    const postrun = resolveLifecycle(source, "postrun");
+    const testBody = prerun ? [`await ${ctx.embed(prerun)}(testdriver, outputs);`, ""] : [];
+    const steps = translateSteps(source, ctx);
+    if (postrun) {
+      // The agent always ran postrun, even when the test failed
+      testBody.push(
+        "try {",
+        ...steps.map((l) => (l ? `  ${l}` : "")),
+        "} finally {",
+        `  await ${ctx.embed(postrun)}(testdriver, outputs);`,
+        "}",
+      );
+    } else {
+      testBody.push(...steps);
+    }
+    if (ctx.imports.size) ctx.usesOutputs = true;
+
+    const code = [
+      "/**",
+      ` * Migrated from: ${path.relative(process.cwd(), source)}`,
+      " */",
+      ...importsFor(ctx, target, { testdriver: true }),
+      "",
+      `describe(${JSON.stringify(name)}, () => {`,
+      `  it(${JSON.stringify(`runs ${name}`)}, async (context) => {`,
+      "    const testdriver = TestDriver(context);",
+      ...(ctx.usesOutputs ? ["    const outputs = {};"] : []),
+      "",
+      ...testBody.map((l) => (l ? `    ${l}` : "")),
+      "  });",
+      "});",
+      "",
+    ].join("\n");
+
+    files.push({ source, target, kind: "test", code });
+  }
+
+  for (const mod of modules.values()) {
+    files.push({ source: mod.source, target: mod.target, kind: "module", code: mod.code });
+  }
+
+  return { files, issues };
+}
+
+module.exports = { migrate, toExpression, resolveEmbed, resolveLifecycle };
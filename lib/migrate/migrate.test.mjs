@@ -0,0 +1,115 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "node:module";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const require = createRequire(import.meta.url);
+const { migrate } = require("./index.js");
+
+/**
+ * A small v6 project: one test that embeds a snippet, reads an output
+ * written by that snippet, and has prerun/postrun lifecycle files. The
+ * migrated test has to run the same steps in the same order, and anything
+ * the SDK can't express must be reported with its YAML line.
+ */
+
+function project() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "td-migrate-"));
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  };
+
+  write(
+    "testdriver/lifecycle/prerun.yaml",
+    `version: 6.0.0
+steps:
+  - commands:
+      - command: exec
+        lang: sh
+        code: echo ready
+`,
+  );
+  write(
+    "testdriver/lifecycle/postrun.yaml",
+    `version: 6.0.0
+steps:
+  - commands:
+      - command: press-keys
+        keys: [ctrl, w]
+`,
+  );
+  write(
+    "testdriver/snippets/sign-in.yaml",
+    `version: 6.0.0
+steps:
+  - commands:
+      - command: hover-text
+        text: Sign in
+        description: sign in button
+        action: click
+      - command: extract
+        description: the username in the header
+        output: user
+`,
+  );
+  write(
+    "testdriver/login.yaml",
+    `version: 6.0.0
+steps:
+  - prompt: log in
+    commands:
+      - command: run
+        file: snippets/sign-in.yaml
+      - command: assert
+        expect: the header says \${OUTPUT.user}
+  - commands:
+      - command: drag
+        x: 10
+        y: 20
+`,
+  );
+
+  return root;
+}
+
+describe("migrate", () => {
+  it("converts a test with its embeds and lifecycle files", () => {
+    const root = project();
+    const { files } = migrate({ input: path.join(root, "testdriver"), out: path.join(root, "tests") });
+
+    expect(files.map((f) => [path.relative(root, f.target), f.kind])).toEqual([
+      [path.join("tests", "login.test.mjs"), "test"],
+      [path.join("tests", "lifecycle", "prerun.mjs"), "module"],
+      [path.join("tests", "snippets", "sign-in.mjs"), "module"],
+      [path.join("tests", "lifecycle", "postrun.mjs"), "module"],
+    ]);
+
+    const test = files[0].code;
+    expect(test).toContain('import signIn from "./snippets/sign-in.mjs";');
+    expect(test).toContain("await signIn(testdriver, outputs);");
+    expect(test).toContain('testdriver.assert(`the header says ${outputs["user"]}`)');
+    // prerun runs first, postrun runs even if the test fails
+    expect(test.indexOf("await prerun(")).toBeLessThan(test.indexOf("try {"));
+    expect(test).toMatch(/} finally {\n\s+await postrun\(testdriver, outputs\);/);
+
+    const snippet = files[2].code;
+    expect(snippet).toContain("export default async function signIn(testdriver, outputs = {})");
+    expect(snippet).toContain('outputs["user"] = await testdriver.extract(');
+  });
+
+  it("reports commands it could not translate with their line", () => {
+    const root = project();
+    const { files, issues } = migrate({ input: path.join(root, "testdriver", "login.yaml") });
+
+    expect(files[0].target).toBe(path.join(root, "testdriver", "login.test.mjs"));
+    expect(files[0].code).toContain("// TODO(migrate):");
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({
+      file: path.join(root, "testdriver", "login.yaml"),
+      line: 10,
+      command: "drag",
+    });
+  });
+});
@@ -0,0 +1,360 @@
+/**
+ * Network API for the TestDriver SDK (`testdriver.network`)
+ *
+ * Records the browser's network traffic through Chrome's remote debugging
+ * port. A small recorder (./recorder.js) runs in the sandbox, attaches to
+ * every page and logs network events as JSON lines; this side reads the log
+ * back to answer waitForRequest(), check for failures and build a HAR file.
+ *
+ *   await testdriver.network.start();
+ *   await testdriver.find("Submit").click();
+ *   await testdriver.network.waitForRequest("/api/orders");
+ *   await testdriver.network.expectNoFailedRequests();
+ *   await testdriver.network.stop({ har: "orders.har" });
+ */
+const fs = require("fs");
+const path = require("path");
+const { createSandboxNode } = require("../cdp");
+const { version } = require("../../package.json");
+
+const RECORDER = fs.readFileSync(path.join(__dirname, "recorder.js"), "utf8");
+
+/**
+ * Turn recorder log lines into one entry per request. A redirect reuses its
+ * request id, so a new "request" for a known id starts a new entry.
+ * @param {string} jsonl - Recorder log
+ * @returns {Object[]} Entries in the order the requests were sent
+ */
+function parseEvents(jsonl) {
+  const entries = [];
+  const open = new Map();
+
+  for (const line of jsonl.split("\n")) {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      continue; // blank line, or one still being written
+    }
+    if (!event.id) continue;
+
+    if (event.e === "request") {
+      const entry = {
+        id: event.id,
+        url: event.url,
+        method: event.method,
+        type: event.type,
+        requestHeaders: event.headers || {},
+        postData: event.postData,
+        startedAt: event.t,
+      };
+      entries.push(entry);
+      open.set(event.id, entry);
+      continue;
+    }
+
+    const entry = open.get(event.id);
+    if (!entry) continue;
+
+    if (event.e === "response") {
+      Object.assign(entry, {
+        status: event.status,
+        statusText: event.statusText,
+        responseHeaders: event.headers || {},
+        mimeType: event.mimeType,
+        protocol: event.protocol,
+        fromCache: event.fromCache,
+        respondedAt: event.t,
+      });
+    } else if (event.e === "finished") {
+      Object.assign(entry, { size: event.size, endedAt: event.t });
+    } else if (event.e === "failed") {
+      Object.assign(entry, {
+        error: event.error,
+        canceled: !!event.canceled,
+        blockedReason: event.blockedReason,
+        endedAt: event.t,
+      });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Whether a URL matches a pattern: a RegExp, a glob with `*`, or a substring
+ * @param {string|RegExp} pattern
+ * @param {string} url
+ */
+function matchUrl(pattern, url) {
+  if (pattern instanceof RegExp) return pattern.test(url);
+  if (pattern.includes("*")) {
+    const source = pattern
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    return new RegExp(`^${source}$`).test(url);
+  }
+  return url.includes(pattern);
+}
+
+/**
+ * Requests that failed to load or got an HTTP error status. Requests the
+ * page canceled itself (navigating away, aborted fetches) don't count.
+ * @param {Object[]} entries - From parseEvents()
+ * @param {Object} [options]
+ * @param {Array<string|RegExp>} [options.ignore] - URL patterns to skip
+ * @param {number} [options.status=400] - Lowest status that counts as failed
+ */
+function failedRequests(entries, { ignore = [], status = 400 } = {}) {
+  return entries.filter(
+    (entry) =>
+      ((entry.error && !entry.canceled) || entry.status >= status) &&
+      !ignore.some((pattern) => matchUrl(pattern, entry.url)),
+  );
+}
+
+const toNameValue = (headers = {}) =>
+  Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+
+const queryString = (url) => {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Build a HAR 1.2 log. Timings are as seen from the page: `wait` runs from
+ * request to response headers and `receive` from headers to the last byte.
+ * @param {Object[]} entries - From parseEvents()
+ * @returns {Object} `{ log: { version, creator, pages, entries } }`
+ */
+function toHar(entries) {
+  return {
+    log: {
+      version: "1.2",
+      creator: { name: "testdriverai", version },
+      pages: [],
+      entries: entries.map((entry) => {
+        const wait = entry.respondedAt ? entry.respondedAt - entry.startedAt : -1;
+        const receive =
+          entry.respondedAt && entry.endedAt ? entry.endedAt - entry.respondedAt : -1;
+        const requestHeaders = entry.requestHeaders || {};
+        const responseHeaders = entry.responseHeaders || {};
+        const contentType = Object.entries(requestHeaders).find(
+          ([name]) => name.toLowerCase() === "content-type",
+        );
+        const location = Object.entries(responseHeaders).find(
+          ([name]) => name.toLowerCase() === "location",
+        );
+
+        return {
+          startedDateTime: new Date(entry.startedAt).toISOString(),
+          time: Math.max(wait, 0) + Math.max(receive, 0),
+          request: {
+            method: entry.method,
+            url: entry.url,
+            httpVersion: entry.protocol || "",
+            cookies: [],
+            headers: toNameValue(requestHeaders),
+            queryString: queryString(entry.url),
+            ...(entry.postData !== undefined && {
+              postData: {
+                mimeType: contentType ? contentType[1] : "",
+                text: entry.postData,
+              },
+            }),
+            headersSize: -1,
+            bodySize: entry.postData ? Buffer.byteLength(entry.postData) : 0,
+          },
+          response: {
+            status: entry.status || 0,
+            statusText: entry.statusText || "",
+            httpVersion: entry.protocol || "",
+            cookies: [],
+            headers: toNameValue(responseHeaders),
+            content: { size: entry.size ?? 0, mimeType: entry.mimeType || "" },
+            redirectURL: location ? location[1] : "",
+            headersSize: -1,
+            bodySize: entry.size ?? -1,
+            ...(entry.error && { _error: entry.error }),
+          },
+          cache: {},
+          timings: { send: 0, wait, receive },
+          _resourceType: entry.type,
+        };
+      }),
+    },
+  };
+}
+
+const describeEntry = (entry) =>
+  `${entry.method} ${entry.url} -> ${entry.error || `${entry.status} ${entry.statusText || ""}`.trim()}`;
+
+/**
+ * Create the network API bound to a TestDriver SDK instance.
+ *
+ * @param {object} self - The TestDriver instance (uses `self.os` and
+ *   `self.sandbox` through lib/cdp)
+ * @returns {Object} `{ start, stop, requests, waitForRequest, expectNoFailedRequests }`
+ */
+function createNetworkAPI(self) {
+  const node = createSandboxNode(self);
+  const files = () => ({
+    script: node.tmp("td-network-recorder.js"),
+    log: node.tmp("td-network.jsonl"),
+    stop: node.tmp("td-network.stop"),
+  });
+  let recording = false;
+  let entries = [];
+
+  // The recorder's log so far. Each read only fetches the bytes written
+  // since the last one; a line still being written waits in `partial`.
+  let logText = "";
+  let offset = 0;
+  let partial = Buffer.alloc(0);
+
+  const resetLog = () => {
+    logText = "";
+    offset = 0;
+    partial = Buffer.alloc(0);
+  };
+
+  const readLog = async () => {
+    const chunk = await node.readFileFrom(files().log, offset);
+    offset += chunk.length;
+    partial = Buffer.concat([partial, chunk]);
+    const end = partial.lastIndexOf(0x0a) + 1;
+    logText += partial.subarray(0, end).toString("utf8");
+    partial = partial.subarray(end);
+    return logText;
+  };
+
+  const read = async () => {
+    entries = parseEvents(await readLog());
+    return entries;
+  };
+
+  // Poll the log until a line with this event shows up
+  const waitForEvent = async (name, timeout) => {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      const text = await readLog();
+      const error = text.match(/"e":"error","error":"([^"]*)"/);
+      if (error) throw new Error(`[network] Recorder failed: ${error[1]}`);
+      if (text.includes(`"e":"${name}"`)) return text;
+      await new Promise((resolve) => setTimeout(resolve, 500));
+    }
+    throw new Error(`[network] Recorder did not report "${name}" within ${timeout}ms`);
+  };
+
+  return {
+    /** True between start() and stop() */
+    get recording() {
+      return recording;
+    },
+
+    /**
+     * Start recording network traffic in Chrome. Needs Chrome launched with
+     * provision.chrome() (or with --remote-debugging-port=9222).
+     * @returns {Promise<void>}
+     */
+    async start() {
+      if (recording) return;
+      const { script, log, stop } = files();
+      await node.install();
+      await node.writeFile(script, RECORDER);
+      await node.removeFiles(log, stop);
+      resetLog();
+      await node.spawn(script, [log, stop]);
+      await waitForEvent("started", 30000);
+      entries = [];
+      recording = true;
+    },
+
+    /**
+     * Stop recording and return the traffic as a HAR log
+     * @param {Object} [options]
+     * @param {string} [options.har] - Also write the HAR to this local file
+     * @returns {Promise<Object>} HAR 1.2 object
+     */
+    async stop({ har } = {}) {
+      if (recording) {
+        const { log, stop } = files();
+        await node.writeFile(stop, "");
+        entries = parseEvents(await waitForEvent("stopped", 10000));
+        await node.removeFiles(log, stop);
+        resetLog();
+        recording = false;
+      }
+      const result = toHar(entries);
+      if (har) {
+        fs.mkdirSync(path.dirname(path.resolve(har)), { recursive: true });
+        fs.writeFileSync(har, JSON.stringify(result, null, 2));
+      }
+      return result;
+    },
+
+    /**
+     * Requests recorded so far (live while recording, final after stop())
+     * @returns {Promise<Object[]>} `{ url, method, status, error, ... }` entries
+     */
+    async requests() {
+      return recording ? read() : entries;
+    },
+
+    /**
+     * Wait until the page sends a request whose URL matches
+     * @param {string|RegExp} urlPattern - RegExp, glob with `*`, or substring
+     * @param {Object} [options]
+     * @param {number} [options.timeout=30000]
+     * @param {number} [options.interval=1000] - Polling interval in ms
+     * @param {boolean} [options.response=true] - Also wait for the response (or failure)
+     * @returns {Promise<Object>} The matching entry
+     */
+    async waitForRequest(urlPattern, { timeout = 30000, interval = 1000, response = true } = {}) {
+      if (!recording) {
+        throw new Error("[network] Call network.start() before waitForRequest()");
+      }
+      const deadline = Date.now() + timeout;
+      for (;;) {
+        const match = (await read()).find(
+          (entry) =>
+            matchUrl(urlPattern, entry.url) &&
+            (!response || entry.status !== undefined || entry.error),
+        );
+        if (match) return match;
+        if (Date.now() >= deadline) break;
+        await new Promise((resolve) => setTimeout(resolve, interval));
+      }
+      throw new Error(`[network] No request matching ${urlPattern} within ${timeout}ms`);
+    },
+
+    /**
+     * Throw if any recorded request failed or got a 4xx/5xx response
+     * @param {Object} [options]
+     * @param {Array<string|RegExp>} [options.ignore] - URL patterns to skip (e.g. '/favicon.ico')
+     * @param {number} [options.status=400] - Lowest status that counts as failed
+     * @returns {Promise<void>}
+     */
+    async expectNoFailedRequests(options = {}) {
+      const failed = failedRequests(await this.requests(), options);
+      if (failed.length) {
+        throw new Error(
+          `[network] ${failed.length} failed request${failed.length === 1 ? "" : "s"}:\n` +
+            failed.map((entry) => `  ${describeEntry(entry)}`).join("\n"),
+        );
+      }
+    },
+  };
+}
+
+module.exports = {
+  createNetworkAPI,
+  parseEvents,
+  toHar,
+  matchUrl,
+  failedRequests,
+};
@@ -0,0 +1,96 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const {
+  createNetworkAPI,
+  parseEvents,
+  toHar,
+  failedRequests,
+} = require("./index.js");
+const { FakeSandbox } = require("../testing/index.js");
+
+/**
+ * The recorder only runs inside a sandbox, so these tests feed the host side
+ * recorder logs directly, and drive createNetworkAPI through a FakeSandbox
+ * that plays back a log file.
+ */
+
+const line = (event) => JSON.stringify(event);
+const LOG = [
+  line({ t: 1000, e: "started" }),
+  line({ t: 1010, e: "request", id: "p:1", url: "http://a.test/login", method: "GET", headers: {}, type: "Document" }),
+  line({ t: 1020, e: "response", id: "p:1", status: 302, statusText: "Found", headers: { Location: "/home" } }),
+  line({ t: 1021, e: "request", id: "p:1", url: "http://a.test/home", method: "GET", headers: {}, type: "Document" }),
+  line({ t: 1040, e: "response", id: "p:1", status: 200, statusText: "OK", headers: {}, mimeType: "text/html" }),
+  line({ t: 1050, e: "finished", id: "p:1", size: 512 }),
+  line({ t: 1060, e: "request", id: "p:2", url: "http://a.test/api/cart?x=1", method: "POST", headers: { "Content-Type": "application/json" }, postData: "{}", type: "Fetch" }),
+  line({ t: 1070, e: "response", id: "p:2", status: 500, statusText: "Internal Server Error", headers: {} }),
+  line({ t: 1080, e: "request", id: "p:3", url: "http://a.test/poll", method: "GET", headers: {}, type: "XHR" }),
+  line({ t: 1090, e: "failed", id: "p:3", error: "net::ERR_ABORTED", canceled: true }),
+  line({ t: 1100, e: "request", id: "p:4", url: "http://cdn.test/app.js", method: "GET", headers: {}, type: "Script" }),
+  line({ t: 1110, e: "failed", id: "p:4", error: "net::ERR_NAME_NOT_RESOLVED" }),
+  '{"t":1120,"e":"requ', // line still being written
+].join("\n");
+
+describe("network", () => {
+  it("turns recorder logs into HAR entries and failures", () => {
+    const entries = parseEvents(LOG);
+    expect(entries.map((e) => `${e.url} ${e.status ?? e.error}`)).toEqual([
+      "http://a.test/login 302",
+      "http://a.test/home 200",
+      "http://a.test/api/cart?x=1 500",
+      "http://a.test/poll net::ERR_ABORTED",
+      "http://cdn.test/app.js net::ERR_NAME_NOT_RESOLVED",
+    ]);
+
+    const har = toHar(entries);
+    expect(har.log.version).toBe("1.2");
+    expect(har.log.entries[0].response.redirectURL).toBe("/home");
+    expect(har.log.entries[1].timings).toEqual({ send: 0, wait: 19, receive: 10 });
+    expect(har.log.entries[2].request.postData).toEqual({ mimeType: "application/json", text: "{}" });
+    expect(har.log.entries[2].request.queryString).toEqual([{ name: "x", value: "1" }]);
+
+    expect(failedRequests(entries).map((e) => e.url)).toEqual([
+      "http://a.test/api/cart?x=1",
+      "http://cdn.test/app.js",
+    ]);
+    expect(failedRequests(entries, { ignore: ["cdn.test", /cart/] })).toEqual([]);
+  });
+
+  it("waits for requests and reports failures through the sandbox", async () => {
+    let log = "";
+    const sandbox = new FakeSandbox({
+      exec: (command) => {
+        if (command.includes("recorder.js")) log = LOG;
+        const tail = command.match(/^tail -c \+(\d+) /);
+        return tail ? Buffer.from(log).subarray(Number(tail[1]) - 1).toString("base64") : "";
+      },
+    });
+    const network = createNetworkAPI({ os: "linux", connected: true, sandbox });
+
+    await expect(network.waitForRequest("/api/cart")).rejects.toThrow(/network.start\(\)/);
+    await network.start();
+    expect(network.recording).toBe(true);
+    expect((await network.waitForRequest("http://a.test/api/*", { timeout: 0 })).status).toBe(500);
+    await expect(network.waitForRequest(/checkout/, { timeout: 0 })).rejects.toThrow(
+      "[network] No request matching /checkout/ within 0ms",
+    );
+    await expect(network.expectNoFailedRequests()).rejects.toThrow(
+      "[network] 2 failed requests:\n" +
+        "  POST http://a.test/api/cart?x=1 -> 500 Internal Server Error\n" +
+        "  GET http://cdn.test/app.js -> net::ERR_NAME_NOT_RESOLVED",
+    );
+
+    // Later reads only fetch what was appended, and pick up the line that
+    // was still being written
+    log += 'est","id":"p:5","url":"http://a.test/done","method":"GET","headers":{}}\n';
+    expect((await network.waitForRequest("/done", { timeout: 0, response: false })).method).toBe("GET");
+    const offsets = sandbox.executed
+      .map((command) => command.match(/^tail -c \+(\d+) /)?.[1])
+      .filter(Boolean)
+      .map(Number);
+    expect(offsets[0]).toBe(1);
+    expect(offsets.at(-1)).toBe(Buffer.byteLength(LOG) + 1);
+  });
+});
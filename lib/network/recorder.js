@@ -0,0 +1,92 @@
+/**
+ * Network Recorder Script
+ * This script runs in the sandbox next to Chrome. It attaches to every page
+ * over CDP (remote debugging port 9222), including pages opened later, and
+ * appends one JSON line per network event to the log file until the stop
+ * file appears.
+ *
+ *   node recorder.js <logFile> <stopFile>
+ */
+const CDP = require("chrome-remote-interface");
+const fs = require("fs");
+
+const [logFile, stopFile] = process.argv.slice(2);
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const attached = new Set();
+
+function write(event) {
+  fs.appendFileSync(logFile, JSON.stringify({ t: Date.now(), ...event }) + "\n");
+}
+
+function response(id, res) {
+  return {
+    e: "response",
+    id,
+    status: res.status,
+    statusText: res.statusText,
+    headers: res.headers,
+    mimeType: res.mimeType,
+    protocol: res.protocol,
+    fromCache: res.fromDiskCache || res.fromServiceWorker || false,
+  };
+}
+
+async function attach(target) {
+  attached.add(target.id);
+  const client = await CDP({ port: 9222, target });
+  const { Network } = client;
+  const key = (requestId) => `${target.id}:${requestId}`;
+
+  Network.requestWillBeSent(({ requestId, request, type, redirectResponse }) => {
+    // A redirect reuses the request id: close out the previous hop first
+    if (redirectResponse) write(response(key(requestId), redirectResponse));
+    write({
+      e: "request",
+      id: key(requestId),
+      url: request.url,
+      method: request.method,
+      headers: request.headers,
+      postData: request.postData,
+      type,
+    });
+  });
+  Network.responseReceived(({ requestId, response: res }) => {
+    write(response(key(requestId), res));
+  });
+  Network.loadingFinished(({ requestId, encodedDataLength }) => {
+    write({ e: "finished", id: key(requestId), size: encodedDataLength });
+  });
+  Network.loadingFailed(({ requestId, errorText, canceled, blockedReason }) => {
+    write({ e: "failed", id: key(requestId), error: errorText, canceled, blockedReason });
+  });
+
+  client.on("disconnect", () => attached.delete(target.id));
+  await Network.enable();
+}
+
+async function main() {
+  fs.writeFileSync(logFile, "");
+  write({ e: "started" });
+
+  while (!fs.existsSync(stopFile)) {
+    try {
+      const targets = await CDP.List({ port: 9222 });
+      for (const target of targets) {
+        if (target.type === "page" && !attached.has(target.id)) {
+          await attach(target).catch(() => attached.delete(target.id));
+        }
+      }
+    } catch {
+      // Chrome not reachable right now; keep polling
+    }
+    await sleep(500);
+  }
+
+  write({ e: "stopped" });
+  process.exit(0);
+}
+
+main().catch((error) => {
+  write({ e: "error", error: error.message });
+  process.exit(1);
+});
@@ -20,13 +20,9 @@
 
 import { TestDriver } from '../vitest/hooks.mjs';
 
-/**
- * Chrome Browser Preset (DEPRECATED)
- * Use testdriver.provision.chrome() instead
- */
-export async function chrome(context, options = {}) {
-  console.warn('[chrome preset] DEPRECATED: Use TestDriver() + testdriver.provision.chrome() instead');
-  
+// Shared body of the browser presets: connect, optionally start Dashcam,
+// then launch the browser with testdriver.provision[browser]()
+async function browserPreset(browser, context, options) {
   const {
     url = 'http://testdriver-sandbox.vercel.app/',
     dashcam: enableDashcam = false,
@@ -44,7 +40,7 @@ export async function chrome(context, options = {}) {
     await testdriver.dashcam.start();
   }
 
-  await testdriver.provision.chrome({ url });
+  await testdriver.provision[browser]({ url });
 
   return {
     testdriver: testdriver,
@@ -52,6 +48,15 @@ export async function chrome(context, options = {}) {
   };
 }
 
+/**
+ * Chrome Browser Preset (DEPRECATED)
+ * Use testdriver.provision.chrome() instead
+ */
+export function chrome(context, options = {}) {
+  console.warn('[chrome preset] DEPRECATED: Use TestDriver() + testdriver.provision.chrome() instead');
+  return browserPreset('chrome', context, options);
+}
+
 /**
  * VS Code Preset
  * Automatically sets up VS Code with TestDriver and Dashcam
@@ -280,20 +285,22 @@ export const electron = createPreset({
 export async function webApp(context, options = {}) {
   const { browser = 'chrome', ...restOptions } = options;
   
-  // Currently only Chrome is implemented
   // All options are automatically forwarded to the browser preset
   if (browser === 'chrome') {
     return chrome(context, restOptions);
   }
+  if (browser === 'firefox' || browser === 'edge') {
+    return browserPreset(browser, context, restOptions);
+  }
   
-  throw new Error(`Browser "${browser}" not yet implemented. Use 'chrome' for now.`);
+  throw new Error(`Browser "${browser}" not supported. Use 'chrome', 'firefox' or 'edge'.`);
 }
 
 /**
  * Provision application preset
  * Main entry point for provisioning any application preset
  * 
- * @param {string} app - Application type: 'chrome', 'vscode', 'electron', 'webapp'
+ * @param {string} app - Application type: 'chrome', 'firefox', 'edge', 'vscode', 'electron', 'webapp'
  * @param {object} options - Preset options (varies by app type)
  * @param {object} context - Vitest test context
  * @returns {Promise<{testdriver: TestDriver, dashcam: Dashcam, ...}>}
@@ -310,6 +317,8 @@ export async function webApp(context, options = {}) {
 export async function provision(app, options = {}, context) {
   const presets = {
     chrome,
+    firefox: (context, options) => browserPreset('firefox', context, options),
+    edge: (context, options) => browserPreset('edge', context, options),
     vscode,
     electron,
     webapp: webApp,
@@ -1,24 +1,135 @@
 /**
  * Provision API for the TestDriver SDK.
  *
- * Exposes methods for launching applications (chrome, chromeExtension, vscode,
- * installer, electron) and initializing dashcam recording inside the sandbox.
+ * Exposes methods for launching applications (chrome, chromeExtension, edge,
+ * firefox, vscode, installer, electron) and initializing dashcam recording
+ * inside the sandbox.
  *
  * All methods are wrapped with a Proxy that skips provisioning when the SDK
  * is in reconnect mode.
  */
+const fs = require("fs");
 
 /**
  * Create the provision API bound to a TestDriver SDK instance.
  *
  * @param {object} self - The TestDriver instance. Provision methods read from
  *   `self.os`, `self.dashcam`, `self.dashcamEnabled`, `self.reconnect`, and
- *   call through `self.exec(...)`, `self.focusApplication(...)`,
+ *   call through `self.exec(...)`, `self.focusApplication(...)`, `self.browser`,
  *   `self._getDashcamChromeExtensionPath()`, `self._waitForChromeDebuggerReady()`,
  *   and `self._getUrlDomainPattern(url)`.
  * @returns {Proxy} The provision API object.
  */
 function createProvisionAPI(self) {
+  /**
+   * Unpack a CRX file in the sandbox (a ZIP behind a CRX2/CRX3 header) into
+   * `<extensionDir>/unpacked`, for --load-extension
+   * @param {string} crxPath - CRX file in the sandbox
+   * @param {string} extensionDir - Sandbox directory to unpack into
+   * @returns {Promise<string>} The unpacked extension directory
+   */
+  const unpackCrx = async (crxPath, extensionDir) => {
+    if (self.os === "windows") {
+      // PowerShell: Read CRX, skip header, extract ZIP
+      await self.exec(
+        "pwsh",
+        `
+$crxBytes = [System.IO.File]::ReadAllBytes("${crxPath}")
+# CRX3 header: 4 bytes magic + 4 bytes version + 4 bytes header length + header
+$magic = [System.Text.Encoding]::ASCII.GetString($crxBytes[0..3])
+if ($magic -eq "Cr24") {
+  $headerLen = [BitConverter]::ToUInt32($crxBytes, 8)
+  $zipStart = 12 + $headerLen
+} else {
+  # CRX2 format
+  $zipStart = 16 + [BitConverter]::ToUInt32($crxBytes, 8) + [BitConverter]::ToUInt32($crxBytes, 12)
+}
+$zipBytes = $crxBytes[$zipStart..($crxBytes.Length - 1)]
+$zipPath = "${extensionDir}\\extension.zip"
+[System.IO.File]::WriteAllBytes($zipPath, $zipBytes)
+Expand-Archive -Path $zipPath -DestinationPath "${extensionDir}\\unpacked" -Force
+          `,
+        30000,
+        true,
+      );
+      return `${extensionDir}\\unpacked`;
+    }
+
+    // Linux: skip the header with python and unzip the rest
+    await self.exec(
+      "sh",
+      `
+cd "${extensionDir}"
+# CRX3 format: magic(4) + version(4) + header_length(4) + header + zip
+python3 -c "
+import struct
+import zipfile
+import io
+import os
+
+with open('${crxPath}', 'rb') as f:
+    data = f.read()
+
+# Check magic number
+magic = data[:4]
+if magic == b'Cr24':
+    # CRX3 format
+    header_len = struct.unpack('<I', data[8:12])[0]
+    zip_start = 12 + header_len
+else:
+    # CRX2 format
+    pub_key_len = struct.unpack('<I', data[8:12])[0]
+    sig_len = struct.unpack('<I', data[12:16])[0]
+    zip_start = 16 + pub_key_len + sig_len
+
+zip_data = data[zip_start:]
+os.makedirs('unpacked', exist_ok=True)
+with zipfile.ZipFile(io.BytesIO(zip_data)) as zf:
+    zf.extractall('unpacked')
+"
+          `,
+      30000,
+      true,
+    );
+    return `${extensionDir}/unpacked`;
+  };
+
+  // Create a directory in the sandbox (and its parents)
+  const mkdir = (dirPath) =>
+    self.exec(
+      self.os === "windows" ? "pwsh" : "sh",
+      self.os === "windows"
+        ? `New-Item -ItemType Directory -Path "${dirPath}" -Force | Out-Null`
+        : `mkdir -p "${dirPath}"`,
+      60000,
+      true,
+    );
+
+  // Write a text file in the sandbox, creating its directory. `sudo` is for
+  // system paths on Linux (Windows sandboxes run as an administrator).
+  const writeFile = async (filePath, content, { sudo = false } = {}) => {
+    if (self.os === "windows") {
+      const dir = filePath.slice(0, filePath.lastIndexOf("\\"));
+      await mkdir(dir);
+      // [System.IO.File]::WriteAllText avoids Set-Content hanging issues
+      await self.exec(
+        "pwsh",
+        `[System.IO.File]::WriteAllText("${filePath}", '${content.replace(/'/g, "''")}')`,
+        60000,
+        true,
+      );
+      return;
+    }
+    const dir = filePath.slice(0, filePath.lastIndexOf("/"));
+    const run = sudo ? "sudo " : "";
+    await self.exec(
+      "sh",
+      `${run}mkdir -p "${dir}" && ${run}tee "${filePath}" >/dev/null << 'EOF'\n${content}\nEOF`,
+      60000,
+      true,
+    );
+  };
+
   const provisionMethods = {
     /**
      * Launch Chrome browser
@@ -26,6 +137,8 @@ function createProvisionAPI(self) {
      * @param {string} [options.url='http://testdriver-sandbox.vercel.app/'] - URL to navigate to
      * @param {boolean} [options.maximized=true] - Start maximized
      * @param {boolean} [options.guest=false] - Use guest mode
+     * @param {string|Object} [options.storageState] - File written by saveStorageState(), or
+     *   the state object; its cookies and localStorage are restored and the page reloaded
      * @returns {Promise<void>}
      */
     chrome: async (options = {}) => {
@@ -33,8 +146,15 @@ function createProvisionAPI(self) {
         url = "http://testdriver-sandbox.vercel.app/",
         maximized = true,
         guest = false,
+        storageState,
       } = options;
 
+      // Read the state file up front so a bad path fails before Chrome starts
+      const state =
+        typeof storageState === "string"
+          ? JSON.parse(fs.readFileSync(storageState, "utf8"))
+          : storageState;
+
       // Store the URL for domain-specific web log tracking
       self._provisionedChromeUrl = url;
 
@@ -141,6 +261,12 @@ function createProvisionAPI(self) {
 
       // Wait for Chrome debugger port and page to be ready
       await self._waitForChromeDebuggerReady();
+
+      // Restore a saved login, then reload so the app sees it
+      if (state && (await self.browser.setStorageState(state))) {
+        await self.browser.reload();
+      }
+
       await self.focusApplication("Google Chrome");
 
       // Add web log tracking with domain wildcard pattern, then start dashcam
@@ -234,71 +360,7 @@ function createProvisionAPI(self) {
         }
 
         // Extract the CRX file (CRX is a ZIP with a header)
-        // Skip the CRX header and extract as ZIP
-        if (self.os === "windows") {
-          // PowerShell: Read CRX, skip header, extract ZIP
-          await self.exec(
-            "pwsh",
-            `
-$crxBytes = [System.IO.File]::ReadAllBytes("${crxPath}")
-# CRX3 header: 4 bytes magic + 4 bytes version + 4 bytes header length + header
-$magic = [System.Text.Encoding]::ASCII.GetString($crxBytes[0..3])
-if ($magic -eq "Cr24") {
-  $headerLen = [BitConverter]::ToUInt32($crxBytes, 8)
-  $zipStart = 12 + $headerLen
-} else {
-  # CRX2 format
-  $zipStart = 16 + [BitConverter]::ToUInt32($crxBytes, 8) + [BitConverter]::ToUInt32($crxBytes, 12)
-}
-$zipBytes = $crxBytes[$zipStart..($crxBytes.Length - 1)]
-$zipPath = "${extensionDir}\\extension.zip"
-[System.IO.File]::WriteAllBytes($zipPath, $zipBytes)
-Expand-Archive -Path $zipPath -DestinationPath "${extensionDir}\\unpacked" -Force
-              `,
-            30000,
-            true,
-          );
-          extensionPath = `${extensionDir}\\unpacked`;
-        } else {
-          // Linux: Use unzip with offset or python to extract
-          await self.exec(
-            "sh",
-            `
-cd "${extensionDir}"
-# Extract CRX (skip header and unzip)
-# CRX3 format: magic(4) + version(4) + header_length(4) + header + zip
-python3 -c "
-import struct
-import zipfile
-import io
-import os
-
-with open('extension.crx', 'rb') as f:
-    data = f.read()
-
-# Check magic number
-magic = data[:4]
-if magic == b'Cr24':
-    # CRX3 format
-    header_len = struct.unpack('<I', data[8:12])[0]
-    zip_start = 12 + header_len
-else:
-    # CRX2 format  
-    pub_key_len = struct.unpack('<I', data[8:12])[0]
-    sig_len = struct.unpack('<I', data[12:16])[0]
-    zip_start = 16 + pub_key_len + sig_len
-
-zip_data = data[zip_start:]
-os.makedirs('unpacked', exist_ok=True)
-with zipfile.ZipFile(io.BytesIO(zip_data)) as zf:
-    zf.extractall('unpacked')
-"
-              `,
-            30000,
-            true,
-          );
-          extensionPath = `${extensionDir}/unpacked`;
-        }
+        extensionPath = await unpackCrx(crxPath, extensionDir);
 
         console.log(
           `[provision.chromeExtension] Extension ${extensionId} extracted to ${extensionPath}`,
@@ -418,6 +480,296 @@ with zipfile.ZipFile(io.BytesIO(zip_data)) as zf:
       }
     },
 
+    /**
+     * Launch Microsoft Edge. Edge is Chromium-based, so it is launched like
+     * Chrome, remote debugging included: testdriver.browser,
+     * testdriver.network and captcha() work with it too.
+     * @param {Object} options - Edge launch options
+     * @param {string} [options.url='http://testdriver-sandbox.vercel.app/'] - URL to navigate to
+     * @param {boolean} [options.maximized=true] - Start maximized
+     * @param {boolean} [options.guest=false] - Use guest mode
+     * @param {string} [options.profile] - User data directory in the sandbox to use instead of a clean one
+     * @param {string} [options.extension] - Extension to load: an unpacked directory or a .crx file in the sandbox
+     * @param {string|Object} [options.storageState] - Cookies and localStorage to restore, as for chrome()
+     * @returns {Promise<void>}
+     */
+    edge: async (options = {}) => {
+      const {
+        url = "http://testdriver-sandbox.vercel.app/",
+        maximized = true,
+        guest = false,
+        profile,
+        extension,
+        storageState,
+      } = options;
+
+      const state =
+        typeof storageState === "string"
+          ? JSON.parse(fs.readFileSync(storageState, "utf8"))
+          : storageState;
+
+      // Store the URL for domain-specific web log tracking
+      self._provisionedChromeUrl = url;
+
+      const shell = self.os === "windows" ? "pwsh" : "sh";
+
+      // Edge ships with Windows; Linux sandboxes get it from Microsoft's apt repo
+      if (self.os !== "windows") {
+        await self.exec(
+          shell,
+          `command -v microsoft-edge >/dev/null 2>&1 || { curl -fsSL https://packages.microsoft.com/keys/microsoft.asc | gpg --dearmor | sudo tee /usr/share/keyrings/microsoft-edge.gpg >/dev/null && echo "deb [arch=amd64 signed-by=/usr/share/keyrings/microsoft-edge.gpg] https://packages.microsoft.com/repos/edge stable main" | sudo tee /etc/apt/sources.list.d/microsoft-edge.list >/dev/null && sudo apt-get update -qq && sudo DEBIAN_FRONTEND=noninteractive apt-get install -y -qq microsoft-edge-stable; }`,
+          300000,
+          true,
+        );
+      }
+
+      // Skip the first-run experience and sign-in prompts with Edge policies
+      const edgePolicies = {
+        HideFirstRunExperience: 1,
+        BrowserSignin: 0,
+        SyncDisabled: 1,
+        PasswordManagerEnabled: 0,
+        AutofillAddressEnabled: 0,
+        DefaultBrowserSettingEnabled: 0,
+      };
+      if (self.os === "windows") {
+        const key = "HKLM:\\SOFTWARE\\Policies\\Microsoft\\Edge";
+        const setValues = Object.entries(edgePolicies)
+          .map(
+            ([name, value]) =>
+              `Set-ItemProperty -Path "${key}" -Name ${name} -Value ${value} -Type DWord`,
+          )
+          .join("; ");
+        await self.exec(
+          shell,
+          `New-Item -Path "${key}" -Force | Out-Null; ${setValues}`,
+          60000,
+          true,
+        );
+      } else {
+        await writeFile(
+          "/etc/opt/edge/policies/managed/testdriver.json",
+          JSON.stringify(edgePolicies),
+          { sudo: true },
+        );
+      }
+
+      const userDataDir =
+        profile ||
+        (self.os === "windows"
+          ? "C:\\Users\\testdriver\\AppData\\Local\\TestDriver\\Edge"
+          : "/tmp/testdriver-edge-profile");
+      await mkdir(userDataDir);
+
+      // A .crx has to be unpacked before Edge can load it
+      let extensionPath = extension;
+      if (extension && /\.crx$/i.test(extension)) {
+        const extensionDir =
+          self.os === "windows"
+            ? "C:\\Users\\testdriver\\AppData\\Local\\TestDriver\\Extensions\\edge"
+            : "/tmp/testdriver-extensions/edge";
+        await mkdir(extensionDir);
+        extensionPath = await unpackCrx(extension, extensionDir);
+      }
+
+      // Build Edge launch command
+      const edgeArgs = [];
+      if (maximized) edgeArgs.push("--start-maximized");
+      if (guest) edgeArgs.push("--guest");
+      edgeArgs.push(
+        "--no-default-browser-check",
+        "--no-first-run",
+        "--disable-infobars",
+        `--user-data-dir=${userDataDir}`,
+        "--remote-debugging-port=9222",
+      );
+
+      // Load the user extension and dashcam-chrome for web log capture
+      const dashcamChromePath = await self._getDashcamChromeExtensionPath();
+      const extensions = [extensionPath, dashcamChromePath].filter(Boolean);
+      if (extensions.length) {
+        edgeArgs.push(`--load-extension=${extensions.join(",")}`);
+      }
+
+      // Launch Edge
+      if (self.os === "windows") {
+        const argsString = edgeArgs.map((arg) => `"${arg}"`).join(", ");
+        await self.exec(
+          shell,
+          `Start-Process "C:\\Program Files (x86)\\Microsoft\\Edge\\Application\\msedge.exe" -ArgumentList ${argsString}, "${url}"`,
+          30000,
+        );
+      } else {
+        await self.exec(
+          shell,
+          `microsoft-edge ${edgeArgs.join(" ")} "${url}" >/dev/null 2>&1 &`,
+          30000,
+        );
+      }
+
+      // Wait for the debugger port and page to be ready
+      await self._waitForChromeDebuggerReady();
+
+      if (state && (await self.browser.setStorageState(state))) {
+        await self.browser.reload();
+      }
+
+      await self.focusApplication("Microsoft Edge");
+
+      // Add web log tracking with domain wildcard pattern, then start dashcam
+      if (self.dashcamEnabled) {
+        await self.dashcam.addWebLog(self._getUrlDomainPattern(url), "Web Logs");
+        if (!(await self.dashcam.isRecording())) {
+          await self.dashcam.start();
+        }
+      }
+    },
+
+    /**
+     * Launch Firefox. Firefox has no Chrome debugging port, so
+     * testdriver.browser, testdriver.network and captcha() are not
+     * available; installs Firefox first if the sandbox doesn't have it.
+     * @param {Object} options - Firefox launch options
+     * @param {string} [options.url='http://testdriver-sandbox.vercel.app/'] - URL to navigate to
+     * @param {boolean} [options.maximized=true] - Start maximized
+     * @param {boolean} [options.guest=false] - Open a private window
+     * @param {string} [options.profile] - Profile directory in the sandbox to use instead of a clean one
+     * @param {string} [options.extension] - .xpi file in the sandbox to install (signed, or unsigned on Firefox ESR)
+     * @returns {Promise<void>}
+     */
+    firefox: async (options = {}) => {
+      const {
+        url = "http://testdriver-sandbox.vercel.app/",
+        maximized = true,
+        guest = false,
+        profile,
+        extension,
+      } = options;
+
+      // Store the URL for domain-specific web log tracking
+      self._provisionedChromeUrl = url;
+
+      const shell = self.os === "windows" ? "pwsh" : "sh";
+      const firefoxExe = "C:\\Program Files\\Mozilla Firefox\\firefox.exe";
+
+      if (self.os === "windows") {
+        await self.exec(
+          shell,
+          `if (-not (Test-Path "${firefoxExe}")) { choco install firefox -y --no-progress | Out-Null }`,
+          300000,
+          true,
+        );
+      } else {
+        await self.exec(
+          shell,
+          "command -v firefox-esr >/dev/null 2>&1 || command -v firefox >/dev/null 2>&1 || { sudo apt-get update -qq && sudo DEBIAN_FRONTEND=noninteractive apt-get install -y -qq firefox-esr; }",
+          300000,
+          true,
+        );
+      }
+
+      // Enterprise policies skip the first-run pages and install the extension
+      const firefoxPolicies = {
+        policies: {
+          DisableTelemetry: true,
+          DontCheckDefaultBrowser: true,
+          OverrideFirstRunPage: "",
+          OverridePostUpdatePage: "",
+          PasswordManagerEnabled: false,
+          ...(extension && { Extensions: { Install: [extension] } }),
+        },
+      };
+      await writeFile(
+        self.os === "windows"
+          ? "C:\\Program Files\\Mozilla Firefox\\distribution\\policies.json"
+          : "/etc/firefox/policies/policies.json",
+        JSON.stringify(firefoxPolicies),
+        { sudo: true },
+      );
+
+      // Set up a clean profile unless one was given
+      const profileDir =
+        profile ||
+        (self.os === "windows"
+          ? "C:\\Users\\testdriver\\AppData\\Local\\TestDriver\\Firefox"
+          : "/tmp/testdriver-firefox-profile");
+      await mkdir(profileDir);
+
+      if (!profile) {
+        const firefoxPrefs = {
+          "browser.shell.checkDefaultBrowser": false,
+          "browser.aboutwelcome.enabled": false,
+          "browser.startup.homepage_override.mstone": "ignore",
+          "browser.tabs.warnOnClose": false,
+          "datareporting.policy.dataSubmissionPolicyBypassNotification": true,
+          "signon.rememberSignons": false,
+          "toolkit.telemetry.reportingpolicy.firstRun": false,
+          // Let unsigned extensions load (only honored by ESR and Developer Edition)
+          "xpinstall.signatures.required": false,
+          "extensions.autoDisableScopes": 0,
+        };
+        const userJs = Object.entries(firefoxPrefs)
+          .map(([name, value]) => `user_pref("${name}", ${JSON.stringify(value)});`)
+          .join("\n");
+        const separator = self.os === "windows" ? "\\" : "/";
+        await writeFile(`${profileDir}${separator}user.js`, userJs);
+
+        // Firefox has no --start-maximized; the window state lives in xulstore.json
+        if (maximized) {
+          await writeFile(
+            `${profileDir}${separator}xulstore.json`,
+            JSON.stringify({
+              "chrome://browser/content/browser.xhtml": {
+                "main-window": { sizemode: "maximized" },
+              },
+            }),
+          );
+        }
+      }
+
+      const firefoxArgs = ["--profile", profileDir, "--no-remote", "--new-instance"];
+      if (guest) firefoxArgs.push("--private-window");
+
+      // Launch Firefox, then wait for its window (there is no debugger port to poll)
+      if (self.os === "windows") {
+        const argsString = [...firefoxArgs, url].map((arg) => `"${arg}"`).join(", ");
+        await self.exec(
+          shell,
+          `Start-Process "${firefoxExe}" -ArgumentList ${argsString}`,
+          30000,
+        );
+        await self.exec(
+          shell,
+          `$deadline = (Get-Date).AddSeconds(60); while ((Get-Date) -lt $deadline -and -not (Get-Process firefox -ErrorAction SilentlyContinue | Where-Object { $_.MainWindowHandle -ne 0 })) { Start-Sleep -Milliseconds 500 }`,
+          70000,
+          true,
+        );
+      } else {
+        const argsString = firefoxArgs.map((arg) => `"${arg}"`).join(" ");
+        await self.exec(
+          shell,
+          `$(command -v firefox-esr || command -v firefox) ${argsString} "${url}" >/dev/null 2>&1 &`,
+          30000,
+        );
+        await self.exec(
+          shell,
+          "timeout 60 xdotool search --sync --onlyvisible --class firefox >/dev/null 2>&1 || sleep 5",
+          70000,
+          true,
+        );
+      }
+
+      await self.focusApplication("Mozilla Firefox");
+
+      // Add web log tracking with domain wildcard pattern, then start dashcam
+      if (self.dashcamEnabled) {
+        await self.dashcam.addWebLog(self._getUrlDomainPattern(url), "Web Logs");
+        if (!(await self.dashcam.isRecording())) {
+          await self.dashcam.start();
+        }
+      }
+    },
+
     /**
      * Launch VS Code
      * @param {Object} options - VS Code launch options
@@ -0,0 +1,168 @@
+/**
+ * Session recorder behind testdriver.startRecording() / stopRecording()
+ *
+ * Wraps an SDK instance's command methods, find() and provision.* so every
+ * call that completes is kept as a step, then turns the steps into a Vitest
+ * test with the same code generation as `testdriverai repl`. Element
+ * actions (`find(...).click()`, `element.hover()`, `dragTo()`) are seen at
+ * the commands layer, where they carry the element's description.
+ */
+const { toRegion } = require("./region");
+
+// commands.click() action -> Element method
+const CLICK_ACTIONS = {
+  click: "click",
+  "double-click": "doubleClick",
+  "right-click": "rightClick",
+  mouseDown: "mouseDown",
+  mouseUp: "mouseUp",
+};
+
+/**
+ * Make a call argument safe to print as code: Elements passed as options
+ * (e.g. `within`) become the region they covered
+ */
+function sanitize(value) {
+  if (typeof value?.found === "function") {
+    try {
+      return toRegion(value);
+    } catch {
+      return undefined;
+    }
+  }
+  if (Array.isArray(value)) return value.map(sanitize);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value)
+        .map(([k, v]) => [k, sanitize(v)])
+        .filter(([, v]) => v !== undefined && typeof v !== "function"),
+    );
+  }
+  return value;
+}
+
+// Drop trailing undefined arguments so `find("x", undefined)` prints as `find("x")`
+const trimArgs = (args) => {
+  const out = args.map(sanitize);
+  while (out.length && out[out.length - 1] === undefined) out.pop();
+  return out;
+};
+
+/**
+ * Start recording an SDK instance
+ * @param {Object} sdk - TestDriver SDK instance
+ * @param {Object} options
+ * @param {string[]} options.methods - Command method names to record (from _setupCommandMethods)
+ * @returns {{ steps: Array<Object>, stop: () => Array<Object> }} Call stop() to unhook and get the steps
+ */
+function createRecorder(sdk, { methods }) {
+  const steps = [];
+  const restore = [];
+  // SDK methods call each other (provision.chrome runs exec, drag runs
+  // find); only the outermost call is what the user wrote
+  let depth = 0;
+  let lastFind = null;
+
+  const replace = (target, key, wrapper) => {
+    const original = target[key];
+    const own = Object.prototype.hasOwnProperty.call(target, key);
+    target[key] = wrapper(original);
+    restore.push(() => {
+      if (own) target[key] = original;
+      else delete target[key];
+    });
+  };
+
+  const record = (step) => {
+    steps.push(step);
+    lastFind = step.method === "find" && !step.then ? step : null;
+  };
+
+  const track = (method, original, extra = {}) =>
+    async function (...args) {
+      if (depth > 0) return original.apply(this, args);
+      depth++;
+      try {
+        const result = await original.apply(this, args);
+        record({ method, args: trimArgs(args), ...extra });
+        return result;
+      } finally {
+        depth--;
+      }
+    };
+
+  for (const name of methods) {
+    replace(sdk, name, (original) =>
+      track(name, original, name === "assert" ? { expect: true } : {}),
+    );
+  }
+
+  // find() returns a chainable promise rather than a plain one, so record
+  // when it settles without changing what the caller gets back. This
+  // handler is attached first, so it runs before the caller's await resumes.
+  replace(sdk, "find", (original) =>
+    function (description, options) {
+      const chain = original.call(this, description, options);
+      if (depth > 0) return chain;
+      chain.then(
+        () => record({ method: "find", args: trimArgs([description, options]) }),
+        () => {},
+      );
+      return chain;
+    },
+  );
+
+  // Element actions, merged into the find() that located the element
+  const recordAction = (elementData, action, actionArgs = []) => {
+    if (depth > 0 || !elementData?.prompt) return false;
+    if (lastFind && lastFind.args[0] === elementData.prompt) {
+      lastFind.then = action;
+      lastFind.thenArgs = actionArgs;
+      lastFind = null;
+    } else {
+      record({ method: "find", args: [elementData.prompt], then: action, thenArgs: actionArgs });
+    }
+    return true;
+  };
+
+  replace(sdk.commands, "click", (original) => async (...args) => {
+    const result = await original(...args);
+    recordAction(args[3], CLICK_ACTIONS[args[2]] || "click");
+    return result;
+  });
+  replace(sdk.commands, "hover", (original) => async (...args) => {
+    const result = await original(...args);
+    recordAction(args[2], "hover");
+    return result;
+  });
+  replace(sdk.commands, "drag", (original) => async (...args) => {
+    const result = await original(...args);
+    if (typeof args[0] !== "object") return result;
+    const { fromX, fromY, x, y } = args[0];
+    if (!recordAction(args[0], "dragTo", [{ x, y }]) && depth === 0) {
+      record({ method: "drag", args: [{ x: fromX, y: fromY }, { x, y }] });
+    }
+    return result;
+  });
+
+  const provision = sdk.provision;
+  sdk.provision = new Proxy(provision, {
+    get(target, prop) {
+      const method = target[prop];
+      return typeof method === "function" ? track(`provision.${String(prop)}`, method) : method;
+    },
+  });
+  restore.push(() => {
+    sdk.provision = provision;
+  });
+
+  return {
+    steps,
+    stop() {
+      restore.reverse().forEach((undo) => undo());
+      return steps;
+    },
+  };
+}
+
+module.exports = { createRecorder };
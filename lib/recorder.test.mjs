@@ -0,0 +1,101 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { createRecorder } = require("./recorder.js");
+const { toTestFile } = require("./repl");
+
+/**
+ * The recorder only sees an SDK through the methods it wraps, so a fake with
+ * the same shape is enough: command methods that forward to `commands`,
+ * find() returning a chainable promise, and elements that act through
+ * commands.click/hover/drag with their description as `prompt`.
+ */
+
+function fakeSdk() {
+  const sdk = {
+    commands: {
+      click: () => Promise.resolve(),
+      hover: () => Promise.resolve(),
+      drag: () => Promise.resolve(),
+      exec: () => Promise.resolve("ok"),
+    },
+  };
+  const element = (description) => ({
+    description,
+    found: () => true,
+    boundingBox: { left: 10, top: 20, width: 100, height: 30 },
+    click: (action = "click") => sdk.commands.click(5, 5, action, { prompt: description }),
+    hover: () => sdk.commands.hover(5, 5, { prompt: description }),
+    dragTo: (to) => sdk.commands.drag({ fromX: 5, fromY: 5, ...to, prompt: description }),
+  });
+
+  sdk.type = () => Promise.resolve();
+  sdk.exec = (...args) => sdk.commands.exec(...args);
+  sdk.assert = (assertion) =>
+    assertion.includes("missing") ? Promise.reject(new Error("failed")) : Promise.resolve(true);
+  sdk.find = (description) => {
+    const promise = Promise.resolve(element(description));
+    promise.click = () => promise.then((e) => e.click());
+    return promise;
+  };
+  sdk.provision = {
+    chrome: async () => {
+      await sdk.exec("sh", "google-chrome &");
+      await sdk.find("Chrome window");
+    },
+  };
+  return sdk;
+}
+
+const methods = ["type", "exec", "assert"];
+
+describe("createRecorder", () => {
+  it("records what the script wrote, not the calls made inside it", async () => {
+    const sdk = fakeSdk();
+    const recorder = createRecorder(sdk, { methods });
+
+    await sdk.provision.chrome({ url: "https://example.com" });
+    await sdk.find("Sign in button").click();
+    const email = await sdk.find("Email field");
+    await sdk.type("user@example.com");
+    await email.hover();
+    await sdk.find("Results list", { within: email });
+    await sdk.assert("the dashboard is visible");
+    await sdk.assert("the logo is missing").catch(() => {});
+
+    const code = toTestFile(recorder.stop(), { testdriverOptions: { cacheKey: "abc123" } });
+    expect(code).toContain('const testdriver = TestDriver(context, { cacheKey: "abc123" });');
+    expect(code.split("\n").filter((l) => l.startsWith("    await") || l.startsWith("    expect"))).toEqual([
+      '    await testdriver.provision.chrome({ url: "https://example.com" });',
+      '    await testdriver.find("Sign in button").click();',
+      '    await testdriver.find("Email field");',
+      '    await testdriver.type("user@example.com");',
+      '    await testdriver.find("Email field").hover();',
+      '    await testdriver.find("Results list", { within: { left: 10, top: 20, width: 100, height: 30 } });',
+      '    expect(await testdriver.assert("the dashboard is visible")).toBeTruthy();',
+    ]);
+  });
+
+  it("records drags and restores the SDK when stopped", async () => {
+    const sdk = fakeSdk();
+    const { find, commands } = sdk;
+    const { click } = commands;
+    const recorder = createRecorder(sdk, { methods });
+
+    const card = await sdk.find("Todo card");
+    await card.dragTo({ x: 300, y: 40 });
+    await sdk.commands.drag({ fromX: 1, fromY: 2, x: 3, y: 4 });
+
+    const steps = recorder.stop();
+    expect(steps).toEqual([
+      { method: "find", args: ["Todo card"], then: "dragTo", thenArgs: [{ x: 300, y: 40 }] },
+      { method: "drag", args: [{ x: 1, y: 2 }, { x: 3, y: 4 }] },
+    ]);
+    expect(sdk.find).toBe(find);
+    expect(sdk.commands.click).toBe(click);
+    expect(Object.prototype.hasOwnProperty.call(sdk, "provision")).toBe(true);
+    await sdk.type("after");
+    expect(steps).toHaveLength(2);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Screen regions for scoped find()/findAll()
+ *
+ * A scoped search crops the screenshot to the parent element's bounding box
+ * before it is sent to the locator, then shifts the coordinates in the
+ * response back into full-screen space.
+ */
+const { PNG } = require("pngjs");
+
+/**
+ * Normalize a bounding box in any of the shapes the API returns
+ * ({left, top, right, bottom} or {left, top, width, height}) into
+ * {left, top, width, height}
+ * @param {Object} box
+ * @returns {{ left: number, top: number, width: number, height: number } | null}
+ */
+function normalizeBox(box) {
+  if (!box || typeof box.left !== "number" || typeof box.top !== "number") {
+    return null;
+  }
+  const width = typeof box.width === "number" ? box.width : box.right - box.left;
+  const height = typeof box.height === "number" ? box.height : box.bottom - box.top;
+  if (!(width > 0) || !(height > 0)) return null;
+  return { left: box.left, top: box.top, width, height };
+}
+
+/**
+ * Resolve the region to search within
+ * @param {Object} within - A found Element, or a box {left, top, width, height}
+ * @returns {{ left: number, top: number, width: number, height: number }}
+ */
+function toRegion(within) {
+  // Element: prefer its bounding box, else a box from its center and size
+  if (typeof within?.found === "function") {
+    if (!within.found()) {
+      throw new Error(
+        `Cannot search within "${within.description}": it has not been found`,
+      );
+    }
+    const box = normalizeBox(within.boundingBox);
+    if (box) return box;
+    if (within.width > 0 && within.height > 0 && within.centerX !== null) {
+      return {
+        left: within.centerX - within.width / 2,
+        top: within.centerY - within.height / 2,
+        width: within.width,
+        height: within.height,
+      };
+    }
+    throw new Error(
+      `Cannot search within "${within.description}": the locator did not report its bounding box`,
+    );
+  }
+
+  const box = normalizeBox(within);
+  if (!box) {
+    throw new Error(
+      "`within` must be a found Element or a region { left, top, width, height }",
+    );
+  }
+  return box;
+}
+
+/**
+ * Crop a base64 PNG screenshot to a region, clamped to the screenshot
+ * @param {string} base64
+ * @param {{ left: number, top: number, width: number, height: number }} region
+ * @returns {{ image: string, region: { left: number, top: number, width: number, height: number } }}
+ *   The cropped screenshot and the region actually cropped
+ */
+function cropToRegion(base64, region) {
+  const png = PNG.sync.read(
+    Buffer.from(base64.replace(/^data:image\/\w+;base64,/, ""), "base64"),
+  );
+  const left = Math.max(0, Math.floor(region.left));
+  const top = Math.max(0, Math.floor(region.top));
+  const right = Math.min(png.width, Math.ceil(region.left + region.width));
+  const bottom = Math.min(png.height, Math.ceil(region.top + region.height));
+
+  if (right - left < 1 || bottom - top < 1) {
+    throw new Error("The region to search within is outside the screen");
+  }
+
+  const out = new PNG({ width: right - left, height: bottom - top });
+  PNG.bitblt(png, out, left, top, out.width, out.height, 0, 0);
+  return {
+    image: PNG.sync.write(out).toString("base64"),
+    region: { left, top, width: out.width, height: out.height },
+  };
+}
+
+/**
+ * Shift the coordinates of a find/findAll result from region space back to
+ * screen space. Returns a copy; the input is not modified.
+ * @param {Object} result - find response, or one findAll element
+ * @param {{ left: number, top: number }} region
+ * @returns {Object}
+ */
+function translateToScreen(result, { left, top }) {
+  if (!result) return result;
+  const out = { ...result };
+
+  if (result.coordinates) {
+    const c = result.coordinates;
+    out.coordinates = { ...c };
+    for (const key of ["x", "centerX"]) {
+      if (typeof c[key] === "number") out.coordinates[key] = c[key] + left;
+    }
+    for (const key of ["y", "centerY"]) {
+      if (typeof c[key] === "number") out.coordinates[key] = c[key] + top;
+    }
+  }
+
+  if (result.boundingBox) {
+    const b = result.boundingBox;
+    out.boundingBox = { ...b };
+    for (const key of ["left", "right"]) {
+      if (typeof b[key] === "number") out.boundingBox[key] = b[key] + left;
+    }
+    for (const key of ["top", "bottom"]) {
+      if (typeof b[key] === "number") out.boundingBox[key] = b[key] + top;
+    }
+  }
+
+  return out;
+}
+
+module.exports = { toRegion, cropToRegion, translateToScreen, normalizeBox };
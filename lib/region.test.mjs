@@ -0,0 +1,81 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { PNG } = require("pngjs");
+const { toRegion, cropToRegion, translateToScreen } = require("./region.js");
+
+/**
+ * A scoped find only works if the locator sees exactly the parent's pixels and
+ * the answer lands back on the same spot of the full screen, so the tests
+ * check the crop that would be sent and the coordinates mapped back.
+ */
+
+function screenshot(width, height) {
+  const png = new PNG({ width, height });
+  png.data.fill(255);
+  return PNG.sync.write(png).toString("base64");
+}
+
+const imageSize = (base64) => {
+  const png = PNG.sync.read(Buffer.from(base64, "base64"));
+  return [png.width, png.height];
+};
+
+// Just the parts of Element that toRegion() reads
+const element = (description, { found = true, boundingBox = null } = {}) => ({
+  description,
+  found: () => found,
+  boundingBox,
+  width: null,
+  height: null,
+  centerX: null,
+  centerY: null,
+});
+
+describe("toRegion", () => {
+  it("reads both bounding box shapes", () => {
+    expect(toRegion({ left: 10, top: 20, width: 30, height: 40 })).toEqual({
+      left: 10,
+      top: 20,
+      width: 30,
+      height: 40,
+    });
+    const row = element("row", {
+      boundingBox: { left: 0, top: 20, right: 100, bottom: 30 },
+    });
+    expect(toRegion(row)).toEqual({ left: 0, top: 20, width: 100, height: 10 });
+  });
+
+  it("refuses elements that were not found", () => {
+    expect(() => toRegion(element("row", { found: false }))).toThrow(/has not been found/);
+    expect(() => toRegion(element("row"))).toThrow(/did not report its bounding box/);
+  });
+});
+
+describe("cropToRegion / translateToScreen", () => {
+  it("clamps the crop to the screenshot", () => {
+    const { image, region } = cropToRegion(screenshot(100, 50), {
+      left: 80,
+      top: 40,
+      width: 50,
+      height: 50,
+    });
+    expect(region).toEqual({ left: 80, top: 40, width: 20, height: 10 });
+    expect(imageSize(image)).toEqual([20, 10]);
+  });
+
+  it("shifts coordinates and both bounding box shapes by the region origin", () => {
+    const result = translateToScreen(
+      {
+        coordinates: { x: 5, y: 6, centerX: 5, centerY: 6 },
+        boundingBox: { left: 1, top: 2, right: 9, bottom: 10 },
+        confidence: 0.9,
+      },
+      { left: 100, top: 200 },
+    );
+    expect(result.coordinates).toEqual({ x: 105, y: 206, centerX: 105, centerY: 206 });
+    expect(result.boundingBox).toEqual({ left: 101, top: 202, right: 109, bottom: 210 });
+    expect(result.confidence).toBe(0.9);
+  });
+});
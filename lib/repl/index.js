@@ -0,0 +1,208 @@
+/**
+ * Line parsing and code generation for `testdriverai repl`
+ *
+ * Each line is an SDK-style call - `find "Login" click`, `type hello`,
+ * `assert "the dashboard is visible"` - parsed into a step that can be run
+ * against a TestDriver instance and printed as the line of test code it
+ * stands for. The steps that succeeded are what `/save` writes out.
+ */
+
+const ELEMENT_ACTIONS = {
+  click: "click",
+  "double-click": "doubleClick",
+  doubleclick: "doubleClick",
+  "right-click": "rightClick",
+  rightclick: "rightClick",
+  hover: "hover",
+  "mouse-down": "mouseDown",
+  mousedown: "mouseDown",
+  "mouse-up": "mouseUp",
+  mouseup: "mouseUp",
+};
+
+/**
+ * Split a line into words, keeping quoted strings together
+ * @param {string} line
+ * @returns {string[]}
+ */
+function tokenize(line) {
+  const tokens = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line))) {
+    const quoted = match[1] ?? match[2];
+    tokens.push(quoted !== undefined ? quoted.replace(/\\(.)/g, "$1") : match[3]);
+  }
+  return tokens;
+}
+
+const rest = (tokens, name) => {
+  if (!tokens.length) throw new Error(`${name} needs an argument`);
+  return tokens.join(" ");
+};
+
+/**
+ * Each command turns the words after it into a step:
+ * `{ method, args, then?, expect? }`. `method` may be dotted
+ * (`provision.chrome`), `then` is an Element method called on the result.
+ */
+const COMMANDS = {
+  find(tokens) {
+    const last = tokens[tokens.length - 1];
+    const action = tokens.length > 1 && ELEMENT_ACTIONS[last.toLowerCase()];
+    const description = rest(action ? tokens.slice(0, -1) : tokens, "find");
+    return { method: "find", args: [description], ...(action && { then: action }) };
+  },
+  type(tokens) {
+    const secret = tokens.includes("--secret");
+    const text = rest(tokens.filter((t) => t !== "--secret"), "type");
+    return { method: "type", args: secret ? [text, { secret: true }] : [text] };
+  },
+  press(tokens) {
+    const keys = tokens.flatMap((t) => t.split("+")).filter(Boolean);
+    if (!keys.length) throw new Error("press needs at least one key, e.g. press ctrl+a");
+    return { method: "pressKeys", args: [keys] };
+  },
+  scroll([direction = "down", amount]) {
+    return {
+      method: "scroll",
+      args: amount ? [direction, { amount: Number(amount) }] : [direction],
+    };
+  },
+  assert(tokens) {
+    return { method: "assert", args: [rest(tokens, "assert")], expect: true };
+  },
+  wait([ms]) {
+    if (!ms || isNaN(Number(ms))) throw new Error("wait needs a duration in ms, e.g. wait 2000");
+    return { method: "wait", args: [Number(ms)] };
+  },
+  exec([language, ...code]) {
+    return { method: "exec", args: [language, rest(code, "exec")] };
+  },
+  focus(tokens) {
+    return { method: "focusApplication", args: [rest(tokens, "focus")] };
+  },
+  extract(tokens) {
+    return { method: "extract", args: [rest(tokens, "extract")] };
+  },
+  act(tokens) {
+    return { method: "act", args: [rest(tokens, "act")] };
+  },
+  chrome([url]) {
+    if (!url) throw new Error("chrome needs a url, e.g. chrome https://example.com");
+    return { method: "provision.chrome", args: [{ url }] };
+  },
+};
+
+// Alternative spellings, including the SDK method names themselves
+const ALIASES = {
+  presskeys: "press",
+  "press-keys": "press",
+  focusapplication: "focus",
+  "focus-application": "focus",
+  "provision.chrome": "chrome",
+};
+
+// `click "Login"` is short for `find "Login" click`
+for (const [name, action] of Object.entries(ELEMENT_ACTIONS)) {
+  COMMANDS[name] = (tokens) => ({ method: "find", args: [rest(tokens, name)], then: action });
+}
+
+/**
+ * Parse one REPL line into a step
+ * @param {string} line
+ * @returns {{ method: string, args: Array, then?: string, expect?: boolean }}
+ */
+function parseLine(line) {
+  const [word, ...tokens] = tokenize(line.trim());
+  if (!word) throw new Error("Nothing to run");
+  const name = ALIASES[word.toLowerCase()] || word.toLowerCase();
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new Error(`Unknown command "${word}". Type /help for the list of commands.`);
+  }
+  return command(tokens);
+}
+
+/**
+ * Format a value as JavaScript source
+ */
+function literal(value) {
+  if (Array.isArray(value)) return `[${value.map(literal).join(", ")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value).map(
+      ([key, v]) => `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)}: ${literal(v)}`,
+    );
+    return `{ ${entries.join(", ")} }`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * The line of test code a step stands for
+ * @param {{ method: string, args: Array, then?: string, thenArgs?: Array, expect?: boolean }} step
+ * @returns {string}
+ */
+function toCode(step) {
+  const then = step.then ? `.${step.then}(${(step.thenArgs || []).map(literal).join(", ")})` : "";
+  const call = `testdriver.${step.method}(${step.args.map(literal).join(", ")})${then}`;
+  return step.expect ? `expect(await ${call}).toBeTruthy();` : `await ${call};`;
+}
+
+/**
+ * Run a step against a TestDriver instance
+ * @param {Object} testdriver - Connected TestDriver instance
+ * @param {{ method: string, args: Array, then?: string, expect?: boolean }} step
+ * @returns {Promise<*>} What the SDK call returned
+ */
+async function runStep(testdriver, step) {
+  const path = step.method.split(".");
+  const name = path.pop();
+  const target = path.reduce((obj, key) => obj[key], testdriver);
+
+  let result = await target[name](...step.args);
+  if (step.then) {
+    result = await result[step.then](...(step.thenArgs || []));
+  }
+  if (step.expect && !result) {
+    throw new Error(`Assertion failed: ${step.args[0]}`);
+  }
+  return result;
+}
+
+/**
+ * A Vitest test file that replays the recorded steps
+ * @param {Array<Object>} steps
+ * @param {Object} [options]
+ * @param {string} [options.name='recorded session'] - describe/it name
+ * @param {Object} [options.testdriverOptions] - Options passed to TestDriver(context, ...), e.g. { os: 'windows' }
+ * @returns {string}
+ */
+function toTestFile(steps, { name = "recorded session", testdriverOptions = {} } = {}) {
+  const options = Object.keys(testdriverOptions).length ? `, ${literal(testdriverOptions)}` : "";
+  const usesExpect = steps.some((s) => s.expect);
+
+  return [
+    `import { describe${usesExpect ? ", expect" : ""}, it } from "vitest";`,
+    'import { TestDriver } from "testdriverai/vitest/hooks";',
+    "",
+    `describe(${JSON.stringify(name)}, () => {`,
+    `  it(${JSON.stringify(name)}, async (context) => {`,
+    `    const testdriver = TestDriver(context${options});`,
+    "",
+    ...steps.map((step) => `    ${toCode(step)}`),
+    "  });",
+    "});",
+    "",
+  ].join("\n");
+}
+
+module.exports = {
+  tokenize,
+  parseLine,
+  toCode,
+  runStep,
+  toTestFile,
+  literal,
+  COMMANDS,
+};
@@ -0,0 +1,70 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { parseLine, toCode, runStep, toTestFile } = require("./index.js");
+
+/**
+ * What's typed at the REPL has to run the same SDK calls that the saved test
+ * will make, so each line is checked both as code and against a fake SDK.
+ */
+
+function fakeTestDriver() {
+  const calls = [];
+  const element = {
+    click: () => Promise.resolve(calls.push(["click"])),
+  };
+  return {
+    calls,
+    find: (...args) => (calls.push(["find", ...args]), Promise.resolve(element)),
+    type: (...args) => Promise.resolve(calls.push(["type", ...args])),
+    assert: (assertion) => Promise.resolve(!assertion.includes("missing")),
+    provision: {
+      chrome: (...args) => Promise.resolve(calls.push(["provision.chrome", ...args])),
+    },
+  };
+}
+
+describe("repl", () => {
+  it("turns lines into SDK calls", () => {
+    expect(toCode(parseLine('find "Sign in button" click'))).toBe(
+      'await testdriver.find("Sign in button").click();',
+    );
+    expect(toCode(parseLine("click Login"))).toBe('await testdriver.find("Login").click();');
+    expect(toCode(parseLine("type hunter2 --secret"))).toBe(
+      'await testdriver.type("hunter2", { secret: true });',
+    );
+    expect(toCode(parseLine("press ctrl+a"))).toBe('await testdriver.pressKeys(["ctrl", "a"]);');
+    expect(toCode(parseLine("assert the dashboard is visible"))).toBe(
+      'expect(await testdriver.assert("the dashboard is visible")).toBeTruthy();',
+    );
+    expect(toCode(parseLine("chrome https://example.com"))).toBe(
+      'await testdriver.provision.chrome({ url: "https://example.com" });',
+    );
+    expect(() => parseLine("teleport home")).toThrow(/Unknown command "teleport"/);
+  });
+
+  it("runs steps against the SDK and fails on false assertions", async () => {
+    const testdriver = fakeTestDriver();
+    await runStep(testdriver, parseLine("chrome https://example.com"));
+    await runStep(testdriver, parseLine('find "Sign in" click'));
+    expect(testdriver.calls).toEqual([
+      ["provision.chrome", { url: "https://example.com" }],
+      ["find", "Sign in"],
+      ["click"],
+    ]);
+    await expect(runStep(testdriver, parseLine("assert the logo is missing"))).rejects.toThrow(
+      /Assertion failed/,
+    );
+  });
+
+  it("saves steps as a Vitest test", () => {
+    const steps = ["chrome https://example.com", 'find "Sign in" click', "assert signed in"].map(
+      parseLine,
+    );
+    const code = toTestFile(steps, { name: "sign in", testdriverOptions: { os: "windows" } });
+    expect(code).toContain('import { describe, expect, it } from "vitest";');
+    expect(code).toContain('const testdriver = TestDriver(context, { os: "windows" });');
+    expect(code).toContain('    await testdriver.find("Sign in").click();\n');
+  });
+});
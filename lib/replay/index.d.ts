@@ -0,0 +1,68 @@
+/**
+ * TypeScript definitions for TestDriver API record & replay
+ * @module testdriverai/replay
+ */
+
+/** API paths captured by the recorder and answered by the replay server */
+export const RECORDED_PATHS: ReadonlyArray<"find" | "assert" | "parse" | "check" | "session/start">;
+
+/** A request the replay server could not answer */
+export interface ReplayMiss {
+  path: string;
+  /** Request body without volatile fields and screenshots */
+  request: Record<string, unknown>;
+  /** SHA-256 hashes of the request's screenshots */
+  images: string[];
+  reason: "no fixture" | "screenshot changed";
+}
+
+export interface ReplayServer {
+  /** Use as `apiRoot` / TD_API_ROOT */
+  url: string;
+  port: number;
+  /** Requests answered with FIXTURE_MISSING so far */
+  misses: ReplayMiss[];
+  close(): Promise<void>;
+}
+
+export interface ReplayServerOptions {
+  /** Fixture directory written with `apiRecord` / TD_API_RECORD */
+  dir: string;
+  /** Port to listen on (default: 0, a free port) */
+  port?: number;
+  /** Host to bind (default: '127.0.0.1') */
+  host?: string;
+  /**
+   * Require screenshot hashes to match (default: false). When false, a
+   * request whose screenshots changed is answered with the recorded entries
+   * in order.
+   */
+  strict?: boolean;
+}
+
+/**
+ * Serve recorded fixtures from a local HTTP stand-in for the TestDriver API
+ */
+export function startReplayServer(options: ReplayServerOptions): Promise<ReplayServer>;
+
+/**
+ * Create a recorder that writes request/response pairs under `dir`.
+ * The SDK creates one automatically when `apiRecord` / TD_API_RECORD is set.
+ */
+export function createApiRecorder(dir: string): {
+  begin(
+    apiPath: string,
+    data: Record<string, unknown>,
+  ): { finish(response: unknown): void } | null;
+};
+
+/**
+ * Split a request body into its matching key and screenshot hashes
+ */
+export function describeRequest(
+  apiPath: string,
+  data?: Record<string, unknown>,
+): { key: string; request: Record<string, unknown>; images: string[] };
+
+/** Hash a base64 screenshot by its decoded bytes ('sha256:<hex>') */
+export function hashImage(base64: string): string;
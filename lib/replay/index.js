@@ -0,0 +1,252 @@
+/**
+ * Record & replay fixtures for the TestDriver API
+ *
+ * Recording (TD_API_RECORD=<dir>): every find/assert/parse/check/session/start
+ * request made through `createSDK().req()` is written to <dir> together with
+ * its response. Screenshots are stored as SHA-256 hashes, not bytes.
+ *
+ * Replay: `startReplayServer({ dir })` serves those fixtures from a local HTTP
+ * stand-in. Point TD_API_ROOT (or the `apiRoot` option) at its URL and the SDK
+ * runs without network access.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+// API paths captured by the recorder and answered by the replay server
+const RECORDED_PATHS = ["find", "assert", "parse", "check", "session/start"];
+
+// Fire-and-forget endpoints the replay server acknowledges with `{}`
+const ACKNOWLEDGED_PATHS = ["interaction/track", "analytics"];
+
+// Request fields that change from run to run and must not affect matching
+const VOLATILE_FIELDS = [
+  "session",
+  "stream",
+  "imageKey",
+  "mousePosition",
+  "activeWindow",
+  "systemInformationOsInfo",
+];
+
+const sha256 = (input) => crypto.createHash("sha256").update(input).digest("hex");
+
+/**
+ * Hash a base64 screenshot by its decoded bytes
+ * @param {string} base64
+ * @returns {string} 'sha256:<hex>'
+ */
+function hashImage(base64) {
+  const data = String(base64).replace(/^data:image\/\w+;base64,/, "");
+  return "sha256:" + sha256(Buffer.from(data, "base64"));
+}
+
+// JSON.stringify with sorted object keys so equal requests hash equally
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return "[" + value.map(stableStringify).join(",") + "]";
+  }
+  if (value && typeof value === "object") {
+    return (
+      "{" +
+      Object.keys(value)
+        .sort()
+        .filter((key) => value[key] !== undefined)
+        .map((key) => JSON.stringify(key) + ":" + stableStringify(value[key]))
+        .join(",") +
+      "}"
+    );
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Split a request body into the part used for matching and the screenshot hashes
+ * @param {string} apiPath - e.g. 'find'
+ * @param {Object} data - Request body
+ * @returns {{ key: string, request: Object, images: string[] }}
+ */
+function describeRequest(apiPath, data = {}) {
+  const request = {};
+  const images = [];
+
+  for (const [field, value] of Object.entries(data)) {
+    if (VOLATILE_FIELDS.includes(field) || value == null) continue;
+    if (field === "image") {
+      images.push(hashImage(value));
+    } else if (field === "images" && Array.isArray(value)) {
+      for (const image of value) {
+        if (image) images.push(hashImage(image));
+      }
+    } else {
+      request[field] = value;
+    }
+  }
+
+  const key = sha256(apiPath + "\n" + stableStringify(request)).slice(0, 16);
+  return { key, request, images };
+}
+
+const fixtureFile = (dir, apiPath, key) =>
+  path.join(dir, apiPath.replace(/[^\w-]+/g, "_"), key + ".json");
+
+/**
+ * Create a recorder that writes request/response pairs under `dir`
+ * @param {string} dir - Fixture directory (created if missing)
+ * @returns {{ begin: (apiPath: string, data: Object) => ({ finish: (response: any) => void } | null) }}
+ */
+function createApiRecorder(dir) {
+  const root = path.resolve(dir);
+
+  return {
+    /**
+     * Snapshot a request before it is sent (the SDK mutates `data` when it
+     * uploads screenshots to S3). Returns null for paths that are not recorded.
+     */
+    begin(apiPath, data) {
+      if (!RECORDED_PATHS.includes(apiPath)) return null;
+      const { key, request, images } = describeRequest(apiPath, data);
+
+      return {
+        finish(response) {
+          const file = fixtureFile(root, apiPath, key);
+          let fixture = { path: apiPath, request, entries: [] };
+          if (fs.existsSync(file)) {
+            fixture = JSON.parse(fs.readFileSync(file, "utf8"));
+          }
+
+          const entry = { images, response };
+          const existing = fixture.entries.findIndex(
+            (e) => stableStringify(e.images) === stableStringify(images),
+          );
+          if (existing === -1) {
+            fixture.entries.push(entry);
+          } else {
+            fixture.entries[existing] = entry;
+          }
+
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + "\n");
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Start a local HTTP stand-in for the TestDriver API that answers from fixtures
+ * @param {Object} options
+ * @param {string} options.dir - Fixture directory written by the recorder
+ * @param {number} [options.port=0] - Port to listen on (0 picks a free one)
+ * @param {string} [options.host='127.0.0.1']
+ * @param {boolean} [options.strict=false] - Require screenshot hashes to match.
+ *   When false, a request whose screenshots differ falls back to the recorded
+ *   entries in order.
+ * @returns {Promise<{ url: string, port: number, misses: Array<Object>, close: () => Promise<void> }>}
+ */
+async function startReplayServer({ dir, port = 0, host = "127.0.0.1", strict = false } = {}) {
+  if (!dir) {
+    throw new Error("startReplayServer: `dir` is required");
+  }
+  const root = path.resolve(dir);
+  const cursors = new Map(); // fixture key → next sequential entry
+  const misses = [];
+
+  const reply = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+
+  // The SDK reads `message` for 5xx errors and `error` for the rest
+  const fail = (res, status, message, code) =>
+    reply(res, status, { error: message, message, ...(code && { code }) });
+
+  const lookup = (apiPath, data) => {
+    const { key, request, images } = describeRequest(apiPath, data);
+    const file = fixtureFile(root, apiPath, key);
+    if (!fs.existsSync(file)) {
+      return { miss: { path: apiPath, request, images, reason: "no fixture" } };
+    }
+
+    const { entries } = JSON.parse(fs.readFileSync(file, "utf8"));
+    const exact = entries.find(
+      (e) => stableStringify(e.images) === stableStringify(images),
+    );
+    if (exact) return { response: exact.response };
+
+    if (strict || entries.length === 0) {
+      return { miss: { path: apiPath, request, images, reason: "screenshot changed" } };
+    }
+
+    const cursor = cursors.get(key) || 0;
+    cursors.set(key, cursor + 1);
+    return { response: entries[Math.min(cursor, entries.length - 1)].response };
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const url = req.url.split("?")[0];
+
+      if (url.endsWith("/auth/exchange-api-key")) {
+        return reply(res, 200, { token: "replay" });
+      }
+
+      const match = /^\/api\/[^/]+\/testdriver\/(.+)$/.exec(url);
+      const apiPath = match ? match[1] : url.replace(/^\/+/, "");
+
+      // Make the SDK fall back to inline screenshots, which we can hash
+      if (apiPath === "upload-url") {
+        return fail(res, 404, "upload-url is not available in replay");
+      }
+      if (ACKNOWLEDGED_PATHS.includes(apiPath)) {
+        return reply(res, 200, {});
+      }
+      if (!RECORDED_PATHS.includes(apiPath)) {
+        return fail(res, 501, `"${apiPath}" is not recorded, so it cannot be replayed`);
+      }
+
+      let data = {};
+      try {
+        data = body ? JSON.parse(body) : {};
+      } catch {
+        return fail(res, 400, "Request body is not JSON");
+      }
+
+      const result = lookup(apiPath, data);
+      if (result.miss) {
+        misses.push(result.miss);
+        return fail(
+          res,
+          404,
+          `No recorded fixture for ${apiPath} (${result.miss.reason}). Re-record with TD_API_RECORD=${dir}`,
+          "FIXTURE_MISSING",
+        );
+      }
+      reply(res, 200, result.response);
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  return {
+    url: `http://${host}:${address.port}`,
+    port: address.port,
+    misses,
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
+
+module.exports = {
+  RECORDED_PATHS,
+  createApiRecorder,
+  startReplayServer,
+  describeRequest,
+  hashImage,
+};
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { createRequire } from "node:module";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+
+const require = createRequire(import.meta.url);
+const { startReplayServer, describeRequest } = require("./index.js");
+const { createSDK } = require("../../agent/lib/sdk.js");
+
+/**
+ * Fixtures are recorded through the real req() against an API stand-in, then
+ * served back by the replay server. The point is that code under test can't
+ * tell the two apart — same response bodies, same request flow — while the
+ * session id and other per-run fields don't break matching.
+ */
+
+const SCREEN_A = Buffer.from("screen-a").toString("base64");
+const SCREEN_B = Buffer.from("screen-b").toString("base64");
+
+const FIND_RESPONSE = {
+  coordinates: { x: 10, y: 20, centerX: 10, centerY: 20 },
+  confidence: 0.9,
+};
+
+const sdkFor = (config, session = "session-1") =>
+  createSDK({ emit: () => {} }, config, { get: () => session });
+
+let dir;
+let api;
+let apiCalls = 0;
+
+beforeAll(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "td-replay-"));
+  api = http.createServer((req, res) => {
+    apiCalls++;
+    req.resume();
+    req.on("end", () => {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(FIND_RESPONSE));
+    });
+  });
+  await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+
+  const { req } = sdkFor({
+    TD_API_ROOT: `http://127.0.0.1:${api.address().port}`,
+    TD_API_RECORD: dir,
+  });
+  await req("find", { element: "Sign in", image: SCREEN_A, session: "session-1" });
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => api.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("describeRequest", () => {
+  it("ignores volatile fields and keeps screenshots out of the key", () => {
+    const a = describeRequest("find", { element: "OK", session: "1", image: SCREEN_A });
+    const b = describeRequest("find", { session: "2", element: "OK", image: SCREEN_B });
+    expect(a.key).toBe(b.key);
+    expect(a.images).not.toEqual(b.images);
+    expect(a.request).toEqual({ element: "OK" });
+  });
+});
+
+describe("replay server", () => {
+  it("writes one fixture per request with hashed screenshots", () => {
+    const [file] = fs.readdirSync(path.join(dir, "find"));
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, "find", file), "utf8"));
+    expect(fixture.request).toEqual({ element: "Sign in" });
+    expect(fixture.entries[0].images[0]).toMatch(/^sha256:[0-9a-f]{64}$/);
+    expect(fixture.entries[0].response).toEqual(FIND_RESPONSE);
+  });
+
+  it("answers recorded requests without reaching the API", async () => {
+    const callsBefore = apiCalls;
+    const server = await startReplayServer({ dir });
+    try {
+      const { req } = sdkFor({ TD_API_ROOT: server.url }, "another-session");
+      const response = await req("find", { element: "Sign in", image: SCREEN_A });
+      expect(response).toEqual(FIND_RESPONSE);
+      expect(apiCalls).toBe(callsBefore);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it("falls back to recorded order when the screenshot changed, unless strict", async () => {
+    const loose = await startReplayServer({ dir });
+    const strict = await startReplayServer({ dir, strict: true });
+    try {
+      const data = () => ({ element: "Sign in", image: SCREEN_B });
+      await expect(sdkFor({ TD_API_ROOT: loose.url }).req("find", data())).resolves.toEqual(
+        FIND_RESPONSE,
+      );
+      await expect(sdkFor({ TD_API_ROOT: strict.url }).req("find", data())).rejects.toThrow();
+      expect(strict.misses[0]).toMatchObject({ path: "find", reason: "screenshot changed" });
+    } finally {
+      await loose.close();
+      await strict.close();
+    }
+  });
+
+  it("reports requests that were never recorded", async () => {
+    const server = await startReplayServer({ dir });
+    try {
+      await expect(
+        sdkFor({ TD_API_ROOT: server.url }).req("assert", { expect: "x", image: SCREEN_A }),
+      ).rejects.toMatchObject({ response: { data: { code: "FIXTURE_MISSING" } } });
+      expect(server.misses).toHaveLength(1);
+    } finally {
+      await server.close();
+    }
+  });
+});
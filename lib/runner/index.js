@@ -0,0 +1,329 @@
+/**
+ * Test runner behind `testdriverai run`
+ *
+ * Expands file/directory/glob arguments into test files, picks this
+ * machine's shard, runs each file (with retries) through a caller-supplied
+ * `runFile`, and writes the JUnit and Markdown reports. How a file is run -
+ * an agent process for YAML, vitest or node for SDK files - is up to the CLI.
+ */
+const fs = require("fs");
+const path = require("path");
+const stripAnsi = require("strip-ansi");
+const { createEmitter, events } = require("../../agent/events.js");
+const { createJUnitReporter } = require("../../interfaces/junit-reporter.js");
+
+const YAML_FILE = /\.ya?ml$/i;
+const SDK_TEST_FILE = /\.(test|spec)\.[cm]?[jt]s$/i;
+
+// Directories that hold YAML run by other tests rather than tests themselves
+const SUPPORT_DIRS = ["lifecycle", "snippets"];
+
+const IGNORED_DIRS = ["node_modules", ".git", ".testdriver"];
+
+const toPosix = (file) => file.split(path.sep).join("/");
+
+/**
+ * Convert a glob to a regular expression matched against posix paths.
+ * Supports `**`, `*`, `?` and `{a,b}`.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      // `**/` matches zero or more directories
+      if (pattern[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      const end = pattern.indexOf("}", i);
+      if (end === -1) {
+        source += "\\{";
+        continue;
+      }
+      const options = pattern.slice(i + 1, end).split(",");
+      source += `(?:${options.map((o) => globToRegExp(o).source.slice(1, -1)).join("|")})`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function walk(dir, files = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (IGNORED_DIRS.includes(entry.name)) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) walk(full, files);
+    else if (entry.isFile()) files.push(full);
+  }
+  return files;
+}
+
+/**
+ * Whether a file found by walking a directory is a test. Explicitly named
+ * files and glob matches are always run.
+ */
+const isTestFile = (file) =>
+  SDK_TEST_FILE.test(file) ||
+  (YAML_FILE.test(file) && !file.split(path.sep).some((part) => SUPPORT_DIRS.includes(part)));
+
+/**
+ * Expand files, directories and globs into a sorted list of absolute paths
+ * @param {string[]} patterns
+ * @param {string} [cwd=process.cwd()]
+ * @returns {string[]}
+ */
+function expandPatterns(patterns, cwd = process.cwd()) {
+  const found = new Set();
+
+  for (const pattern of patterns) {
+    const resolved = path.resolve(cwd, pattern);
+    if (fs.existsSync(resolved)) {
+      if (fs.statSync(resolved).isDirectory()) {
+        walk(resolved).filter(isTestFile).forEach((f) => found.add(f));
+      } else {
+        found.add(resolved);
+      }
+      continue;
+    }
+
+    // Only walk from the part of the pattern before the first wildcard
+    const parts = toPosix(pattern).split("/");
+    const firstGlob = parts.findIndex((part) => /[*?{]/.test(part));
+    if (firstGlob === -1) continue;
+    const base = path.resolve(cwd, parts.slice(0, firstGlob).join("/") || ".");
+    if (!fs.existsSync(base)) continue;
+
+    const matcher = globToRegExp(toPosix(path.relative(cwd, path.resolve(cwd, pattern))));
+    for (const file of walk(base)) {
+      if (matcher.test(toPosix(path.relative(cwd, file)))) found.add(file);
+    }
+  }
+
+  return [...found].sort();
+}
+
+/**
+ * Parse a `--shard` value such as `2/4` (1-based)
+ * @param {string} value
+ * @returns {{ index: number, total: number }}
+ */
+function parseShard(value) {
+  const match = /^(\d+)\/(\d+)$/.exec(String(value).trim());
+  const index = match && Number(match[1]);
+  const total = match && Number(match[2]);
+  if (!match || total < 1 || index < 1 || index > total) {
+    throw new Error(`Invalid shard "${value}", expected i/n with 1 <= i <= n, e.g. 1/3`);
+  }
+  return { index, total };
+}
+
+/**
+ * Pick one shard's files. Every machine sees the same sorted list, so the
+ * shards never overlap and together cover every file.
+ * @param {string[]} files - Sorted file list from expandPatterns()
+ * @param {{ index: number, total: number }} shard
+ * @returns {string[]}
+ */
+function shardFiles(files, { index, total }) {
+  return files.filter((_, i) => i % total === index - 1);
+}
+
+/**
+ * Run files, at most `concurrency` at a time, retrying failures
+ * @param {Object} options
+ * @param {string[]} options.files
+ * @param {(file: string, attempt: number) => Promise<{ exitCode: number, output: string }>} options.runFile
+ * @param {number} [options.concurrency=1]
+ * @param {number} [options.retries=0] - Extra attempts for a failing file
+ * @param {(result: Object) => void} [options.onResult] - Called as each file finishes
+ * @returns {Promise<Array<{ file: string, passed: boolean, flaky: boolean, duration: number, attempts: Array<{ exitCode: number, output: string, duration: number }> }>>}
+ *   Results in the order of `files`
+ */
+async function runFiles({ files, runFile, concurrency = 1, retries = 0, onResult }) {
+  const results = new Array(files.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < files.length) {
+      const i = next++;
+      const file = files[i];
+      const attempts = [];
+
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        const start = Date.now();
+        let outcome;
+        try {
+          outcome = await runFile(file, attempt);
+        } catch (error) {
+          outcome = { exitCode: 1, output: error.stack || String(error) };
+        }
+        attempts.push({ ...outcome, duration: Date.now() - start });
+        if (outcome.exitCode === 0) break;
+      }
+
+      const passed = attempts[attempts.length - 1].exitCode === 0;
+      results[i] = {
+        file,
+        passed,
+        flaky: passed && attempts.length > 1,
+        duration: attempts.reduce((sum, a) => sum + a.duration, 0),
+        attempts,
+      };
+      if (onResult) onResult(results[i]);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.max(1, Math.min(concurrency, files.length)) }, worker),
+  );
+  return results;
+}
+
+const formatDuration = (ms) => {
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)}s`;
+  return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+};
+
+const tail = (output, lines = 30) =>
+  stripAnsi(output || "").trimEnd().split("\n").slice(-lines).join("\n");
+
+/**
+ * Write the run's JUnit XML report. Each file contributes the report its
+ * JUnitReporter wrote: YAML workers write one with their steps and
+ * commands, and for any other file (or a worker that died before writing)
+ * the file's exit code and output are recorded through a JUnitReporter
+ * here. The suites are then combined into one `<testsuites>` document.
+ * @param {Array<Object>} results - runFiles() results
+ * @param {string} outputPath
+ * @param {Object} [options]
+ * @param {(file: string) => string} options.reportPath - Where the report for a file is, or goes
+ */
+function writeJUnitReport(results, outputPath, { reportPath }) {
+  const totals = { tests: 0, failures: 0, errors: 0, skipped: 0 };
+  const suites = [];
+
+  for (const result of results) {
+    const file = reportPath(result.file);
+    if (!fs.existsSync(file)) recordResult(result, file);
+
+    const xml = fs.readFileSync(file, "utf-8");
+    const open = xml.match(/<testsuites\b[^>]*?(\/?)>/);
+    if (!open || open[1]) continue;
+
+    for (const [, name, count] of open[0].matchAll(/\b(\w+)="(\d+)"/g)) {
+      if (name in totals) totals[name] += Number(count);
+    }
+    // Everything between the outer tags, so CDATA output is left alone
+    suites.push(
+      xml.slice(open.index + open[0].length, xml.lastIndexOf("</testsuites>")).trim(),
+    );
+  }
+
+  const attributes = Object.entries(totals)
+    .map(([name, count]) => `${name}="${count}"`)
+    .join(" ");
+  fs.mkdirSync(path.dirname(path.resolve(outputPath)), { recursive: true });
+  fs.writeFileSync(
+    outputPath,
+    `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites ${attributes}>\n  ${suites.join("\n  ")}\n</testsuites>\n`,
+  );
+}
+
+/**
+ * Record a file's last attempt through a JUnitReporter, as its agent would
+ * have: the output is the test's log and the exit code decides the result
+ * @param {Object} result - A runFiles() result
+ * @param {string} outputPath
+ */
+function recordResult(result, outputPath) {
+  const last = result.attempts[result.attempts.length - 1];
+  const emitter = createEmitter();
+  createJUnitReporter(
+    emitter,
+    outputPath,
+    result.file,
+    require("junit-report-builder").newBuilder(),
+  );
+
+  emitter.emit(events.test.start, {
+    filePath: result.file,
+    timestamp: Date.now() - last.duration,
+  });
+  if (last.output) emitter.emit(events.log.log, last.output);
+  emitter.emit(events.exit, last.exitCode);
+}
+
+/**
+ * Markdown summary of a run, e.g. for $GITHUB_STEP_SUMMARY
+ * @param {Array<Object>} results - runFiles() results
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()]
+ * @param {{ index: number, total: number }} [options.shard]
+ * @returns {string}
+ */
+function formatSummary(results, { cwd = process.cwd(), shard } = {}) {
+  const passed = results.filter((r) => r.passed).length;
+  const failed = results.length - passed;
+  const flaky = results.filter((r) => r.flaky).length;
+  const duration = results.reduce((sum, r) => sum + r.duration, 0);
+
+  const lines = [
+    `# TestDriver run${shard ? ` (shard ${shard.index}/${shard.total})` : ""}`,
+    "",
+    `**${passed} passed**, ${failed} failed${flaky ? `, ${flaky} flaky` : ""} · ${formatDuration(duration)}`,
+    "",
+    "| Test | Result | Attempts | Duration |",
+    "| --- | --- | --- | --- |",
+  ];
+  for (const r of results) {
+    const status = !r.passed ? "❌ failed" : r.flaky ? "⚠️ flaky" : "✅ passed";
+    lines.push(
+      `| ${toPosix(path.relative(cwd, r.file))} | ${status} | ${r.attempts.length} | ${formatDuration(r.duration)} |`,
+    );
+  }
+
+  const failures = results.filter((r) => !r.passed);
+  if (failures.length) {
+    lines.push("", "## Failures");
+    for (const r of failures) {
+      lines.push(
+        "",
+        `### ${toPosix(path.relative(cwd, r.file))}`,
+        "",
+        "```",
+        tail(r.attempts[r.attempts.length - 1].output),
+        "```",
+      );
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  expandPatterns,
+  globToRegExp,
+  parseShard,
+  shardFiles,
+  runFiles,
+  writeJUnitReport,
+  formatSummary,
+  formatDuration,
+  tail,
+  YAML_FILE,
+  SDK_TEST_FILE,
+};
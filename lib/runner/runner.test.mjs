@@ -0,0 +1,113 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "node:module";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const require = createRequire(import.meta.url);
+const {
+  expandPatterns,
+  parseShard,
+  shardFiles,
+  runFiles,
+  writeJUnitReport,
+  formatSummary,
+} = require("./index.js");
+const { createEmitter, events } = require("../../agent/events.js");
+const { createJUnitReporter } = require("../../interfaces/junit-reporter.js");
+
+/**
+ * CI machines each run `testdriverai run --shard i/n` over the same tree, so
+ * the file list has to be deterministic and the shards must partition it.
+ * Files are run through a fake `runFile` so no agent or sandbox is needed.
+ */
+
+function project() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "td-run-"));
+  for (const file of [
+    "testdriver/login.yaml",
+    "testdriver/checkout/cart.yml",
+    "testdriver/lifecycle/prerun.yaml",
+    "testdriver/snippets/sign-in.yaml",
+    "tests/search.test.mjs",
+    "tests/helpers.mjs",
+  ]) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), "");
+  }
+  return root;
+}
+
+describe("runner", () => {
+  it("expands directories and globs into sorted test files", () => {
+    const root = project();
+    const rel = (files) => files.map((f) => path.relative(root, f).split(path.sep).join("/"));
+
+    expect(rel(expandPatterns(["testdriver", "tests"], root))).toEqual([
+      "testdriver/checkout/cart.yml",
+      "testdriver/login.yaml",
+      "tests/search.test.mjs",
+    ]);
+    expect(rel(expandPatterns(["testdriver/**/*.{yaml,yml}"], root))).toHaveLength(4);
+    expect(rel(expandPatterns(["tests/*.mjs", "tests/helpers.mjs"], root))).toEqual([
+      "tests/helpers.mjs",
+      "tests/search.test.mjs",
+    ]);
+  });
+
+  it("splits files into non-overlapping shards", () => {
+    const files = ["a", "b", "c", "d", "e"];
+    const shards = [1, 2, 3].map((index) => shardFiles(files, parseShard(`${index}/3`)));
+    expect(shards).toEqual([["a", "d"], ["b", "e"], ["c"]]);
+    expect(() => parseShard("4/3")).toThrow(/Invalid shard/);
+    expect(() => parseShard("1")).toThrow(/Invalid shard/);
+  });
+
+  it("retries failures and reports flaky and failed files", async () => {
+    const calls = {};
+    const results = await runFiles({
+      files: ["/p/pass.yaml", "/p/flaky.yaml", "/p/fail.yaml"],
+      concurrency: 2,
+      retries: 2,
+      runFile: (file) => {
+        calls[file] = (calls[file] || 0) + 1;
+        if (file.includes("pass")) return Promise.resolve({ exitCode: 0, output: "ok" });
+        if (file.includes("flaky")) {
+          return Promise.resolve({ exitCode: calls[file] < 2 ? 1 : 0, output: "" });
+        }
+        return Promise.reject(new Error("sandbox unavailable"));
+      },
+    });
+
+    expect(results.map((r) => [r.passed, r.flaky, r.attempts.length])).toEqual([
+      [true, false, 1],
+      [true, true, 2],
+      [false, false, 3],
+    ]);
+    expect(results[2].attempts[2].output).toMatch(/sandbox unavailable/);
+
+    const summary = formatSummary(results, { cwd: "/p", shard: { index: 1, total: 2 } });
+    expect(summary).toContain("# TestDriver run (shard 1/2)");
+    expect(summary).toContain("**2 passed**, 1 failed, 1 flaky");
+    expect(summary).toMatch(/### fail\.yaml\n\n```\n.*sandbox unavailable/);
+
+    // pass.yaml's worker wrote its own report; the others are recorded from
+    // their output
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "td-run-"));
+    const reportPath = (file) => path.join(dir, `${path.basename(file)}.xml`);
+    const emitter = createEmitter();
+    createJUnitReporter(emitter, reportPath("/p/pass.yaml"), "/p/testdriver/pass.yaml");
+    emitter.emit(events.test.start, { filePath: "/p/testdriver/pass.yaml", timestamp: Date.now() });
+    emitter.emit(events.step.success, { prompt: "sign in" });
+    emitter.emit(events.exit, 0);
+
+    const junit = path.join(dir, "out", "junit.xml");
+    writeJUnitReport(results, junit, { reportPath });
+    const xml = fs.readFileSync(junit, "utf-8");
+    expect(xml.match(/<testsuites\b/g)).toHaveLength(1);
+    expect(xml).toContain('<testsuites tests="3" failures="1" errors="0" skipped="0">');
+    expect(xml).toContain('<property name="step1[passed]" value="sign in"/>');
+    expect(xml).toContain('<failure message="Test failed with exit code 1"/>');
+    expect(xml).toMatch(/<testcase classname="[^"]*" name="fail\.yaml"[\s\S]*sandbox unavailable/);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Screenshot baselines for expectScreenshot()
+ *
+ * Baselines are committed next to the test that owns them; actual and diff
+ * images from failed comparisons are written under .testdriver/ so they
+ * never end up in the repo.
+ *
+ * Layout:
+ *   <test dir>/__screenshots__/<test file>/<name>-<os>.png   - baseline
+ *   .testdriver/snapshots/<test file>/<name>-<os>.actual.png - failed run
+ *   .testdriver/snapshots/<test file>/<name>-<os>.diff.png   - changed pixels in red
+ */
+const fs = require("fs");
+const path = require("path");
+const { PNG } = require("pngjs");
+
+// Fraction of pixels allowed to differ before a comparison fails
+const DEFAULT_THRESHOLD = 0.001;
+
+// pixelmatch's per-pixel color distance, same as the redraw detector
+const PIXEL_THRESHOLD = 0.1;
+
+const DEFAULT_OUTPUT_DIR = path.join(".testdriver", "snapshots");
+
+const MASK_COLOR = [255, 0, 255, 255];
+
+/**
+ * Error thrown when a screenshot does not match its baseline
+ */
+class ScreenshotMismatchError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} result - compareScreenshot() result
+   */
+  constructor(message, result) {
+    super(message);
+    this.name = "ScreenshotMismatchError";
+    this.baselinePath = result.baselinePath;
+    this.actualPath = result.actualPath;
+    this.diffPath = result.diffPath;
+    this.diffRatio = result.diffRatio;
+  }
+}
+
+const slug = (value) => String(value).replace(/[^\w.-]+/g, "-");
+
+/**
+ * Where a snapshot's baseline and failure output live
+ * @param {Object} options
+ * @param {string} options.name - Snapshot name, e.g. 'checkout-page'
+ * @param {string} [options.testFile] - Test file that owns the baseline
+ * @param {string} [options.os] - Sandbox OS; baselines are kept per OS
+ * @param {string} [options.dir] - Baseline directory (default: __screenshots__/<test file> next to the test)
+ * @param {string} [options.outputDir='.testdriver/snapshots'] - Where actual and diff images go
+ * @returns {{ baselinePath: string, actualPath: string, diffPath: string }}
+ */
+function snapshotPaths({ name, testFile, os, dir, outputDir }) {
+  const file = testFile ? testFile.replace(/^file:\/\//, "") : null;
+  const owner = file ? path.basename(file) : "default";
+  const base = slug(name) + (os ? `-${slug(os)}` : "");
+
+  const baselineDir = dir
+    ? path.resolve(dir)
+    : path.join(file ? path.dirname(file) : process.cwd(), "__screenshots__", owner);
+  const out = path.resolve(outputDir || DEFAULT_OUTPUT_DIR, owner);
+
+  return {
+    baselinePath: path.join(baselineDir, `${base}.png`),
+    actualPath: path.join(out, `${base}.actual.png`),
+    diffPath: path.join(out, `${base}.diff.png`),
+  };
+}
+
+/**
+ * Paint regions of an image with a solid color so they never differ
+ * @param {PNG} png - Modified in place
+ * @param {Array<{ left: number, top: number, width: number, height: number }>} boxes
+ */
+function applyMask(png, boxes = []) {
+  for (const box of boxes) {
+    const left = Math.max(0, Math.floor(box.left));
+    const top = Math.max(0, Math.floor(box.top));
+    const right = Math.min(png.width, Math.ceil(box.left + box.width));
+    const bottom = Math.min(png.height, Math.ceil(box.top + box.height));
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) {
+        const i = (y * png.width + x) * 4;
+        png.data[i] = MASK_COLOR[0];
+        png.data[i + 1] = MASK_COLOR[1];
+        png.data[i + 2] = MASK_COLOR[2];
+        png.data[i + 3] = MASK_COLOR[3];
+      }
+    }
+  }
+  return png;
+}
+
+function writePng(filePath, png) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, PNG.sync.write(png));
+}
+
+/**
+ * Compare a screenshot against its baseline. A missing baseline is recorded
+ * unless `createMissing` is false; with `update` the baseline is overwritten
+ * whether or not it matches.
+ * @param {Object} options
+ * @param {string} options.image - Base64 PNG screenshot
+ * @param {string} options.baselinePath
+ * @param {string} options.actualPath - Written when the comparison fails
+ * @param {string} options.diffPath - Written when the comparison fails
+ * @param {Array<Object>} [options.mask] - Boxes to paint over before comparing, in image coordinates
+ * @param {number} [options.threshold=0.001] - Fraction of pixels allowed to differ
+ * @param {boolean} [options.update=false] - Overwrite the baseline
+ * @param {boolean} [options.createMissing=true] - Record a missing baseline instead of failing
+ * @returns {Promise<{ status: 'created'|'updated'|'matched'|'mismatched'|'missing', baselinePath: string, actualPath?: string, diffPath?: string, diffPixels?: number, diffRatio?: number, reason?: string }>}
+ */
+async function compareScreenshot({
+  image,
+  baselinePath,
+  actualPath,
+  diffPath,
+  mask = [],
+  threshold = DEFAULT_THRESHOLD,
+  update = false,
+  createMissing = true,
+}) {
+  const actual = applyMask(
+    PNG.sync.read(Buffer.from(image.replace(/^data:image\/\w+;base64,/, ""), "base64")),
+    mask,
+  );
+
+  const fail = (details) => {
+    writePng(actualPath, actual);
+    return { status: "mismatched", baselinePath, actualPath, ...details };
+  };
+
+  const exists = fs.existsSync(baselinePath);
+  if (!exists && !update && !createMissing) {
+    return { ...fail({ reason: "no baseline has been recorded" }), status: "missing" };
+  }
+  if (!exists || update) {
+    writePng(baselinePath, actual);
+    return { status: exists ? "updated" : "created", baselinePath };
+  }
+
+  const baseline = PNG.sync.read(fs.readFileSync(baselinePath));
+
+  if (baseline.width !== actual.width || baseline.height !== actual.height) {
+    return fail({
+      diffRatio: 1,
+      reason: `size changed from ${baseline.width}x${baseline.height} to ${actual.width}x${actual.height}`,
+    });
+  }
+
+  // Masks are applied to the baseline too, so masks added after the baseline
+  // was recorded still hide their regions
+  applyMask(baseline, mask);
+
+  // Dynamic import for ES module pixelmatch
+  const { default: pixelmatch } = await import("pixelmatch");
+  const { width, height } = actual;
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(baseline.data, actual.data, diff.data, width, height, {
+    threshold: PIXEL_THRESHOLD,
+  });
+  const diffRatio = diffPixels / (width * height);
+
+  if (diffRatio <= threshold) {
+    return { status: "matched", baselinePath, diffPixels, diffRatio };
+  }
+
+  writePng(diffPath, diff);
+  return fail({
+    diffPath,
+    diffPixels,
+    diffRatio,
+    reason: `${diffPixels} pixels (${(diffRatio * 100).toFixed(2)}%) differ, allowed ${(threshold * 100).toFixed(2)}%`,
+  });
+}
+
+module.exports = {
+  compareScreenshot,
+  snapshotPaths,
+  applyMask,
+  ScreenshotMismatchError,
+  DEFAULT_THRESHOLD,
+};
@@ -0,0 +1,80 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "node:module";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const require = createRequire(import.meta.url);
+const { PNG } = require("pngjs");
+const { compareScreenshot, snapshotPaths } = require("./index.js");
+
+/**
+ * A baseline is only useful if the first run records it, an unchanged screen
+ * matches it, and a change leaves behind enough on disk (actual + diff) to
+ * see what moved. Masks must hide their region in both images.
+ */
+
+// 100x100 white screen with a black square at (x, y)
+function screen(x = 10, y = 10) {
+  const png = new PNG({ width: 100, height: 100 });
+  png.data.fill(255);
+  for (let row = y; row < y + 20; row++) {
+    for (let col = x; col < x + 20; col++) {
+      const i = (row * 100 + col) * 4;
+      png.data[i] = png.data[i + 1] = png.data[i + 2] = 0;
+    }
+  }
+  return PNG.sync.write(png).toString("base64");
+}
+
+function paths() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "td-snapshot-"));
+  return snapshotPaths({
+    name: "checkout page",
+    testFile: path.join(dir, "checkout.test.mjs"),
+    os: "linux",
+    outputDir: path.join(dir, "out"),
+  });
+}
+
+describe("compareScreenshot", () => {
+  it("keeps baselines next to the test, per OS", () => {
+    const { baselinePath, diffPath } = paths();
+    expect(baselinePath).toMatch(/__screenshots__[\\/]checkout\.test\.mjs[\\/]checkout-page-linux\.png$/);
+    expect(diffPath).toMatch(/out[\\/]checkout\.test\.mjs[\\/]checkout-page-linux\.diff\.png$/);
+  });
+
+  it("records a missing baseline, then matches the same screen", async () => {
+    const p = paths();
+    expect((await compareScreenshot({ image: screen(), ...p })).status).toBe("created");
+    expect(fs.existsSync(p.baselinePath)).toBe(true);
+
+    const result = await compareScreenshot({ image: screen(), ...p });
+    expect(result).toMatchObject({ status: "matched", diffPixels: 0 });
+  });
+
+  it("fails on changed pixels and writes the actual and diff images", async () => {
+    const p = paths();
+    await compareScreenshot({ image: screen(), ...p });
+
+    const result = await compareScreenshot({ image: screen(40, 40), ...p });
+    expect(result.status).toBe("mismatched");
+    expect(result.diffRatio).toBeCloseTo(0.08);
+    expect(fs.existsSync(p.actualPath)).toBe(true);
+    expect(fs.existsSync(p.diffPath)).toBe(true);
+
+    // Same change, but tolerated, masked, or accepted as the new baseline
+    expect((await compareScreenshot({ image: screen(40, 40), threshold: 0.1, ...p })).status).toBe("matched");
+    const mask = [{ left: 0, top: 0, width: 70, height: 70 }];
+    expect((await compareScreenshot({ image: screen(40, 40), mask, ...p })).status).toBe("matched");
+    expect((await compareScreenshot({ image: screen(40, 40), update: true, ...p })).status).toBe("updated");
+    expect((await compareScreenshot({ image: screen(40, 40), ...p })).status).toBe("matched");
+  });
+
+  it("can refuse to record a missing baseline", async () => {
+    const p = paths();
+    const result = await compareScreenshot({ image: screen(), createMissing: false, ...p });
+    expect(result.status).toBe("missing");
+    expect(fs.existsSync(p.baselinePath)).toBe(false);
+  });
+});
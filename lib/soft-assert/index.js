@@ -0,0 +1,110 @@
+/**
+ * Soft assertions for the TestDriver SDK
+ *
+ * `testdriver.softAssert()` (or `testdriver.expect.soft()`) records a failed
+ * assertion with a screenshot instead of throwing, so a long flow can report
+ * every broken label in one run. The failures are thrown together as one
+ * SoftAssertionError at the end of the test: automatically in Vitest tests
+ * set up with `TestDriver(context)`, or by calling
+ * `testdriver.softAssertions.assertAll()`.
+ *
+ *   await testdriver.softAssert("the header says 'Your orders'");
+ *   await testdriver.expect.soft("the total shows $42.00");
+ *   // ...the test keeps going and fails at the end if either failed
+ */
+const path = require("path");
+
+/**
+ * Error thrown at the end of a test when soft assertions failed
+ */
+class SoftAssertionError extends Error {
+  /**
+   * @param {Object[]} failures - Recorded failures, see createSoftAssertions().record()
+   */
+  constructor(failures) {
+    super(formatReport(failures));
+    this.name = "SoftAssertionError";
+    this.failures = failures;
+  }
+}
+
+/**
+ * One report for all failures: what failed, where, and the screenshot
+ * @param {Object[]} failures
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Paths are shown relative to this
+ * @returns {string}
+ */
+function formatReport(failures, { cwd = process.cwd() } = {}) {
+  const lines = [
+    `${failures.length} soft assertion${failures.length === 1 ? "" : "s"} failed:`,
+  ];
+  failures.forEach((failure, i) => {
+    const location = failure.location
+      ? ` (${path.relative(cwd, failure.location.filePath)}:${failure.location.line})`
+      : "";
+    lines.push("", `  ${i + 1}) ${failure.assertion}${location}`);
+    if (failure.message && failure.message !== failure.assertion) {
+      lines.push(...failure.message.split("\n").map((line) => `     ${line}`));
+    }
+    if (failure.screenshot) {
+      lines.push(`     Screenshot: ${path.relative(cwd, failure.screenshot)}`);
+    }
+  });
+  return lines.join("\n");
+}
+
+/**
+ * Create the soft assertion collector for one TestDriver instance
+ * @returns {Object} `{ failures, record, clear, takeError, assertAll }`
+ */
+function createSoftAssertions() {
+  let failures = [];
+
+  return {
+    /** Failures recorded since the last assertAll() */
+    get failures() {
+      return [...failures];
+    },
+
+    /**
+     * Record a failure
+     * @param {Object} failure
+     * @param {string} failure.assertion - What was asserted
+     * @param {string} [failure.message] - Why it failed
+     * @param {string|null} [failure.screenshot] - Path of the screenshot taken at the failure
+     * @param {{ filePath: string, line: number }|null} [failure.location] - Where softAssert() was called
+     */
+    record(failure) {
+      failures.push({ ...failure, timestamp: Date.now() });
+    },
+
+    /** Forget all recorded failures */
+    clear() {
+      failures = [];
+    },
+
+    /**
+     * The error for the recorded failures, or null if there are none.
+     * Clears the failures so they are only reported once.
+     * @returns {SoftAssertionError|null}
+     */
+    takeError() {
+      if (!failures.length) return null;
+      const error = new SoftAssertionError(failures);
+      failures = [];
+      return error;
+    },
+
+    /**
+     * Throw a SoftAssertionError listing every failure recorded so far
+     * @throws {SoftAssertionError}
+     */
+    assertAll() {
+      const error = this.takeError();
+      if (error) throw error;
+    },
+  };
+}
+
+module.exports = { SoftAssertionError, createSoftAssertions, formatReport };
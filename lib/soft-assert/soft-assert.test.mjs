@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "node:module";
+import path from "node:path";
+
+const require = createRequire(import.meta.url);
+const { createSoftAssertions, SoftAssertionError, formatReport } = require("./index.js");
+
+/**
+ * softAssert() itself needs a sandbox; what matters here is that recorded
+ * failures come back exactly once, as one error whose message is the whole
+ * report - that message is all Vitest's reporters and JUnit get to show.
+ */
+
+describe("soft assertions", () => {
+  it("throws every recorded failure once, then starts over", () => {
+    const soft = createSoftAssertions();
+    expect(() => soft.assertAll()).not.toThrow();
+
+    soft.record({ assertion: "the heading says Orders", message: "AI assertion failed: the heading says Orders" });
+    soft.record({ assertion: "items count is 3", message: "expected '2 items' to be '3 items'" });
+    expect(soft.failures).toHaveLength(2);
+
+    let error;
+    try {
+      soft.assertAll();
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(SoftAssertionError);
+    expect(error.failures.map((f) => f.assertion)).toEqual([
+      "the heading says Orders",
+      "items count is 3",
+    ]);
+    expect(soft.failures).toEqual([]);
+    expect(soft.takeError()).toBeNull();
+  });
+
+  it("reports locations and screenshots relative to the project", () => {
+    const cwd = path.resolve("/project");
+    const report = formatReport(
+      [
+        {
+          assertion: "the total shows $120.00",
+          message: "AI assertion failed: the total shows $120.00",
+          screenshot: path.join(cwd, ".testdriver", "screenshots", "orders", "soft-assert-1.png"),
+          location: { filePath: path.join(cwd, "tests", "orders.test.mjs"), line: 8 },
+        },
+      ],
+      { cwd },
+    );
+
+    expect(report).toBe(
+      [
+        "1 soft assertion failed:",
+        "",
+        `  1) the total shows $120.00 (${path.join("tests", "orders.test.mjs")}:8)`,
+        "     AI assertion failed: the total shows $120.00",
+        `     Screenshot: ${path.join(".testdriver", "screenshots", "orders", "soft-assert-1.png")}`,
+      ].join("\n"),
+    );
+  });
+});
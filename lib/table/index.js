@@ -0,0 +1,319 @@
+/**
+ * Tables from parse() output
+ *
+ * OmniParser returns a flat list of boxes. readTable() groups the text boxes
+ * into rows by their vertical position, then into columns by lining up their
+ * horizontal extents across rows, and reads the first row as the headers.
+ *
+ *   const invoices = await testdriver.readTable({ anchorText: "Invoice" });
+ *   // [{ Invoice: "Invoice 42", Status: "Paid", Total: "$120.00" }, ...]
+ *
+ *   const status = await testdriver.findCell({ row: "Invoice 42", column: "Status" });
+ *   await status.click();
+ */
+const { toRegion } = require("../region");
+
+/**
+ * Text boxes from parse() elements, in reading order
+ * @param {Object[]} elements - parse() elements
+ * @returns {Object[]} `{ text, left, top, right, bottom, centerY }`
+ */
+function toCells(elements = []) {
+  const cells = [];
+  for (const element of elements) {
+    const text =
+      typeof element.content === "string" ? element.content.trim() : "";
+    if (!text) continue;
+
+    const b = element.boundingBox;
+    const box = b
+      ? {
+          left: b.left,
+          top: b.top,
+          right: b.left + b.width,
+          bottom: b.top + b.height,
+        }
+      : element.bbox && {
+          left: element.bbox.x0,
+          top: element.bbox.y0,
+          right: element.bbox.x1,
+          bottom: element.bbox.y1,
+        };
+    if (!box || !(box.right > box.left) || !(box.bottom > box.top)) continue;
+
+    cells.push({ text, ...box, centerY: (box.top + box.bottom) / 2 });
+  }
+  return cells.sort((a, b) => a.centerY - b.centerY || a.left - b.left);
+}
+
+const overlap = (a0, a1, b0, b1) => Math.min(a1, b1) - Math.max(a0, b0);
+
+/**
+ * Group cells into rows: a cell joins the row when it overlaps the row's
+ * vertical band by at least half of its own height
+ * @param {Object[]} cells - From toCells(), sorted top to bottom
+ * @returns {Object[]} `{ top, bottom, cells }`, top to bottom
+ */
+function groupRows(cells) {
+  const rows = [];
+  for (const cell of cells) {
+    const row = rows.find(
+      (r) =>
+        overlap(r.top, r.bottom, cell.top, cell.bottom) >=
+        (cell.bottom - cell.top) / 2,
+    );
+    if (row) {
+      row.cells.push(cell);
+      row.top = Math.min(row.top, cell.top);
+      row.bottom = Math.max(row.bottom, cell.bottom);
+    } else {
+      rows.push({ top: cell.top, bottom: cell.bottom, cells: [cell] });
+    }
+  }
+  for (const row of rows) row.cells.sort((a, b) => a.left - b.left);
+  return rows.sort((a, b) => a.top - b.top);
+}
+
+/**
+ * Column bands from the horizontal extents of the cells. Overlapping extents
+ * are merged; single-cell rows (captions, footers) don't shape the columns.
+ * @param {Object[]} rows - From groupRows()
+ * @returns {{ left: number, right: number }[]} Left to right
+ */
+function findColumns(rows) {
+  const shaping = rows.filter((row) => row.cells.length > 1);
+  const extents = (shaping.length ? shaping : rows)
+    .flatMap((row) => row.cells)
+    .map(({ left, right }) => ({ left, right }))
+    .sort((a, b) => a.left - b.left);
+
+  const columns = [];
+  for (const extent of extents) {
+    const last = columns[columns.length - 1];
+    if (last && extent.left <= last.right) {
+      last.right = Math.max(last.right, extent.right);
+    } else {
+      columns.push({ ...extent });
+    }
+  }
+  return columns;
+}
+
+// Column for a cell: the band holding its center, else the nearest band
+function columnIndex(columns, cell) {
+  const center = (cell.left + cell.right) / 2;
+  let best = 0;
+  let bestDistance = Infinity;
+  columns.forEach((column, i) => {
+    const distance =
+      center < column.left
+        ? column.left - center
+        : center > column.right
+          ? center - column.right
+          : 0;
+    if (distance < bestDistance) {
+      best = i;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+// Header names, with blanks filled in and duplicates numbered
+function headerNames(texts) {
+  const seen = new Map();
+  return texts.map((text, i) => {
+    const name = text || `column${i + 1}`;
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    return count > 1 ? `${name}_${count}` : name;
+  });
+}
+
+const textMatches = (pattern, text) =>
+  pattern instanceof RegExp
+    ? pattern.test(text)
+    : text.toLowerCase().includes(String(pattern).toLowerCase());
+
+/**
+ * Lay parse() elements out as a table
+ * @param {Object[]} elements - parse() elements
+ * @param {Object} [options]
+ * @param {Element|Object} [options.region] - Only use elements centered inside this found Element or region { left, top, width, height }
+ * @param {string|RegExp} [options.anchorText] - Text in the header row (or in a caption just above it); rows above it, and after the first unusually large gap, are ignored
+ * @param {boolean|string[]} [options.headers=true] - Read the first row as headers, or use these names; `false` names the columns column1, column2, ...
+ * @returns {{ headers: string[], columns: Object[], rows: Object[] }} Data rows are `{ top, bottom, cells }` with one cell (or null) per column
+ */
+function layoutTable(elements, { region, anchorText, headers = true } = {}) {
+  let cells = toCells(elements);
+
+  if (region) {
+    const r = toRegion(region);
+    cells = cells.filter((cell) => {
+      const x = (cell.left + cell.right) / 2;
+      return (
+        x >= r.left &&
+        x <= r.left + r.width &&
+        cell.centerY >= r.top &&
+        cell.centerY <= r.top + r.height
+      );
+    });
+  }
+
+  let rows = groupRows(cells);
+
+  if (anchorText !== undefined) {
+    const start = rows.findIndex((row) =>
+      row.cells.some((cell) => textMatches(anchorText, cell.text)),
+    );
+    if (start === -1)
+      throw new Error(`No table found: "${anchorText}" is not on screen`);
+    rows = rows.slice(start);
+    // A caption above the table: the headers are on the next row
+    if (
+      rows[0].cells.length === 1 &&
+      rows.length > 1 &&
+      rows[1].cells.length > 1
+    ) {
+      rows = rows.slice(1);
+    }
+    // The table ends at the first gap well beyond the usual row spacing
+    const pitches = rows
+      .slice(1, 6)
+      .map((row, i) => row.top - rows[i].top)
+      .sort((a, b) => a - b);
+    if (pitches.length) {
+      const pitch = pitches[Math.floor(pitches.length / 2)];
+      const end = rows.findIndex(
+        (row, i) => i > 0 && row.top - rows[i - 1].top > pitch * 2.5,
+      );
+      if (end !== -1) rows = rows.slice(0, end);
+    }
+  }
+
+  if (!rows.length)
+    throw new Error("No table found: there is no text in the region");
+
+  const columns = findColumns(rows);
+  const placed = rows.map((row) => {
+    const slots = columns.map(() => null);
+    for (const cell of row.cells) {
+      const i = columnIndex(columns, cell);
+      slots[i] = slots[i]
+        ? {
+            text: `${slots[i].text} ${cell.text}`,
+            left: Math.min(slots[i].left, cell.left),
+            top: Math.min(slots[i].top, cell.top),
+            right: Math.max(slots[i].right, cell.right),
+            bottom: Math.max(slots[i].bottom, cell.bottom),
+          }
+        : cell;
+    }
+    return { top: row.top, bottom: row.bottom, cells: slots };
+  });
+
+  let names;
+  let data = placed;
+  if (Array.isArray(headers)) {
+    names = headerNames(columns.map((_, i) => headers[i] || ""));
+  } else if (headers) {
+    names = headerNames(placed[0].cells.map((cell) => (cell ? cell.text : "")));
+    data = placed.slice(1);
+  } else {
+    names = headerNames(columns.map(() => ""));
+  }
+
+  return { headers: names, columns, rows: data };
+}
+
+/**
+ * Table rows as objects keyed by header; empty cells are ""
+ * @param {Object} table - From layoutTable()
+ * @returns {Object<string, string>[]}
+ */
+function toRowObjects(table) {
+  return table.rows.map((row) =>
+    Object.fromEntries(
+      table.headers.map((name, i) => [
+        name,
+        row.cells[i] ? row.cells[i].text : "",
+      ]),
+    ),
+  );
+}
+
+/**
+ * Locate a cell by its row and column. A row is picked by the text of any of
+ * its cells or by its index among the data rows; a column by its header or
+ * index. Exact (case-insensitive) matches win over partial ones.
+ * @param {Object} table - From layoutTable()
+ * @param {Object} target
+ * @param {string|RegExp|number} target.row
+ * @param {string|RegExp|number} target.column
+ * @returns {{ text: string, header: string, rowIndex: number, columnIndex: number, box: { left: number, top: number, width: number, height: number } }}
+ *   An empty cell gets the box where its column and row cross
+ */
+function locateCell(table, { row, column }) {
+  const pick = (items, target, textsOf, what) => {
+    if (typeof target === "number") {
+      if (items[target]) return target;
+    } else {
+      const exact =
+        target instanceof RegExp
+          ? -1
+          : items.findIndex((item) =>
+              textsOf(item).some(
+                (text) => text.toLowerCase() === String(target).toLowerCase(),
+              ),
+            );
+      if (exact !== -1) return exact;
+      const partial = items.findIndex((item) =>
+        textsOf(item).some((text) => textMatches(target, text)),
+      );
+      if (partial !== -1) return partial;
+    }
+    throw new Error(`No ${what} matching ${target} in the table`);
+  };
+
+  const col = pick(table.headers, column, (name) => [name], "column");
+  const rowIndex = pick(
+    table.rows,
+    row,
+    (r) => r.cells.filter(Boolean).map((cell) => cell.text),
+    "row",
+  );
+
+  const cell = table.rows[rowIndex].cells[col];
+  const band = table.columns[col];
+  const rowBand = table.rows[rowIndex];
+  const box = cell
+    ? {
+        left: cell.left,
+        top: cell.top,
+        width: cell.right - cell.left,
+        height: cell.bottom - cell.top,
+      }
+    : {
+        left: band.left,
+        top: rowBand.top,
+        width: band.right - band.left,
+        height: rowBand.bottom - rowBand.top,
+      };
+
+  return {
+    text: cell ? cell.text : "",
+    header: table.headers[col],
+    rowIndex,
+    columnIndex: col,
+    box,
+  };
+}
+
+module.exports = {
+  toCells,
+  groupRows,
+  findColumns,
+  layoutTable,
+  toRowObjects,
+  locateCell,
+};
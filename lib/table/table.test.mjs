@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { layoutTable, toRowObjects, locateCell } = require("./index.js");
+
+/**
+ * readTable() and findCell() only add a parse() call and an Element on top
+ * of the layout, so these tests feed parse()-shaped elements straight in:
+ * a caption, a header row, two data rows with slightly uneven baselines, an
+ * empty cell, a two-word cell OCR'd as two boxes and unrelated text below.
+ */
+
+const el = (content, left, top, width, height = 16) => ({
+  type: "text",
+  content,
+  boundingBox: { left, top, width, height },
+});
+
+const screen = [
+  el("Recent invoices", 100, 40, 140, 24),
+  el("Invoice", 100, 100, 60),
+  el("Status", 300, 102, 50),
+  el("Total", 500, 100, 40),
+  el("Invoice 41", 100, 140, 80),
+  el("Past", 300, 143, 32),
+  el("due", 336, 141, 28),
+  el("$80.00", 500, 140, 56),
+  el("Invoice 42", 100, 180, 80),
+  el("$120.00", 500, 181, 64),
+  el("Help", 900, 700, 40),
+];
+
+describe("table layout", () => {
+  it("groups parsed elements into rows keyed by the header row", () => {
+    const table = layoutTable(screen, { anchorText: "Recent invoices" });
+    expect(table.headers).toEqual(["Invoice", "Status", "Total"]);
+    expect(toRowObjects(table)).toEqual([
+      { Invoice: "Invoice 41", Status: "Past due", Total: "$80.00" },
+      { Invoice: "Invoice 42", Status: "", Total: "$120.00" },
+    ]);
+
+    const scoped = layoutTable(screen, {
+      region: { left: 90, top: 90, width: 500, height: 120 },
+      headers: false,
+    });
+    expect(scoped.headers).toEqual(["column1", "column2", "column3"]);
+    expect(scoped.rows).toHaveLength(3);
+  });
+
+  it("locates cells by row text and header, including empty ones", () => {
+    const table = layoutTable(screen, { region: { left: 0, top: 90, width: 800, height: 120 } });
+
+    expect(locateCell(table, { row: "invoice 41", column: "status" })).toMatchObject({
+      text: "Past due",
+      header: "Status",
+      box: { left: 300, top: 141, width: 64, height: 18 },
+    });
+    // "Invoice 42" has no status: the box is where the column and row cross
+    expect(locateCell(table, { row: /42/, column: 1 })).toMatchObject({
+      text: "",
+      box: { left: 300, top: 180, width: 64, height: 17 },
+    });
+    expect(() => locateCell(table, { row: "Invoice 99", column: "Status" })).toThrow(
+      "No row matching Invoice 99",
+    );
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * TypeScript definitions for offline testing helpers
+ * @module testdriverai/testing
+ */
+
+/** A message the SDK sent to the sandbox, e.g. `{ type: 'leftClick', x, y }` */
+export interface SandboxMessage {
+  type: string;
+  [key: string]: unknown;
+}
+
+/** Result of a scripted exec() command */
+export type FakeExecResult =
+  | string
+  | { stdout?: string; stderr?: string; returncode?: number };
+
+export interface FakeClick {
+  x: number;
+  y: number;
+  button: "left" | "right" | "middle";
+  double?: boolean;
+}
+
+export interface FakeSandboxOptions {
+  /**
+   * PNG files or buffers, served one per screenshot; the last one keeps
+   * being served. Default: a blank white screen.
+   */
+  screens?: Array<string | Buffer>;
+  /**
+   * exec() results by exact command, or a function of the command.
+   * Unscripted commands print nothing and exit 0.
+   */
+  exec?: Record<string, FakeExecResult> | ((command: string) => FakeExecResult | undefined);
+  /** Reported as the sandbox OS (default: 'linux') */
+  os?: string;
+  /** Size of the blank default screen (default: '1366x768') */
+  resolution?: string;
+  /** Title reported for the focused window */
+  activeWindow?: string;
+}
+
+/**
+ * In-memory sandbox for unit tests. Pass it as the SDK's `transport` option.
+ */
+export class FakeSandbox {
+  constructor(options?: FakeSandboxOptions);
+
+  os: string;
+  resolution: string;
+  activeWindow: string;
+  /** Every message received, in order */
+  messages: SandboxMessage[];
+  /** Last mouse position sent by the SDK */
+  mouse: { x: number; y: number };
+  /** True after the SDK disconnected */
+  closed: boolean;
+
+  /** Clicks received */
+  readonly clicks: FakeClick[];
+  /** Everything typed with type(), concatenated */
+  readonly typed: string;
+  /** Key combinations sent with pressKeys() */
+  readonly keys: string[][];
+  /** Commands run with exec() */
+  readonly executed: string[];
+
+  /** Show these screens next, in order (the last one stays on screen) */
+  setScreens(...screens: Array<string | Buffer>): void;
+  /**
+   * Answer a message type with a handler. A return value other than
+   * undefined is sent back to the SDK instead of the default response.
+   */
+  on(type: string, handler: (message: SandboxMessage, fake: FakeSandbox) => unknown): this;
+  /** Forget recorded messages (screens and scripts are kept) */
+  reset(): void;
+
+  start(options?: { resolution?: string; emitter?: unknown }): Promise<{ display: string; spawned: boolean }>;
+  send(message: SandboxMessage, timeout?: number): Promise<any>;
+  close(): Promise<void>;
+  getDisplay(): string;
+}
+
+interface MatcherResult {
+  pass: boolean;
+  message: () => string;
+}
+
+/** Matchers for `expect.extend(matchers)` */
+export const matchers: {
+  toHaveClicked(
+    fake: FakeSandbox,
+    expected?: Partial<FakeClick>,
+    options?: { tolerance?: number },
+  ): MatcherResult;
+  toHaveTyped(fake: FakeSandbox, text: string): MatcherResult;
+  toHavePressed(fake: FakeSandbox, keys: string[]): MatcherResult;
+  toHaveExecuted(fake: FakeSandbox, command: string | RegExp): MatcherResult;
+};
+
+interface FakeSandboxMatchers<R = unknown> {
+  toHaveClicked(expected?: Partial<FakeClick>, options?: { tolerance?: number }): R;
+  toHaveTyped(text: string): R;
+  toHavePressed(keys: string[]): R;
+  toHaveExecuted(command: string | RegExp): R;
+}
+
+declare module "vitest" {
+  interface Assertion<T = any> extends FakeSandboxMatchers<T> {}
+}
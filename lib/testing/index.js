@@ -0,0 +1,300 @@
+/**
+ * Offline testing helpers (`testdriverai/testing`)
+ *
+ * `FakeSandbox` stands in for a sandbox: pass it as the `transport` option
+ * and the SDK sends it the same messages a runner would get. It serves
+ * screenshots from PNG fixtures, records mouse and keyboard input, and
+ * answers `exec()` from a script, so code built on TestDriverSDK can be
+ * unit-tested without a VM:
+ *
+ *   const fake = new FakeSandbox({ screens: ["fixtures/login.png"] });
+ *   const testdriver = new TestDriver({ transport: fake });
+ *   await testdriver.connect();
+ *   await testdriver.click(100, 200);
+ *   expect(fake).toHaveClicked({ x: 100, y: 200 });
+ *
+ * AI calls (find, assert, ...) still go to the API; combine with
+ * `testdriverai/replay` to answer those offline too.
+ */
+const fs = require("fs");
+const Jimp = require("jimp");
+const { events } = require("../../agent/events");
+
+// Runner message type -> how the click shows up in `fake.clicks`
+const CLICK_TYPES = {
+  leftClick: { button: "left" },
+  rightClick: { button: "right" },
+  middleClick: { button: "middle" },
+  doubleClick: { button: "left", double: true },
+};
+
+const toBuffer = (screen) => (Buffer.isBuffer(screen) ? screen : fs.readFileSync(screen));
+
+/**
+ * A scripted, in-memory sandbox. Every message is kept in `messages`, in
+ * the order the SDK sent it.
+ */
+class FakeSandbox {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string|Buffer>} [options.screens] - PNG files or buffers, served one per
+   *   screenshot; the last one keeps being served. Default: a blank screen.
+   * @param {Object<string, string|Object>|Function} [options.exec] - `exec()` results by
+   *   command, or a function `(command) => result`. A result is the stdout string or
+   *   `{ stdout, stderr, returncode }`. Unscripted commands print nothing and exit 0.
+   * @param {string} [options.os='linux']
+   * @param {string} [options.resolution='1366x768'] - Size of the blank default screen
+   * @param {string} [options.activeWindow] - Title reported for the focused window
+   */
+  constructor({ screens = [], exec = {}, os = "linux", resolution = "1366x768", activeWindow = "" } = {}) {
+    this.os = os;
+    this.resolution = resolution;
+    this.activeWindow = activeWindow;
+    this.messages = [];
+    this.mouse = { x: 0, y: 0 };
+    this.closed = false;
+    this._screens = [...screens];
+    this._exec = exec;
+    this._handlers = {};
+    this._emitter = null;
+    this._requestId = 0;
+  }
+
+  /**
+   * Show these screens next, in order (the last one stays on screen)
+   * @param {...(string|Buffer)} screens
+   */
+  setScreens(...screens) {
+    this._screens = screens;
+  }
+
+  /**
+   * Answer a message type with a handler instead of the default, e.g. to
+   * change the screen after a click:
+   *   fake.on("leftClick", () => fake.setScreens("fixtures/dashboard.png"));
+   * Whatever the handler returns (if not undefined) is sent back to the SDK.
+   * @param {string} type - Runner message type (leftClick, write, commands.run, ...)
+   * @param {(message: Object, fake: FakeSandbox) => *} handler
+   * @returns {this}
+   */
+  on(type, handler) {
+    (this._handlers[type] = this._handlers[type] || []).push(handler);
+    return this;
+  }
+
+  /** Clicks received, as `{ x, y, button, double? }` */
+  get clicks() {
+    return this.messages
+      .filter((m) => CLICK_TYPES[m.type])
+      .map((m) => ({ x: m.x, y: m.y, ...CLICK_TYPES[m.type] }));
+  }
+
+  /** Everything typed with type(), concatenated */
+  get typed() {
+    return this.messages
+      .filter((m) => m.type === "write")
+      .map((m) => m.text)
+      .join("");
+  }
+
+  /** Key combinations sent with pressKeys(), e.g. [['ctrl', 'a'], ['enter']] */
+  get keys() {
+    return this.messages
+      .filter((m) => m.type === "press")
+      .map((m) => (Array.isArray(m.keys) ? m.keys : [m.keys]));
+  }
+
+  /** Commands run with exec() */
+  get executed() {
+    return this.messages.filter((m) => m.type === "commands.run").map((m) => m.command);
+  }
+
+  /** Forget recorded messages (screens and scripts are kept) */
+  reset() {
+    this.messages = [];
+  }
+
+  // ── Transport interface (see agent/lib/local-transport.js) ───────────
+
+  start({ emitter } = {}) {
+    this._emitter = emitter || null;
+    this.closed = false;
+    return Promise.resolve({ display: "fake", spawned: false });
+  }
+
+  async send(message) {
+    this.messages.push(message);
+    this._emitter?.emit(events.sandbox.sent, message);
+
+    let result;
+    for (const handler of this._handlers[message.type] || []) {
+      const value = await handler(message, this);
+      if (value !== undefined) result = value;
+    }
+    if (result === undefined) {
+      result = await this._respond(message);
+    }
+
+    this._emitter?.emit(events.sandbox.received);
+    return result;
+  }
+
+  close() {
+    this.closed = true;
+    return Promise.resolve();
+  }
+
+  getDisplay() {
+    return "fake";
+  }
+
+  // ── Default responses ────────────────────────────────────────────────
+
+  async _respond(message) {
+    if (message.x !== undefined && message.y !== undefined) {
+      this.mouse = { x: message.x, y: message.y };
+    }
+
+    switch (message.type) {
+      case "system.screenshot":
+        return { base64: (await this._nextScreen()).toString("base64") };
+      case "commands.run":
+        return this._runCommand(message.command);
+      case "system.get-mouse-position":
+        return { out: { ...this.mouse } };
+      case "system.get-active-window":
+        return { out: { title: this.activeWindow } };
+      case "system.network":
+        return { out: { totalBytesReceived: 0, totalBytesSent: 0 } };
+      case "moveMouse":
+      case "leftClick":
+      case "rightClick":
+      case "middleClick":
+      case "doubleClick":
+      case "mousePress":
+      case "mouseRelease":
+      case "write":
+      case "press":
+      case "scroll":
+      case "commands.focus-application":
+        return {};
+      default:
+        throw new Error(`Message type "${message.type}" is not supported by FakeSandbox`);
+    }
+  }
+
+  async _nextScreen() {
+    if (!this._screens.length) {
+      const [width, height] = this.resolution.split("x").map(Number);
+      const blank = await Jimp.create(width, height, 0xffffffff);
+      this._screens = [await blank.getBufferAsync(Jimp.MIME_PNG)];
+    }
+    const screen = this._screens.length > 1 ? this._screens.shift() : this._screens[0];
+    const buffer = toBuffer(screen);
+    // Keep the file's bytes so later screenshots don't hit the disk again
+    if (this._screens[0] === screen) this._screens[0] = buffer;
+    return buffer;
+  }
+
+  _runCommand(command) {
+    const script = this._exec;
+    let result =
+      typeof script === "function"
+        ? script(command)
+        : Object.prototype.hasOwnProperty.call(script, command)
+          ? script[command]
+          : "";
+    if (result === undefined || result === null) result = "";
+    const out =
+      typeof result === "string"
+        ? { returncode: 0, stdout: result, stderr: "" }
+        : { returncode: 0, stdout: "", stderr: "", ...result };
+
+    if (out.stdout) {
+      this._emitter?.emit(events.exec.output, {
+        chunk: out.stdout,
+        requestId: `fake-${++this._requestId}`,
+      });
+    }
+    return { out };
+  }
+}
+
+// ── Matchers: expect.extend(matchers) ────────────────────────────────────
+
+const describeClick = ({ x, y, button, double }) =>
+  `${double ? "double " : ""}${button || ""}${button ? " " : ""}click at (${x}, ${y})`;
+
+const list = (items, format) => (items.length ? items.map(format).join(", ") : "nothing");
+
+/**
+ * Vitest/Jest matchers for FakeSandbox. Register once with
+ * `expect.extend(matchers)`.
+ */
+const matchers = {
+  /**
+   * @param {FakeSandbox} fake
+   * @param {{ x?: number, y?: number, button?: string, double?: boolean }} [expected] - Omit for "any click"
+   * @param {{ tolerance?: number }} [options] - Allowed distance in pixels on each axis (default 0)
+   */
+  toHaveClicked(fake, expected = {}, { tolerance = 0 } = {}) {
+    const near = (actual, wanted) => wanted === undefined || Math.abs(actual - wanted) <= tolerance;
+    const pass = fake.clicks.some(
+      (click) =>
+        near(click.x, expected.x) &&
+        near(click.y, expected.y) &&
+        (expected.button === undefined || click.button === expected.button) &&
+        (expected.double === undefined || !!click.double === expected.double),
+    );
+    const wanted = expected.x === undefined ? "a click" : `a ${describeClick(expected)}`;
+    return {
+      pass,
+      message: () =>
+        `expected sandbox ${pass ? "not " : ""}to have received ${wanted}, got ${list(fake.clicks, describeClick)}`,
+    };
+  },
+
+  /**
+   * @param {FakeSandbox} fake
+   * @param {string} text - Must appear in everything typed so far
+   */
+  toHaveTyped(fake, text) {
+    const pass = fake.typed.includes(text);
+    return {
+      pass,
+      message: () =>
+        `expected sandbox ${pass ? "not " : ""}to have typed ${JSON.stringify(text)}, got ${JSON.stringify(fake.typed)}`,
+    };
+  },
+
+  /**
+   * @param {FakeSandbox} fake
+   * @param {string[]} keys - A combination passed to pressKeys(), e.g. ['ctrl', 'a']
+   */
+  toHavePressed(fake, keys) {
+    const wanted = [].concat(keys).join("+");
+    const pass = fake.keys.some((combo) => combo.join("+") === wanted);
+    return {
+      pass,
+      message: () =>
+        `expected sandbox ${pass ? "not " : ""}to have pressed ${wanted}, got ${list(fake.keys, (k) => k.join("+"))}`,
+    };
+  },
+
+  /**
+   * @param {FakeSandbox} fake
+   * @param {string|RegExp} command - Substring or pattern of an exec() command
+   */
+  toHaveExecuted(fake, command) {
+    const pass = fake.executed.some((c) =>
+      command instanceof RegExp ? command.test(c) : c.includes(command),
+    );
+    return {
+      pass,
+      message: () =>
+        `expected sandbox ${pass ? "not " : ""}to have executed ${command}, got ${list(fake.executed, JSON.stringify)}`,
+    };
+  },
+};
+
+module.exports = { FakeSandbox, matchers };
@@ -0,0 +1,76 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const Jimp = require("jimp");
+const { FakeSandbox, matchers } = require("./index.js");
+const { createSandbox } = require("../../agent/lib/sandbox.js");
+const { createSystem } = require("../../agent/lib/system.js");
+const { createEmitter } = require("../../agent/events.js");
+
+expect.extend(matchers);
+
+/**
+ * FakeSandbox is plugged in where the local transport goes, so it's tested
+ * through the real sandbox and screenshot code rather than on its own.
+ */
+
+async function png(color) {
+  const image = await Jimp.create(40, 20, color);
+  return image.getBufferAsync(Jimp.MIME_PNG);
+}
+
+async function connect(fake) {
+  const emitter = createEmitter();
+  const sandbox = createSandbox(emitter, { track() {} }, { get: () => null });
+  await sandbox.connectLocal({ transport: fake });
+  const system = createSystem(emitter, sandbox, { TD_RESOLUTION: [40, 20] });
+  return { emitter, sandbox, system };
+}
+
+describe("FakeSandbox", () => {
+  it("serves scripted screens and changes them on input", async () => {
+    const [login, dashboard] = [await png(0xff0000ff), await png(0x00ff00ff)];
+    const fake = new FakeSandbox({ screens: [login], os: "windows" });
+    fake.on("leftClick", () => fake.setScreens(dashboard));
+    const { sandbox, system } = await connect(fake);
+    const pixel = async () => (await Jimp.read(Buffer.from(await system.captureScreenBase64(), "base64"))).getPixelColor(0, 0);
+
+    expect(sandbox.instance.os).toBe("windows");
+    expect(await pixel()).toBe(0xff0000ff);
+    expect(await pixel()).toBe(0xff0000ff);
+    await sandbox.send({ type: "leftClick", x: 10, y: 5 });
+    expect(await pixel()).toBe(0x00ff00ff);
+    expect(await system.getMousePosition()).toEqual({ x: 10, y: 5 });
+  });
+
+  it("records input and answers exec from a script", async () => {
+    const fake = new FakeSandbox({ exec: { "echo hi": "hi\n", false: { returncode: 1, stderr: "no" } } });
+    const { emitter, sandbox } = await connect(fake);
+    const chunks = [];
+    emitter.on("exec:output", ({ chunk }) => chunks.push(chunk));
+
+    await sandbox.send({ type: "doubleClick", x: 100, y: 201 });
+    await sandbox.send({ type: "write", text: "user@example.com" });
+    await sandbox.send({ type: "press", keys: ["ctrl", "a"] });
+    expect((await sandbox.send({ type: "commands.run", command: "echo hi" })).out).toEqual({
+      returncode: 0,
+      stdout: "hi\n",
+      stderr: "",
+    });
+    expect((await sandbox.send({ type: "commands.run", command: "false" })).out.returncode).toBe(1);
+    expect(chunks).toEqual(["hi\n"]);
+
+    expect(fake).toHaveClicked({ x: 100, y: 200 }, { tolerance: 1 });
+    expect(fake).toHaveClicked({ double: true });
+    expect(fake).not.toHaveClicked({ x: 100, y: 200 });
+    expect(fake).not.toHaveClicked({ button: "right" });
+    expect(fake).toHaveTyped("@example.com");
+    expect(fake).toHavePressed(["ctrl", "a"]);
+    expect(fake).toHaveExecuted(/^echo/);
+    expect(() => expect(fake).toHaveClicked({ x: 5, y: 5 })).toThrow(
+      "expected sandbox to have received a click at (5, 5), got double left click at (100, 201)",
+    );
+    await expect(sandbox.send({ type: "create" })).rejects.toThrow(/not supported by FakeSandbox/);
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * .tdtrace files: one zip per test with everything needed to see what ran
+ *
+ * `createTrace(emitter)` listens to the SDK's events while a test runs and
+ * collects a single ordered timeline - SDK actions with their call site,
+ * duration and result, API requests, find/assert interactions with cache
+ * hits and AI reasoning, exec output and agent commands - plus the
+ * before/after screenshots of each action. `toZip()` packs that as
+ *
+ *   trace.json        { version, name, startedAt, endedAt, entries }
+ *   logs.jsonl        the SDK log buffer (same lines as getLogs())
+ *   screenshots/*.png
+ *
+ * and `serveTrace()` is what `testdriverai show-trace` uses to show it as a
+ * static HTML timeline on localhost.
+ */
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { events } = require("../../agent/events");
+const { writeZip, readZip } = require("./zip");
+
+const TRACE_VERSION = 1;
+
+// Long strings (exec output, extracted text) are cut to keep traces small
+const MAX_TEXT = 10000;
+
+const truncate = (text) =>
+  text.length > MAX_TEXT ? `${text.slice(0, MAX_TEXT)}… (${text.length - MAX_TEXT} more characters)` : text;
+
+/**
+ * Make an SDK argument or result JSON-safe for the trace: elements become
+ * their description, functions and cycles are dropped
+ */
+function summarize(value, depth = 0) {
+  if (typeof value === "string") return truncate(value);
+  if (value === null || ["number", "boolean"].includes(typeof value)) return value;
+  if (typeof value !== "object" || depth > 3) return undefined;
+  if (typeof value.found === "function") return { element: value.description };
+  if (Buffer.isBuffer(value)) return `<${value.length} bytes>`;
+  if (Array.isArray(value)) return value.map((v) => summarize(v, depth + 1));
+  return Object.fromEntries(
+    Object.entries(value)
+      .map(([k, v]) => [k, summarize(v, depth + 1)])
+      .filter(([, v]) => v !== undefined),
+  );
+}
+
+// type("hunter2", { secret: true }) must not end up in a trace file
+function redactArgs(method, args) {
+  const options = args[args.length - 1];
+  if (method === "type" && options && typeof options === "object" && options.secret) {
+    return ["****", ...args.slice(1)];
+  }
+  return args;
+}
+
+/**
+ * Start collecting a trace from an SDK emitter
+ * @param {import('eventemitter2').EventEmitter2} emitter
+ * @param {Object} [options]
+ * @param {string} [options.name] - Test name shown in the viewer
+ * @returns {Object} Trace with startAction/endAction/screenshot/stop/toZip
+ */
+function createTrace(emitter, { name = "trace" } = {}) {
+  const startedAt = Date.now();
+  const entries = [];
+  const files = [];
+  const open = []; // actions currently running, innermost last
+  const requests = [];
+  const commands = [];
+  let seq = 0;
+
+  const push = (type, data) => {
+    const entry = { id: ++seq, type, time: Date.now() - startedAt, ...data };
+    if (open.length) entry.parent = open[open.length - 1].id;
+    entries.push(entry);
+    return entry;
+  };
+
+  const finishRequest = (requestPath, fields) => {
+    const index = requests.findIndex((r) => r.path === requestPath);
+    if (index === -1) return;
+    const [request] = requests.splice(index, 1);
+    Object.assign(request, { duration: Date.now() - startedAt - request.time }, fields);
+  };
+
+  const listeners = {
+    [events.sdk.request]: ({ path: requestPath } = {}) => {
+      requests.push(push("request", { path: requestPath }));
+    },
+    [events.sdk.response]: ({ path: requestPath, status } = {}) => {
+      finishRequest(requestPath, { status });
+    },
+    [events.sdk.retry]: ({ path: requestPath, attempt, error } = {}) => {
+      push("retry", { path: requestPath, attempt, error });
+    },
+    [events.error.sdk]: ({ message, code } = {}) => {
+      push("error", { message, code });
+    },
+    [events.interaction.track]: (data = {}) => {
+      const interaction = { ...data, screenshotUrl: undefined, timestamp: undefined };
+      if (interaction.isSecret) interaction.input = undefined;
+      push("interaction", summarize(interaction));
+    },
+    [events.exec.output]: ({ chunk } = {}) => {
+      if (!chunk) return;
+      const action = open[open.length - 1];
+      if (action) action.output = truncate((action.output || "") + chunk);
+      else push("output", { text: truncate(chunk) });
+    },
+    // Agent commands (YAML steps, act()) are reported as start + outcome
+    [events.command.start]: ({ command, depth } = {}) => {
+      commands.push(push("command", { command, depth, status: "running" }));
+    },
+    [events.command.success]: ({ duration } = {}) => {
+      Object.assign(commands.pop() || {}, { duration, status: "passed" });
+    },
+    [events.command.error]: ({ duration, error } = {}) => {
+      Object.assign(commands.pop() || {}, { duration, status: "failed", error });
+    },
+  };
+
+  for (const [event, listener] of Object.entries(listeners)) {
+    emitter.on(event, listener);
+  }
+
+  return {
+    entries,
+
+    /**
+     * Mark the start of an SDK call; entries until endAction() nest under it
+     * @param {string} method
+     * @param {Array} args
+     * @param {{ file?: string, line?: number }} [callerInfo]
+     */
+    startAction(method, args = [], callerInfo = {}) {
+      const action = push("action", {
+        method,
+        args: summarize(redactArgs(method, args)),
+        ...(callerInfo?.file && { file: path.basename(callerInfo.file), line: callerInfo.line }),
+        status: "running",
+      });
+      open.push(action);
+      return action;
+    },
+
+    /**
+     * @param {Object} action - What startAction() returned
+     * @param {{ result?: *, error?: Error }} [outcome]
+     */
+    endAction(action, { result, error } = {}) {
+      const index = open.lastIndexOf(action);
+      if (index !== -1) open.splice(index, 1);
+      action.duration = Date.now() - startedAt - action.time;
+      action.status = error ? "failed" : "passed";
+      if (error) action.error = error.message || String(error);
+      const summary = summarize(result);
+      if (summary !== undefined && !(action.method === "type" && action.args[0] === "****")) {
+        action.result = summary;
+      }
+    },
+
+    /**
+     * Add a screenshot to the trace, attached to the running action. Only the
+     * path is kept; the file is read when the zip is built.
+     * @param {string} filename - e.g. 001-click-before-L42.png
+     * @param {string} filePath - Where the PNG was written
+     * @param {string} [phase] - before, after or error
+     */
+    screenshot(filename, filePath, phase) {
+      const file = `screenshots/${filename}`;
+      files.push({ name: file, filePath });
+      const action = open[open.length - 1];
+      if (action) (action.screenshots = action.screenshots || []).push({ phase, file });
+      else push("screenshot", { file, phase });
+    },
+
+    /** Stop listening to the emitter */
+    stop() {
+      for (const [event, listener] of Object.entries(listeners)) {
+        emitter.off(event, listener);
+      }
+    },
+
+    /**
+     * Pack the trace as a .tdtrace zip
+     * @param {Object} [extra]
+     * @param {string} [extra.logs] - JSONL log lines (getLogs())
+     * @param {Object} [extra.meta] - Extra fields for trace.json (os, sandboxId, ...)
+     * @returns {Buffer}
+     */
+    toZip({ logs = "", meta = {} } = {}) {
+      const trace = {
+        version: TRACE_VERSION,
+        name,
+        ...meta,
+        startedAt: new Date(startedAt).toISOString(),
+        endedAt: new Date().toISOString(),
+        entries,
+      };
+      return writeZip([
+        { name: "trace.json", data: JSON.stringify(trace, null, 2) },
+        { name: "logs.jsonl", data: logs },
+        // A screenshot removed since it was taken is left out of the zip
+        ...files
+          .filter((file) => fs.existsSync(file.filePath))
+          .map((file) => ({ name: file.name, data: fs.readFileSync(file.filePath) })),
+      ]);
+    },
+  };
+}
+
+/**
+ * Open a .tdtrace file
+ * @param {string} filePath
+ * @returns {{ trace: Object, files: Map<string, Buffer> }}
+ */
+function readTrace(filePath) {
+  const files = readZip(fs.readFileSync(filePath));
+  const json = files.get("trace.json");
+  if (!json) throw new Error(`${filePath} is not a TestDriver trace (no trace.json)`);
+  return { trace: JSON.parse(json.toString("utf8")), files };
+}
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".json": "application/json",
+  ".jsonl": "application/x-ndjson",
+  ".png": "image/png",
+};
+
+/**
+ * Serve a trace and the HTML timeline viewer over HTTP
+ * @param {string} filePath - .tdtrace file
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - 0 picks a free port
+ * @param {string} [options.host='127.0.0.1']
+ * @returns {Promise<{ url: string, server: import('http').Server, trace: Object }>}
+ */
+function serveTrace(filePath, { port = 0, host = "127.0.0.1" } = {}) {
+  const { trace, files } = readTrace(filePath);
+  const viewer = fs.readFileSync(path.join(__dirname, "viewer.html"));
+
+  const server = http.createServer((req, res) => {
+    const name = decodeURIComponent(new URL(req.url, "http://localhost").pathname).replace(/^\/+/, "");
+    const body = name === "" || name === "index.html" ? viewer : files.get(name);
+    if (!body) {
+      res.writeHead(404).end("Not found");
+      return;
+    }
+    res.writeHead(200, {
+      "Content-Type": CONTENT_TYPES[path.extname(name || ".html")] || "application/octet-stream",
+    });
+    res.end(body);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      const { port: actualPort } = server.address();
+      resolve({ url: `http://${host}:${actualPort}/`, server, trace });
+    });
+  });
+}
+
+module.exports = { createTrace, readTrace, serveTrace, summarize, TRACE_VERSION };
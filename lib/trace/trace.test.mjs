@@ -0,0 +1,103 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { createRequire } from "node:module";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const require = createRequire(import.meta.url);
+const { createTrace, readTrace, serveTrace } = require("./index.js");
+const { readZip, writeZip } = require("./zip.js");
+const { createEmitter, events } = require("../../agent/events.js");
+
+/**
+ * A trace is only useful if the timeline nests what happened during each
+ * action and the zip opens again - both in the viewer's server and in any
+ * zip tool - so the tests drive a real emitter and read the file back.
+ */
+
+let dir;
+afterEach(() => {
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  dir = null;
+});
+
+describe("trace", () => {
+  it("round-trips zip entries", () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 1, 2, 3]);
+    const files = readZip(
+      writeZip([
+        { name: "trace.json", data: '{"a":1}'.repeat(100) },
+        { name: "screenshots/001.png", data: png },
+      ]),
+    );
+    expect(files.get("trace.json").toString()).toBe('{"a":1}'.repeat(100));
+    expect(files.get("screenshots/001.png")).toEqual(png);
+  });
+
+  it("collects actions with nested events and serves them", async () => {
+    const emitter = createEmitter();
+    const trace = createTrace(emitter, { name: "login" });
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "tdtrace-"));
+    const shot = path.join(dir, "001-exec-before-L12.png");
+    fs.writeFileSync(shot, "png");
+
+    const exec = trace.startAction("exec", ["sh", "echo hi"], { file: "/x/login.test.mjs", line: 12 });
+    trace.screenshot("001-exec-before-L12.png", shot, "before");
+    emitter.emit(events.sdk.request, { path: "interaction/track" });
+    emitter.emit(events.exec.output, { chunk: "hi\n" });
+    emitter.emit(events.sdk.response, { path: "interaction/track", status: 200 });
+    trace.endAction(exec, { result: "hi" });
+
+    const type = trace.startAction("type", ["hunter2", { secret: true }]);
+    emitter.emit(events.interaction.track, { interactionType: "type", input: "hunter2", isSecret: true });
+    trace.endAction(type, { error: new Error("no focus") });
+
+    emitter.emit(events.interaction.track, { interactionType: "find", prompt: "Sign in", cacheHit: true });
+    trace.stop();
+    emitter.emit(events.sdk.request, { path: "after-stop" });
+
+    const [execEntry, request, typeEntry, typeInteraction, find] = trace.entries;
+    expect(trace.entries).toHaveLength(5);
+    expect(execEntry).toMatchObject({
+      type: "action",
+      method: "exec",
+      file: "login.test.mjs",
+      line: 12,
+      status: "passed",
+      output: "hi\n",
+      result: "hi",
+      screenshots: [{ phase: "before", file: "screenshots/001-exec-before-L12.png" }],
+    });
+    expect(request).toMatchObject({ type: "request", parent: execEntry.id, status: 200 });
+    expect(typeEntry).toMatchObject({
+      type: "action",
+      args: ["****", { secret: true }],
+      status: "failed",
+      error: "no focus",
+    });
+    expect(typeInteraction).toMatchObject({ type: "interaction", parent: typeEntry.id });
+    expect(typeInteraction.input).toBeUndefined();
+    expect(find).toMatchObject({ type: "interaction", prompt: "Sign in", cacheHit: true });
+    expect(find.parent).toBeUndefined();
+
+    const file = path.join(dir, "login.tdtrace");
+    fs.writeFileSync(file, trace.toZip({ logs: '{"line":"hello"}', meta: { os: "linux" } }));
+
+    const { trace: read, files } = readTrace(file);
+    expect(read).toMatchObject({ version: 1, name: "login", os: "linux" });
+    expect(files.get("logs.jsonl").toString()).toBe('{"line":"hello"}');
+    expect(files.get("screenshots/001-exec-before-L12.png").toString()).toBe("png");
+
+    const { url, server } = await serveTrace(file);
+    try {
+      expect(await (await fetch(url)).text()).toContain("TestDriver Trace");
+      expect((await (await fetch(url + "trace.json")).json()).entries).toHaveLength(5);
+      const shotResponse = await fetch(url + "screenshots/001-exec-before-L12.png");
+      expect(shotResponse.headers.get("content-type")).toBe("image/png");
+      expect((await fetch(url + "missing.png")).status).toBe(404);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
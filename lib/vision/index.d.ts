@@ -0,0 +1,39 @@
+/**
+ * TypeScript definitions for TestDriver vision providers
+ * @module testdriverai/vision
+ */
+
+import type {
+  VisionProvider,
+  VisionProviderConfig,
+  VisionLocateResult,
+  ParsedElement,
+} from "../../sdk";
+
+export type { VisionProvider, VisionProviderConfig, VisionLocateResult };
+
+/**
+ * Create a provider backed by an OpenAI-compatible or Ollama endpoint
+ */
+export function createOpenAIVisionProvider(
+  options: Omit<Extract<VisionProviderConfig, { type: "openai" | "ollama" }>, "type"> & {
+    /** Wire format (default: "openai") */
+    type?: "openai" | "ollama";
+  },
+): VisionProvider;
+
+/**
+ * Create a deterministic provider that answers from fixed tables
+ */
+export function createStubVisionProvider(
+  options?: Omit<Extract<VisionProviderConfig, { type: "stub" }>, "type">,
+): VisionProvider;
+
+/**
+ * Normalize the `visionProvider` SDK option into a provider object
+ */
+export function resolveVisionProvider(
+  option: VisionProvider | VisionProviderConfig | "stub" | null | undefined,
+): VisionProvider | null;
+
+export type { ParsedElement };
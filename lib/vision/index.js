@@ -0,0 +1,253 @@
+/**
+ * Pluggable vision providers
+ *
+ * A vision provider answers the three screen-understanding calls the SDK makes
+ * — locate (find), assert and parse — without going through the TestDriver
+ * API. The SDK routes `req("find" | "assert" | "parse")` here when the
+ * `visionProvider` option is set, and converts the provider's answer into the
+ * same response shape the API returns so the rest of the SDK is unchanged.
+ */
+const { createOpenAIVisionProvider } = require("./openai");
+const { createStubVisionProvider } = require("./stub");
+
+/**
+ * @typedef {Object} VisionLocateResult
+ * @property {number} x - Center X of the element in screenshot pixels
+ * @property {number} y - Center Y of the element in screenshot pixels
+ * @property {number} [width]
+ * @property {number} [height]
+ * @property {number} [confidence] - 0-1
+ * @property {string} [reasoning]
+ * @property {string} [text]
+ * @property {string} [label]
+ */
+
+/**
+ * @typedef {Object} VisionProvider
+ * @property {string} [name] - Shown in logs
+ * @property {(input: { description: string, image: string, width: number, height: number, os?: string, type?: string }) => Promise<VisionLocateResult | null>} [locate]
+ * @property {(input: { assertion: string, image: string, width: number, height: number, os?: string }) => Promise<{ passed: boolean, confidence?: number, reasoning?: string } | boolean>} [assert]
+ * @property {(input: { image: string, width: number, height: number }) => Promise<{ elements: Array<Object> }>} [parse]
+ */
+
+// API paths a vision provider can answer, mapped to the provider method
+const VISION_METHODS = {
+  find: "locate",
+  assert: "assert",
+  parse: "parse",
+};
+
+/**
+ * Normalize the `visionProvider` SDK option into a provider object
+ * @param {VisionProvider | { type: 'openai' | 'ollama' | 'stub', [key: string]: any } | 'stub' | null} option
+ * @returns {VisionProvider | null}
+ */
+function resolveVisionProvider(option) {
+  if (!option) return null;
+
+  if (option === "stub") return createStubVisionProvider();
+
+  if (typeof option !== "object") {
+    throw new Error(
+      "visionProvider must be an object with locate/assert/parse methods, or { type: 'openai' | 'ollama' | 'stub', ... }",
+    );
+  }
+
+  const hasMethods = Object.values(VISION_METHODS).some(
+    (method) => typeof option[method] === "function",
+  );
+  if (hasMethods) return option;
+
+  switch (option.type) {
+    case "openai":
+    case "ollama":
+      return createOpenAIVisionProvider(option);
+    case "stub":
+      return createStubVisionProvider(option);
+    default:
+      throw new Error(
+        `Unknown visionProvider type "${option.type}". Expected "openai", "ollama" or "stub", or an object implementing locate/assert/parse.`,
+      );
+  }
+}
+
+/**
+ * Read width/height from a base64 PNG's IHDR chunk
+ * @param {string} base64
+ * @returns {{ width: number | null, height: number | null }}
+ */
+function pngSize(base64) {
+  try {
+    const header = Buffer.from(base64.slice(0, 64), "base64");
+    if (header.toString("ascii", 12, 16) !== "IHDR") {
+      return { width: null, height: null };
+    }
+    return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+  } catch {
+    return { width: null, height: null };
+  }
+}
+
+/**
+ * Whether a request path is answered by the vision provider
+ * @param {VisionProvider | null} provider
+ * @param {string} path - SDK request path
+ * @returns {boolean}
+ */
+function isVisionRequest(provider, path) {
+  return !!provider && Object.prototype.hasOwnProperty.call(VISION_METHODS, path);
+}
+
+/**
+ * Answer a find/assert/parse request with the provider, returning the same
+ * shape as the TestDriver API response for that path.
+ * @param {VisionProvider} provider
+ * @param {'find' | 'assert' | 'parse'} path
+ * @param {Object} data - Request body the SDK would have sent to the API
+ * @returns {Promise<Object>}
+ */
+async function handleVisionRequest(provider, path, data) {
+  const method = VISION_METHODS[path];
+  if (typeof provider[method] !== "function") {
+    const error = new Error(
+      `visionProvider${provider.name ? ` "${provider.name}"` : ""} does not implement ${method}(), required for ${path}()`,
+    );
+    error.code = "VISION_PROVIDER_ERROR";
+    error.isConfigError = true;
+    throw error;
+  }
+
+  if (!data.image) {
+    throw new Error(
+      `visionProvider needs the screenshot inline but ${path}() received ${data.imageKey ? "an S3 image key" : "no image"}`,
+    );
+  }
+
+  const image = data.image.replace(/^data:image\/\w+;base64,/, "");
+  const { width, height } = pngSize(image);
+  const started = Date.now();
+
+  if (path === "find") {
+    const result = await provider.locate({
+      description: data.element,
+      image,
+      width,
+      height,
+      os: data.os,
+      type: data.type,
+    });
+
+    if (
+      !result ||
+      typeof result.x !== "number" ||
+      typeof result.y !== "number" ||
+      (typeof data.confidence === "number" &&
+        typeof result.confidence === "number" &&
+        result.confidence < data.confidence)
+    ) {
+      return {
+        coordinates: null,
+        confidence: result?.confidence ?? null,
+        reasoning: result?.reasoning ?? null,
+        provider: provider.name,
+        duration: Date.now() - started,
+      };
+    }
+
+    const x = Math.round(result.x);
+    const y = Math.round(result.y);
+    const w = result.width ?? null;
+    const h = result.height ?? null;
+    const boundingBox =
+      w !== null && h !== null
+        ? {
+            left: Math.round(x - w / 2),
+            top: Math.round(y - h / 2),
+            right: Math.round(x + w / 2),
+            bottom: Math.round(y + h / 2),
+            width: w,
+            height: h,
+          }
+        : null;
+
+    return {
+      coordinates: { x, y, centerX: x, centerY: y },
+      width: w,
+      height: h,
+      boundingBox,
+      confidence: result.confidence ?? null,
+      reasoning: result.reasoning ?? null,
+      text: result.text ?? null,
+      label: result.label ?? null,
+      cacheHit: false,
+      provider: provider.name,
+      duration: Date.now() - started,
+    };
+  }
+
+  if (path === "assert") {
+    const result = await provider.assert({
+      assertion: data.expect,
+      image,
+      width,
+      height,
+      os: data.os,
+    });
+    const passed = typeof result === "boolean" ? result : result?.passed === true;
+    const reasoning =
+      (typeof result === "object" && result?.reasoning) ||
+      (passed ? "The task passed" : "The task failed");
+
+    return {
+      data: {
+        passed,
+        content: reasoning,
+        reasoning,
+        confidence: typeof result === "object" ? result?.confidence ?? null : null,
+        cacheHit: false,
+      },
+      cacheHit: false,
+      provider: provider.name,
+    };
+  }
+
+  // parse
+  const result = (await provider.parse({ image, width, height })) || {};
+  const elements = (result.elements || []).map((element, index) => {
+    const bbox = element.bbox || {
+      x0: element.boundingBox?.left ?? 0,
+      y0: element.boundingBox?.top ?? 0,
+      x1: (element.boundingBox?.left ?? 0) + (element.boundingBox?.width ?? 0),
+      y1: (element.boundingBox?.top ?? 0) + (element.boundingBox?.height ?? 0),
+    };
+    return {
+      index,
+      type: element.type || "text",
+      content: element.content || "",
+      interactivity: element.interactivity || "non-interactive",
+      bbox,
+      boundingBox: element.boundingBox || {
+        left: bbox.x0,
+        top: bbox.y0,
+        width: bbox.x1 - bbox.x0,
+        height: bbox.y1 - bbox.y0,
+      },
+    };
+  });
+
+  return {
+    elements,
+    annotatedImageUrl: null,
+    imageWidth: result.imageWidth ?? width,
+    imageHeight: result.imageHeight ?? height,
+    provider: provider.name,
+  };
+}
+
+module.exports = {
+  resolveVisionProvider,
+  isVisionRequest,
+  handleVisionRequest,
+  createOpenAIVisionProvider,
+  createStubVisionProvider,
+};
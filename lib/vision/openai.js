@@ -0,0 +1,181 @@
+/**
+ * OpenAI-compatible / Ollama vision provider
+ *
+ * Talks to a self-hosted vision model instead of the TestDriver API. Two wire
+ * formats are supported:
+ *   - "openai": POST {baseUrl}/chat/completions (vLLM, LM Studio, llama.cpp,
+ *     LocalAI, Ollama's /v1 shim, or OpenAI itself)
+ *   - "ollama": POST {baseUrl}/api/chat with `images: [base64]`
+ *
+ * The model is asked to answer in JSON; coordinates are screenshot pixels.
+ */
+const axios = require("axios");
+
+const LOCATE_PROMPT = `You locate UI elements in screenshots.
+Reply with JSON only, no prose:
+{"found": boolean, "x": number, "y": number, "width": number, "height": number, "confidence": number, "reasoning": string}
+x and y are the pixel coordinates of the element's center. confidence is between 0 and 1.
+If the element is not visible, reply {"found": false, "reasoning": "<why>"}.`;
+
+const ASSERT_PROMPT = `You verify statements about screenshots.
+Reply with JSON only, no prose:
+{"passed": boolean, "confidence": number, "reasoning": string}`;
+
+const PARSE_PROMPT = `You list every visible UI element in screenshots.
+Reply with JSON only, no prose:
+{"elements": [{"type": string, "content": string, "interactivity": "clickable" | "non-interactive", "bbox": {"x0": number, "y0": number, "x1": number, "y1": number}}]}
+bbox is in screenshot pixels (x0,y0 top-left; x1,y1 bottom-right).`;
+
+/**
+ * Pull the first JSON object out of a model reply. Local models often wrap
+ * JSON in ```json fences or add a sentence before it.
+ * @param {string} text - Raw model output
+ * @returns {Object}
+ */
+function extractJson(text) {
+  if (typeof text !== "string") {
+    throw new Error("Vision model returned no text");
+  }
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/.exec(text);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf("{");
+  const end = candidate.lastIndexOf("}");
+  if (start === -1 || end <= start) {
+    throw new Error(`Vision model did not return JSON: ${text.slice(0, 200)}`);
+  }
+  return JSON.parse(candidate.slice(start, end + 1));
+}
+
+/**
+ * Create a vision provider backed by an OpenAI-compatible or Ollama endpoint
+ * @param {Object} options
+ * @param {string} options.model - Model name (e.g. 'qwen2.5vl:7b', 'llava')
+ * @param {string} [options.baseUrl] - Endpoint root. Defaults to http://localhost:11434 for ollama, http://localhost:11434/v1 for openai
+ * @param {'openai' | 'ollama'} [options.type='openai'] - Wire format
+ * @param {string} [options.apiKey] - Bearer token, if the endpoint needs one
+ * @param {number} [options.timeout=120000] - Request timeout in milliseconds
+ * @param {Object} [options.headers] - Extra request headers
+ * @returns {import('./index').VisionProvider}
+ */
+function createOpenAIVisionProvider(options = {}) {
+  const type = options.type || "openai";
+  if (type !== "openai" && type !== "ollama") {
+    throw new Error(`Unknown vision provider type "${type}"`);
+  }
+  if (!options.model) {
+    throw new Error(`visionProvider: "model" is required for type "${type}"`);
+  }
+
+  const baseUrl = (
+    options.baseUrl ||
+    (type === "ollama" ? "http://localhost:11434" : "http://localhost:11434/v1")
+  ).replace(/\/+$/, "");
+  const timeout = options.timeout || 120000;
+
+  const chat = async (system, text, image) => {
+    const url =
+      type === "ollama" ? `${baseUrl}/api/chat` : `${baseUrl}/chat/completions`;
+
+    const body =
+      type === "ollama"
+        ? {
+            model: options.model,
+            stream: false,
+            format: "json",
+            options: { temperature: 0 },
+            messages: [
+              { role: "system", content: system },
+              { role: "user", content: text, images: [image] },
+            ],
+          }
+        : {
+            model: options.model,
+            temperature: 0,
+            messages: [
+              { role: "system", content: system },
+              {
+                role: "user",
+                content: [
+                  { type: "text", text },
+                  {
+                    type: "image_url",
+                    image_url: { url: `data:image/png;base64,${image}` },
+                  },
+                ],
+              },
+            ],
+          };
+
+    let response;
+    try {
+      response = await axios(url, {
+        method: "post",
+        headers: {
+          "Content-Type": "application/json",
+          ...(options.apiKey && { Authorization: `Bearer ${options.apiKey}` }),
+          ...options.headers,
+        },
+        timeout,
+        data: body,
+      });
+    } catch (error) {
+      const status = error.response?.status;
+      const providerError = new Error(
+        `Vision provider request to ${url} failed` +
+          (status ? ` (HTTP ${status})` : "") +
+          `: ${error.response?.data?.error?.message || error.response?.data?.error || error.message}`,
+      );
+      providerError.code = "VISION_PROVIDER_ERROR";
+      // An unreachable or misconfigured model fails every call the same way;
+      // flag it so find() surfaces it instead of reporting "not found"
+      providerError.isConfigError = !status || (status >= 400 && status < 500);
+      providerError.originalError = error;
+      throw providerError;
+    }
+
+    const content =
+      type === "ollama"
+        ? response.data?.message?.content
+        : response.data?.choices?.[0]?.message?.content;
+    return extractJson(content);
+  };
+
+  const describeScreen = ({ width, height }) =>
+    width && height ? `The screenshot is ${width}x${height} pixels.` : "";
+
+  return {
+    name: `${type}:${options.model}`,
+
+    async locate({ description, image, width, height, type: elementType }) {
+      const hint = elementType && elementType !== "any" ? ` (a ${elementType} element)` : "";
+      const result = await chat(
+        LOCATE_PROMPT,
+        `${describeScreen({ width, height })}\nFind: ${description}${hint}`,
+        image,
+      );
+      if (result.found === false || typeof result.x !== "number" || typeof result.y !== "number") {
+        return null;
+      }
+      return result;
+    },
+
+    async assert({ assertion, image, width, height }) {
+      const result = await chat(
+        ASSERT_PROMPT,
+        `${describeScreen({ width, height })}\nStatement: ${assertion}`,
+        image,
+      );
+      return {
+        passed: result.passed === true,
+        confidence: result.confidence,
+        reasoning: result.reasoning,
+      };
+    },
+
+    async parse({ image, width, height }) {
+      return chat(PARSE_PROMPT, describeScreen({ width, height }) || "List the elements.", image);
+    },
+  };
+}
+
+module.exports = { createOpenAIVisionProvider, extractJson };
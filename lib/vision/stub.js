@@ -0,0 +1,61 @@
+/**
+ * Deterministic stub vision provider
+ *
+ * Answers find/assert/parse from fixed tables instead of a model, so tests of
+ * test code (and CI without any model) get the same result on every run.
+ */
+
+const lookup = (table, key) => {
+  if (!table) return undefined;
+  if (typeof table === "function") return table(key);
+  if (Object.prototype.hasOwnProperty.call(table, key)) return table[key];
+  const lower = String(key).toLowerCase().trim();
+  const match = Object.keys(table).find(
+    (k) => k.toLowerCase().trim() === lower,
+  );
+  return match === undefined ? undefined : table[match];
+};
+
+/**
+ * Create a stub vision provider
+ * @param {Object} [options]
+ * @param {Object<string, {x: number, y: number, width?: number, height?: number}> | Function} [options.elements]
+ *   Description → element center (matched exactly, then case-insensitively). Unlisted descriptions are not found.
+ * @param {Object<string, boolean> | Function} [options.assertions] - Assertion → pass/fail
+ * @param {boolean} [options.defaultAssert=true] - Result for assertions not listed in `assertions`
+ * @param {{ elements: Array<Object> }} [options.parse] - Result returned by parse()
+ * @returns {import('./index').VisionProvider}
+ */
+function createStubVisionProvider(options = {}) {
+  const defaultAssert = options.defaultAssert !== false;
+
+  return {
+    name: "stub",
+
+    async locate({ description }) {
+      const element = lookup(options.elements, description);
+      if (!element) return null;
+      return {
+        confidence: 1,
+        reasoning: "stub",
+        ...element,
+      };
+    },
+
+    async assert({ assertion }) {
+      const result = lookup(options.assertions, assertion);
+      const passed = result === undefined ? defaultAssert : result === true;
+      return {
+        passed,
+        confidence: 1,
+        reasoning: `stub: assertion ${passed ? "passed" : "failed"}`,
+      };
+    },
+
+    async parse() {
+      return options.parse || { elements: [] };
+    },
+  };
+}
+
+module.exports = { createStubVisionProvider };
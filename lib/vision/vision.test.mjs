@@ -0,0 +1,145 @@
+import { describe, it, expect } from "vitest";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const {
+  resolveVisionProvider,
+  handleVisionRequest,
+  createStubVisionProvider,
+} = require("./index.js");
+const { extractJson } = require("./openai.js");
+const { createSDK } = require("../../agent/lib/sdk.js");
+
+/**
+ * A vision provider stands in for the API on find/assert/parse, so whatever it
+ * answers has to come back in the exact shape the API would have returned —
+ * Element, assert() and parse() read those fields directly and know nothing
+ * about providers.
+ */
+
+// A bare PNG signature + IHDR is enough for the size read; pad it past 64 chars
+const PNG_1366x768 = Buffer.concat([
+  Buffer.from("89504e470d0a1a0a0000000d49484452", "hex"),
+  Buffer.from([0, 0, 0x05, 0x56, 0, 0, 0x03, 0x00]),
+  Buffer.alloc(40),
+]).toString("base64");
+
+const stub = createStubVisionProvider({
+  elements: { "Sign in button": { x: 100, y: 50, width: 80, height: 20 } },
+  assertions: { "the dashboard is visible": false },
+});
+
+describe("handleVisionRequest", () => {
+  it("answers find in the API's element response shape", async () => {
+    const response = await handleVisionRequest(stub, "find", {
+      element: "sign in button",
+      image: PNG_1366x768,
+    });
+    expect(response.coordinates).toEqual({ x: 100, y: 50, centerX: 100, centerY: 50 });
+    expect(response.boundingBox).toMatchObject({ left: 60, top: 40, right: 140, bottom: 60 });
+    expect(response.provider).toBe("stub");
+  });
+
+  it("reports unknown elements as not found", async () => {
+    const response = await handleVisionRequest(stub, "find", {
+      element: "a button that does not exist",
+      image: PNG_1366x768,
+    });
+    expect(response.coordinates).toBeNull();
+  });
+
+  it("treats answers below the requested confidence as not found", async () => {
+    const provider = {
+      locate: () => ({ x: 1, y: 1, confidence: 0.4 }),
+    };
+    const response = await handleVisionRequest(provider, "find", {
+      element: "anything",
+      image: PNG_1366x768,
+      confidence: 0.9,
+    });
+    expect(response.coordinates).toBeNull();
+  });
+
+  it("answers assert in the API's structured response shape", async () => {
+    const failed = await handleVisionRequest(stub, "assert", {
+      expect: "the dashboard is visible",
+      image: PNG_1366x768,
+    });
+    expect(failed.data.passed).toBe(false);
+
+    const passed = await handleVisionRequest(stub, "assert", {
+      expect: "anything else",
+      image: PNG_1366x768,
+    });
+    expect(passed.data.passed).toBe(true);
+  });
+
+  it("passes the screenshot size read from the PNG header", async () => {
+    let seen;
+    await handleVisionRequest(
+      { parse: (input) => ((seen = input), { elements: [] }) },
+      "parse",
+      { image: PNG_1366x768 },
+    );
+    expect(seen.width).toBe(1366);
+    expect(seen.height).toBe(768);
+  });
+
+  it("fills in both bbox forms for parse elements", async () => {
+    const provider = createStubVisionProvider({
+      parse: { elements: [{ content: "OK", bbox: { x0: 10, y0: 20, x1: 30, y1: 60 } }] },
+    });
+    const { elements } = await handleVisionRequest(provider, "parse", {
+      image: PNG_1366x768,
+    });
+    expect(elements[0]).toMatchObject({
+      index: 0,
+      content: "OK",
+      boundingBox: { left: 10, top: 20, width: 20, height: 40 },
+    });
+  });
+
+  it("fails loudly when the provider lacks the method", async () => {
+    await expect(
+      handleVisionRequest({ locate: () => null }, "parse", { image: PNG_1366x768 }),
+    ).rejects.toMatchObject({ isConfigError: true });
+  });
+});
+
+describe("resolveVisionProvider", () => {
+  it("accepts shorthand configs and provider objects", () => {
+    expect(resolveVisionProvider(null)).toBeNull();
+    expect(resolveVisionProvider("stub").name).toBe("stub");
+    expect(resolveVisionProvider({ type: "ollama", model: "llava" }).name).toBe("ollama:llava");
+    const custom = { assert: () => true };
+    expect(resolveVisionProvider(custom)).toBe(custom);
+  });
+
+  it("rejects unknown types", () => {
+    expect(() => resolveVisionProvider({ type: "nope" })).toThrow(/Unknown visionProvider type/);
+  });
+});
+
+describe("extractJson", () => {
+  it("reads JSON wrapped in prose or code fences", () => {
+    expect(extractJson('Sure!\n```json\n{"passed": true}\n```')).toEqual({ passed: true });
+    expect(extractJson('Result: {"found": false}')).toEqual({ found: false });
+  });
+});
+
+describe("createSDK routes vision paths to the provider", () => {
+  it("never calls the API for find when a provider is set", async () => {
+    const { req } = createSDK(
+      { emit: () => {} },
+      // Unroutable API root: any HTTP call would fail the test
+      { TD_API_ROOT: "http://127.0.0.1:1" },
+      { get: () => "session" },
+      () => stub,
+    );
+    const response = await req("find", {
+      element: "Sign in button",
+      image: PNG_1366x768,
+    });
+    expect(response.coordinates.x).toBe(100);
+  });
+});
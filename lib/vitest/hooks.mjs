@@ -498,7 +498,7 @@ export function TestDriver(context, options = {}) {
 
   // Register cleanup handler with dashcam.stop()
   // We always register a new cleanup handler because on retry we need to clean up the new instance
-  const cleanup = async () => {
+  const teardown = async (softAssertionError) => {
     // Get the current instance from the WeakMap (not from closure)
     // This ensures we clean up the correct instance on retries
     const currentInstance = testDriverInstances.get(context.task);
@@ -582,7 +582,7 @@ export function TestDriver(context, options = {}) {
       const attemptLabel = isRetry ? ` (attempt ${attemptNumber})` : "";
 
       // Capture the current attempt's test error (before retry resets result)
-      const attemptResult = context.task.result?.errors?.[0];
+      const attemptResult = context.task.result?.errors?.[0] || softAssertionError;
       const attemptErrorMessage = attemptResult?.message || null;
       const attemptErrorStack = attemptResult?.stack || null;
 
@@ -720,8 +720,8 @@ export function TestDriver(context, options = {}) {
 
           // Test result
           testPassed: context.task.result?.state === "pass",
-          error: context.task.result?.errors?.[0]?.message || null,
-          errorStack: context.task.result?.errors?.[0]?.stack || null,
+          error: attemptErrorMessage,
+          errorStack: attemptErrorStack,
 
           // Infrastructure
           sandboxId: inst.sandboxId || inst.instanceId || null,
@@ -772,6 +772,19 @@ export function TestDriver(context, options = {}) {
       }
     }
   };
+
+  const cleanup = async () => {
+    // Soft assertion failures fail the test. Mark it failed first so the
+    // teardown (debug mode, dashcam, testResult) sees it, then throw the
+    // aggregated report so Vitest's reporters show it.
+    const softAssertionError =
+      testDriverInstances.get(context.task)?.softAssertions?.takeError() || null;
+    if (softAssertionError && context.task.result) {
+      context.task.result.state = "fail";
+    }
+    await teardown(softAssertionError);
+    if (softAssertionError) throw softAssertionError;
+  };
   lifecycleHandlers.set(context.task, cleanup);
 
   // Vitest will call this automatically after the test (each retry attempt)
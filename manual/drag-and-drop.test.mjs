@@ -42,12 +42,11 @@ describe("Drag and Drop Test", () => {
       const textDoc = await testdriver.find(
         "New Text Document, new text document icon in the center of the desktop",
       );
-      await textDoc.mouseDown();
-
-      const recycleBin = await testdriver.find(
-        "Recycle Bin, recycle bin icon in the top left corner of the desktop",
-      ).hover();
-      await recycleBin.mouseUp();
+      await textDoc.dragTo(
+        testdriver.find(
+          "Recycle Bin, recycle bin icon in the top left corner of the desktop",
+        ),
+      );
 
       // Assert "New Text Document" icon is not on the Desktop
       const result = await testdriver.assert(
@@ -217,6 +217,18 @@ export type KeyboardKey =
   | "optionleft"
   | "optionright";
 
+/** How the SDK reaches the machine under test */
+/** Object that answers runner messages, e.g. FakeSandbox from testdriverai/testing */
+export interface SandboxTransportObject {
+  start(options: { resolution?: string; emitter?: unknown }): Promise<unknown>;
+  send(message: { type: string; [key: string]: unknown }, timeout?: number): Promise<any>;
+  close(): Promise<void>;
+  /** Reported as the sandbox OS (default: 'linux') */
+  os?: string;
+}
+
+export type SandboxTransport = "cloud" | "local" | SandboxTransportObject;
+
 export interface TestDriverOptions {
   /** API endpoint URL (default depends on release channel: latest → 'https://api.testdriver.ai') */
   apiRoot?: string;
@@ -233,6 +245,13 @@ export interface TestDriverOptions {
    */
   cache?: boolean | {
     enabled?: boolean;
+    /**
+     * Answer repeat find() calls from a local on-disk cache before calling the API
+     * (default: false). Ignored when enabled is false, and by TD_NO_LOCAL_CACHE=true.
+     */
+    local?: boolean;
+    /** Local cache directory (default: '.testdriver/cache') */
+    dir?: string;
     thresholds?: {
       /** Thresholds for find operations */
       find?: {
@@ -246,6 +265,30 @@ export interface TestDriverOptions {
     };
   };
   ai?: AIConfig;
+  /**
+   * Answer find(), assert() and parse() with a local or self-hosted vision model
+   * instead of the TestDriver API. Pass a provider object, a built-in config, or "stub".
+   * @example { visionProvider: { type: 'ollama', model: 'qwen2.5vl:7b' } }
+   */
+  visionProvider?: VisionProvider | VisionProviderConfig | "stub";
+  /**
+   * Answer waitForText(), scrollUntilText() and hoverText() from one parse()
+   * of the screen, parsing again only when the screen changes. Text the index
+   * can't find still goes to the locator, once per screen. Needs the same plan as parse().
+   * @example { textIndex: true }
+   */
+  textIndex?:
+    | boolean
+    | {
+        /** Screen diff (percent of pixels) above which the screen is parsed again (default: 0) */
+        threshold?: number;
+      };
+  /**
+   * Record find/assert/parse/check/session/start API calls as fixtures in this
+   * directory, for replay with `startReplayServer()` from 'testdriverai/replay'.
+   * Also read from TD_API_RECORD.
+   */
+  apiRecord?: string;
   /** @deprecated Use cache.thresholds instead */
   cacheThreshold?: {
     /** Threshold for find operations (default: 0.05 = 5% difference, 95% similarity) */
@@ -269,6 +312,13 @@ export interface TestDriverOptions {
   headless?: boolean;
   /** Direct IP address to connect to a running sandbox instance */
   ip?: string;
+  /**
+   * Sandbox transport (default: "cloud")
+   * - "cloud": Allocate a sandbox through the TestDriver sandbox service
+   * - "local": Drive this Linux machine's X display (existing DISPLAY, or Xvfb) with xdotool; no sandbox service needed
+   * - a transport object: answer runner messages in-process, e.g. `new FakeSandbox()` from testdriverai/testing
+   */
+  transport?: SandboxTransport;
   /** Custom AMI ID for sandbox instance (e.g., 'ami-1234') */
   sandboxAmi?: string;
   /** EC2 instance type for sandbox (e.g., 'i3.metal') */
@@ -290,6 +340,13 @@ export interface TestDriverOptions {
    * Example: 001-click-before-L42-submit-button.png
    */
   autoScreenshots?: boolean;
+  /**
+   * Record a .tdtrace file for this instance: actions, before/after
+   * screenshots, API requests, cache hits and exec output, written to
+   * .testdriver/traces/ on disconnect (default: TD_TRACE=true, otherwise false).
+   * Open it with `npx testdriverai show-trace`.
+   */
+  trace?: boolean;
   /** Redraw configuration for screen change detection
    * @example { redraw: { enabled: true, thresholds: { screen: 0.05, network: true } } }
    */
@@ -337,6 +394,8 @@ export interface ConnectOptions {
   reconnect?: boolean;
   /** Direct IP address to connect to a running sandbox instance */
   ip?: string;
+  /** Sandbox transport, overrides the constructor option (see TestDriverOptions.transport) */
+  transport?: SandboxTransport;
   /** Custom AMI ID for sandbox instance (e.g., 'ami-1234') */
   sandboxAmi?: string;
   /** EC2 instance type for sandbox (e.g., 'i3.metal') */
@@ -453,6 +512,24 @@ export interface ParseResult {
   imageHeight: number;
 }
 
+/** Options for readTable() */
+export interface ReadTableOptions {
+  /** Only read inside this found Element or region */
+  region?: Element | ParsedElementBoundingBox;
+  /** Text in the header row, or in a caption just above the table */
+  anchorText?: string | RegExp;
+  /** Read the first row as headers (default), name the columns, or `false` for column1, column2, ... */
+  headers?: boolean | string[];
+}
+
+/** Options for findCell() */
+export interface FindCellOptions extends ReadTableOptions {
+  /** Text of any cell in the row, or the row's index among the data rows */
+  row: string | RegExp | number;
+  /** Column header, or the column's index */
+  column: string | RegExp | number;
+}
+
 // ====================================
 // Command Options Interfaces
 // ====================================
@@ -557,6 +634,38 @@ export interface WaitForTextOptions {
   timeout?: number;
 }
 
+/** Options for waitUntil() */
+export interface WaitUntilOptions {
+  /** Timeout in milliseconds (default: 30000) */
+  timeout?: number;
+  /** Time between screen checks in milliseconds (default: 1000) */
+  interval?: number;
+  /** Assertion cache threshold (default: -1, cache off) */
+  threshold?: number;
+  /** Screen diff (percent of pixels) above which the AI is asked again (default: 0.1) */
+  screenThreshold?: number;
+  cacheKey?: string;
+  os?: string;
+  resolution?: string;
+  ai?: AIConfig;
+}
+
+/** The assertion response that ended waitUntil() */
+export interface WaitUntilResult {
+  condition: string;
+  passed: true;
+  /** The AI's answer */
+  message: string;
+  reasoning: string | null;
+  confidence: number | null;
+  cacheHit: boolean;
+  similarity: number | null;
+  /** How many times the AI was asked */
+  attempts: number;
+  /** Total time waited in milliseconds */
+  duration: number;
+}
+
 /** Options for waitForImage command */
 export interface WaitForImageOptions {
   /** Description of the image */
@@ -612,12 +721,149 @@ export interface AIConfig {
   };
 }
 
+/** Screenshot passed to a vision provider (base64 PNG, no data: prefix) */
+export interface VisionImageInput {
+  image: string;
+  /** Screenshot width in pixels */
+  width: number | null;
+  /** Screenshot height in pixels */
+  height: number | null;
+}
+
+/** Where a vision provider located an element */
+export interface VisionLocateResult {
+  /** Center X in screenshot pixels */
+  x: number;
+  /** Center Y in screenshot pixels */
+  y: number;
+  width?: number;
+  height?: number;
+  /** Confidence between 0 and 1 */
+  confidence?: number;
+  reasoning?: string;
+  text?: string;
+  label?: string;
+}
+
+/**
+ * Answers find(), assert() and parse() instead of the TestDriver API.
+ * Missing methods make the matching SDK call throw.
+ */
+export interface VisionProvider {
+  /** Shown in logs */
+  name?: string;
+  /** Locate an element; return null when it is not on screen */
+  locate?(
+    input: VisionImageInput & { description: string; os?: string; type?: string },
+  ): Promise<VisionLocateResult | null>;
+  /** Decide whether an assertion holds for the screenshot */
+  assert?(
+    input: VisionImageInput & { assertion: string; os?: string },
+  ): Promise<{ passed: boolean; confidence?: number; reasoning?: string } | boolean>;
+  /** List the UI elements on screen */
+  parse?(
+    input: VisionImageInput,
+  ): Promise<{ elements: Array<Partial<ParsedElement>> }>;
+}
+
+/** Built-in vision provider configuration */
+export type VisionProviderConfig =
+  | {
+      /** OpenAI-compatible chat completions (vLLM, LM Studio, llama.cpp, Ollama /v1) or Ollama's native /api/chat */
+      type: "openai" | "ollama";
+      /** Vision model name, e.g. 'qwen2.5vl:7b' */
+      model: string;
+      /** Endpoint root (default: http://localhost:11434 for ollama, http://localhost:11434/v1 for openai) */
+      baseUrl?: string;
+      /** Bearer token, if the endpoint needs one */
+      apiKey?: string;
+      /** Request timeout in milliseconds (default: 120000) */
+      timeout?: number;
+      /** Extra request headers */
+      headers?: Record<string, string>;
+    }
+  | {
+      /** Deterministic answers from fixed tables */
+      type: "stub";
+      /** Description → element center. Unlisted descriptions are not found. */
+      elements?: Record<string, VisionLocateResult> | ((description: string) => VisionLocateResult | undefined);
+      /** Assertion → result */
+      assertions?: Record<string, boolean> | ((assertion: string) => boolean | undefined);
+      /** Result for assertions not in `assertions` (default: true) */
+      defaultAssert?: boolean;
+      /** Result returned by parse() */
+      parse?: { elements: Array<Partial<ParsedElement>> };
+    };
+
 /** Options for extract command */
 export interface ExtractOptions {
   /** What to extract */
   description: string;
 }
 
+/** A Zod (or Zod-like) schema: anything with safeParse() */
+export interface ExtractZodSchema<T> {
+  safeParse(data: unknown):
+    | { success: true; data: T }
+    | { success: false; error: { issues: Array<{ path: Array<string | number>; message: string }> } };
+}
+
+/** Options for a schema-validated extract() */
+export interface ExtractSchemaOptions<T> {
+  /** JSON Schema or Zod schema the answer must match; the answer is parsed as JSON */
+  schema: ExtractZodSchema<T> | Record<string, any>;
+  /** Extra attempts, with the validation errors, when the answer doesn't match (default: 2) */
+  retries?: number;
+}
+
+/** Thrown by extract() when no answer matched the schema */
+export class ExtractValidationError extends Error {
+  /** Validation errors for the last answer */
+  errors: string[];
+  /** The last answer */
+  answer: unknown;
+  attempts: number;
+}
+
+/** A failed soft assertion */
+export interface SoftAssertionFailure {
+  /** What was asserted (or the `message` option) */
+  assertion: string;
+  /** Why it failed */
+  message: string;
+  /** Screenshot taken when it failed */
+  screenshot: string | null;
+  /** Where softAssert() was called */
+  location: { filePath: string; line: number; column: number } | null;
+  timestamp: number;
+}
+
+/** Thrown at the end of a test when soft assertions failed */
+export class SoftAssertionError extends Error {
+  failures: SoftAssertionFailure[];
+}
+
+/** Options for softAssert() / expect.soft() */
+export interface SoftAssertOptions {
+  /** Name for the assertion in the report (defaults to the assertion text) */
+  message?: string;
+  threshold?: number;
+  cacheKey?: string;
+  os?: string;
+  resolution?: string;
+  ai?: AIConfig;
+}
+
+/** Collected soft assertion failures */
+export interface SoftAssertions {
+  /** Failures recorded since the last assertAll() */
+  readonly failures: SoftAssertionFailure[];
+  /** Throw a SoftAssertionError listing every failure so far, and clear them */
+  assertAll(): void;
+  /** Forget all recorded failures */
+  clear(): void;
+}
+
 /** Options for assert command */
 export interface AssertOptions {
   /** Assertion to check */
@@ -676,10 +922,117 @@ export interface CaptchaResult {
   output: string;
 }
 
+/** A screen region in pixels */
+export interface ScreenRegion {
+  left: number;
+  top: number;
+  width: number;
+  height: number;
+}
+
+export interface FindOptions {
+  cacheThreshold?: number;
+  cacheKey?: string;
+  timeout?: number;
+  confidence?: number;
+  type?: "text" | "image" | "ui" | "any";
+  zoom?: boolean | number;
+  verify?: boolean;
+  ai?: AIConfig;
+  cache?: { thresholds?: { screen?: number; element?: number } };
+  /** Only search inside this found element or region; coordinates are still screen coordinates */
+  within?: Element | ScreenRegion;
+}
+
+export interface FindAllOptions {
+  cacheThreshold?: number;
+  cacheKey?: string;
+  cache?: { thresholds?: { screen?: number } };
+  /** Only search inside this found element or region; coordinates are still screen coordinates */
+  within?: Element | ScreenRegion;
+}
+
 /**
  * A Promise that resolves to an Element but also has chainable element methods.
  * This enables syntax like: await testdriver.find("button").click()
  */
+/** Anchor for layout queries: a found Element, a box, or a point */
+export type LayoutAnchor = Element | ScreenRegion | { x: number; y: number };
+
+/**
+ * findAll() results: an Array of Elements with layout queries built on each
+ * element's bounding box. Relations return a new collection, closest first.
+ */
+export interface ElementCollection extends Array<Element> {
+  /** The element closest to the anchor, or null if the collection is empty */
+  nearest(anchor: LayoutAnchor): Element | null;
+  /** Elements whose center is left of the anchor's left edge */
+  leftOf(anchor: LayoutAnchor): ElementCollection;
+  /** Elements whose center is right of the anchor's right edge */
+  rightOf(anchor: LayoutAnchor): ElementCollection;
+  /** Elements whose center is above the anchor's top edge */
+  above(anchor: LayoutAnchor): ElementCollection;
+  /** Elements whose center is below the anchor's bottom edge */
+  below(anchor: LayoutAnchor): ElementCollection;
+  /** Visual rows, top to bottom, each left to right */
+  rows(): ElementCollection[];
+  /** Elements in the nth row from the top (0-based), or in the anchor's row, left to right */
+  inRow(row: number | LayoutAnchor): ElementCollection;
+  /** A copy sorted top to bottom, then left to right */
+  sortByReadingOrder(): ElementCollection;
+}
+export const ElementCollection: {
+  new (): ElementCollection;
+  from(elements: Iterable<Element>): ElementCollection;
+};
+
+/** Something to drag from or drop onto */
+export type DragTarget =
+  | Element
+  | Promise<Element>
+  | string
+  | { x: number; y: number };
+
+export interface DragOptions {
+  /** Number of intermediate pointer moves (default: 10) */
+  steps?: number;
+  /** Time to hold after pressing and before releasing, in ms (default: 200) */
+  holdMs?: number;
+}
+
+export interface ExpectScreenshotOptions {
+  /** Only compare this found Element or region */
+  region?: Element | ScreenRegion | Promise<Element>;
+  /** Fraction of pixels allowed to differ (default: 0.001 = 0.1%) */
+  threshold?: number;
+  /** Elements or regions to ignore, e.g. clocks and avatars */
+  mask?: Array<Element | ScreenRegion | Promise<Element>>;
+  /** Overwrite the baseline (default: TD_UPDATE_SNAPSHOTS) */
+  update?: boolean;
+}
+
+export interface ExpectScreenshotResult {
+  status: "created" | "updated" | "matched";
+  baselinePath: string;
+  diffPixels?: number;
+  diffRatio?: number;
+}
+
+export interface StopRecordingOptions {
+  /** Write the generated test to this file */
+  path?: string;
+  /** Test name (default: the file name, or 'recorded session') */
+  name?: string;
+}
+
+/** Thrown by expectScreenshot() when the screen does not match its baseline */
+export class ScreenshotMismatchError extends Error {
+  baselinePath: string;
+  actualPath: string;
+  diffPath?: string;
+  diffRatio?: number;
+}
+
 export interface ChainableElementPromise extends Promise<Element> {
   /**
    * Click on the element (chainable)
@@ -712,6 +1065,11 @@ export interface ChainableElementPromise extends Promise<Element> {
    */
   mouseUp(): Promise<void>;
 
+  /**
+   * Drag this element onto another element or a point (chainable)
+   */
+  dragTo(target: DragTarget, options?: DragOptions): Promise<Element>;
+
   /**
    * Check if element was found (chainable)
    */
@@ -762,9 +1120,22 @@ export class Element {
   /**
    * Find the element on screen
    * @param newDescription - Optional new description to search for
-   * @param options - Cache options: number for threshold, or object with cache.thresholds
+   * @param options - Cache options: number for threshold, or find() options
    */
   find(newDescription?: string, cacheThreshold?: number): Promise<Element>;
+  find(newDescription?: string, options?: FindOptions): Promise<Element>;
+
+  /**
+   * Find an element inside this element's bounding box
+   * @param description - Description of the child element
+   */
+  findWithin(description: string, options?: FindOptions): Promise<Element>;
+
+  /**
+   * Find every element matching a description inside this element's bounding box
+   * @param description - Description of the child elements
+   */
+  findAllWithin(description: string, options?: FindAllOptions): Promise<ElementCollection>;
 
   /**
    * Click on the element
@@ -797,6 +1168,17 @@ export class Element {
    */
   mouseUp(): Promise<void>;
 
+  /**
+   * Drag this element onto another element or a point
+   * @param target - Element, find() result, description, or screen point to drop on
+   * @param options - Step count and hold time
+   *
+   * @example
+   * const card = await testdriver.find('the "Write docs" card');
+   * await card.dragTo(testdriver.find('the "Done" column'));
+   */
+  dragTo(target: DragTarget, options?: DragOptions): Promise<Element>;
+
   /**
    * Get the coordinates of the element
    */
@@ -875,6 +1257,20 @@ export interface ProvisionChromeOptions {
   maximized?: boolean;
   /** Use guest mode (default: false) */
   guest?: boolean;
+  /**
+   * Cookies and localStorage to restore after launch: a file written by
+   * saveStorageState(), or the state object. The page is reloaded afterwards.
+   */
+  storageState?: string | StorageState;
+}
+
+/** Browser auth state, as written by saveStorageState() (same shape as Playwright's) */
+export interface StorageState {
+  cookies: BrowserCookie[];
+  origins: Array<{
+    origin: string;
+    localStorage: Array<{ name: string; value: string }>;
+  }>;
 }
 
 /** Options for provision.chromeExtension */
@@ -887,6 +1283,36 @@ export interface ProvisionChromeExtensionOptions {
   maximized?: boolean;
 }
 
+/** Options for provision.edge */
+export interface ProvisionEdgeOptions {
+  /** URL to navigate to (default: 'http://testdriver-sandbox.vercel.app/') */
+  url?: string;
+  /** Start maximized (default: true) */
+  maximized?: boolean;
+  /** Use guest mode (default: false) */
+  guest?: boolean;
+  /** User data directory in the sandbox to use instead of a clean one */
+  profile?: string;
+  /** Extension to load: an unpacked directory or a .crx file in the sandbox */
+  extension?: string;
+  /** Cookies and localStorage to restore after launch, as for provision.chrome */
+  storageState?: string | StorageState;
+}
+
+/** Options for provision.firefox */
+export interface ProvisionFirefoxOptions {
+  /** URL to navigate to (default: 'http://testdriver-sandbox.vercel.app/') */
+  url?: string;
+  /** Start maximized (default: true) */
+  maximized?: boolean;
+  /** Open a private window (default: false) */
+  guest?: boolean;
+  /** Profile directory in the sandbox to use instead of a clean one */
+  profile?: string;
+  /** .xpi file in the sandbox to install (signed, or unsigned on Firefox ESR) */
+  extension?: string;
+}
+
 /** Options for provision.vscode */
 export interface ProvisionVSCodeOptions {
   /** Path to workspace or folder to open */
@@ -927,6 +1353,118 @@ export interface ProvisionDashcamOptions {
   title?: string;
 }
 
+/** A cookie as returned by Chrome (CDP Network.Cookie) */
+export interface BrowserCookie {
+  name: string;
+  value: string;
+  domain?: string;
+  path?: string;
+  /** Seconds since the epoch; -1 for session cookies */
+  expires?: number;
+  httpOnly?: boolean;
+  secure?: boolean;
+  sameSite?: "Strict" | "Lax" | "None";
+  /** When setting: the URL the cookie belongs to (default: the current page) */
+  url?: string;
+}
+
+/** DOM access to the Chrome tab opened by provision.chrome() */
+export interface BrowserAPI {
+  /** Run JavaScript in the page and return its JSON-serializable result */
+  evaluate<T = any>(expression: string): Promise<T>;
+  evaluate<T = any, A extends any[] = any[]>(fn: (...args: A) => T | Promise<T>, ...args: A): Promise<T>;
+  /** URL of the current page */
+  getUrl(): Promise<string>;
+  /**
+   * Wait for a page load. With `url`, waits until the URL matches and the
+   * page has loaded; without it, waits until a new document (not the one
+   * loaded when it was called) has loaded.
+   */
+  waitForNavigation(options?: { url?: string | RegExp; timeout?: number }): Promise<string>;
+  /** Cookies for the given URLs, or all browser cookies */
+  getCookies(urls?: string[]): Promise<BrowserCookie[]>;
+  /** Set cookies; ones without url or domain are set for the current page */
+  setCookies(cookies: BrowserCookie | BrowserCookie[]): Promise<void>;
+  /** The current page's localStorage */
+  localStorage: {
+    get(key: string): Promise<string | null>;
+    set(key: string, value: string): Promise<void>;
+    remove(key: string): Promise<void>;
+    clear(): Promise<void>;
+    getAll(): Promise<Record<string, string>>;
+  };
+  /** Reload the current page and wait for it to load */
+  reload(options?: { timeout?: number }): Promise<void>;
+  /** All cookies plus localStorage of the current page's origin */
+  storageState(): Promise<StorageState>;
+  /**
+   * Restore a storage state: all cookies, and localStorage for the current
+   * page's origin. Resolves true if anything was restored.
+   */
+  setStorageState(state: StorageState): Promise<boolean>;
+  /** Locate an element by CSS selector, scrolled into view, as an Element with screen coordinates */
+  find(selector: string, options?: { timeout?: number }): Promise<Element>;
+  /** All rendered elements matching a CSS selector */
+  findAll(selector: string): Promise<ElementCollection>;
+}
+
+/** A request recorded by testdriver.network */
+export interface NetworkRequest {
+  id: string;
+  url: string;
+  method: string;
+  /** Resource type reported by Chrome (Document, XHR, Fetch, Image, ...) */
+  type?: string;
+  requestHeaders: Record<string, string>;
+  postData?: string;
+  /** Undefined until the response arrives */
+  status?: number;
+  statusText?: string;
+  responseHeaders?: Record<string, string>;
+  mimeType?: string;
+  protocol?: string;
+  fromCache?: boolean;
+  /** Encoded bytes received */
+  size?: number;
+  /** Chrome's error text when the request failed to load */
+  error?: string;
+  /** True when the page itself aborted the request */
+  canceled?: boolean;
+  blockedReason?: string;
+  startedAt: number;
+  respondedAt?: number;
+  endedAt?: number;
+}
+
+export interface FailedRequestOptions {
+  /** URL patterns (RegExp, glob with `*`, or substring) to skip */
+  ignore?: Array<string | RegExp>;
+  /** Lowest HTTP status that counts as failed (default: 400) */
+  status?: number;
+}
+
+/** Network capture through Chrome's remote debugging port */
+export interface NetworkAPI {
+  /** True between start() and stop() */
+  readonly recording: boolean;
+  /** Start recording Chrome's network traffic (Chrome from provision.chrome()) */
+  start(): Promise<void>;
+  /** Stop recording and return a HAR 1.2 log, optionally written to `har` */
+  stop(options?: { har?: string }): Promise<{ log: Record<string, any> }>;
+  /** Requests recorded so far */
+  requests(): Promise<NetworkRequest[]>;
+  /**
+   * Wait for a request whose URL matches (RegExp, glob with `*`, or substring).
+   * By default also waits for its response or failure.
+   */
+  waitForRequest(
+    urlPattern: string | RegExp,
+    options?: { timeout?: number; interval?: number; response?: boolean },
+  ): Promise<NetworkRequest>;
+  /** Throw if any recorded request failed or got a 4xx/5xx response */
+  expectNoFailedRequests(options?: FailedRequestOptions): Promise<void>;
+}
+
 /** Provision API for launching applications */
 export interface ProvisionAPI {
   /**
@@ -941,6 +1479,18 @@ export interface ProvisionAPI {
    */
   chromeExtension(options?: ProvisionChromeExtensionOptions): Promise<void>;
 
+  /**
+   * Launch Microsoft Edge (installed first on Linux sandboxes)
+   * @param options - Edge launch options
+   */
+  edge(options?: ProvisionEdgeOptions): Promise<void>;
+
+  /**
+   * Launch Firefox (installed first if the sandbox doesn't have it)
+   * @param options - Firefox launch options
+   */
+  firefox(options?: ProvisionFirefoxOptions): Promise<void>;
+
   /**
    * Launch VS Code
    * @param options - VS Code launch options
@@ -1022,6 +1572,32 @@ export default class TestDriverSDK {
    */
   readonly provision: ProvisionAPI;
 
+  /**
+   * Network capture API: record requests, wait for them and export HAR files
+   */
+  readonly network: NetworkAPI;
+
+  /**
+   * Chrome DevTools Protocol bridge: evaluate JavaScript, manage cookies and
+   * localStorage, and locate elements by CSS selector
+   */
+  readonly browser: BrowserAPI;
+
+  /**
+   * Failures recorded by softAssert() / expect.soft()
+   */
+  readonly softAssertions: SoftAssertions;
+
+  /**
+   * Soft assertions: `expect.soft()` is an alias of softAssert()
+   */
+  readonly expect: {
+    soft(
+      assertion: string | (() => unknown),
+      options?: SoftAssertOptions,
+    ): Promise<boolean>;
+  };
+
   /**
    * Dashcam API for screen recording
    */
@@ -1096,16 +1672,13 @@ export default class TestDriverSDK {
    * await element.click();
    */
   find(description: string, cacheThreshold?: number): ChainableElementPromise;
-  find(
-    description: string,
-    options?: { cacheThreshold?: number; cacheKey?: string; timeout?: number; confidence?: number; type?: "text" | "image" | "ui" | "any"; zoom?: boolean | number; verify?: boolean; ai?: AIConfig; cache?: { thresholds?: { screen?: number; element?: number } } },
-  ): ChainableElementPromise;
+  find(description: string, options?: FindOptions): ChainableElementPromise;
 
   /**
    * Find all elements matching a description
    * @param description - Description of the elements to find
    * @param cacheThreshold - Cache threshold for this specific findAll (overrides global setting)
-   * @returns Array of Element instances
+   * @returns Array of Element instances, with layout queries
    *
    * @example
    * // Find all buttons
@@ -1115,11 +1688,19 @@ export default class TestDriverSDK {
    * // Find with custom cache threshold
    * const items = await client.findAll('list item', 0.05);
    */
-  findAll(description: string, cacheThreshold?: number): Promise<Element[]>;
-  findAll(
-    description: string,
-    options?: { cacheThreshold?: number; cacheKey?: string; cache?: { thresholds?: { screen?: number } } },
-  ): Promise<Element[]>;
+  findAll(description: string, cacheThreshold?: number): Promise<ElementCollection>;
+  findAll(description: string, options?: FindAllOptions): Promise<ElementCollection>;
+
+  /**
+   * Drag from one element or point to another, moving the pointer in steps
+   * so drag-and-drop handlers fire
+   * @param from - Element, find() result, description, or point to press at
+   * @param to - Element, find() result, description, or point to release at
+   *
+   * @example
+   * await testdriver.drag('the "Step 3" list item', 'the "Step 1" list item');
+   */
+  drag(from: DragTarget, to: DragTarget, options?: DragOptions): Promise<void>;
 
   // Text Interaction Methods
 
@@ -1180,6 +1761,16 @@ export default class TestDriverSDK {
    */
   waitForText(text: string, timeout?: number): Promise<void>;
 
+  /**
+   * Wait until a natural-language condition is true. The AI is only asked
+   * again after the screen changes, so waiting on a static screen is cheap.
+   * @throws When the condition is still false after `timeout`
+   *
+   * @example
+   * await testdriver.waitUntil('the upload progress bar shows 100%', { timeout: 60000 });
+   */
+  waitUntil(condition: string, options?: WaitUntilOptions): Promise<WaitUntilResult>;
+
   /**
    * Scroll until text is found
    * @param options - Options object with text, direction, maxDistance, and invert
@@ -1353,6 +1944,15 @@ export default class TestDriverSDK {
    * @param description - What to extract
    */
   extract(description: string): Promise<string>;
+  /**
+   * Extract structured data that matches a schema. The answer is parsed as
+   * JSON and validated; on a mismatch extract() asks again with the errors.
+   * @param description - What to extract
+   * @param options - Schema and retries
+   * @throws {ExtractValidationError} When no answer matched after all retries
+   */
+  extract<T = any>(description: string, options: ExtractSchemaOptions<T>): Promise<T>;
+  extract<T = any>(options: { description: string } & ExtractSchemaOptions<T>): Promise<T>;
 
   /**
    * Solve a captcha on the current page using 2captcha service
@@ -1399,6 +1999,75 @@ export default class TestDriverSDK {
    */
   screenshot(filename?: string): Promise<string>;
 
+  /**
+   * Compare the screen (or a region of it) against a baseline image stored
+   * in __screenshots__/ next to the test. The first run records the baseline.
+   * Run with `vitest --update` to re-record baselines.
+   * @param name - Snapshot name, unique within the test file
+   * @throws {ScreenshotMismatchError} When more than `threshold` of the pixels differ
+   *
+   * @example
+   * await testdriver.expectScreenshot('checkout-page', {
+   *   mask: [await testdriver.find('order timestamp')],
+   * });
+   */
+  expectScreenshot(
+    name: string,
+    options?: ExpectScreenshotOptions,
+  ): Promise<ExpectScreenshotResult>;
+
+  /**
+   * Like assert(), but a failure is recorded with a screenshot and the test
+   * continues. All failures are thrown together as a SoftAssertionError at
+   * the end of the test (automatically with `TestDriver(context)` in Vitest,
+   * otherwise via `softAssertions.assertAll()`).
+   * @param assertion - AI assertion, or a function whose thrown error counts as a failure
+   * @returns Whether the assertion passed
+   *
+   * @example
+   * await testdriver.softAssert("the header says 'Your orders'");
+   */
+  softAssert(
+    assertion: string | (() => unknown),
+    options?: SoftAssertOptions,
+  ): Promise<boolean>;
+
+  /**
+   * Start recording SDK calls (command methods, find() with the element
+   * action that followed it, and provision.*) so the session can be saved
+   * as a test
+   *
+   * @example
+   * testdriver.startRecording();
+   * await testdriver.find('More information link').click();
+   * await testdriver.stopRecording({ path: 'tests/example.test.mjs' });
+   */
+  startRecording(): void;
+
+  /**
+   * Stop recording and generate a Vitest test that replays the session,
+   * keeping this instance's os, resolution and cache key
+   * @returns The generated test code
+   */
+  stopRecording(options?: StopRecordingOptions): Promise<string>;
+
+  /**
+   * Write the trace collected so far. Requires the `trace` option or
+   * TD_TRACE=true; disconnect() calls this automatically.
+   * @param filePath - Defaults to .testdriver/traces/<test>-<timestamp>.tdtrace
+   * @returns The path the trace was written to
+   */
+  saveTrace(filePath?: string): Promise<string>;
+
+  /**
+   * Save the browser's cookies and the current page's localStorage to a JSON
+   * file, to restore later with `provision.chrome({ storageState })`
+   */
+  saveStorageState(filePath?: string): Promise<StorageState>;
+
+  /** Path of the last trace written by saveTrace() or disconnect() */
+  tracePath: string | null;
+
   /**
    * Parse the current screen using OmniParser v2 to detect all UI elements
    * Returns structured data with element types, bounding boxes, and content
@@ -1423,6 +2092,27 @@ export default class TestDriverSDK {
    */
   parse(): Promise<ParseResult>;
 
+  /**
+   * Read a table on screen into one object per row, keyed by header.
+   * Text found by parse() is grouped into rows and columns by position.
+   * Requires the same plan as parse().
+   *
+   * @example
+   * const invoices = await testdriver.readTable({ anchorText: 'Invoice' });
+   * // [{ Invoice: 'Invoice 42', Status: 'Paid', Total: '$120.00' }, ...]
+   */
+  readTable(options?: ReadTableOptions): Promise<Array<Record<string, string>>>;
+
+  /**
+   * Find a table cell by row (text of any cell in it, or index) and column
+   * (header, or index)
+   *
+   * @example
+   * const status = await testdriver.findCell({ row: 'Invoice 42', column: 'Status' });
+   * await status.click();
+   */
+  findCell(options: FindCellOptions): Promise<Element>;
+
   /**
    * Wait for specified time. Useful for adding delays between actions, waiting for
    * animations to complete, or pausing for state changes to settle.
@@ -1500,3 +2190,101 @@ export default class TestDriverSDK {
     options?: { validateAndLoop?: boolean },
   ): Promise<string | void>;
 }
+
+// ====================================
+// Page Objects
+// ====================================
+
+/** find() options that can be attached to a page element */
+export type PageFindOptions = FindOptions;
+
+/**
+ * An element of a page object. It is found with `find()` each time it is used,
+ * and awaiting it resolves to the found Element.
+ */
+export interface PageElement extends PromiseLike<Element> {
+  readonly description: string;
+  /** Locate the element now */
+  find(options?: PageFindOptions): ChainableElementPromise;
+  /** Locate every match of the element's description */
+  findAll(options?: PageFindOptions): Promise<ElementCollection>;
+  click(action?: ClickAction): Promise<void>;
+  hover(): Promise<void>;
+  doubleClick(): Promise<void>;
+  rightClick(): Promise<void>;
+  mouseDown(): Promise<void>;
+  mouseUp(): Promise<void>;
+  dragTo(target: DragTarget, options?: DragOptions): Promise<Element>;
+}
+
+/** Value accepted in `definePage({ elements })` */
+export type PageElementSpec =
+  | string
+  | ((...args: any[]) => string)
+  | ({ description: string | ((...args: any[]) => string) } & PageFindOptions)
+  | PageDefinition<any>
+  | { elements: Record<string, PageElementSpec>; actions?: Record<string, (...args: any[]) => any> };
+
+type PageElements<E> = {
+  readonly [K in keyof E]: E[K] extends PageDefinition<infer P>
+    ? P
+    : E[K] extends (...args: infer Args) => string
+      ? (...args: Args) => PageElement
+      : E[K] extends { elements: infer Nested }
+        ? Page<Nested, {}>
+        : E[K] extends `${string}{${string}}${string}`
+          ? (params: Record<string, string | number> | string | number) => PageElement
+          : PageElement;
+};
+
+/** A page object bound to a TestDriver instance */
+export type Page<E, A> = PageElements<E> &
+  A & {
+    readonly testdriver: TestDriverSDK;
+    readonly name?: string;
+    readonly cacheKey: string;
+  };
+
+/** Result of definePage(): call it with a TestDriver instance to get the page */
+export interface PageDefinition<P> {
+  (testdriver: TestDriverSDK): P;
+  readonly isPageDefinition: true;
+  readonly pageName?: string;
+  readonly cacheKey: string;
+}
+
+export interface DefinePageOptions<E, A> {
+  /** Page name, used for the shared cache key and in errors */
+  name?: string;
+  /** Cache key for every find() on this page (default: derived from `name`) */
+  cacheKey?: string;
+  /**
+   * Element name → description. Use `{param}` placeholders or a function for
+   * parameterised descriptions, and definePage() results for nested components.
+   */
+  elements?: E;
+  /** Action name → function, called with `this` bound to the page */
+  actions?: A & ThisType<Page<E, A>>;
+}
+
+/**
+ * Define a page object whose elements are found lazily with `find()`
+ *
+ * @example
+ * const LoginPage = definePage({
+ *   name: 'login',
+ *   elements: { email: 'the email input', submit: 'the blue Submit button' },
+ *   actions: {
+ *     async login(email: string) {
+ *       await this.email.click();
+ *       await this.testdriver.type(email);
+ *       await this.submit.click();
+ *     },
+ *   },
+ * });
+ * await LoginPage(testdriver).login('user@example.com');
+ */
+export function definePage<
+  E extends Record<string, PageElementSpec> = {},
+  A extends Record<string, (...args: any[]) => any> = {},
+>(definition: DefinePageOptions<E, A>): PageDefinition<Page<E, A>>;
@@ -4,6 +4,21 @@ const os = require("os");
 const crypto = require("crypto");
 const { formatter } = require("./sdk-log-formatter");
 const { createProvisionAPI } = require("./lib/provision");
+const { createNetworkAPI } = require("./lib/network");
+const { createBrowserAPI } = require("./lib/browser");
+const { toRegion, cropToRegion, translateToScreen } = require("./lib/region");
+const { ElementCollection } = require("./lib/element-collection");
+const { toDragPoint } = require("./lib/drag");
+const { layoutTable, toRowObjects, locateCell } = require("./lib/table");
+const { createSoftAssertions, SoftAssertionError } = require("./lib/soft-assert");
+const {
+  compareScreenshot,
+  snapshotPaths,
+  ScreenshotMismatchError,
+} = require("./lib/snapshot");
+const { createRecorder } = require("./lib/recorder");
+const { createTrace } = require("./lib/trace");
+const { toTestFile } = require("./lib/repl");
 
 // Load .env — use monorepo root .env when running inside the monorepo,
 // otherwise fall back to default dotenv.config() for end users.
@@ -440,6 +455,7 @@ class Element {
    * @param {Object} [options] - Optional options object with cache thresholds, cacheKey, and/or timeout
    * @param {number} [options.timeout] - Max time in ms to poll for element (polls every 5 seconds)
    * @param {Object} [options.cache] - Cache configuration { thresholds: { screen, element } }
+   * @param {Element|Object} [options.within] - Only search inside this found Element or region { left, top, width, height }
    * @returns {Promise<Element>} This element instance
    */
   async find(newDescription, options) {
@@ -469,19 +485,16 @@ class Element {
     const debugMode =
       process.env.VERBOSE || process.env.TD_DEBUG;
 
+    // Scoped search: only this region of the screen is sent to the locator
+    const within = typeof options === "object" && options !== null ? options.within : null;
+    let region = within ? toRegion(within) : null;
+
     // Log finding action
     const { events } = require("./agent/events.js");
     const findingMessage = formatter.formatElementFinding(description);
     this.sdk.emitter.emit(events.log.log, findingMessage);
 
     try {
-      // Returns { imageKey } (fast S3-key path, no local round-trip) or
-      // { image } (base64 fallback). See system.captureScreenImage.
-      const imagePayload = await this.system.captureScreenImage();
-      // Only store screenshot in DEBUG mode to prevent memory leaks
-      if (debugMode && imagePayload.image) {
-        this._screenshot = imagePayload.image;
-      }
 
       // Handle options - can be a number (cacheThreshold) or object with cacheKey/cacheThreshold/cache
       let cacheKey = null;
@@ -579,7 +592,36 @@ class Element {
       this._zoom = resolvedZoom;
       this._verify = resolvedVerify;
 
-      response = await this.sdk.apiClient.req("find", {
+      // Local cache only applies when caching is on for this call
+      const localCache = threshold >= 0 && cacheKey ? this.sdk._findCache : null;
+
+      // Returns { imageKey } (fast S3-key path, no local round-trip) or
+      // { image } (base64 fallback). See system.captureScreenImage.
+      // The local find cache diffs against the screenshot bytes, so it
+      // captures inline when it is used for this call.
+      let imagePayload = localCache || region
+        ? { image: await this.system.captureScreenBase64() }
+        : await this.system.captureScreenImage();
+      if (region) {
+        const cropped = cropToRegion(imagePayload.image, region);
+        imagePayload = { image: cropped.image };
+        region = cropped.region;
+      }
+      // Only store screenshot in DEBUG mode to prevent memory leaks
+      if (debugMode && imagePayload.image) {
+        this._screenshot = imagePayload.image;
+      }
+      const localQuery = {
+        cacheKey,
+        description,
+        os: this.sdk.os,
+        resolution: this.sdk.resolution,
+      };
+      response = localCache
+        ? await localCache.lookup({ ...localQuery, image: imagePayload.image, threshold })
+        : null;
+
+      response = response || await this.sdk.apiClient.req("find", {
         session: this.sdk.getSessionId(),
         element: description,
         ...imagePayload,
@@ -601,6 +643,20 @@ class Element {
 
       const duration = Date.now() - startTime;
 
+      if (localCache && response?.coordinates && response.cacheStrategy !== "local") {
+        localCache.store({
+          ...localQuery,
+          file: getCallerFilePath(),
+          image: imagePayload.image,
+          response,
+        });
+      }
+
+      // Coordinates from a scoped search are relative to the crop
+      if (region && response?.coordinates) {
+        response = translateToScreen(response, region);
+      }
+
       if (response && response.coordinates) {
         // Store response but clear large base64 data to prevent memory leaks
         this._response = this._sanitizeResponse(response);
@@ -661,6 +717,17 @@ class Element {
     this.sdk._interactionStats.total++;
     this.sdk._interactionStats.byType.find = (this.sdk._interactionStats.byType.find || 0) + 1;
     if (findCacheHit) this.sdk._interactionStats.cached++;
+    this.sdk.emitter.emit(events.interaction.track, {
+      interactionType: "find",
+      prompt: description,
+      success: this._found,
+      error: findError,
+      cacheHit: findCacheHit,
+      coordinates: response?.coordinates ?? null,
+      confidence: response?.confidence ?? null,
+      reasoning: response?.reasoning ?? null,
+      similarity: response?.similarity ?? null,
+    });
     if (sessionId && this.sdk.apiClient) {
       this.sdk.apiClient
         .req("interaction/track", {
@@ -756,6 +823,41 @@ class Element {
     return this;
   }
 
+  /**
+   * Find an element inside this element's bounding box. Only that region of
+   * the screen is sent to the locator; the child has screen coordinates.
+   * @param {string} description - Description of the child element
+   * @param {Object} [options] - find() options
+   * @returns {Promise<Element>} The child element
+   *
+   * @example
+   * const row = await testdriver.find('the table row for Invoice 42');
+   * await (await row.findWithin('Delete button')).click();
+   */
+  async findWithin(description, options) {
+    return this.sdk.find(description, {
+      ...(typeof options === "object" && options !== null ? options : {}),
+      within: this,
+    });
+  }
+
+  /**
+   * Find every element matching a description inside this element's bounding box
+   * @param {string} description - Description of the child elements
+   * @param {Object} [options] - findAll() options
+   * @returns {Promise<ElementCollection>} Child elements, with screen coordinates
+   *
+   * @example
+   * const card = await testdriver.find('the card for "Invoice 42"');
+   * const buttons = await card.findAllWithin('button');
+   */
+  async findAllWithin(description, options) {
+    return this.sdk.findAll(description, {
+      ...(typeof options === "object" && options !== null ? options : {}),
+      within: this,
+    });
+  }
+
   /**
    * Sanitize response by removing large base64 data to prevent memory leaks
    * @private
@@ -1155,6 +1257,65 @@ class Element {
     return this.click("mouseUp");
   }
 
+  /**
+   * Drag this element onto another element or a point
+   * @param {Element|Promise<Element>|string|{x: number, y: number}} target - Element, find() result, description, or screen point to drop on
+   * @param {Object} [options]
+   * @param {number} [options.steps=10] - Number of intermediate pointer moves
+   * @param {number} [options.holdMs=200] - Time to hold after pressing and before releasing, in ms
+   * @returns {Promise<Element>} This element instance for chaining
+   *
+   * @example
+   * const card = await testdriver.find('the "Write docs" card');
+   * await card.dragTo(testdriver.find('the "Done" column'));
+   *
+   * @example
+   * // Move a slider handle 200px to the right
+   * const handle = await testdriver.find('volume slider handle');
+   * await handle.dragTo({ x: handle.x + 200, y: handle.y }, { steps: 20 });
+   */
+  async dragTo(target, options = {}) {
+    if (!this._found || !this.coordinates) {
+      throw new ElementNotFoundError(
+        `Element "${this.description}" not found.`,
+        {
+          description: this.description,
+          aiResponse: this._response,
+          threshold: this._threshold,
+        },
+      );
+    }
+
+    const to = await resolveDragPoint(this.sdk, target);
+
+    const { events } = require("./agent/events.js");
+    this.sdk.emitter.emit(
+      events.log.log,
+      formatter.formatAction("drag", this.description, {
+        text: to.description || `${to.x}, ${to.y}`,
+      }),
+    );
+
+    await this.commands.drag({
+      fromX: this.coordinates.x,
+      fromY: this.coordinates.y,
+      x: to.x,
+      y: to.y,
+      steps: options.steps,
+      holdMs: options.holdMs,
+      prompt: this.description,
+      cacheHit: this._response?.cacheHit,
+      selectorUsed: !!this._response?.selector,
+      selector: this._response?.selector,
+      confidence: this._response?.confidence ?? null,
+      reasoning: this._response?.reasoning ?? null,
+      similarity: this._response?.similarity ?? null,
+      screenshotUrl: this._response?.screenshotKey ?? null,
+    });
+
+    return this;
+  }
+
   /**
    * Get the coordinates of the element
    * @returns {{x: number, y: number, centerX: number, centerY: number}|null}
@@ -1336,6 +1497,7 @@ function createChainablePromise(promise) {
     "rightClick",
     "mouseDown",
     "mouseUp",
+    "dragTo",
   ];
 
   // Create a new promise that wraps the original
@@ -1389,6 +1551,24 @@ function createChainablePromise(promise) {
   return chainablePromise;
 }
 
+/**
+ * Resolve a drag source or target to a screen point (see lib/drag)
+ * @param {TestDriverSDK} sdk
+ * @param {Element|Promise<Element>|string|{x: number, y: number}} target - Element, find() result, description, or point
+ * @returns {Promise<{x: number, y: number, element?: Element, description?: string}>}
+ */
+function resolveDragPoint(sdk, target) {
+  return toDragPoint(
+    sdk,
+    target,
+    (element) =>
+      new ElementNotFoundError(`Element "${element.description}" not found.`, {
+        description: element.description,
+        aiResponse: element._response,
+      }),
+  );
+}
+
 /**
  * Normalize redraw options from new thresholds format or legacy format to internal format.
  * New:    { enabled: true, thresholds: { screen: 0.05, network: true } }
@@ -1489,6 +1669,7 @@ class TestDriverSDK {
       TD_RESOLUTION: options.resolution || "1366x768",
       TD_ANALYTICS: options.analytics !== false,
       TD_PREVIEW: previewMode,
+      TD_API_RECORD: options.apiRecord || process.env.TD_API_RECORD,
       ...options.environment,
     };
 
@@ -1536,6 +1717,11 @@ class TestDriverSDK {
     // Store IP address if provided for direct connection
     this.ip = options.ip || null;
 
+    // Sandbox transport: "cloud" (default), "local" to drive this machine's
+    // X display via xdotool/Xvfb without contacting the sandbox service, or a
+    // transport object such as FakeSandbox
+    this.transport = options.transport || "cloud";
+
     // Store EC2 instance ID for direct connections (used to provision Ably credentials via SSM)
     this.instanceId = options.instanceId || null;
 
@@ -1590,6 +1776,7 @@ class TestDriverSDK {
       };
       this.cacheConfig = {
         enabled: false,
+        local: false,
         thresholds: {
           find: { screen: -1, element: -1 },
           assert: -1,
@@ -1603,6 +1790,12 @@ class TestDriverSDK {
 
       this.cacheConfig = {
         enabled: cacheOpts.enabled !== false,
+        // Local on-disk find() cache under .testdriver/cache (see lib/cache), opt-in
+        local:
+          cacheOpts.enabled !== false &&
+          cacheOpts.local === true &&
+          process.env.TD_NO_LOCAL_CACHE !== "true",
+        localDir: cacheOpts.dir,
         thresholds: {
           find: {
             screen: findThresholds.screen ?? 0.05, // Default: 5% pixel diff allowed
@@ -1636,6 +1829,20 @@ class TestDriverSDK {
     // Can be overridden per find() call via { verify: true|false }.
     this.verifyDefault = options.verify === true;
 
+    // Vision provider: answer find/assert/parse with a local or self-hosted
+    // model (or the deterministic stub) instead of the TestDriver API.
+    // The provider needs screenshot bytes, so skip the S3-key fast path.
+    const { resolveVisionProvider } = require("./lib/vision");
+    this.visionProvider = resolveVisionProvider(options.visionProvider);
+    this.agent.visionProvider = this.visionProvider;
+    if (this.visionProvider) {
+      this.agent.config.TD_INLINE_SCREENSHOTS = true;
+    }
+
+    // Text index: answer waitForText/scrollUntilText/hoverText lookups from
+    // one parse() of the screen until the screen changes
+    this.agent.textIndex = options.textIndex || null;
+
     // Redraw configuration
     // Supports:
     //   - redraw: { enabled: true, thresholds: { screen: 0.05, network: true } }  (new)
@@ -1668,6 +1875,12 @@ class TestDriverSDK {
     // Expose commonly used agent properties
     this.emitter = this.agent.emitter;
     this.config = this.agent.config;
+
+    // Local find() cache: answers repeat finds from disk, only misses hit the API
+    const { createFindCache } = require("./lib/cache");
+    this._findCache = this.cacheConfig.local
+      ? createFindCache({ dir: this.cacheConfig.localDir, emitter: this.emitter })
+      : null;
     this.session = this.agent.session;
     this.apiClient = this.agent.sdk;
     this.analytics = this.agent.analytics;
@@ -1697,6 +1910,18 @@ class TestDriverSDK {
     // Set up provision API
     this.provision = this._createProvisionAPI();
 
+    // Set up network capture API (testdriver.network)
+    this.network = createNetworkAPI(this);
+
+    // Set up CDP bridge to the provisioned Chrome (testdriver.browser)
+    this.browser = createBrowserAPI(this, Element);
+
+    // Soft assertions: failures are collected and thrown at the end of the test
+    this.softAssertions = createSoftAssertions();
+    this.expect = {
+      soft: (assertion, options) => this.softAssert(assertion, options),
+    };
+
     // Set up dashcam API lazily
     this._dashcam = null;
 
@@ -1710,6 +1935,15 @@ class TestDriverSDK {
     this.autoScreenshots = options.autoScreenshots === true;
     this._screenshotSequence = 0; // Counter for sequential screenshot naming
 
+    // Trace recording (.tdtrace): actions, screenshots, API calls and exec
+    // output collected into one zip, written on disconnect()
+    this._trace =
+      options.trace === true || (options.trace === undefined && process.env.TD_TRACE === "true")
+        ? createTrace(this.emitter)
+        : null;
+    this.tracePath = null;
+    this._traceScreenshotsDir = null; // trace-only screenshots, removed on disconnect()
+
     // Set up command methods that lazy-await connection
     this._setupCommandMethods();
   }
@@ -2067,6 +2301,7 @@ CAPTCHA_SOLVER_EOF`,
    * @param {string} options.sandboxInstance - Instance type for the sandbox
    * @param {string} options.e2bTemplateId - E2B template ID to use when creating the sandbox
    * @param {string} options.os - Operating system for the sandbox (windows or linux)
+   * @param {string|Object} options.transport - "cloud" (default), "local" to drive this machine's display, or a transport object such as FakeSandbox
    * @param {boolean} options.reuseConnection - Reuse recent connection if available (default: true)
    * @returns {Promise<Object>} Sandbox instance details
    */
@@ -2102,8 +2337,26 @@ CAPTCHA_SOLVER_EOF`,
     // Log environment info immediately so it's visible even if auth fails
     this._logEnvironmentInfo();
 
-    // Authenticate first if not already authenticated
-    if (!this.authenticated) {
+    const transport =
+      connectOptions.transport !== undefined
+        ? connectOptions.transport
+        : this.transport;
+    // A transport object (e.g. FakeSandbox from testdriverai/testing) is
+    // driven like the local transport
+    const customTransport = typeof transport?.send === "function";
+    if (transport !== "cloud" && transport !== "local" && !customTransport) {
+      throw new Error(
+        `Unknown transport "${transport}". Expected "cloud", "local" or a transport object.`,
+      );
+    }
+    this.transport = transport;
+    this.agent.transport = transport;
+
+    // Authenticate first if not already authenticated. The local transport
+    // can run without an API key as long as nothing calls the AI endpoints.
+    const skipAuth =
+      (transport === "local" || customTransport) && !this.config.TD_API_KEY;
+    if (!this.authenticated && !skipAuth) {
       await this.auth();
     }
 
@@ -2220,6 +2473,9 @@ CAPTCHA_SOLVER_EOF`,
       () => this.agent.sourceMapper?.currentFilePath || this.agent.thisFile,
       this.agent.cliArgs.options.redrawThreshold,
       () => this.getDashcamElapsedTime(), // Pass dashcam elapsed time function
+      () => this.agent.softAssertMode,
+      () => this.agent.visionProvider,
+      () => this.agent.textIndex,
     );
     this.commands = commandsResult.commands;
     this.agent.commands = commandsResult.commands;
@@ -2237,7 +2493,7 @@ CAPTCHA_SOLVER_EOF`,
     // can reattach without the caller having to thread the id through.
     const activeSandboxId =
       this.instance?.sandboxId || this.instance?.instanceId || null;
-    if (activeSandboxId) {
+    if (activeSandboxId && transport === "cloud") {
       this.sandboxId = activeSandboxId;
       TestDriverSDK._writeLastSandbox({
         sandboxId: activeSandboxId,
@@ -2271,7 +2527,29 @@ CAPTCHA_SOLVER_EOF`,
       }
     }
 
+    // Write the trace while the emitter still has its listeners
+    if (this._trace) {
+      this._trace.stop();
+      try {
+        await this.saveTrace();
+      } catch (err) {
+        console.warn("Failed to save trace:", err.message);
+      }
+      this._trace = null;
+      if (this._traceScreenshotsDir) {
+        fs.rmSync(this._traceScreenshotsDir, { recursive: true, force: true });
+        this._traceScreenshotsDir = null;
+      }
+    }
 
+    // Stop a network recording left running so the recorder process exits
+    if (this.network.recording && this.connected) {
+      try {
+        await this.network.stop();
+      } catch {
+        // Ignore - the sandbox may already be gone
+      }
+    }
 
     // Always close the sandbox WebSocket connection to clean up resources
     // This ensures we don't leave orphaned connections even if connect() failed
@@ -2360,14 +2638,15 @@ CAPTCHA_SOLVER_EOF`,
       this._ensureConnected();
 
       // Get caller info for auto-screenshot naming
-      const callerInfo = this.autoScreenshots ? getCallerInfo() : null;
+      const callerInfo = this._capturesScreenshots() ? getCallerInfo() : null;
 
       // Track this promise for unawaited detection
       this._lastCommandName = "find";
       this._lastPromiseSettled = false;
+      const traceAction = this._trace?.startAction("find", [description, options], callerInfo);
 
       // Take "before" screenshot if enabled
-      if (this.autoScreenshots) {
+      if (this._capturesScreenshots()) {
         await this._saveAutoScreenshot("find", "before", callerInfo, description);
       }
 
@@ -2377,12 +2656,19 @@ CAPTCHA_SOLVER_EOF`,
         this.system,
         this.commands,
       );
-      const result = await element.find(null, options);
+      let result;
+      try {
+        result = await element.find(null, options);
+      } catch (error) {
+        this._trace?.endAction(traceAction, { error });
+        throw error;
+      }
 
       // Take "after" screenshot if enabled
-      if (this.autoScreenshots) {
+      if (this._capturesScreenshots()) {
         await this._saveAutoScreenshot("find", "after", callerInfo, description);
       }
+      this._trace?.endAction(traceAction, { result: { found: result.found() } });
 
       this._lastPromiseSettled = true;
       return result;
@@ -2399,7 +2685,8 @@ CAPTCHA_SOLVER_EOF`,
    *
    * @param {string} description - Description of the elements to find
    * @param {number | Object} [options] - Cache options: number for threshold, or object with {cacheKey, cache: { thresholds: { screen } }}
-   * @returns {Promise<Element[]>} Array of Element instances that have been located
+   * @param {Element|Object} [options.within] - Only search inside this found Element or region { left, top, width, height }
+   * @returns {Promise<ElementCollection>} Array of Element instances that have been located, with layout queries (nearest, leftOf, below, inRow, sortByReadingOrder)
    *
    * @example
    * // Find all buttons and click the first one
@@ -2414,6 +2701,12 @@ CAPTCHA_SOLVER_EOF`,
    * for (const item of items) {
    *   console.log(`Found item at (${item.x}, ${item.y})`);
    * }
+   *
+   * @example
+   * // Click the checkbox in the same row as a label
+   * const invoice = await client.find('the text "Invoice 42"');
+   * const checkboxes = await client.findAll('row checkbox');
+   * await checkboxes.inRow(invoice)[0].click();
    */
   async findAll(description, options) {
     // Lazy-await: wait for connection if still pending
@@ -2433,14 +2726,14 @@ CAPTCHA_SOLVER_EOF`,
     this._ensureConnected();
 
     // Get caller info for auto-screenshot naming
-    const callerInfo = this.autoScreenshots ? getCallerInfo() : null;
+    const callerInfo = this._capturesScreenshots() ? getCallerInfo() : null;
 
     // Track this promise for unawaited detection
     this._lastCommandName = "findAll";
     this._lastPromiseSettled = false;
 
     // Take "before" screenshot if enabled
-    if (this.autoScreenshots) {
+    if (this._capturesScreenshots()) {
       await this._saveAutoScreenshot("findAll", "before", callerInfo, description);
     }
 
@@ -2451,9 +2744,20 @@ CAPTCHA_SOLVER_EOF`,
 
     const { events } = require("./agent/events.js");
 
+    // Scoped search: only this region of the screen is sent to the locator
+    const within = typeof options === "object" && options !== null ? options.within : null;
+    let region = within ? toRegion(within) : null;
+
     try {
       // { imageKey } (fast S3-key path) or { image } (base64 fallback).
-      const imagePayload = await this.system.captureScreenImage();
+      let imagePayload = region
+        ? { image: await this.system.captureScreenBase64() }
+        : await this.system.captureScreenImage();
+      if (region) {
+        const cropped = cropToRegion(imagePayload.image, region);
+        imagePayload = { image: cropped.image };
+        region = cropped.region;
+      }
 
       // Handle options - can be a number (cacheThreshold) or object with cacheKey/cacheThreshold/cache
       let cacheKey = null;
@@ -2545,7 +2849,9 @@ CAPTCHA_SOLVER_EOF`,
         this.emitter.emit(events.log.narration, formattedMessage, true);
 
         // Create Element instances for each found element
-        const elements = response.elements.map((elementData) => {
+        const elements = ElementCollection.from(response.elements, (found) => {
+          // Coordinates from a scoped search are relative to the crop
+          const elementData = region ? translateToScreen(found, region) : found;
           const element = new Element(
             description,
             this,
@@ -2579,6 +2885,13 @@ CAPTCHA_SOLVER_EOF`,
         this._interactionStats.total++;
         this._interactionStats.byType.findAll = (this._interactionStats.byType.findAll || 0) + 1;
         if (findAllCacheHit) this._interactionStats.cached++;
+        this.emitter.emit(events.interaction.track, {
+          interactionType: "findAll",
+          prompt: description,
+          success: true,
+          input: { count: elements.length },
+          cacheHit: findAllCacheHit,
+        });
         if (sessionId && this.apiClient) {
           this.apiClient
             .req("interaction/track", {
@@ -2612,7 +2925,7 @@ CAPTCHA_SOLVER_EOF`,
         }
 
         // Take "after" screenshot if enabled
-        if (this.autoScreenshots) {
+        if (this._capturesScreenshots()) {
           await this._saveAutoScreenshot("findAll", "after", callerInfo, description);
         }
 
@@ -2639,6 +2952,13 @@ CAPTCHA_SOLVER_EOF`,
         this._interactionStats.total++;
         this._interactionStats.byType.findAll = (this._interactionStats.byType.findAll || 0) + 1;
         if (noResultCacheHit) this._interactionStats.cached++;
+        this.emitter.emit(events.interaction.track, {
+          interactionType: "findAll",
+          prompt: description,
+          success: false,
+          error: "No elements found",
+          cacheHit: noResultCacheHit,
+        });
         if (sessionId && this.apiClient) {
           this.apiClient
             .req("interaction/track", {
@@ -2660,13 +2980,13 @@ CAPTCHA_SOLVER_EOF`,
         }
 
         // Take "after" screenshot if enabled (no elements found)
-        if (this.autoScreenshots) {
+        if (this._capturesScreenshots()) {
           await this._saveAutoScreenshot("findAll", "after", callerInfo, description);
         }
 
-        // No elements found - return empty array
+        // No elements found - return empty collection
         this._lastPromiseSettled = true;
-        return [];
+        return new ElementCollection();
       }
     } catch (error) {
       const duration = Date.now() - startTime;
@@ -2714,12 +3034,12 @@ CAPTCHA_SOLVER_EOF`,
       }
 
       // Take "error" screenshot if enabled
-      if (this.autoScreenshots) {
+      if (this._capturesScreenshots()) {
         await this._saveAutoScreenshot("findAll", "error", callerInfo, description);
       }
 
       this._lastPromiseSettled = true;
-      return [];
+      return new ElementCollection();
     }
   }
 
@@ -2758,6 +3078,57 @@ CAPTCHA_SOLVER_EOF`,
     return sanitized;
   }
 
+  /**
+   * Drag from one element or point to another, holding the left mouse button
+   * and moving the pointer in steps so drag-and-drop handlers fire
+   *
+   * @param {Element|Promise<Element>|string|{x: number, y: number}} from - Element, find() result, description, or point to press at
+   * @param {Element|Promise<Element>|string|{x: number, y: number}} to - Element, find() result, description, or point to release at
+   * @param {Object} [options]
+   * @param {number} [options.steps=10] - Number of intermediate pointer moves
+   * @param {number} [options.holdMs=200] - Time to hold after pressing and before releasing, in ms
+   * @returns {Promise<void>}
+   *
+   * @example
+   * // Reorder a sortable list
+   * await testdriver.drag('the "Step 3" list item', 'the "Step 1" list item');
+   *
+   * @example
+   * // Drop onto a point
+   * await testdriver.drag(testdriver.find('file icon'), { x: 640, y: 400 }, { steps: 25 });
+   */
+  async drag(from, to, options = {}) {
+    // Lazy-await: wait for connection if still pending
+    if (this.__connectionPromise) {
+      await this.__connectionPromise;
+    }
+
+    this._ensureConnected();
+
+    this._lastCommandName = "drag";
+    this._lastPromiseSettled = false;
+
+    try {
+      const start = await resolveDragPoint(this, from);
+      if (start.element) {
+        await start.element.dragTo(to, options);
+        return;
+      }
+
+      const end = await resolveDragPoint(this, to);
+      await this.commands.drag({
+        fromX: start.x,
+        fromY: start.y,
+        x: end.x,
+        y: end.y,
+        steps: options.steps,
+        holdMs: options.holdMs,
+      });
+    } finally {
+      this._lastPromiseSettled = true;
+    }
+  }
+
   // ====================================
   // Command Methods Setup
   // ====================================
@@ -2781,6 +3152,7 @@ CAPTCHA_SOLVER_EOF`,
       scroll: "scroll",
       wait: "wait",
       "wait-for-text": "waitForText",
+      "wait-until": "waitUntil",
       "wait-for-image": "waitForImage",
       "scroll-until-text": "scrollUntilText",
       "scroll-until-image": "scrollUntilImage",
@@ -2824,7 +3196,8 @@ CAPTCHA_SOLVER_EOF`,
           return typeof firstArg === "string" ? firstArg : "";
         case "assert":
         case "extract":
-          // For assert/extract, use the assertion/description
+        case "waitUntil":
+          // For assert/extract/waitUntil, use the assertion/description
           return typeof firstArg === "string" ? firstArg.substring(0, 30) : "";
         case "exec":
           // For exec, show the language
@@ -2837,6 +3210,9 @@ CAPTCHA_SOLVER_EOF`,
       }
     };
 
+    // The session recorder hooks these by name
+    this._commandMethodNames = Object.values(commandMapping);
+
     // Create SDK methods that lazy-await connection then forward to this.commands
     for (const [commandName, methodName] of Object.entries(commandMapping)) {
       // Use closure to capture sdk reference instead of .bind(this)
@@ -2864,16 +3240,18 @@ CAPTCHA_SOLVER_EOF`,
         Error.captureStackTrace(callSite, methodFn);
 
         // Get caller info for auto-screenshot naming
-        const callerInfo = sdk.autoScreenshots ? getCallerInfo() : null;
-        const description = sdk.autoScreenshots ? getDescriptionFromArgs(methodName, args) : "";
+        const callerInfo = sdk._capturesScreenshots() ? getCallerInfo() : null;
+        const description = sdk._capturesScreenshots() ? getDescriptionFromArgs(methodName, args) : "";
 
         // Track this promise for unawaited detection
         sdk._lastCommandName = methodName;
         sdk._lastPromiseSettled = false;
 
+        const traceAction = sdk._trace?.startAction(methodName, args, callerInfo);
+
         try {
           // Take "before" screenshot if enabled
-          if (sdk.autoScreenshots) {
+          if (sdk._capturesScreenshots()) {
             await sdk._saveAutoScreenshot(methodName, "before", callerInfo, description);
           }
 
@@ -2908,22 +3286,41 @@ CAPTCHA_SOLVER_EOF`,
             
             // Note: commands.assert takes (assertion, options), shouldThrow is determined internally
             result = await sdk.commands[commandName](assertion, mergedOptions);
+          } else if (commandName === 'wait-until') {
+            // Same SDK defaults as assert, except the cache stays off unless asked for
+            const [condition, userOptions = {}] = args;
+            result = await sdk.commands[commandName](condition, {
+              ...userOptions,
+              cacheKey: userOptions.cacheKey ?? sdk.options.cacheKey,
+              os: userOptions.os ?? sdk.os,
+              resolution: userOptions.resolution ?? sdk.resolution,
+              ai: {
+                ...sdk.aiConfig,
+                ...(typeof userOptions.ai === "object" ? userOptions.ai : {}),
+                top: {
+                  ...sdk.aiConfig?.top,
+                  ...(typeof userOptions.ai === "object" ? userOptions.ai?.top : {}),
+                },
+              },
+            });
           } else {
             result = await sdk.commands[commandName](...args);
           }
 
           // Take "after" screenshot if enabled
-          if (sdk.autoScreenshots) {
+          if (sdk._capturesScreenshots()) {
             await sdk._saveAutoScreenshot(methodName, "after", callerInfo, description);
           }
+          sdk._trace?.endAction(traceAction, { result });
 
           sdk._lastPromiseSettled = true;
           return result;
         } catch (error) {
           // Take "error" screenshot if enabled (instead of "after")
-          if (sdk.autoScreenshots) {
+          if (sdk._capturesScreenshots()) {
             await sdk._saveAutoScreenshot(methodName, "error", callerInfo, description);
           }
+          sdk._trace?.endAction(traceAction, { error });
 
           sdk._lastPromiseSettled = true;
           // Ensure we have a proper Error object with a message
@@ -3010,6 +3407,294 @@ CAPTCHA_SOLVER_EOF`,
     return filePath;
   }
 
+  /**
+   * Compare the screen (or part of it) against a baseline image stored next
+   * to the test. The first run records the baseline; later runs fail when more
+   * than `threshold` of the pixels differ, and write the actual and diff images
+   * to .testdriver/snapshots/.
+   *
+   * Run with `vitest --update` (or TD_UPDATE_SNAPSHOTS=true) to re-record baselines.
+   *
+   * @param {string} name - Snapshot name, unique within the test file
+   * @param {Object} [options]
+   * @param {Element|Object} [options.region] - Only compare this found Element or region { left, top, width, height }
+   * @param {number} [options.threshold=0.001] - Fraction of pixels allowed to differ (0.001 = 0.1%)
+   * @param {Array<Element|Object>} [options.mask] - Elements or regions to ignore, e.g. clocks and avatars
+   * @param {boolean} [options.update] - Overwrite the baseline (default: TD_UPDATE_SNAPSHOTS)
+   * @returns {Promise<Object>} Comparison result: { status, baselinePath, diffRatio }
+   * @throws {ScreenshotMismatchError} When the screen does not match the baseline
+   *
+   * @example
+   * await testdriver.expectScreenshot('checkout-page', {
+   *   mask: [await testdriver.find('order timestamp')],
+   * });
+   *
+   * @example
+   * // Compare a single component
+   * const cart = await testdriver.find('shopping cart summary');
+   * await testdriver.expectScreenshot('cart-summary', { region: cart, threshold: 0.01 });
+   */
+  async expectScreenshot(name, options = {}) {
+    // Resolve the owning test file before the first await drops the caller frames
+    const testFile = this.testFile || getCallerFilePath();
+
+    if (!name || typeof name !== "string") {
+      throw new Error(
+        "expectScreenshot() needs a name, e.g. expectScreenshot('checkout-page')",
+      );
+    }
+
+    // Lazy-await: wait for connection if still pending
+    if (this.__connectionPromise) {
+      await this.__connectionPromise;
+    }
+
+    this._ensureConnected();
+
+    let image = await this.system.captureScreenBase64(1, false, false);
+    let origin = { left: 0, top: 0 };
+
+    if (options.region) {
+      const cropped = cropToRegion(image, toRegion(await options.region));
+      image = cropped.image;
+      origin = cropped.region;
+    }
+
+    // Masks are given in screen coordinates; shift them into the region
+    const mask = [];
+    for (const item of options.mask || []) {
+      const box = toRegion(await item);
+      mask.push({ ...box, left: box.left - origin.left, top: box.top - origin.top });
+    }
+
+    const update =
+      options.update ?? process.env.TD_UPDATE_SNAPSHOTS === "true";
+    const result = await compareScreenshot({
+      image,
+      mask,
+      threshold: options.threshold,
+      update,
+      // Like Vitest's own snapshots, CI fails on a missing baseline instead of recording it
+      createMissing: !process.env.CI,
+      ...snapshotPaths({ name, testFile, os: this.os }),
+    });
+
+    if (result.status === "mismatched" || result.status === "missing") {
+      const lines = [
+        `Screenshot "${name}" does not match its baseline: ${result.reason}`,
+        `  baseline: ${result.baselinePath}`,
+        `  actual:   ${result.actualPath}`,
+      ];
+      if (result.diffPath) lines.push(`  diff:     ${result.diffPath}`);
+      lines.push("Run with `vitest --update` to accept the new screenshot.");
+      throw new ScreenshotMismatchError(lines.join("\n"), result);
+    }
+
+    if (result.status !== "matched") {
+      this.emitter.emit(
+        "log:info",
+        `📸 Screenshot baseline ${result.status}: ${result.baselinePath}`,
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Soft assertion: like assert(), but a failure is recorded with a
+   * screenshot and the test continues. All failures are thrown together as a
+   * SoftAssertionError at the end of the test (automatically with
+   * `TestDriver(context)` in Vitest, otherwise via softAssertions.assertAll()).
+   * Also available as `testdriver.expect.soft()`.
+   *
+   * @param {string|Function} assertion - AI assertion, or a function whose thrown error counts as a failure
+   * @param {Object} [options] - assert() options
+   * @param {string} [options.message] - Name for the assertion in the report (defaults to the assertion text)
+   * @returns {Promise<boolean>} Whether the assertion passed
+   *
+   * @example
+   * await testdriver.softAssert("the header says 'Your orders'");
+   * await testdriver.expect.soft(async () => {
+   *   expect(await testdriver.find('cart badge').text).toBe('3');
+   * }, { message: 'cart badge shows 3 items' });
+   */
+  async softAssert(assertion, options = {}) {
+    const { message, ...assertOptions } = options;
+    const location = getCallerInfo();
+    let error = null;
+    let passed;
+
+    if (typeof assertion === "function") {
+      try {
+        await assertion();
+        passed = true;
+      } catch (err) {
+        passed = false;
+        error = err;
+      }
+    } else {
+      // In soft assert mode a failing assert() returns false instead of throwing
+      const originalSoftAssertMode = this.agent.softAssertMode;
+      this.agent.softAssertMode = true;
+      try {
+        passed = await this.assert(assertion, assertOptions);
+      } finally {
+        this.agent.softAssertMode = originalSoftAssertMode;
+      }
+    }
+    if (passed) return true;
+
+    const name =
+      message ||
+      (typeof assertion === "function" ? assertion.name || "soft assertion" : assertion);
+    const count = this.softAssertions.failures.length + 1;
+
+    let screenshot = null;
+    try {
+      const slug = name
+        .replace(/[^a-zA-Z0-9\s-]/g, "")
+        .replace(/\s+/g, "-")
+        .substring(0, 30)
+        .toLowerCase();
+      screenshot = await this.screenshot(`soft-assert-${count}${slug ? `-${slug}` : ""}`);
+    } catch {
+      // The failure is still recorded without a screenshot
+    }
+
+    this.softAssertions.record({
+      assertion: name,
+      message: error ? error.message : `AI assertion failed: ${assertion}`,
+      screenshot,
+      location: location?.filePath ? location : null,
+    });
+    this.emitter.emit("log:warn", `Soft assertion failed: ${name}`);
+    return false;
+  }
+
+  /**
+   * Start recording SDK calls so the session can be saved as a test.
+   * Every command method, find() (with the element action that followed it)
+   * and provision.* call that completes is recorded; failed calls are not.
+   *
+   * @example
+   * testdriver.startRecording();
+   * await testdriver.provision.chrome({ url: 'https://example.com' });
+   * await testdriver.find('More information link').click();
+   * await testdriver.assert('the IANA page is open');
+   * await testdriver.stopRecording({ path: 'tests/example.test.mjs' });
+   */
+  startRecording() {
+    if (this._recorder) {
+      throw new Error("Already recording. Call stopRecording() first.");
+    }
+    this._recorder = createRecorder(this, { methods: this._commandMethodNames });
+  }
+
+  /**
+   * Stop recording and generate a Vitest test that replays the session. The
+   * test keeps this instance's os, resolution and cache key, so its find()
+   * and assert() calls reuse the cache entries recorded here.
+   * @param {Object} [options]
+   * @param {string} [options.path] - Write the test to this file
+   * @param {string} [options.name] - Test name (default: the file name, or 'recorded session')
+   * @returns {Promise<string>} The generated test code
+   */
+  async stopRecording({ path: filePath, name } = {}) {
+    if (!this._recorder) {
+      throw new Error("Not recording. Call startRecording() first.");
+    }
+    const steps = this._recorder.stop();
+    this._recorder = null;
+
+    const testdriverOptions = {};
+    if (this.os && this.os !== "linux") testdriverOptions.os = this.os;
+    if (this.resolution && this.resolution !== "1366x768") {
+      testdriverOptions.resolution = this.resolution;
+    }
+    if (this.options.cacheKey) testdriverOptions.cacheKey = this.options.cacheKey;
+
+    const code = toTestFile(steps, {
+      name:
+        name ||
+        (filePath
+          ? path.basename(filePath).replace(/\.(test|spec)?\.?[cm]?[jt]s$/, "")
+          : undefined),
+      testdriverOptions,
+    });
+
+    if (filePath) {
+      fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+      fs.writeFileSync(filePath, code);
+      this.emitter.emit("log:info", `📝 Recorded ${steps.length} step(s) to: ${filePath}`);
+    }
+    return code;
+  }
+
+  /**
+   * Save the browser's cookies and the current page's localStorage, e.g.
+   * after logging in once, so later tests can start logged in with
+   * `provision.chrome({ storageState: filePath })`.
+   * @param {string} [filePath] - JSON file to write
+   * @returns {Promise<{cookies: Object[], origins: Object[]}>} The saved state
+   */
+  async saveStorageState(filePath) {
+    const state = await this.browser.storageState();
+    if (filePath) {
+      fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+      this.emitter.emit(
+        "log:info",
+        `🍪 Saved ${state.cookies.length} cookie(s) and localStorage for ${state.origins.length} origin(s) to: ${filePath}`,
+      );
+    }
+    return state;
+  }
+
+  /**
+   * Write the trace collected so far (requires the `trace` option or
+   * TD_TRACE=true). disconnect() calls this automatically; open the file with
+   * `npx testdriverai show-trace <file>`.
+   * @param {string} [filePath] - Defaults to .testdriver/traces/<test>-<timestamp>.tdtrace
+   * @returns {Promise<string>} The path the trace was written to
+   */
+  async saveTrace(filePath) {
+    if (!this._trace) {
+      throw new Error("Tracing is off. Create TestDriver with { trace: true } or set TD_TRACE=true.");
+    }
+
+    const testName = this.__vitestContext?.name;
+    const base = this.testFile
+      ? path.basename(this.testFile, path.extname(this.testFile))
+      : "session";
+    const name = testName ? `${base} > ${testName}` : base;
+
+    if (!filePath) {
+      const slug = name.replace(/[^a-zA-Z0-9.-]+/g, "-").replace(/^-+|-+$/g, "");
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      filePath = path.join(process.cwd(), ".testdriver", "traces", `${slug}-${stamp}.tdtrace`);
+    }
+
+    const zip = this._trace.toZip({
+      logs: this.getLogs(),
+      meta: {
+        name,
+        testFile: this.testFile || null,
+        os: this.os,
+        resolution: this.resolution,
+        sessionId: this.getSessionId(),
+        sandboxId: this.instance?.sandboxId || this.instance?.instanceId || null,
+      },
+    });
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    fs.writeFileSync(filePath, zip);
+    this.tracePath = filePath;
+    this.emitter.emit(
+      "log:info",
+      `🧭 Trace saved: ${path.relative(process.cwd(), filePath)} (npx testdriverai show-trace ${path.relative(process.cwd(), filePath)})`,
+    );
+    return filePath;
+  }
+
   /**
    * Parse the current screen using OmniParser v2 to detect all UI elements
    * Returns structured data with element types, bounding boxes, and content
@@ -3084,9 +3769,107 @@ CAPTCHA_SOLVER_EOF`,
     return response;
   }
 
+  /**
+   * Lay out the on-screen table described by `options` from a parse() call
+   * @private
+   * @param {Object} options - See readTable()
+   * @returns {Promise<Object>} From layoutTable()
+   */
+  async _parseTable({ region, anchorText, headers } = {}) {
+    this._ensureConnected();
+
+    const response = await this.apiClient.req("parse", {
+      session: this.getSessionId(),
+      ...(await this.system.captureScreenImage()),
+    });
+    if (response.error) {
+      throw new Error(response.error);
+    }
+
+    return layoutTable(response.elements || [], {
+      region: region && (await region),
+      anchorText,
+      headers,
+    });
+  }
+
+  /**
+   * Read a table on screen into an array of row objects keyed by header.
+   * Text found by parse() is grouped into rows and columns by position and
+   * the first row is read as the headers. Requires the same plan as parse().
+   *
+   * @param {Object} [options]
+   * @param {Element|Object} [options.region] - Only read inside this found Element or region { left, top, width, height }
+   * @param {string|RegExp} [options.anchorText] - Text in the header row, or in a caption just above the table
+   * @param {boolean|string[]} [options.headers=true] - Read the first row as headers, or name the columns yourself; `false` uses column1, column2, ...
+   * @returns {Promise<Object<string, string>[]>} One object per row; empty cells are ""
+   *
+   * @example
+   * const invoices = await testdriver.readTable({ anchorText: 'Invoice' });
+   * expect(invoices.find((row) => row.Invoice === 'Invoice 42').Status).toBe('Paid');
+   */
+  async readTable(options = {}) {
+    const { events } = require("./agent/events.js");
+    const table = await this._parseTable(options);
+    const rows = toRowObjects(table);
+    this.emitter.emit(
+      events.log.log,
+      `📋 Read table: ${rows.length} row${rows.length === 1 ? "" : "s"} × ${table.headers.length} columns (${table.headers.join(", ")})`,
+    );
+    return rows;
+  }
+
+  /**
+   * Find a table cell by its row and column. The row is matched by the text
+   * of any of its cells (or its index), the column by its header (or index).
+   *
+   * @param {Object} target
+   * @param {string|RegExp|number} target.row - e.g. 'Invoice 42'
+   * @param {string|RegExp|number} target.column - e.g. 'Status'
+   * @param {Element|Object} [target.region] - As for readTable()
+   * @param {string|RegExp} [target.anchorText] - As for readTable()
+   * @param {boolean|string[]} [target.headers=true] - As for readTable()
+   * @returns {Promise<Element>} The cell, found; an empty cell's text is ""
+   *
+   * @example
+   * const status = await testdriver.findCell({ row: 'Invoice 42', column: 'Status' });
+   * await status.click();
+   */
+  async findCell({ row, column, ...options } = {}) {
+    if (row === undefined || column === undefined) {
+      throw new Error("findCell() needs both a row and a column");
+    }
+
+    const cell = locateCell(await this._parseTable(options), { row, column });
+    const { box } = cell;
+    const centerX = Math.round(box.left + box.width / 2);
+    const centerY = Math.round(box.top + box.height / 2);
+
+    const element = new Element(
+      `"${cell.header}" cell in row ${row}`,
+      this,
+      this.system,
+      this.commands,
+    );
+    element.coordinates = { x: centerX, y: centerY, centerX, centerY };
+    element._found = true;
+    element._response = {
+      coordinates: element.coordinates,
+      boundingBox: box,
+      width: box.width,
+      height: box.height,
+      text: cell.text,
+      label: cell.header,
+      elementType: "table-cell",
+      source: "parse",
+    };
+    return element;
+  }
+
   /**
    * Save an automatic screenshot with descriptive naming
-   * Used internally when autoScreenshots is enabled
+   * Used internally when autoScreenshots or tracing is enabled; the PNG also
+   * goes into the trace, and is only written to disk for autoScreenshots
    * @private
    * @param {string} actionName - Name of the action (click, type, hover, etc.)
    * @param {string} phase - 'before' or 'after'
@@ -3095,7 +3878,7 @@ CAPTCHA_SOLVER_EOF`,
    * @returns {Promise<string|null>} The file path where the screenshot was saved, or null if failed
    */
   async _saveAutoScreenshot(actionName, phase, callerInfo, description = "") {
-    if (!this.autoScreenshots || !this.connected) {
+    if (!this._capturesScreenshots() || !this.connected) {
       return null;
     }
 
@@ -3119,10 +3902,18 @@ CAPTCHA_SOLVER_EOF`,
       const filename = `${seq}-${actionName}-${phase}-${lineInfo}${descPart}.png`;
 
       const base64Data = await this.system.captureScreenBase64(1, false, false);
+      const buffer = Buffer.from(
+        base64Data.replace(/^data:image\/\w+;base64,/, ""),
+        "base64",
+      );
 
-      // Save to .testdriver/screenshots/<test-file-name> directory
+      // Save to .testdriver/screenshots/<test-file-name> directory, or to a
+      // temp directory when only the trace wants them (read back by toZip())
       let screenshotsDir = path.join(process.cwd(), ".testdriver", "screenshots");
-      if (this.testFile) {
+      if (!this.autoScreenshots) {
+        screenshotsDir = this._traceScreenshotsDir =
+          this._traceScreenshotsDir || fs.mkdtempSync(path.join(os.tmpdir(), "tdtrace-"));
+      } else if (this.testFile) {
         const testFileName = path.basename(
           this.testFile,
           path.extname(this.testFile),
@@ -3134,12 +3925,11 @@ CAPTCHA_SOLVER_EOF`,
       }
 
       const filePath = path.join(screenshotsDir, filename);
-
-      // Remove data:image/png;base64, prefix if present
-      const cleanBase64 = base64Data.replace(/^data:image\/\w+;base64,/, "");
-      const buffer = Buffer.from(cleanBase64, "base64");
-
       fs.writeFileSync(filePath, buffer);
+      this._trace?.screenshot(filename, filePath, phase);
+      if (!this.autoScreenshots) {
+        return null;
+      }
 
       // Debug log in verbose mode
       const debugMode = process.env.VERBOSE || process.env.TD_DEBUG;
@@ -3158,6 +3948,16 @@ CAPTCHA_SOLVER_EOF`,
     }
   }
 
+  /**
+   * Whether commands should capture before/after screenshots, either for
+   * autoScreenshots or for the trace
+   * @private
+   * @returns {boolean}
+   */
+  _capturesScreenshots() {
+    return this.autoScreenshots || !!this._trace;
+  }
+
   /**
    * Ensure the SDK is connected before running commands
    * @private
@@ -3790,3 +4590,8 @@ module.exports = TestDriverSDK;
 module.exports.Element = Element;
 module.exports.ElementNotFoundError = ElementNotFoundError;
 module.exports.AIError = AIError;
+module.exports.ScreenshotMismatchError = ScreenshotMismatchError;
+module.exports.ExtractValidationError = require("./lib/extract").ExtractValidationError;
+module.exports.SoftAssertionError = SoftAssertionError;
+module.exports.definePage = require("./lib/define-page.js").definePage;
+module.exports.ElementCollection = ElementCollection;